@@ -1,12 +1,15 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
+const { migrate } = require('./migrator');
 
 // Caminho para o banco de dados
-const dbPath = path.join(__dirname, '../data/padaria.db');
+const dbPath = process.env.DB_PATH
+    ? path.resolve(process.env.DB_PATH)
+    : path.join(__dirname, '../data/padaria.db');
 
 // Criar diretório data se não existir
 const fs = require('fs');
-const dataDir = path.join(__dirname, '../data');
+const dataDir = path.dirname(dbPath);
   if (!fs.existsSync(dataDir)) {
     fs.mkdirSync(dataDir, { recursive: true });
   }
@@ -17,151 +20,46 @@ const db = new sqlite3.Database(dbPath, (err) => {
         console.error('❌ Erro ao conectar ao banco:', err.message);
     } else {
         console.log('✅ Conectado ao banco SQLite');
-        initializeDatabase();
     }
 });
 
-// Inicializar banco de dados
-function initializeDatabase() {
-    // Habilitar foreign keys
-    db.run('PRAGMA foreign_keys = ON', (err) => {
-        if (err) {
-            console.error('❌ Erro ao habilitar foreign keys:', err);
-        }
-        
-        // Criar tabelas e depois inserir dados
-        createTables(() => {
-            insertInitialData();
-        });
-    });
-}
-  
-  // Criar tabelas
-function createTables(callback) {
-    let tablesCreated = 0;
-    const totalTables = 4;
-    
-    function checkCompletion() {
-        tablesCreated++;
-        if (tablesCreated === totalTables) {
-            console.log('✅ Tabelas criadas com sucesso');
-            if (callback) callback();
-        }
-    }
-    
-    // Tabela de categorias
-    db.run(`
-        CREATE TABLE IF NOT EXISTS categories (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-            name TEXT NOT NULL UNIQUE,
-            slug TEXT NOT NULL UNIQUE,
-            description TEXT,
-            image_url TEXT,
-        is_active BOOLEAN DEFAULT 1,
-            sort_order INTEGER DEFAULT 0,
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-        )
-    `, (err) => {
-        if (err) {
-            console.error('❌ Erro ao criar tabela categories:', err);
-        }
-        checkCompletion();
-    });
+// Inicializar banco de dados: aplicar migrações pendentes e inserir dados iniciais
+async function initializeDatabase() {
+    const applied = await migrate(db);
 
-    // Tabela de produtos
-    db.run(`
-      CREATE TABLE IF NOT EXISTS products (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        name TEXT NOT NULL,
-        description TEXT,
-            price DECIMAL(10,2) NOT NULL,
-            category_id INTEGER NOT NULL,
-        image_url TEXT,
-        is_available BOOLEAN DEFAULT 1,
-            is_featured BOOLEAN DEFAULT 0,
-            sort_order INTEGER DEFAULT 0,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            FOREIGN KEY (category_id) REFERENCES categories (id)
-        )
-    `, (err) => {
-        if (err) {
-            console.error('❌ Erro ao criar tabela products:', err);
-        }
-        checkCompletion();
-    });
+    if (applied.length > 0) {
+        console.log(`✅ ${applied.length} migração(ões) aplicada(s)`);
+    } else {
+        console.log('✅ Esquema do banco atualizado');
+    }
 
-    // Tabela de pedidos
-    db.run(`
-      CREATE TABLE IF NOT EXISTS orders (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        order_number TEXT UNIQUE NOT NULL,
-            customer_name TEXT NOT NULL,
-            customer_phone TEXT,
-            customer_email TEXT,
-            total_amount DECIMAL(10,2) NOT NULL,
-            status TEXT DEFAULT 'pending',
-            delivery_address TEXT,
-            delivery_type TEXT DEFAULT 'delivery',
-            notes TEXT,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-        )
-    `, (err) => {
-        if (err) {
-            console.error('❌ Erro ao criar tabela orders:', err);
-        }
-        checkCompletion();
+    // Habilitar foreign keys
+    await new Promise((resolve, reject) => {
+        db.run('PRAGMA foreign_keys = ON', (err) => {
+            if (err) reject(err);
+            else resolve();
+        });
     });
 
-    // Tabela de itens do pedido
-    db.run(`
-      CREATE TABLE IF NOT EXISTS order_items (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        order_id INTEGER NOT NULL,
-        product_id INTEGER NOT NULL,
-            product_name TEXT NOT NULL,
-            quantity INTEGER NOT NULL,
-            unit_price DECIMAL(10,2) NOT NULL,
-            total_price DECIMAL(10,2) NOT NULL,
-        FOREIGN KEY (order_id) REFERENCES orders (id),
-        FOREIGN KEY (product_id) REFERENCES products (id)
-        )
-    `, (err) => {
-        if (err) {
-            console.error('❌ Erro ao criar tabela order_items:', err);
-        }
-        checkCompletion();
-    });
+    await insertInitialData();
 }
 
 // Inserir dados iniciais
-function insertInitialData() {
+async function insertInitialData() {
     // Verificar se já existem dados
-    db.get('SELECT COUNT(*) as count FROM categories', (err, row) => {
-        if (err) {
-            console.error('❌ Erro ao verificar categorias:', err);
-            console.log('🔄 Tentando criar tabelas novamente...');
-            // Se a tabela não existe, tentar criar novamente
-            setTimeout(() => {
-                createTables(() => {
-                    insertInitialData();
-                });
-            }, 1000);
-            return;
-        }
-        
-        if (row.count === 0) {
-            console.log('📝 Inserindo dados iniciais...');
-            insertCategories();
-        } else {
-            console.log('✅ Dados iniciais já existem');
-        }
-    });
+    const row = await rawGet('SELECT COUNT(*) as count FROM categories');
+
+    if (row.count === 0) {
+        console.log('📝 Inserindo dados iniciais...');
+        await insertCategories();
+        await insertProducts();
+    } else {
+        console.log('✅ Dados iniciais já existem');
+    }
 }
 
 // Inserir categorias
-function insertCategories() {
+async function insertCategories() {
     const categories = [
         {
             name: 'Todos',
@@ -199,24 +97,18 @@ function insertCategories() {
         }
     ];
 
-    const stmt = db.prepare(`
-        INSERT INTO categories (name, slug, description, image_url, sort_order)
-        VALUES (?, ?, ?, ?, ?)
-    `);
-
-    categories.forEach(category => {
-        stmt.run(category.name, category.slug, category.description, category.image_url, category.sort_order);
-    });
+    for (const category of categories) {
+        await rawRun(`
+            INSERT INTO categories (name, slug, description, image_url, sort_order)
+            VALUES (?, ?, ?, ?, ?)
+        `, [category.name, category.slug, category.description, category.image_url, category.sort_order]);
+    }
 
-    stmt.finalize();
     console.log('✅ Categorias inseridas');
-
-    // Inserir produtos após as categorias
-    setTimeout(insertProducts, 500);
 }
 
 // Inserir produtos
-function insertProducts() {
+async function insertProducts() {
     const products = [
         // Bolos
         {
@@ -326,113 +218,99 @@ function insertProducts() {
         }
     ];
 
-    const stmt = db.prepare(`
-        INSERT INTO products (name, description, price, category_id, image_url, is_featured, sort_order)
-        VALUES (?, ?, ?, ?, ?, ?, ?)
-    `);
-
-    products.forEach(product => {
-        stmt.run(product.name, product.description, product.price, product.category_id, product.image_url, product.is_featured, product.sort_order);
-    });
+    for (const product of products) {
+        await rawRun(`
+            INSERT INTO products (name, description, price, category_id, image_url, is_featured, sort_order)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `, [product.name, product.description, product.price, product.category_id, product.image_url, product.is_featured, product.sort_order]);
+    }
 
-    stmt.finalize();
     console.log('✅ Produtos inseridos');
 }
 
-// Funções de consulta
-function getCategories() {
+// Helpers que expõem a API de callbacks do sqlite3 como Promises
+function rawAll(sql, params = []) {
     return new Promise((resolve, reject) => {
-        db.all(`
-            SELECT * FROM categories 
-            WHERE is_active = 1 
-            ORDER BY sort_order, name
-        `, (err, rows) => {
-            if (err) {
-                reject(err);
-            } else {
-                resolve(rows);
-            }
+        db.all(sql, params, (err, rows) => {
+            if (err) reject(err);
+            else resolve(rows);
         });
     });
 }
 
-function getProducts(categorySlug = 'all') {
+function rawGet(sql, params = []) {
     return new Promise((resolve, reject) => {
-        let query = `
-            SELECT p.*, c.name as category_name
-            FROM products p
-            LEFT JOIN categories c ON p.category_id = c.id
-            WHERE p.is_available = 1
-        `;
-        
-        let params = [];
-        
-        if (categorySlug !== 'all') {
-            query += ' AND c.slug = ?';
-            params.push(categorySlug);
-        }
-        
-        query += ' ORDER BY p.sort_order, p.name';
-        
-        db.all(query, params, (err, rows) => {
-            if (err) {
-                console.error('❌ Erro na query getProducts:', err);
-                reject(err);
-            } else {
-                resolve(rows);
-            }
+        db.get(sql, params, (err, row) => {
+            if (err) reject(err);
+            else resolve(row);
         });
     });
 }
 
-function getFeaturedProducts() {
+function rawRun(sql, params = []) {
     return new Promise((resolve, reject) => {
-        db.all(`
-            SELECT p.*, c.name as category_name, c.slug as category_slug
-            FROM products p
-            JOIN categories c ON p.category_id = c.id
-            WHERE p.is_available = 1 AND p.is_featured = 1
-            ORDER BY p.sort_order, p.name
-            LIMIT 6
-        `, (err, rows) => {
-            if (err) {
-                reject(err);
-    } else {
-                resolve(rows);
-            }
+        db.run(sql, params, function(err) {
+            if (err) reject(err);
+            else resolve({ lastInsertRowid: this.lastID, changes: this.changes });
         });
     });
 }
 
-function searchProducts(searchTerm) {
-    return new Promise((resolve, reject) => {
-        const query = `
-            SELECT p.*, c.name as category_name, c.slug as category_slug
-            FROM products p
-            JOIN categories c ON p.category_id = c.id
-            WHERE p.is_available = 1 
-            AND (p.name LIKE ? OR p.description LIKE ? OR c.name LIKE ?)
-            ORDER BY p.sort_order, p.name
-        `;
-        
-        const searchPattern = `%${searchTerm}%`;
-        const params = [searchPattern, searchPattern, searchPattern];
-        
-        db.all(query, params, (err, rows) => {
-    if (err) {
-                reject(err);
-    } else {
-                resolve(rows);
-    }
-  });
-});
+// Fila de execução: há uma única conexão, por isso queries e transações são
+// executadas por ordem de chegada. Assim nenhuma query de outro pedido HTTP
+// consegue "entrar" numa transação em curso.
+let queue = Promise.resolve();
+
+function enqueue(job) {
+    const result = queue.then(job);
+    queue = result.catch(() => {});
+    return result;
+}
+
+function all(sql, params) {
+    return enqueue(() => rawAll(sql, params));
+}
+
+function get(sql, params) {
+    return enqueue(() => rawGet(sql, params));
+}
+
+function run(sql, params) {
+    return enqueue(() => rawRun(sql, params));
+}
+
+// Executar fn numa transação. fn recebe um executor com a mesma API (all/get/run)
+// que deve ser usado para todas as queries da transação; usar o executor global
+// dentro de fn bloquearia a fila.
+function transaction(fn) {
+    return enqueue(async () => {
+        const tx = {
+            all: rawAll,
+            get: rawGet,
+            run: rawRun,
+            transaction: (inner) => inner(tx)
+        };
+
+        await rawRun('BEGIN IMMEDIATE');
+
+        try {
+            const result = await fn(tx);
+            await rawRun('COMMIT');
+            return result;
+        } catch (error) {
+            await rawRun('ROLLBACK');
+            throw error;
+        }
+    });
 }
 
 // Exportar funções
 module.exports = {
     db,
-    getCategories,
-    getProducts,
-    getFeaturedProducts,
-    searchProducts
+    dbPath,
+    initializeDatabase,
+    all,
+    get,
+    run,
+    transaction
 };
@@ -0,0 +1,163 @@
+const fs = require('fs');
+const path = require('path');
+
+// Diretório com as migrações numeradas (ex: 001_initial_schema.js)
+const migrationsDir = path.join(__dirname, '../migrations');
+
+// Helpers para usar a API de callbacks do sqlite3 com async/await
+function exec(db, sql) {
+    return new Promise((resolve, reject) => {
+        db.exec(sql, (err) => {
+            if (err) reject(err);
+            else resolve();
+        });
+    });
+}
+
+function run(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.run(sql, params, function(err) {
+            if (err) reject(err);
+            else resolve({ lastInsertRowid: this.lastID, changes: this.changes });
+        });
+    });
+}
+
+function all(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => {
+            if (err) reject(err);
+            else resolve(rows);
+        });
+    });
+}
+
+// Carregar migrações do disco, ordenadas pela versão
+function loadMigrations() {
+    return fs.readdirSync(migrationsDir)
+        .filter(file => /^\d+_[\w-]+\.js$/.test(file))
+        .sort()
+        .map(file => {
+            const migration = require(path.join(migrationsDir, file));
+
+            if (typeof migration.up !== 'string' || typeof migration.down !== 'string') {
+                throw new Error(`Migração ${file} deve exportar "up" e "down" em SQL`);
+            }
+
+            return {
+                version: parseInt(file, 10),
+                name: file.replace(/^\d+_/, '').replace(/\.js$/, ''),
+                up: migration.up,
+                down: migration.down
+            };
+        });
+}
+
+// Identificador legível da migração (ex: 003_extend_orders)
+function label(migration) {
+    return `${String(migration.version).padStart(3, '0')}_${migration.name}`;
+}
+
+async function ensureMigrationsTable(db) {
+    await exec(db, `
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER PRIMARY KEY,
+            name TEXT NOT NULL,
+            applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+}
+
+async function getAppliedMigrations(db) {
+    await ensureMigrationsTable(db);
+    return all(db, 'SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+}
+
+// Executar uma migração numa transação própria.
+// As foreign keys ficam desligadas durante a migração (necessário para reconstruir
+// tabelas no SQLite) e a integridade é verificada antes do commit.
+async function applyMigration(db, migration, direction) {
+    await exec(db, 'PRAGMA foreign_keys = OFF');
+
+    try {
+        await exec(db, 'BEGIN');
+
+        try {
+            await exec(db, migration[direction]);
+
+            const violations = await all(db, 'PRAGMA foreign_key_check');
+            if (violations.length > 0) {
+                throw new Error(`Migração ${label(migration)} violou ${violations.length} foreign key(s)`);
+            }
+
+            if (direction === 'up') {
+                await run(db, 'INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+            } else {
+                await run(db, 'DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+            }
+
+            await exec(db, 'COMMIT');
+        } catch (error) {
+            await exec(db, 'ROLLBACK');
+            throw error;
+        }
+    } finally {
+        await exec(db, 'PRAGMA foreign_keys = ON');
+    }
+}
+
+// Aplicar todas as migrações pendentes
+async function migrate(db) {
+    const applied = new Set((await getAppliedMigrations(db)).map(m => m.version));
+    const pending = loadMigrations().filter(m => !applied.has(m.version));
+
+    for (const migration of pending) {
+        console.log(`⬆️  Aplicando migração ${label(migration)}`);
+        await applyMigration(db, migration, 'up');
+    }
+
+    return pending.map(label);
+}
+
+// Reverter as últimas N migrações aplicadas
+async function rollback(db, steps = 1) {
+    const applied = (await getAppliedMigrations(db)).map(m => m.version);
+    const migrations = loadMigrations();
+    const toRevert = applied.slice(-steps).reverse();
+    const reverted = [];
+
+    for (const version of toRevert) {
+        const migration = migrations.find(m => m.version === version);
+
+        if (!migration) {
+            throw new Error(`Ficheiro da migração ${version} não encontrado`);
+        }
+
+        console.log(`⬇️  Revertendo migração ${label(migration)}`);
+        await applyMigration(db, migration, 'down');
+        reverted.push(label(migration));
+    }
+
+    return reverted;
+}
+
+// Listar migrações e o respetivo estado
+async function status(db) {
+    const applied = await getAppliedMigrations(db);
+
+    return loadMigrations().map(migration => {
+        const record = applied.find(m => m.version === migration.version);
+        return {
+            version: migration.version,
+            name: migration.name,
+            applied: Boolean(record),
+            appliedAt: record ? record.applied_at : null
+        };
+    });
+}
+
+module.exports = {
+    migrate,
+    rollback,
+    status
+};
@@ -0,0 +1,37 @@
+// Papéis das contas (tabela users) e permissões de cada um.
+// Todos os controlos de acesso (requireStaff, requireAdmin, requireDriver, requirePermission,
+// máquina de estados dos pedidos) são avaliados a partir desta tabela.
+// internal_access: contas internas, com login em /api/admin/login (painel e app dos entregadores).
+const rolePermissions = {
+    customer: [],
+    driver: ['internal_access', 'driver_access'],
+    staff: ['internal_access', 'staff_access', 'read', 'manage_orders'],
+    manager: ['internal_access', 'staff_access', 'read', 'write', 'manage_orders', 'manage_products', 'manage_marketing', 'manage_delivery_zones'],
+    admin: ['internal_access', 'staff_access', 'admin_access', 'read', 'write', 'delete', 'manage_users', 'manage_orders', 'manage_products', 'manage_marketing', 'manage_delivery_zones', 'view_audit_log']
+};
+
+const ROLES = Object.keys(rolePermissions);
+
+// Papéis das contas internas geridas em /api/admin/users
+const STAFF_ACCOUNT_ROLES = ROLES.filter(role => role !== 'customer');
+
+function permissionsForRole(role) {
+    return rolePermissions[role] || [];
+}
+
+function hasPermission(user, permission) {
+    return Boolean(user) && permissionsForRole(user.role).includes(permission);
+}
+
+function rolesWithPermission(permission) {
+    return ROLES.filter(role => rolePermissions[role].includes(permission));
+}
+
+module.exports = {
+    ROLES,
+    STAFF_ACCOUNT_ROLES,
+    rolePermissions,
+    permissionsForRole,
+    hasPermission,
+    rolesWithPermission
+};
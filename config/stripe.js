@@ -1,3 +1,12 @@
-const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY || 'sk_test_...');
+// STRIPE_API_HOST/PORT/PROTOCOL permitem apontar o cliente para um servidor local (testes)
+const options = {};
+
+if (process.env.STRIPE_API_HOST) {
+    options.host = process.env.STRIPE_API_HOST;
+    options.port = process.env.STRIPE_API_PORT;
+    options.protocol = process.env.STRIPE_API_PROTOCOL || 'https';
+}
+
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY || 'sk_test_...', options);
 
 module.exports = stripe;
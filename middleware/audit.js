@@ -0,0 +1,53 @@
+const { recordAudit } = require('../services/audit-service');
+
+// Registar no audit_log uma ação de staff/admin. Corre antes da rota para guardar o estado
+// da entidade e escreve o registo quando a rota responde com sucesso, antes de a resposta
+// seguir (pedidos recusados ou com erro não ficam registados).
+//   entityId(req)        id da entidade alterada (omitir em criações)
+//   createdId(body)      id da entidade criada, lido da resposta
+//   load(id)             estado da entidade, antes e depois do pedido
+//   metadata(req, body)  dados do pedido que não ficam na entidade (ex: nota, pontos atribuídos)
+//   redact               campos de que só se regista que mudaram (ex: PERSONAL_FIELDS)
+function audit(action, { entityType, entityId, createdId, load, metadata, redact } = {}) {
+  return async (req, res, next) => {
+    try {
+      const id = entityId ? entityId(req) : null;
+      const before = id && load ? await load(id) : null;
+      const sendJson = res.json.bind(res);
+
+      res.json = (body) => {
+        if (res.statusCode >= 400 || (body && body.success === false)) {
+          return sendJson(body);
+        }
+
+        const targetId = id || (createdId ? createdId(body) : null);
+
+        (async () => {
+          const after = targetId && load ? await load(targetId) : null;
+          await recordAudit(req, {
+            action,
+            entityType,
+            entityId: targetId,
+            before,
+            after,
+            metadata: metadata ? metadata(req, body) : null,
+            redact
+          });
+        })()
+          .catch(error => console.error('❌ Erro ao escrever no registo de auditoria:', error))
+          .finally(() => sendJson(body));
+
+        return res;
+      };
+
+      next();
+    } catch (error) {
+      console.error('❌ Erro ao preparar o registo de auditoria:', error);
+      res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+    }
+  };
+}
+
+module.exports = {
+  audit
+};
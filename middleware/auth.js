@@ -1,11 +1,25 @@
-const jwt = require('jsonwebtoken');
-const db = require('../config/database');
-
-// Middleware para verificar token JWT
-const authenticateToken = async (req, res, next) => {
+const { userRepository, orderRepository, cartRepository, deliveryRepository, loyaltyRepository } = require('../repositories');
+const { isValidCartToken } = require('../services/cart-service');
+const { verifyAccessToken, isAccessTokenRevoked } = require('../services/token-service');
+const { isTwoFactorEnrollmentPending } = require('../services/two-factor-service');
+const { permissionsForRole, hasPermission } = require('../config/roles');
+
+// Token da sessão: header Authorization (Bearer). Só os streams (Server-Sent Events) aceitam
+// também ?token=, porque o EventSource do browser não envia headers; no resto da API o token
+// ficaria nos logs e no Referer.
+function readToken(req, { fromQuery = false } = {}) {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+
+  return token || (fromQuery ? req.query.token : undefined);
+}
+
+// Autenticar o pedido e carregar a conta em req.user (com as permissões do seu papel).
+// Contas com password temporária ou com 2FA obrigatória por ativar só passam onde
+// allowPendingSetup estiver ativo (rotas para configurar a própria conta).
+const authenticateRequest = async (req, res, next, { fromQuery = false, allowPendingSetup = false } = {}) => {
   try {
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+    const token = readToken(req, { fromQuery });
 
     if (!token) {
       return res.status(401).json({
@@ -15,10 +29,10 @@ const authenticateToken = async (req, res, next) => {
     }
 
     // Verificar token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'default_secret');
+    const payload = verifyAccessToken(token);
     
     // Buscar usuário
-    const user = db.prepare('SELECT id, name, email, phone, street, city, postal_code, role, loyalty_points, loyalty_tier, is_active, created_at FROM users WHERE id = ?').get(decoded.userId);
+    const user = await userRepository.findAuthById(payload.userId);
     
     if (!user) {
       return res.status(401).json({
@@ -34,8 +48,34 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
+    // Logout, "terminar todas as sessões" ou conta desativada entretanto
+    if (await isAccessTokenRevoked(payload, user)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Sessão terminada'
+      });
+    }
+
+    if (user.must_change_password && !allowPendingSetup) {
+      return res.status(403).json({
+        success: false,
+        message: 'Altere a sua password antes de continuar',
+        mustChangePassword: true
+      });
+    }
+
+    const mustEnrollTwoFactor = await isTwoFactorEnrollmentPending(user);
+    if (mustEnrollTwoFactor && !allowPendingSetup) {
+      return res.status(403).json({
+        success: false,
+        message: 'Ative a autenticação em dois passos antes de continuar',
+        mustEnrollTwoFactor: true
+      });
+    }
+
     // Adicionar usuário ao request
-    req.user = user;
+    req.user = { ...user, permissions: permissionsForRole(user.role), mustEnrollTwoFactor };
+    req.auth = payload;
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -60,27 +100,29 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
-// Middleware para verificar se é admin
-const requireAdmin = (req, res, next) => {
-  if (!req.user) {
-    return res.status(401).json({
-      success: false,
-      message: 'Acesso negado'
-    });
-  }
-
-  if (req.user.role !== 'admin') {
-    return res.status(403).json({
-      success: false,
-      message: 'Acesso negado. Apenas administradores podem aceder a este recurso.'
+// Middleware para verificar token JWT
+const authenticateToken = (req, res, next) => authenticateRequest(req, res, next);
+
+// Middleware para streams (EventSource): token no header ou em ?token=
+const authenticateStream = (req, res, next) => authenticateRequest(req, res, next, { fromQuery: true });
+
+// Middleware para identificar o dono do carrinho: o cliente autenticado ou, sem token
+// de acesso, o visitante do header X-Cart-Token. Sem nenhum dos dois req.cartOwner fica null.
+const resolveCartOwner = (req, res, next) => {
+  if (req.headers['authorization']) {
+    return authenticateToken(req, res, () => {
+      req.cartOwner = { userId: req.user.id };
+      next();
     });
   }
 
+  const cartToken = req.headers['x-cart-token'];
+  req.cartOwner = isValidCartToken(cartToken) ? { cartToken } : null;
   next();
 };
 
-// Middleware para verificar se é staff ou admin
-const requireStaff = (req, res, next) => {
+// Middleware para exigir uma permissão do papel do usuário (ver config/roles.js)
+const requirePermission = (permission, deniedMessage = 'Permissão insuficiente') => (req, res, next) => {
   if (!req.user) {
     return res.status(401).json({
       success: false,
@@ -88,34 +130,27 @@ const requireStaff = (req, res, next) => {
     });
   }
 
-  if (!['admin', 'staff'].includes(req.user.role)) {
+  if (!hasPermission(req.user, permission)) {
     return res.status(403).json({
       success: false,
-      message: 'Acesso negado. Apenas funcionários podem aceder a este recurso.'
+      message: deniedMessage
     });
   }
 
   next();
 };
 
-// Middleware para verificar se é motorista
-const requireDriver = (req, res, next) => {
-  if (!req.user) {
-    return res.status(401).json({
-      success: false,
-      message: 'Acesso negado'
-    });
-  }
+// Middleware para verificar se é admin
+const requireAdmin = requirePermission('admin_access', 'Acesso negado. Apenas administradores podem aceder a este recurso.');
 
-  if (req.user.role !== 'driver') {
-    return res.status(403).json({
-      success: false,
-      message: 'Acesso negado. Apenas motoristas podem aceder a este recurso.'
-    });
-  }
+// Middleware para verificar se é staff (funcionário, gerente ou admin)
+const requireStaff = requirePermission('staff_access', 'Acesso negado. Apenas funcionários podem aceder a este recurso.');
 
-  next();
-};
+// Middleware para verificar se é motorista
+const requireDriver = requirePermission('driver_access', 'Acesso negado. Apenas motoristas podem aceder a este recurso.');
+
+// Middleware para contas internas (staff e motoristas)
+const requireInternalAccount = requirePermission('internal_access', 'Acesso negado. Apenas contas internas podem aceder a este recurso.');
 
 // Middleware para verificar se é o próprio usuário ou admin
 const requireOwnershipOrAdmin = (req, res, next) => {
@@ -128,7 +163,7 @@ const requireOwnershipOrAdmin = (req, res, next) => {
 
   const requestedUserId = req.params.userId || req.params.id;
   
-  if (req.user.role === 'admin' || req.user.id.toString() === requestedUserId) {
+  if (hasPermission(req.user, 'admin_access') || req.user.id.toString() === requestedUserId) {
     next();
   } else {
     return res.status(403).json({
@@ -149,13 +184,13 @@ const requireOrderOwnershipOrStaff = async (req, res, next) => {
     }
 
     // Staff e admin podem aceder a qualquer pedido
-    if (['admin', 'staff'].includes(req.user.role)) {
+    if (hasPermission(req.user, 'staff_access')) {
       return next();
     }
 
     const orderId = req.params.orderId || req.params.id;
     
-    const order = db.prepare('SELECT user_id FROM orders WHERE id = ?').get(orderId);
+    const order = await orderRepository.findById(orderId);
     
     if (!order) {
       return res.status(404).json({
@@ -165,7 +200,7 @@ const requireOrderOwnershipOrStaff = async (req, res, next) => {
     }
 
     // Verificar se o usuário é o proprietário do pedido
-    if (order.user_id.toString() !== req.user.id.toString()) {
+    if (String(order.user_id) !== String(req.user.id)) {
       return res.status(403).json({
         success: false,
         message: 'Acesso negado. Só pode aceder aos seus próprios pedidos.'
@@ -193,13 +228,13 @@ const requireCartOwnershipOrStaff = async (req, res, next) => {
     }
 
     // Staff e admin podem aceder a qualquer carrinho
-    if (['admin', 'staff'].includes(req.user.role)) {
+    if (hasPermission(req.user, 'staff_access')) {
       return next();
     }
 
     const cartId = req.params.cartId || req.params.id;
     
-    const cart = db.prepare('SELECT user_id FROM cart_items WHERE id = ?').get(cartId);
+    const cart = await cartRepository.findById(cartId);
     
     if (!cart) {
       return res.status(404).json({
@@ -209,7 +244,7 @@ const requireCartOwnershipOrStaff = async (req, res, next) => {
     }
 
     // Verificar se o usuário é o proprietário do carrinho
-    if (cart.user_id.toString() !== req.user.id.toString()) {
+    if (String(cart.user_id) !== String(req.user.id)) {
       return res.status(403).json({
         success: false,
         message: 'Acesso negado. Só pode aceder ao seu próprio carrinho.'
@@ -237,13 +272,13 @@ const requireDeliveryOwnershipOrStaff = async (req, res, next) => {
     }
 
     // Staff, admin e motoristas podem aceder a qualquer entrega
-    if (['admin', 'staff', 'driver'].includes(req.user.role)) {
+    if (hasPermission(req.user, 'staff_access') || hasPermission(req.user, 'driver_access')) {
       return next();
     }
 
     const deliveryId = req.params.deliveryId || req.params.id;
     
-    const delivery = db.prepare('SELECT order_id FROM deliveries WHERE id = ?').get(deliveryId);
+    const delivery = await deliveryRepository.findById(deliveryId);
     
     if (!delivery) {
       return res.status(404).json({
@@ -253,7 +288,7 @@ const requireDeliveryOwnershipOrStaff = async (req, res, next) => {
     }
 
     // Verificar se o usuário é o proprietário da entrega (através do pedido)
-    const order = db.prepare('SELECT user_id FROM orders WHERE id = ?').get(delivery.order_id);
+    const order = await orderRepository.findById(delivery.order_id);
     
     if (!order) {
       return res.status(404).json({
@@ -262,7 +297,7 @@ const requireDeliveryOwnershipOrStaff = async (req, res, next) => {
       });
     }
 
-    if (order.user_id.toString() !== req.user.id.toString()) {
+    if (String(order.user_id) !== String(req.user.id)) {
       return res.status(403).json({
         success: false,
         message: 'Acesso negado. Só pode aceder às suas próprias entregas.'
@@ -290,13 +325,13 @@ const requireLoyaltyOwnershipOrStaff = async (req, res, next) => {
     }
 
     // Staff e admin podem aceder a qualquer fidelidade
-    if (['admin', 'staff'].includes(req.user.role)) {
+    if (hasPermission(req.user, 'staff_access')) {
       return next();
     }
 
     const loyaltyId = req.params.loyaltyId || req.params.id;
     
-    const loyalty = db.prepare('SELECT user_id FROM loyalty_transactions WHERE id = ?').get(loyaltyId);
+    const loyalty = await loyaltyRepository.findById(loyaltyId);
     
     if (!loyalty) {
       return res.status(404).json({
@@ -324,10 +359,15 @@ const requireLoyaltyOwnershipOrStaff = async (req, res, next) => {
 };
 
 module.exports = {
+  authenticateRequest,
   authenticateToken,
+  authenticateStream,
+  resolveCartOwner,
+  requirePermission,
   requireAdmin,
   requireStaff,
   requireDriver,
+  requireInternalAccount,
   requireOwnershipOrAdmin,
   requireOrderOwnershipOrStaff,
   requireCartOwnershipOrStaff,
@@ -0,0 +1,52 @@
+const rateLimit = require('express-rate-limit');
+
+// Limites de pedidos por IP (em memória). Os logins têm também o registo de falhas por conta
+// e por IP na base de dados (services/login-protection-service.js).
+const minutes = (n) => n * 60 * 1000;
+
+function createLimiter({ windowMs, limit, message, ...options }) {
+  return rateLimit({
+    windowMs,
+    limit,
+    standardHeaders: 'draft-7',
+    legacyHeaders: false,
+    message: { success: false, message },
+    ...options
+  });
+}
+
+// Toda a API. Os webhooks de pagamento ficam de fora: são assinados e chegam em rajadas
+const apiLimiter = createLimiter({
+  windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS || String(minutes(15)), 10),
+  limit: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS || '100', 10),
+  message: 'Demasiados pedidos. Tente novamente mais tarde',
+  skip: (req) => ['/payments/webhook', '/payments/gateway/callback'].includes(req.path)
+});
+
+// Logins (loja, painel e segundo passo da 2FA), partilhado entre as rotas
+const loginLimiter = createLimiter({
+  windowMs: minutes(15),
+  limit: parseInt(process.env.LOGIN_RATE_LIMIT_MAX || '20', 10),
+  message: 'Demasiadas tentativas de login. Tente novamente mais tarde'
+});
+
+// Renovar a sessão: chamado automaticamente pelas páginas, por isso mais folgado
+const refreshLimiter = createLimiter({
+  windowMs: minutes(15),
+  limit: 60,
+  message: 'Demasiados pedidos de renovação da sessão. Tente novamente mais tarde'
+});
+
+// Registo, reposição de password e verificação de email/telefone (envios e códigos)
+const accountLimiter = createLimiter({
+  windowMs: minutes(15),
+  limit: 30,
+  message: 'Demasiados pedidos. Tente novamente mais tarde'
+});
+
+module.exports = {
+  apiLimiter,
+  loginLimiter,
+  refreshLimiter,
+  accountLimiter
+};
@@ -1,4 +1,10 @@
-const { body, param, query, validationResult } = require('express-validator');
+const { body, param, query, oneOf, validationResult } = require('express-validator');
+const { ORDER_STATUSES } = require('../services/order-state-machine');
+const { REFUND_REASONS } = require('../services/refund-service');
+const { PAYMENT_METHODS } = require('../services/payment-providers');
+const { STAFF_ACCOUNT_ROLES } = require('../config/roles');
+const { CONSENT_CHANNELS, CONSENT_PURPOSES } = require('../services/consent-service');
+const { DELIVERY_STATUSES, DELIVERY_FAILURE_REASONS } = require('../services/delivery-service');
 
 // Middleware para verificar erros de validação
 const handleValidationErrors = (req, res, next) => {
@@ -17,6 +23,10 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+// Formatos portugueses usados no registo, contactos e pedidos de visitantes
+const PHONE_PATTERN = /^(\+351|00351)?[9][0-9]{8}$/;
+const POSTAL_CODE_PATTERN = /^\d{4}-\d{3}$/;
+
 // Validações para autenticação
 const validateRegister = [
   body('name')
@@ -34,7 +44,7 @@ const validateRegister = [
     .withMessage('Email muito longo'),
   
   body('phone')
-    .matches(/^(\+351|00351)?[9][0-9]{8}$/)
+    .matches(PHONE_PATTERN)
     .withMessage('Telefone deve ser um número português válido'),
   
   body('password')
@@ -54,7 +64,7 @@ const validateRegister = [
     .withMessage('Cidade deve ter entre 2 e 50 caracteres'),
   
   body('address.postalCode')
-    .matches(/^\d{4}-\d{3}$/)
+    .matches(POSTAL_CODE_PATTERN)
     .withMessage('Código postal deve estar no formato 0000-000'),
   
   handleValidationErrors
@@ -73,6 +83,15 @@ const validateLogin = [
   handleValidationErrors
 ];
 
+// Validação para renovar a sessão
+const validateRefreshToken = [
+  body('refreshToken')
+    .matches(/^[a-f0-9]{96}$/)
+    .withMessage('Refresh token inválido'),
+  
+  handleValidationErrors
+];
+
 // Validações para produtos
 const validateProduct = [
   body('name')
@@ -110,48 +129,239 @@ const validateProduct = [
 ];
 
 // Validações para pedidos
-const validateOrder = [
+// Regras comuns aos pedidos de clientes e de visitantes
+const orderRules = [
   body('items')
     .isArray({ min: 1 })
     .withMessage('Pedido deve ter pelo menos um item'),
   
-  body('items.*.product')
-    .isMongoId()
+  body('items.*.productId')
+    .isInt({ min: 1 })
     .withMessage('ID do produto inválido'),
   
   body('items.*.quantity')
-    .isInt({ min: 1 })
-    .withMessage('Quantidade deve ser pelo menos 1'),
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Quantidade deve ser entre 1 e 50'),
   
-  body('delivery.type')
+  body('deliveryType')
     .isIn(['delivery', 'pickup', 'dine-in'])
     .withMessage('Tipo de entrega inválido'),
   
-  body('delivery.address')
-    .if(body('delivery.type').equals('delivery'))
+  // Entrega: uma morada guardada (addressId) ou a morada escrita em deliveryAddress
+  body('addressId')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Morada inválida'),
+  
+  body('deliveryAddress')
+    .if(body('deliveryType').equals('delivery'))
+    .if(body('addressId').not().exists())
     .notEmpty()
     .withMessage('Endereço é obrigatório para entrega'),
   
-  body('delivery.address.street')
-    .if(body('delivery.type').equals('delivery'))
+  body('deliveryAddress.street')
+    .if(body('deliveryType').equals('delivery'))
+    .if(body('addressId').not().exists())
     .trim()
     .isLength({ min: 5, max: 100 })
     .withMessage('Rua deve ter entre 5 e 100 caracteres'),
   
-  body('delivery.address.city')
-    .if(body('delivery.type').equals('delivery'))
+  body('deliveryAddress.city')
+    .if(body('deliveryType').equals('delivery'))
+    .if(body('addressId').not().exists())
     .trim()
     .isLength({ min: 2, max: 50 })
     .withMessage('Cidade deve ter entre 2 e 50 caracteres'),
   
-  body('delivery.address.postalCode')
-    .if(body('delivery.type').equals('delivery'))
-    .matches(/^\d{4}-\d{3}$/)
+  body('deliveryAddress.postalCode')
+    .if(body('deliveryType').equals('delivery'))
+    .if(body('addressId').not().exists())
+    .matches(POSTAL_CODE_PATTERN)
     .withMessage('Código postal deve estar no formato 0000-000'),
   
-  body('payment.method')
-    .isIn(['card', 'cash', 'mbway', 'transfer', 'paypal'])
-    .withMessage('Método de pagamento inválido'),
+  // Coordenadas da morada (opcionais): distância e hora prevista no acompanhamento da entrega
+  body('deliveryAddress.coordinates.lat')
+    .optional({ values: 'null' })
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude inválida'),
+  
+  body('deliveryAddress.coordinates.lng')
+    .optional({ values: 'null' })
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude inválida'),
+  
+  body('paymentMethod')
+    .isIn(PAYMENT_METHODS)
+    .withMessage('Método de pagamento inválido')
+];
+
+const validateOrder = [
+  ...orderRules,
+  handleValidationErrors
+];
+
+// Pedido sem conta: os contactos do cliente vão no pedido (sem moradas guardadas)
+const validateGuestOrder = [
+  ...orderRules,
+  
+  body('addressId')
+    .not()
+    .exists()
+    .withMessage('Moradas guardadas só estão disponíveis com sessão iniciada'),
+  
+  body('customer.name')
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Nome deve ter entre 2 e 50 caracteres')
+    .matches(/^[a-zA-ZÀ-ÿ\s]+$/)
+    .withMessage('Nome deve conter apenas letras e espaços'),
+  
+  body('customer.phone')
+    .matches(PHONE_PATTERN)
+    .withMessage('Telefone deve ser um número português válido'),
+  
+  body('customer.email')
+    .isEmail()
+    .withMessage('Email inválido')
+    .normalizeEmail()
+    .isLength({ max: 100 })
+    .withMessage('Email muito longo'),
+  
+  handleValidationErrors
+];
+
+// Criar conta a partir de um pedido de visitante
+const validateGuestRegister = [
+  body('token')
+    .isJWT()
+    .withMessage('Link inválido ou expirado'),
+  
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password deve ter pelo menos 6 caracteres')
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .withMessage('Password deve conter pelo menos uma letra maiúscula, uma minúscula e um número'),
+  
+  handleValidationErrors
+];
+
+const validateOrderStatus = [
+  body('status')
+    .isIn(ORDER_STATUSES)
+    .withMessage('Status inválido'),
+  
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Nota deve ter no máximo 500 caracteres'),
+  
+  handleValidationErrors
+];
+
+// Alteração do pedido pelo cliente: pelo menos um dos campos deve ser enviado
+const validateOrderUpdate = [
+  body('items')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Pedido deve ter pelo menos um item'),
+  
+  body('items.*.productId')
+    .isInt({ min: 1 })
+    .withMessage('ID do produto inválido'),
+  
+  body('items.*.quantity')
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Quantidade deve ser entre 1 e 50'),
+  
+  body('preferredTime')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 20 })
+    .withMessage('Horário preferido inválido'),
+  
+  body('specificTime')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Horário deve estar no formato ISO'),
+  
+  body('deliveryInstructions')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Instruções devem ter no máximo 500 caracteres'),
+  
+  handleValidationErrors
+];
+
+const validateOrderCancel = [
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Motivo deve ter no máximo 500 caracteres'),
+  
+  handleValidationErrors
+];
+
+// Validações para pagamentos
+const validatePaymentIntent = [
+  body('orderId')
+    .isInt({ min: 1 })
+    .withMessage('ID do pedido inválido'),
+  
+  handleValidationErrors
+];
+
+const mbwayPhoneRule = body('phone')
+  .optional()
+  .matches(/^(\+351|00351)?\s?9[1236]\d{7}$/)
+  .withMessage('Número de telemóvel MB WAY inválido');
+
+const validatePayment = [
+  body('orderId')
+    .isInt({ min: 1 })
+    .withMessage('ID do pedido inválido'),
+  
+  mbwayPhoneRule,
+  
+  handleValidationErrors
+];
+
+// Pagamento de um pedido de visitante (o pedido vem do link de acompanhamento)
+const validateGuestPayment = [
+  mbwayPhoneRule,
+  
+  handleValidationErrors
+];
+
+const validateRefund = [
+  body('type')
+    .isIn(['full', 'partial'])
+    .withMessage('Tipo de reembolso inválido'),
+  
+  body('reason')
+    .isIn(REFUND_REASONS)
+    .withMessage('Motivo do reembolso inválido'),
+  
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Nota deve ter no máximo 500 caracteres'),
+  
+  body('items')
+    .if(body('type').equals('partial'))
+    .isArray({ min: 1 })
+    .withMessage('Indique os itens a reembolsar'),
+  
+  body('items.*.orderItemId')
+    .isInt({ min: 1 })
+    .withMessage('ID do item inválido'),
+  
+  body('items.*.quantity')
+    .isInt({ min: 1 })
+    .withMessage('Quantidade deve ser pelo menos 1'),
   
   handleValidationErrors
 ];
@@ -164,7 +374,8 @@ const validateCartItem = [
   
   body('quantity')
     .isInt({ min: 1, max: 50 })
-    .withMessage('Quantidade deve ser entre 1 e 50'),
+    .withMessage('Quantidade deve ser entre 1 e 50')
+    .toInt(),
   
   body('specialInstructions')
     .optional()
@@ -175,50 +386,328 @@ const validateCartItem = [
   handleValidationErrors
 ];
 
+// Validação para fundir o carrinho de visitante
+const validateCartMerge = [
+  body('cartToken')
+    .matches(/^[a-f0-9]{48}$/)
+    .withMessage('Token do carrinho inválido'),
+  
+  handleValidationErrors
+];
+
 // Validação para quantidade
 const validateQuantity = [
   body('quantity')
     .isInt({ min: 1, max: 50 })
-    .withMessage('Quantidade deve ser entre 1 e 50'),
+    .withMessage('Quantidade deve ser entre 1 e 50')
+    .toInt(),
   
   handleValidationErrors
 ];
 
-// Validações para entrega
-const validateDelivery = [
-  body('address.street')
+// Condições de entrega de uma morada, pedidas pelo checkout antes de criar o pedido
+const validateDeliveryQuote = [
+  body('deliveryAddress.postalCode')
+    .matches(POSTAL_CODE_PATTERN)
+    .withMessage('Código postal deve estar no formato 0000-000'),
+  
+  body('deliveryAddress.coordinates.lat')
+    .optional({ values: 'null' })
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude inválida')
+    .toFloat(),
+  
+  body('deliveryAddress.coordinates.lng')
+    .optional({ values: 'null' })
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude inválida')
+    .toFloat(),
+  
+  body('items')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('Itens inválidos'),
+  
+  body('items.*.productId')
+    .isInt({ min: 1 })
+    .withMessage('ID do produto inválido'),
+  
+  body('items.*.quantity')
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Quantidade deve ser entre 1 e 50')
+    .toInt(),
+  
+  handleValidationErrors
+];
+
+// Zona de entrega (painel): códigos postais pelos 4 primeiros dígitos, raio em km e/ou polígono
+const validateDeliveryZone = [
+  body('name')
     .trim()
-    .isLength({ min: 5, max: 100 })
-    .withMessage('Rua deve ter entre 5 e 100 caracteres'),
+    .isLength({ min: 2, max: 60 })
+    .withMessage('Nome deve ter entre 2 e 60 caracteres'),
+  
+  body('postalCodeFrom')
+    .optional({ values: 'null' })
+    .isInt({ min: 1000, max: 9999 })
+    .withMessage('Início dos códigos postais deve ter 4 dígitos (ex.: 1000)')
+    .toInt(),
+  
+  body('postalCodeTo')
+    .optional({ values: 'null' })
+    .isInt({ min: 1000, max: 9999 })
+    .withMessage('Fim dos códigos postais deve ter 4 dígitos (ex.: 1999)')
+    .toInt(),
+  
+  body('center.lat')
+    .optional({ values: 'null' })
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude do centro inválida')
+    .toFloat(),
   
-  body('address.city')
+  body('center.lng')
+    .optional({ values: 'null' })
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude do centro inválida')
+    .toFloat(),
+  
+  body('radiusKm')
+    .optional({ values: 'null' })
+    .isFloat({ gt: 0, max: 100 })
+    .withMessage('Raio deve ser entre 0 e 100 km')
+    .toFloat(),
+  
+  body('polygon')
+    .optional({ values: 'null' })
+    .isArray({ min: 3, max: 100 })
+    .withMessage('Polígono deve ter entre 3 e 100 pontos'),
+  
+  body('polygon.*.lat')
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude do polígono inválida')
+    .toFloat(),
+  
+  body('polygon.*.lng')
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude do polígono inválida')
+    .toFloat(),
+  
+  body('baseFee')
+    .isFloat({ min: 0 })
+    .withMessage('Taxa de entrega deve ser um número positivo')
+    .toFloat(),
+  
+  body('feePerKm')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0 })
+    .withMessage('Taxa por km deve ser um número positivo')
+    .toFloat(),
+  
+  body('freeDeliveryThreshold')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0 })
+    .withMessage('Valor para entrega grátis deve ser um número positivo')
+    .toFloat(),
+  
+  body('minOrderAmount')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0 })
+    .withMessage('Pedido mínimo deve ser um número positivo')
+    .toFloat(),
+  
+  body('priority')
+    .optional()
+    .isInt({ min: 0, max: 100 })
+    .withMessage('Prioridade deve ser entre 0 e 100')
+    .toInt(),
+  
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive deve ser verdadeiro ou falso')
+    .toBoolean(),
+  
+  handleValidationErrors
+];
+
+// Gestão das entregas
+const validateDeliveryCreate = [
+  body('orderId')
+    .isInt({ min: 1 })
+    .withMessage('ID do pedido inválido'),
+  
+  body('estimatedTime')
+    .optional()
+    .isISO8601()
+    .withMessage('Hora estimada inválida'),
+  
+  handleValidationErrors
+];
+
+// Motivo das tentativas falhadas (com nota obrigatória para "other")
+const deliveryFailureRules = (onlyWhenFailed) => {
+  const whenFailed = (chain) => onlyWhenFailed ? chain.if(body('status').equals('failed')) : chain;
+
+  return [
+    whenFailed(body('reason'))
+      .isIn(Object.keys(DELIVERY_FAILURE_REASONS))
+      .withMessage('Indique o motivo da entrega falhada'),
+
+    body('note')
+      .if(body('reason').equals('other'))
+      .trim()
+      .notEmpty()
+      .withMessage('Descreva o motivo da entrega falhada'),
+
+    body('note')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Nota deve ter no máximo 500 caracteres')
+  ];
+};
+
+// Pela gestão das entregas só se marca a saída, a entrega ou uma tentativa falhada
+// (a atribuição tem rota própria e o cancelamento vem do pedido)
+const validateDeliveryStatus = [
+  body('status')
+    .isIn(['out_for_delivery', 'delivered', 'failed'])
+    .withMessage('Status inválido'),
+  
+  ...deliveryFailureRules(true),
+  
+  handleValidationErrors
+];
+
+// App do entregador
+const validateDeliveryFailure = [
+  ...deliveryFailureRules(false),
+  
+  handleValidationErrors
+];
+
+const validateDeliveryReject = [
+  body('reason')
     .trim()
-    .isLength({ min: 2, max: 50 })
-    .withMessage('Cidade deve ter entre 2 e 50 caracteres'),
+    .isLength({ min: 3, max: 500 })
+    .withMessage('Indique porque recusa a entrega (3 a 500 caracteres)'),
   
-  body('address.postalCode')
-    .matches(/^\d{4}-\d{3}$/)
-    .withMessage('Código postal deve estar no formato 0000-000'),
+  handleValidationErrors
+];
+
+// Prova de entrega (multipart: a fotografia e a assinatura vêm como ficheiros)
+const validateDeliveryProof = [
+  body('pin')
+    .optional({ values: 'falsy' })
+    .matches(/^\d{4}$/)
+    .withMessage('O PIN de entrega tem 4 dígitos'),
+  
+  body('recipientName')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Nome de quem recebeu deve ter no máximo 100 caracteres'),
   
-  body('address.coordinates.lat')
+  handleValidationErrors
+];
+
+// Posição GPS enviada pela app do entregador
+const validateDeliveryLocation = [
+  body('latitude')
     .isFloat({ min: -90, max: 90 })
-    .withMessage('Latitude deve estar entre -90 e 90'),
+    .withMessage('Latitude inválida')
+    .toFloat(),
   
-  body('address.coordinates.lng')
+  body('longitude')
     .isFloat({ min: -180, max: 180 })
-    .withMessage('Longitude deve estar entre -180 e 180'),
+    .withMessage('Longitude inválida')
+    .toFloat(),
   
-  body('deliveryFee')
+  body('accuracy')
+    .optional({ values: 'null' })
     .isFloat({ min: 0 })
-    .withMessage('Taxa de entrega deve ser um número positivo'),
+    .withMessage('Precisão inválida')
+    .toFloat(),
   
-  body('distance')
+  body('speed')
+    .optional({ values: 'null' })
     .isFloat({ min: 0 })
-    .withMessage('Distância deve ser um número positivo'),
+    .withMessage('Velocidade inválida')
+    .toFloat(),
+  
+  body('heading')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0, max: 360 })
+    .withMessage('Direção inválida')
+    .toFloat(),
+  
+  body('timestamp')
+    .optional()
+    .isISO8601()
+    .withMessage('Data da posição inválida'),
+  
+  handleValidationErrors
+];
+
+// Cálculo da rota de uma volta de entregas
+const validateRouteOptimization = [
+  // Forma do cálculo simulado anterior ({ deliveries: [{ address }] })
+  body('deliveries')
+    .not()
+    .exists()
+    .withMessage('Envie os IDs das entregas em deliveryIds (deliveries deixou de ser aceite)'),
+  
+  body('deliveryIds')
+    .isArray({ min: 1, max: 50 })
+    .withMessage('Indique entre 1 e 50 entregas'),
+  
+  body('deliveryIds.*')
+    .isInt({ min: 1 })
+    .withMessage('ID da entrega inválido')
+    .toInt(),
+  
+  body('startTime')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Hora de partida inválida'),
+  
+  body('maxStops')
+    .optional({ values: 'null' })
+    .isInt({ min: 1, max: 25 })
+    .withMessage('Máximo de paragens deve ser entre 1 e 25')
+    .toInt(),
+  
+  handleValidationErrors
+];
+
+const validateDeliveryAssign = [
+  body('driverId')
+    .isInt({ min: 1 })
+    .withMessage('ID do entregador inválido'),
   
-  body('estimatedDuration')
+  handleValidationErrors
+];
+
+const validateDeliveryFilters = [
+  query('status')
+    .optional()
+    .isIn(DELIVERY_STATUSES)
+    .withMessage('Status inválido'),
+  
+  query('driverId')
+    .optional()
     .isInt({ min: 1 })
-    .withMessage('Duração estimada deve ser um número positivo'),
+    .withMessage('ID do entregador inválido'),
+  
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('Data inicial inválida'),
+  
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('Data final inválida'),
   
   handleValidationErrors
 ];
@@ -241,7 +730,7 @@ const validateContact = [
   
   body('phone')
     .optional()
-    .matches(/^(\+351|00351)?[9][0-9]{8}$/)
+    .matches(PHONE_PATTERN)
     .withMessage('Telefone deve ser um número português válido'),
   
   body('subject')
@@ -282,7 +771,7 @@ const validateProfileUpdate = [
   
   body('phone')
     .optional()
-    .matches(/^(\+351|00351)?[9][0-9]{8}$/)
+    .matches(PHONE_PATTERN)
     .withMessage('Telefone deve ser um número português válido'),
   
   body('address.street')
@@ -299,12 +788,69 @@ const validateProfileUpdate = [
   
   body('address.postalCode')
     .optional()
-    .matches(/^\d{4}-\d{3}$/)
+    .matches(POSTAL_CODE_PATTERN)
     .withMessage('Código postal deve estar no formato 0000-000'),
   
   handleValidationErrors
 ];
 
+// Validações para o livro de moradas (na alteração todos os campos são opcionais)
+const addressBookRules = ({ partial }) => {
+  const field = (name) => partial ? body(name).optional() : body(name);
+  
+  return [
+    field('label')
+      .trim()
+      .isLength({ min: 1, max: 30 })
+      .withMessage('Nome da morada deve ter entre 1 e 30 caracteres'),
+    
+    field('street')
+      .trim()
+      .isLength({ min: 5, max: 100 })
+      .withMessage('Rua deve ter entre 5 e 100 caracteres'),
+    
+    field('city')
+      .trim()
+      .isLength({ min: 2, max: 50 })
+      .withMessage('Cidade deve ter entre 2 e 50 caracteres'),
+    
+    field('postalCode')
+      .matches(POSTAL_CODE_PATTERN)
+      .withMessage('Código postal deve estar no formato 0000-000'),
+    
+    body('coordinates.lat')
+      .optional({ values: 'null' })
+      .isFloat({ min: -90, max: 90 })
+      .withMessage('Latitude inválida'),
+    
+    body('coordinates.lng')
+      .optional({ values: 'null' })
+      .isFloat({ min: -180, max: 180 })
+      .withMessage('Longitude inválida'),
+    
+    body('deliveryInstructions')
+      .optional({ values: 'null' })
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage('Instruções de entrega devem ter no máximo 200 caracteres'),
+    
+    body('isDefault')
+      .optional()
+      .isBoolean({ strict: true })
+      .withMessage('isDefault deve ser true ou false')
+  ];
+};
+
+const validateAddress = [
+  ...addressBookRules({ partial: false }),
+  handleValidationErrors
+];
+
+const validateAddressUpdate = [
+  ...addressBookRules({ partial: true }),
+  handleValidationErrors
+];
+
 // Validações para alteração de password
 const validatePasswordChange = [
   body('currentPassword')
@@ -328,6 +874,252 @@ const validatePasswordChange = [
   handleValidationErrors
 ];
 
+// Validações para eliminar a própria conta (RGPD)
+const validateAccountErasure = [
+  body('password')
+    .notEmpty()
+    .withMessage('Confirme a eliminação com a sua password'),
+  
+  handleValidationErrors
+];
+
+// Validações para a exportação dos dados da conta
+const validateDataExport = [
+  query('format')
+    .optional()
+    .isIn(['json', 'zip'])
+    .withMessage('Formato deve ser "json" ou "zip"'),
+  
+  handleValidationErrors
+];
+
+// Validações para os consentimentos de marketing
+const validateConsentUpdate = [
+  body('consents')
+    .isArray({ min: 1 })
+    .withMessage('Indique pelo menos um consentimento'),
+  
+  body('consents.*.channel')
+    .isIn(Object.keys(CONSENT_CHANNELS))
+    .withMessage('Canal inválido'),
+  
+  body('consents.*.purpose')
+    .isIn(Object.keys(CONSENT_PURPOSES))
+    .withMessage('Finalidade inválida'),
+  
+  body('consents.*.granted')
+    .isBoolean({ strict: true })
+    .withMessage('granted deve ser true ou false'),
+  
+  handleValidationErrors
+];
+
+// Link de cancelamento: token na query (List-Unsubscribe) ou no body (página)
+const validateUnsubscribe = [
+  oneOf([
+    query('token').isJWT(),
+    body('token').isJWT()
+  ], { message: 'Link de cancelamento inválido' }),
+  
+  body('all')
+    .optional()
+    .isBoolean()
+    .withMessage('all deve ser true ou false'),
+  
+  handleValidationErrors
+];
+
+// Validações para campanhas de marketing
+const validateMarketingCampaign = [
+  body('channel')
+    .isIn(Object.keys(CONSENT_CHANNELS))
+    .withMessage('Canal inválido'),
+  
+  body('purpose')
+    .isIn(Object.keys(CONSENT_PURPOSES))
+    .withMessage('Finalidade inválida'),
+  
+  body('subject')
+    .if(body('channel').equals('email'))
+    .trim()
+    .isLength({ min: 3, max: 150 })
+    .withMessage('Assunto deve ter entre 3 e 150 caracteres'),
+  
+  body('text')
+    .trim()
+    .isLength({ min: 3, max: 2000 })
+    .withMessage('Mensagem deve ter entre 3 e 2000 caracteres'),
+  
+  body('text')
+    .if(body('channel').equals('sms'))
+    .isLength({ max: 300 })
+    .withMessage('SMS deve ter no máximo 300 caracteres'),
+  
+  handleValidationErrors
+];
+
+// Reposição de password e verificação de contactos
+const verificationTokenRule = body('token')
+  .matches(/^[a-f0-9]{64}$/)
+  .withMessage('Link inválido ou expirado');
+
+const validateForgotPassword = [
+  body('email')
+    .isEmail()
+    .withMessage('Email inválido')
+    .normalizeEmail(),
+  
+  handleValidationErrors
+];
+
+const validateResetPassword = [
+  verificationTokenRule,
+  
+  body('newPassword')
+    .isLength({ min: 6 })
+    .withMessage('Nova password deve ter pelo menos 6 caracteres')
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .withMessage('Nova password deve conter pelo menos uma letra maiúscula, uma minúscula e um número'),
+  
+  handleValidationErrors
+];
+
+const validateEmailVerification = [
+  verificationTokenRule,
+  
+  handleValidationErrors
+];
+
+const validatePhoneCode = [
+  body('code')
+    .matches(/^\d{6}$/)
+    .withMessage('Código de verificação deve ter 6 dígitos'),
+  
+  handleValidationErrors
+];
+
+// Contas do painel administrativo: passwords mais longas que as dos clientes
+const adminPasswordRule = (field) => body(field)
+  .isLength({ min: 8 })
+  .withMessage('Password deve ter pelo menos 8 caracteres')
+  .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+  .withMessage('Password deve conter pelo menos uma letra maiúscula, uma minúscula e um número');
+
+const adminProfileRules = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Nome deve ter entre 2 e 50 caracteres'),
+  
+  body('email')
+    .optional()
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Email inválido'),
+  
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .toBoolean()
+    .withMessage('Estado inválido')
+];
+
+const validateAdminUser = [
+  body('username')
+    .trim()
+    .matches(/^[a-zA-Z0-9._-]{3,30}$/)
+    .withMessage('Usuário deve ter entre 3 e 30 caracteres (letras, números, ".", "_" ou "-")'),
+  
+  adminPasswordRule('password'),
+  
+  body('role')
+    .isIn(STAFF_ACCOUNT_ROLES)
+    .withMessage('Perfil inválido'),
+  
+  ...adminProfileRules,
+  handleValidationErrors
+];
+
+const validateAdminUserUpdate = [
+  body('role')
+    .optional()
+    .isIn(STAFF_ACCOUNT_ROLES)
+    .withMessage('Perfil inválido'),
+  
+  adminPasswordRule('password').optional(),
+  
+  ...adminProfileRules,
+  handleValidationErrors
+];
+
+const validateAdminPasswordChange = [
+  body('currentPassword')
+    .notEmpty()
+    .withMessage('Password atual é obrigatória'),
+  
+  adminPasswordRule('newPassword'),
+  
+  body('confirmPassword')
+    .custom((value, { req }) => {
+      if (value !== req.body.newPassword) {
+        throw new Error('Confirmação de password não coincide');
+      }
+      return true;
+    }),
+  
+  handleValidationErrors
+];
+
+// Autenticação em dois passos (painel): código da app (6 dígitos) ou código de recuperação
+const totpCodeRule = (chain) => chain
+  .matches(/^\d{6}$/)
+  .withMessage('Código deve ter 6 dígitos');
+
+const recoveryCodeRule = body('recoveryCode')
+  .optional()
+  .matches(/^[a-f0-9]{5}-?[a-f0-9]{5}$/i)
+  .withMessage('Código de recuperação inválido');
+
+const secondFactorRules = [
+  totpCodeRule(body('code').if(body('recoveryCode').not().exists())),
+  recoveryCodeRule
+];
+
+const validateTwoFactorCode = [
+  totpCodeRule(body('code')),
+  
+  handleValidationErrors
+];
+
+const validateTwoFactorLogin = [
+  body('challengeToken')
+    .isJWT()
+    .withMessage('Pedido de login inválido'),
+  
+  ...secondFactorRules,
+  
+  handleValidationErrors
+];
+
+const validateTwoFactorDisable = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password é obrigatória'),
+  
+  ...secondFactorRules,
+  
+  handleValidationErrors
+];
+
+const validateSecurityPolicy = [
+  body('requiredForManageUsers')
+    .isBoolean({ strict: true })
+    .withMessage('requiredForManageUsers deve ser true ou false'),
+  
+  handleValidationErrors
+];
+
 // Validações para IDs MongoDB
 const validateMongoId = [
   param('id')
@@ -391,7 +1183,7 @@ const validateProductFilters = [
 const validateOrderFilters = [
   query('status')
     .optional()
-    .isIn(['pending', 'confirmed', 'preparing', 'ready', 'out_for_delivery', 'delivered', 'cancelled', 'refunded'])
+    .isIn(ORDER_STATUSES)
     .withMessage('Status inválido'),
   
   query('startDate')
@@ -412,21 +1204,87 @@ const validateOrderFilters = [
   handleValidationErrors
 ];
 
+// Validações para os filtros e a exportação do registo de auditoria
+const validateAuditFilters = [
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('Data de início deve estar no formato ISO'),
+  
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('Data de fim deve estar no formato ISO'),
+  
+  query('actor')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Autor deve ter no máximo 100 caracteres'),
+  
+  query('format')
+    .optional()
+    .isIn(['csv', 'json'])
+    .withMessage('Formato deve ser "csv" ou "json"'),
+  
+  handleValidationErrors
+];
+
 module.exports = {
   handleValidationErrors,
   validateRegister,
   validateLogin,
+  validateRefreshToken,
   validateProduct,
   validateOrder,
+  validateGuestOrder,
+  validateGuestRegister,
+  validateOrderStatus,
+  validateOrderUpdate,
+  validateOrderCancel,
+  validatePaymentIntent,
+  validatePayment,
+  validateGuestPayment,
+  validateRefund,
   validateCartItem,
+  validateCartMerge,
   validateQuantity,
-  validateDelivery,
+  validateDeliveryQuote,
+  validateDeliveryZone,
+  validateDeliveryCreate,
+  validateDeliveryStatus,
+  validateDeliveryFailure,
+  validateDeliveryReject,
+  validateDeliveryProof,
+  validateDeliveryLocation,
+  validateRouteOptimization,
+  validateDeliveryAssign,
+  validateDeliveryFilters,
   validateContact,
   validateLoyaltyPoints,
   validateProfileUpdate,
+  validateAddress,
+  validateAddressUpdate,
   validatePasswordChange,
+  validateAccountErasure,
+  validateDataExport,
+  validateConsentUpdate,
+  validateUnsubscribe,
+  validateMarketingCampaign,
+  validateForgotPassword,
+  validateResetPassword,
+  validateEmailVerification,
+  validatePhoneCode,
+  validateAdminUser,
+  validateAdminUserUpdate,
+  validateAdminPasswordChange,
+  validateTwoFactorCode,
+  validateTwoFactorLogin,
+  validateTwoFactorDisable,
+  validateSecurityPolicy,
   validateMongoId,
   validatePagination,
   validateProductFilters,
-  validateOrderFilters
+  validateOrderFilters,
+  validateAuditFilters
 };
@@ -0,0 +1,38 @@
+// Clientes, funcionários e motoristas
+
+module.exports = {
+    up: `
+        CREATE TABLE users (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name TEXT NOT NULL,
+            email TEXT NOT NULL UNIQUE,
+            phone TEXT,
+            password TEXT NOT NULL,
+            street TEXT,
+            city TEXT,
+            postal_code TEXT,
+            lat REAL,
+            lng REAL,
+            role TEXT NOT NULL DEFAULT 'customer',
+            loyalty_points INTEGER NOT NULL DEFAULT 0,
+            loyalty_tier TEXT NOT NULL DEFAULT 'bronze',
+            is_active BOOLEAN NOT NULL DEFAULT 1,
+            email_verified BOOLEAN NOT NULL DEFAULT 0,
+            phone_verified BOOLEAN NOT NULL DEFAULT 0,
+            dietary_restrictions TEXT,
+            delivery_instructions TEXT,
+            marketing_emails BOOLEAN NOT NULL DEFAULT 0,
+            sms_notifications BOOLEAN NOT NULL DEFAULT 0,
+            last_login DATETIME,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE INDEX idx_users_phone ON users (phone);
+        CREATE INDEX idx_users_role ON users (role);
+    `,
+
+    down: `
+        DROP TABLE users;
+    `
+};
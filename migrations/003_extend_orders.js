@@ -0,0 +1,123 @@
+// Pedidos ligados a usuários, com totais discriminados e estado de pagamento
+// O SQLite não permite alterar colunas existentes, por isso as tabelas são reconstruídas
+
+module.exports = {
+    up: `
+        CREATE TABLE orders_new (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            order_number TEXT UNIQUE NOT NULL,
+            user_id INTEGER,
+            customer_name TEXT,
+            customer_phone TEXT,
+            customer_email TEXT,
+            status TEXT NOT NULL DEFAULT 'pending',
+            delivery_type TEXT NOT NULL DEFAULT 'delivery',
+            delivery_street TEXT,
+            delivery_city TEXT,
+            delivery_postal_code TEXT,
+            delivery_instructions TEXT,
+            preferred_time TEXT DEFAULT 'asap',
+            specific_time DATETIME,
+            payment_method TEXT,
+            payment_status TEXT NOT NULL DEFAULT 'pending',
+            subtotal DECIMAL(10,2) NOT NULL DEFAULT 0,
+            tax DECIMAL(10,2) NOT NULL DEFAULT 0,
+            delivery_fee DECIMAL(10,2) NOT NULL DEFAULT 0,
+            final_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+            customer_notes TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users (id)
+        );
+
+        INSERT INTO orders_new (
+            id, order_number, customer_name, customer_phone, customer_email, status,
+            delivery_type, delivery_street, subtotal, final_amount, customer_notes,
+            created_at, updated_at
+        )
+        SELECT
+            id, order_number, customer_name, customer_phone, customer_email, status,
+            delivery_type, delivery_address, total_amount, total_amount, notes,
+            created_at, updated_at
+        FROM orders;
+
+        DROP TABLE orders;
+        ALTER TABLE orders_new RENAME TO orders;
+
+        CREATE INDEX idx_orders_user ON orders (user_id);
+        CREATE INDEX idx_orders_status ON orders (status);
+
+        CREATE TABLE order_items_new (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            order_id INTEGER NOT NULL,
+            product_id INTEGER NOT NULL,
+            product_name TEXT NOT NULL,
+            quantity INTEGER NOT NULL,
+            unit_price DECIMAL(10,2) NOT NULL,
+            total_price DECIMAL(10,2) NOT NULL,
+            special_instructions TEXT,
+            customization TEXT,
+            FOREIGN KEY (order_id) REFERENCES orders (id),
+            FOREIGN KEY (product_id) REFERENCES products (id)
+        );
+
+        INSERT INTO order_items_new (id, order_id, product_id, product_name, quantity, unit_price, total_price)
+        SELECT id, order_id, product_id, product_name, quantity, unit_price, total_price
+        FROM order_items;
+
+        DROP TABLE order_items;
+        ALTER TABLE order_items_new RENAME TO order_items;
+
+        CREATE INDEX idx_order_items_order ON order_items (order_id);
+    `,
+
+    down: `
+        CREATE TABLE order_items_old (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            order_id INTEGER NOT NULL,
+            product_id INTEGER NOT NULL,
+            product_name TEXT NOT NULL,
+            quantity INTEGER NOT NULL,
+            unit_price DECIMAL(10,2) NOT NULL,
+            total_price DECIMAL(10,2) NOT NULL,
+            FOREIGN KEY (order_id) REFERENCES orders (id),
+            FOREIGN KEY (product_id) REFERENCES products (id)
+        );
+
+        INSERT INTO order_items_old (id, order_id, product_id, product_name, quantity, unit_price, total_price)
+        SELECT id, order_id, product_id, product_name, quantity, unit_price, total_price
+        FROM order_items;
+
+        DROP TABLE order_items;
+        ALTER TABLE order_items_old RENAME TO order_items;
+
+        CREATE TABLE orders_old (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            order_number TEXT UNIQUE NOT NULL,
+            customer_name TEXT NOT NULL,
+            customer_phone TEXT,
+            customer_email TEXT,
+            total_amount DECIMAL(10,2) NOT NULL,
+            status TEXT DEFAULT 'pending',
+            delivery_address TEXT,
+            delivery_type TEXT DEFAULT 'delivery',
+            notes TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        INSERT INTO orders_old (
+            id, order_number, customer_name, customer_phone, customer_email, total_amount,
+            status, delivery_address, delivery_type, notes, created_at, updated_at
+        )
+        SELECT
+            o.id, o.order_number, COALESCE(o.customer_name, u.name, ''), COALESCE(o.customer_phone, u.phone),
+            COALESCE(o.customer_email, u.email), o.final_amount, o.status, o.delivery_street,
+            o.delivery_type, o.customer_notes, o.created_at, o.updated_at
+        FROM orders o
+        LEFT JOIN users u ON o.user_id = u.id;
+
+        DROP TABLE orders;
+        ALTER TABLE orders_old RENAME TO orders;
+    `
+};
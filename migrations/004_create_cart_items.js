@@ -0,0 +1,24 @@
+// Carrinho de compras persistido por usuário
+
+module.exports = {
+    up: `
+        CREATE TABLE cart_items (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            product_id INTEGER NOT NULL,
+            quantity INTEGER NOT NULL DEFAULT 1,
+            special_instructions TEXT,
+            customization TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+            FOREIGN KEY (product_id) REFERENCES products (id) ON DELETE CASCADE
+        );
+
+        CREATE INDEX idx_cart_items_user ON cart_items (user_id);
+    `,
+
+    down: `
+        DROP TABLE cart_items;
+    `
+};
@@ -0,0 +1,22 @@
+// Histórico de mudanças de status dos pedidos
+
+module.exports = {
+    up: `
+        CREATE TABLE order_status_history (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            order_id INTEGER NOT NULL,
+            status TEXT NOT NULL,
+            note TEXT,
+            updated_by INTEGER,
+            timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (order_id) REFERENCES orders (id) ON DELETE CASCADE,
+            FOREIGN KEY (updated_by) REFERENCES users (id)
+        );
+
+        CREATE INDEX idx_order_status_history_order ON order_status_history (order_id);
+    `,
+
+    down: `
+        DROP TABLE order_status_history;
+    `
+};
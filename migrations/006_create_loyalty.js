@@ -0,0 +1,46 @@
+// Programa de fidelidade: transações de pontos, recompensas e metas
+
+module.exports = {
+    up: `
+        CREATE TABLE loyalty_transactions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            order_id INTEGER,
+            points INTEGER NOT NULL,
+            type TEXT NOT NULL,
+            description TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+            FOREIGN KEY (order_id) REFERENCES orders (id)
+        );
+
+        CREATE INDEX idx_loyalty_transactions_user ON loyalty_transactions (user_id);
+
+        CREATE TABLE loyalty_rewards (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name TEXT NOT NULL,
+            description TEXT,
+            points_required INTEGER NOT NULL,
+            discount_percentage DECIMAL(5,2),
+            discount_amount DECIMAL(10,2),
+            is_active BOOLEAN NOT NULL DEFAULT 1,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE TABLE loyalty_goals (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name TEXT NOT NULL,
+            description TEXT,
+            points_target INTEGER NOT NULL,
+            reward_description TEXT,
+            is_active BOOLEAN NOT NULL DEFAULT 1,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+    `,
+
+    down: `
+        DROP TABLE loyalty_goals;
+        DROP TABLE loyalty_rewards;
+        DROP TABLE loyalty_transactions;
+    `
+};
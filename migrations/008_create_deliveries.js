@@ -0,0 +1,24 @@
+// Entregas associadas aos pedidos
+
+module.exports = {
+    up: `
+        CREATE TABLE deliveries (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            order_id INTEGER NOT NULL UNIQUE,
+            driver_id INTEGER,
+            status TEXT NOT NULL DEFAULT 'pending',
+            estimated_time DATETIME,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (order_id) REFERENCES orders (id) ON DELETE CASCADE,
+            FOREIGN KEY (driver_id) REFERENCES users (id)
+        );
+
+        CREATE INDEX idx_deliveries_driver ON deliveries (driver_id);
+        CREATE INDEX idx_deliveries_status ON deliveries (status);
+    `,
+
+    down: `
+        DROP TABLE deliveries;
+    `
+};
@@ -0,0 +1,11 @@
+// Stock por produto (-1 = ilimitado), reservado na criação de pedidos
+
+module.exports = {
+    up: `
+        ALTER TABLE products ADD COLUMN stock_quantity INTEGER NOT NULL DEFAULT -1;
+    `,
+
+    down: `
+        ALTER TABLE products DROP COLUMN stock_quantity;
+    `
+};
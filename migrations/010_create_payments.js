@@ -0,0 +1,35 @@
+// Pagamentos por pedido (PaymentIntents do Stripe) e eventos de webhook já processados
+
+module.exports = {
+    up: `
+        CREATE TABLE payments (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            order_id INTEGER NOT NULL,
+            provider TEXT NOT NULL DEFAULT 'stripe',
+            provider_payment_id TEXT UNIQUE,
+            amount DECIMAL(10,2) NOT NULL,
+            currency TEXT NOT NULL DEFAULT 'eur',
+            status TEXT NOT NULL DEFAULT 'pending',
+            failure_message TEXT,
+            last_event_id TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (order_id) REFERENCES orders (id) ON DELETE CASCADE
+        );
+
+        CREATE INDEX idx_payments_order ON payments (order_id);
+
+        CREATE TABLE payment_events (
+            id TEXT PRIMARY KEY,
+            type TEXT NOT NULL,
+            payment_id INTEGER,
+            received_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (payment_id) REFERENCES payments (id) ON DELETE SET NULL
+        );
+    `,
+
+    down: `
+        DROP TABLE payment_events;
+        DROP TABLE payments;
+    `
+};
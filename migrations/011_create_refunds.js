@@ -0,0 +1,42 @@
+// Reembolsos (totais ou parciais por item) emitidos pelo painel admin
+
+module.exports = {
+    up: `
+        CREATE TABLE refunds (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            order_id INTEGER NOT NULL,
+            payment_id INTEGER,
+            type TEXT NOT NULL,
+            amount DECIMAL(10,2) NOT NULL,
+            reason TEXT NOT NULL,
+            note TEXT,
+            status TEXT NOT NULL DEFAULT 'pending',
+            provider_refund_id TEXT UNIQUE,
+            loyalty_points_clawed_back INTEGER NOT NULL DEFAULT 0,
+            created_by TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (order_id) REFERENCES orders (id) ON DELETE CASCADE,
+            FOREIGN KEY (payment_id) REFERENCES payments (id)
+        );
+
+        CREATE INDEX idx_refunds_order ON refunds (order_id);
+
+        CREATE TABLE refund_items (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            refund_id INTEGER NOT NULL,
+            order_item_id INTEGER NOT NULL,
+            quantity INTEGER NOT NULL,
+            amount DECIMAL(10,2) NOT NULL,
+            FOREIGN KEY (refund_id) REFERENCES refunds (id) ON DELETE CASCADE,
+            FOREIGN KEY (order_item_id) REFERENCES order_items (id)
+        );
+
+        CREATE INDEX idx_refund_items_refund ON refund_items (refund_id);
+    `,
+
+    down: `
+        DROP TABLE refund_items;
+        DROP TABLE refunds;
+    `
+};
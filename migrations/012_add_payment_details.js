@@ -0,0 +1,14 @@
+// Dados específicos de cada método de pagamento (referência Multibanco, telemóvel MB WAY)
+// e prazo de validade dos pagamentos pendentes
+
+module.exports = {
+    up: `
+        ALTER TABLE payments ADD COLUMN details TEXT;
+        ALTER TABLE payments ADD COLUMN expires_at DATETIME;
+    `,
+
+    down: `
+        ALTER TABLE payments DROP COLUMN expires_at;
+        ALTER TABLE payments DROP COLUMN details;
+    `
+};
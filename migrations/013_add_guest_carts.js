@@ -0,0 +1,61 @@
+// Carrinhos de visitantes: itens identificados por um token anónimo (cart_token)
+// em vez de um usuário, até serem fundidos no carrinho da conta no login.
+// O SQLite não permite alterar colunas existentes, por isso a tabela é reconstruída
+
+module.exports = {
+    up: `
+        CREATE TABLE cart_items_new (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER,
+            cart_token TEXT,
+            product_id INTEGER NOT NULL,
+            quantity INTEGER NOT NULL DEFAULT 1,
+            special_instructions TEXT,
+            customization TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+            FOREIGN KEY (product_id) REFERENCES products (id) ON DELETE CASCADE,
+            CHECK (user_id IS NOT NULL OR cart_token IS NOT NULL)
+        );
+
+        INSERT INTO cart_items_new (
+            id, user_id, product_id, quantity, special_instructions, customization, created_at, updated_at
+        )
+        SELECT id, user_id, product_id, quantity, special_instructions, customization, created_at, updated_at
+        FROM cart_items;
+
+        DROP TABLE cart_items;
+        ALTER TABLE cart_items_new RENAME TO cart_items;
+
+        CREATE INDEX idx_cart_items_user ON cart_items (user_id);
+        CREATE INDEX idx_cart_items_token ON cart_items (cart_token);
+    `,
+
+    down: `
+        CREATE TABLE cart_items_old (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            product_id INTEGER NOT NULL,
+            quantity INTEGER NOT NULL DEFAULT 1,
+            special_instructions TEXT,
+            customization TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+            FOREIGN KEY (product_id) REFERENCES products (id) ON DELETE CASCADE
+        );
+
+        INSERT INTO cart_items_old (
+            id, user_id, product_id, quantity, special_instructions, customization, created_at, updated_at
+        )
+        SELECT id, user_id, product_id, quantity, special_instructions, customization, created_at, updated_at
+        FROM cart_items
+        WHERE user_id IS NOT NULL;
+
+        DROP TABLE cart_items;
+        ALTER TABLE cart_items_old RENAME TO cart_items;
+
+        CREATE INDEX idx_cart_items_user ON cart_items (user_id);
+    `
+};
@@ -0,0 +1,25 @@
+// Contas do painel administrativo (antes fixas em config/admin.js)
+
+module.exports = {
+    up: `
+        CREATE TABLE admin_users (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+            name TEXT,
+            email TEXT,
+            password TEXT NOT NULL,
+            role TEXT NOT NULL DEFAULT 'manager',
+            is_active BOOLEAN NOT NULL DEFAULT 1,
+            must_change_password BOOLEAN NOT NULL DEFAULT 1,
+            password_changed_at DATETIME,
+            last_login DATETIME,
+            created_by TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+    `,
+
+    down: `
+        DROP TABLE admin_users;
+    `
+};
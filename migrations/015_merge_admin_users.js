@@ -0,0 +1,131 @@
+// Uma só tabela de contas: as contas do painel (admin_users) passam para users, com
+// username para o login do painel e email opcional para contas internas.
+// O SQLite não permite alterar colunas existentes, por isso a tabela users é reconstruída
+
+const USERS_COLUMNS = `id, name, email, phone, password, street, city, postal_code, lat, lng, role,
+            loyalty_points, loyalty_tier, is_active, email_verified, phone_verified,
+            dietary_restrictions, delivery_instructions, marketing_emails, sms_notifications,
+            last_login, created_at, updated_at`;
+
+module.exports = {
+    up: `
+        CREATE TABLE users_new (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name TEXT NOT NULL,
+            email TEXT UNIQUE,
+            username TEXT UNIQUE COLLATE NOCASE,
+            phone TEXT,
+            password TEXT NOT NULL,
+            street TEXT,
+            city TEXT,
+            postal_code TEXT,
+            lat REAL,
+            lng REAL,
+            role TEXT NOT NULL DEFAULT 'customer',
+            loyalty_points INTEGER NOT NULL DEFAULT 0,
+            loyalty_tier TEXT NOT NULL DEFAULT 'bronze',
+            is_active BOOLEAN NOT NULL DEFAULT 1,
+            email_verified BOOLEAN NOT NULL DEFAULT 0,
+            phone_verified BOOLEAN NOT NULL DEFAULT 0,
+            dietary_restrictions TEXT,
+            delivery_instructions TEXT,
+            marketing_emails BOOLEAN NOT NULL DEFAULT 0,
+            sms_notifications BOOLEAN NOT NULL DEFAULT 0,
+            must_change_password BOOLEAN NOT NULL DEFAULT 0,
+            password_changed_at DATETIME,
+            created_by TEXT,
+            last_login DATETIME,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            CHECK (email IS NOT NULL OR username IS NOT NULL)
+        );
+
+        INSERT INTO users_new (${USERS_COLUMNS})
+        SELECT ${USERS_COLUMNS}
+        FROM users;
+
+        -- Emails já usados por clientes não são copiados (o login do painel usa o username)
+        INSERT INTO users_new (
+            name, email, username, password, role, is_active, must_change_password,
+            password_changed_at, created_by, last_login, created_at, updated_at
+        )
+        SELECT COALESCE(name, username),
+               CASE WHEN email IN (SELECT email FROM users) THEN NULL ELSE email END,
+               username, password, role, is_active, must_change_password,
+               password_changed_at, created_by, last_login, created_at, updated_at
+        FROM admin_users;
+
+        DROP TABLE users;
+        ALTER TABLE users_new RENAME TO users;
+
+        CREATE INDEX idx_users_phone ON users (phone);
+        CREATE INDEX idx_users_role ON users (role);
+
+        DROP TABLE admin_users;
+    `,
+
+    // Contas sem email (só existem no painel) voltam para admin_users
+    down: `
+        CREATE TABLE admin_users (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+            name TEXT,
+            email TEXT,
+            password TEXT NOT NULL,
+            role TEXT NOT NULL DEFAULT 'manager',
+            is_active BOOLEAN NOT NULL DEFAULT 1,
+            must_change_password BOOLEAN NOT NULL DEFAULT 1,
+            password_changed_at DATETIME,
+            last_login DATETIME,
+            created_by TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        INSERT INTO admin_users (
+            username, name, email, password, role, is_active, must_change_password,
+            password_changed_at, last_login, created_by, created_at, updated_at
+        )
+        SELECT username, name, email, password, role, is_active, must_change_password,
+               password_changed_at, last_login, created_by, created_at, updated_at
+        FROM users
+        WHERE username IS NOT NULL AND role IN ('admin', 'manager');
+
+        CREATE TABLE users_old (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name TEXT NOT NULL,
+            email TEXT NOT NULL UNIQUE,
+            phone TEXT,
+            password TEXT NOT NULL,
+            street TEXT,
+            city TEXT,
+            postal_code TEXT,
+            lat REAL,
+            lng REAL,
+            role TEXT NOT NULL DEFAULT 'customer',
+            loyalty_points INTEGER NOT NULL DEFAULT 0,
+            loyalty_tier TEXT NOT NULL DEFAULT 'bronze',
+            is_active BOOLEAN NOT NULL DEFAULT 1,
+            email_verified BOOLEAN NOT NULL DEFAULT 0,
+            phone_verified BOOLEAN NOT NULL DEFAULT 0,
+            dietary_restrictions TEXT,
+            delivery_instructions TEXT,
+            marketing_emails BOOLEAN NOT NULL DEFAULT 0,
+            sms_notifications BOOLEAN NOT NULL DEFAULT 0,
+            last_login DATETIME,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        INSERT INTO users_old (${USERS_COLUMNS})
+        SELECT ${USERS_COLUMNS}
+        FROM users
+        WHERE email IS NOT NULL AND NOT (username IS NOT NULL AND role IN ('admin', 'manager'));
+
+        DROP TABLE users;
+        ALTER TABLE users_old RENAME TO users;
+
+        CREATE INDEX idx_users_phone ON users (phone);
+        CREATE INDEX idx_users_role ON users (role);
+    `
+};
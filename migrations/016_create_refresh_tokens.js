@@ -0,0 +1,40 @@
+// Sessões: refresh tokens rotativos (guardados só como hash), tokens de acesso revogados
+// antes de expirarem (logout) e o instante a partir do qual as sessões de um usuário
+// voltam a ser aceites ("terminar sessão em todos os dispositivos", conta desativada)
+
+module.exports = {
+    up: `
+        CREATE TABLE refresh_tokens (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            token_hash TEXT NOT NULL UNIQUE,
+            family_id TEXT NOT NULL,
+            expires_at DATETIME NOT NULL,
+            revoked_at DATETIME,
+            replaced_by INTEGER,
+            user_agent TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+            FOREIGN KEY (replaced_by) REFERENCES refresh_tokens (id) ON DELETE SET NULL
+        );
+
+        CREATE INDEX idx_refresh_tokens_user ON refresh_tokens (user_id);
+        CREATE INDEX idx_refresh_tokens_family ON refresh_tokens (family_id);
+
+        CREATE TABLE revoked_tokens (
+            jti TEXT PRIMARY KEY,
+            user_id INTEGER,
+            expires_at DATETIME NOT NULL,
+            revoked_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+        );
+
+        ALTER TABLE users ADD COLUMN sessions_revoked_at DATETIME;
+    `,
+
+    down: `
+        ALTER TABLE users DROP COLUMN sessions_revoked_at;
+        DROP TABLE revoked_tokens;
+        DROP TABLE refresh_tokens;
+    `
+};
@@ -0,0 +1,27 @@
+// Tokens de uso único para repor a password e verificar o email (link enviado por email)
+// e códigos SMS para verificar o telefone. Só o hash é guardado; target é o email ou telefone
+// a que o token foi enviado, para não valer depois de o contacto mudar.
+
+module.exports = {
+    up: `
+        CREATE TABLE verification_tokens (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            purpose TEXT NOT NULL CHECK (purpose IN ('password_reset', 'email_verification', 'phone_verification')),
+            token_hash TEXT NOT NULL,
+            target TEXT,
+            attempts INTEGER NOT NULL DEFAULT 0,
+            expires_at DATETIME NOT NULL,
+            used_at DATETIME,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+        );
+
+        CREATE INDEX idx_verification_tokens_hash ON verification_tokens (token_hash);
+        CREATE INDEX idx_verification_tokens_user ON verification_tokens (user_id, purpose, created_at);
+    `,
+
+    down: `
+        DROP TABLE verification_tokens;
+    `
+};
@@ -0,0 +1,38 @@
+// Autenticação em dois passos (TOTP) para contas internas: segredo cifrado na conta,
+// último passo de 30s aceite (um código não serve duas vezes), códigos de recuperação
+// (só o hash) e definições de segurança do painel (ex: 2FA obrigatória para manage_users)
+
+module.exports = {
+    up: `
+        ALTER TABLE users ADD COLUMN totp_secret TEXT;
+        ALTER TABLE users ADD COLUMN totp_enabled_at DATETIME;
+        ALTER TABLE users ADD COLUMN totp_last_used_step INTEGER;
+
+        CREATE TABLE recovery_codes (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            code_hash TEXT NOT NULL,
+            used_at DATETIME,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+        );
+
+        CREATE INDEX idx_recovery_codes_user ON recovery_codes (user_id);
+
+        CREATE TABLE app_settings (
+            key TEXT PRIMARY KEY,
+            value TEXT NOT NULL,
+            updated_by INTEGER,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (updated_by) REFERENCES users (id) ON DELETE SET NULL
+        );
+    `,
+
+    down: `
+        DROP TABLE app_settings;
+        DROP TABLE recovery_codes;
+        ALTER TABLE users DROP COLUMN totp_last_used_step;
+        ALTER TABLE users DROP COLUMN totp_enabled_at;
+        ALTER TABLE users DROP COLUMN totp_secret;
+    `
+};
@@ -0,0 +1,29 @@
+// Proteção contra força bruta nos logins: tentativas falhadas por conta e por IP,
+// com espera progressiva entre tentativas e bloqueio temporário (cada vez mais longo)
+
+module.exports = {
+    up: `
+        CREATE TABLE login_throttles (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            scope TEXT NOT NULL CHECK (scope IN ('account', 'ip')),
+            throttle_key TEXT NOT NULL,
+            user_id INTEGER,
+            last_ip TEXT,
+            failed_attempts INTEGER NOT NULL DEFAULT 0,
+            lockouts INTEGER NOT NULL DEFAULT 0,
+            last_failed_at DATETIME,
+            next_attempt_at DATETIME,
+            locked_until DATETIME,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE (scope, throttle_key),
+            FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+        );
+
+        CREATE INDEX idx_login_throttles_user ON login_throttles (user_id);
+    `,
+
+    down: `
+        DROP TABLE login_throttles;
+    `
+};
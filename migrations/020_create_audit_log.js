@@ -0,0 +1,43 @@
+// Registo de auditoria das ações de staff e administradores: quem, o quê, sobre que entidade,
+// o que mudou (antes/depois) e de onde. Só de escrita: os triggers recusam UPDATE e DELETE.
+// O autor fica copiado (id, username, papel) e sem chave estrangeira, para o registo
+// sobreviver à eliminação da conta.
+
+module.exports = {
+    up: `
+        CREATE TABLE audit_log (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            actor_id INTEGER,
+            actor_username TEXT,
+            actor_role TEXT,
+            action TEXT NOT NULL,
+            entity_type TEXT NOT NULL,
+            entity_id TEXT,
+            changes TEXT,
+            metadata TEXT,
+            ip TEXT,
+            user_agent TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE INDEX idx_audit_log_created ON audit_log (created_at);
+        CREATE INDEX idx_audit_log_actor ON audit_log (actor_id);
+        CREATE INDEX idx_audit_log_entity ON audit_log (entity_type, entity_id);
+
+        CREATE TRIGGER audit_log_no_update BEFORE UPDATE ON audit_log
+        BEGIN
+            SELECT RAISE(ABORT, 'audit_log é só de escrita');
+        END;
+
+        CREATE TRIGGER audit_log_no_delete BEFORE DELETE ON audit_log
+        BEGIN
+            SELECT RAISE(ABORT, 'audit_log é só de escrita');
+        END;
+    `,
+
+    down: `
+        DROP TRIGGER audit_log_no_delete;
+        DROP TRIGGER audit_log_no_update;
+        DROP TABLE audit_log;
+    `
+};
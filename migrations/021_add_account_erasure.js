@@ -0,0 +1,14 @@
+// Eliminação de contas a pedido do titular (RGPD): a conta e os pedidos ficam como registo
+// anónimo (os valores, itens, pagamentos e reembolsos mantêm-se para a contabilidade)
+
+module.exports = {
+    up: `
+        ALTER TABLE users ADD COLUMN erased_at DATETIME;
+        ALTER TABLE orders ADD COLUMN anonymized_at DATETIME;
+    `,
+
+    down: `
+        ALTER TABLE orders DROP COLUMN anonymized_at;
+        ALTER TABLE users DROP COLUMN erased_at;
+    `
+};
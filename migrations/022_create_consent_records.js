@@ -0,0 +1,38 @@
+// Registo dos consentimentos de marketing: cada alteração (dada ou retirada) por canal e finalidade
+// fica numa linha, com a origem, o IP e a data. O estado atual é a linha mais recente de cada par.
+// Os consentimentos antigos (marketing_emails / sms_notifications) entram como origem 'legacy'.
+
+module.exports = {
+    up: `
+        CREATE TABLE consent_records (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            channel TEXT NOT NULL CHECK (channel IN ('email', 'sms')),
+            purpose TEXT NOT NULL,
+            granted BOOLEAN NOT NULL,
+            source TEXT NOT NULL,
+            recorded_by INTEGER,
+            ip TEXT,
+            user_agent TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+        );
+
+        CREATE INDEX idx_consent_records_user ON consent_records (user_id, channel, purpose);
+        CREATE INDEX idx_consent_records_purpose ON consent_records (channel, purpose);
+
+        INSERT INTO consent_records (user_id, channel, purpose, granted, source, created_at)
+        SELECT u.id, 'email', p.purpose, 1, 'legacy', COALESCE(u.updated_at, CURRENT_TIMESTAMP)
+        FROM users u, (SELECT 'newsletter' AS purpose UNION ALL SELECT 'promotions' UNION ALL SELECT 'loyalty') p
+        WHERE u.marketing_emails = 1;
+
+        INSERT INTO consent_records (user_id, channel, purpose, granted, source, created_at)
+        SELECT u.id, 'sms', p.purpose, 1, 'legacy', COALESCE(u.updated_at, CURRENT_TIMESTAMP)
+        FROM users u, (SELECT 'newsletter' AS purpose UNION ALL SELECT 'promotions' UNION ALL SELECT 'loyalty') p
+        WHERE u.sms_notifications = 1;
+    `,
+
+    down: `
+        DROP TABLE consent_records;
+    `
+};
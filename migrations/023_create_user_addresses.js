@@ -0,0 +1,39 @@
+// Livro de moradas dos clientes (casa, trabalho...), cada uma com as suas instruções de entrega.
+// A morada predefinida continua copiada para users.street/city/postal_code/lat/lng; as moradas
+// já guardadas nos perfis passam a ser a morada predefinida "Casa".
+// Os pedidos guardam uma cópia da morada e, em address_id, a morada do livro usada.
+
+module.exports = {
+    up: `
+        CREATE TABLE user_addresses (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            label TEXT NOT NULL,
+            street TEXT NOT NULL,
+            city TEXT NOT NULL,
+            postal_code TEXT NOT NULL,
+            lat REAL,
+            lng REAL,
+            delivery_instructions TEXT,
+            is_default BOOLEAN NOT NULL DEFAULT 0,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+        );
+
+        CREATE INDEX idx_user_addresses_user ON user_addresses (user_id);
+        CREATE UNIQUE INDEX idx_user_addresses_default ON user_addresses (user_id) WHERE is_default = 1;
+
+        INSERT INTO user_addresses (user_id, label, street, city, postal_code, lat, lng, delivery_instructions, is_default)
+        SELECT id, 'Casa', street, city, postal_code, lat, lng, delivery_instructions, 1
+        FROM users
+        WHERE role = 'customer' AND erased_at IS NULL AND street IS NOT NULL AND street != '';
+
+        ALTER TABLE orders ADD COLUMN address_id INTEGER;
+    `,
+
+    down: `
+        ALTER TABLE orders DROP COLUMN address_id;
+        DROP TABLE user_addresses;
+    `
+};
@@ -0,0 +1,49 @@
+// Entregas guardadas: datas de atribuição, saída e entrega, e histórico de estados
+// (com o entregador de cada mudança). Os pedidos de entrega já confirmados e ainda
+// por entregar passam a ter a sua entrega.
+
+module.exports = {
+    up: `
+        ALTER TABLE deliveries ADD COLUMN assigned_at DATETIME;
+        ALTER TABLE deliveries ADD COLUMN departed_at DATETIME;
+        ALTER TABLE deliveries ADD COLUMN delivered_at DATETIME;
+
+        CREATE TABLE delivery_status_history (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            delivery_id INTEGER NOT NULL,
+            status TEXT NOT NULL,
+            driver_id INTEGER,
+            note TEXT,
+            updated_by INTEGER,
+            timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (delivery_id) REFERENCES deliveries (id) ON DELETE CASCADE,
+            FOREIGN KEY (driver_id) REFERENCES users (id),
+            FOREIGN KEY (updated_by) REFERENCES users (id)
+        );
+
+        CREATE INDEX idx_delivery_status_history_delivery ON delivery_status_history (delivery_id);
+        CREATE INDEX idx_deliveries_created ON deliveries (created_at);
+
+        INSERT INTO deliveries (order_id, status, departed_at, created_at)
+        SELECT id,
+               CASE status WHEN 'out_for_delivery' THEN 'out_for_delivery' ELSE 'pending' END,
+               CASE status WHEN 'out_for_delivery' THEN updated_at END,
+               updated_at
+        FROM orders
+        WHERE delivery_type = 'delivery'
+          AND status IN ('confirmed', 'preparing', 'ready', 'out_for_delivery')
+          AND id NOT IN (SELECT order_id FROM deliveries);
+
+        INSERT INTO delivery_status_history (delivery_id, status, driver_id, note)
+        SELECT id, status, driver_id, 'Entrega criada a partir de um pedido existente'
+        FROM deliveries;
+    `,
+
+    down: `
+        DROP INDEX idx_deliveries_created;
+        DROP TABLE delivery_status_history;
+        ALTER TABLE deliveries DROP COLUMN delivered_at;
+        ALTER TABLE deliveries DROP COLUMN departed_at;
+        ALTER TABLE deliveries DROP COLUMN assigned_at;
+    `
+};
@@ -0,0 +1,31 @@
+// App dos entregadores: aceitação da entrega, motivo da última tentativa falhada e prova
+// de entrega (fotografia, assinatura do destinatário ou PIN dado ao cliente).
+// As entregas ainda por fazer recebem já o seu PIN.
+
+module.exports = {
+    up: `
+        ALTER TABLE deliveries ADD COLUMN accepted_at DATETIME;
+        ALTER TABLE deliveries ADD COLUMN failure_reason TEXT;
+        ALTER TABLE deliveries ADD COLUMN delivery_pin TEXT;
+        ALTER TABLE deliveries ADD COLUMN pin_attempts INTEGER NOT NULL DEFAULT 0;
+        ALTER TABLE deliveries ADD COLUMN pin_verified_at DATETIME;
+        ALTER TABLE deliveries ADD COLUMN proof_photo TEXT;
+        ALTER TABLE deliveries ADD COLUMN proof_signature TEXT;
+        ALTER TABLE deliveries ADD COLUMN recipient_name TEXT;
+
+        UPDATE deliveries
+        SET delivery_pin = printf('%04d', abs(random()) % 10000)
+        WHERE status NOT IN ('delivered', 'cancelled');
+    `,
+
+    down: `
+        ALTER TABLE deliveries DROP COLUMN recipient_name;
+        ALTER TABLE deliveries DROP COLUMN proof_signature;
+        ALTER TABLE deliveries DROP COLUMN proof_photo;
+        ALTER TABLE deliveries DROP COLUMN pin_verified_at;
+        ALTER TABLE deliveries DROP COLUMN pin_attempts;
+        ALTER TABLE deliveries DROP COLUMN delivery_pin;
+        ALTER TABLE deliveries DROP COLUMN failure_reason;
+        ALTER TABLE deliveries DROP COLUMN accepted_at;
+    `
+};
@@ -0,0 +1,44 @@
+// Acompanhamento das entregas: posições GPS enviadas pelo entregador durante a entrega e
+// coordenadas da morada no pedido (para a distância e a hora prevista de chegada).
+// Os pedidos existentes recebem as coordenadas da morada guardada ou do perfil, se a morada for a mesma.
+
+module.exports = {
+    up: `
+        ALTER TABLE orders ADD COLUMN delivery_lat REAL;
+        ALTER TABLE orders ADD COLUMN delivery_lng REAL;
+
+        UPDATE orders
+        SET delivery_lat = (SELECT lat FROM user_addresses a WHERE a.id = orders.address_id),
+            delivery_lng = (SELECT lng FROM user_addresses a WHERE a.id = orders.address_id)
+        WHERE address_id IS NOT NULL;
+
+        UPDATE orders
+        SET delivery_lat = (SELECT lat FROM users u WHERE u.id = orders.user_id AND u.street = orders.delivery_street),
+            delivery_lng = (SELECT lng FROM users u WHERE u.id = orders.user_id AND u.street = orders.delivery_street)
+        WHERE delivery_lat IS NULL AND user_id IS NOT NULL AND delivery_type = 'delivery';
+
+        CREATE TABLE delivery_locations (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            delivery_id INTEGER NOT NULL,
+            driver_id INTEGER,
+            latitude REAL NOT NULL,
+            longitude REAL NOT NULL,
+            accuracy REAL,
+            speed REAL,
+            heading REAL,
+            recorded_at DATETIME NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (delivery_id) REFERENCES deliveries (id) ON DELETE CASCADE,
+            FOREIGN KEY (driver_id) REFERENCES users (id)
+        );
+
+        CREATE INDEX idx_delivery_locations_delivery ON delivery_locations (delivery_id, recorded_at);
+    `,
+
+    down: `
+        DROP INDEX idx_delivery_locations_delivery;
+        DROP TABLE delivery_locations;
+        ALTER TABLE orders DROP COLUMN delivery_lng;
+        ALTER TABLE orders DROP COLUMN delivery_lat;
+    `
+};
@@ -0,0 +1,37 @@
+// Zonas de entrega configuráveis no painel: cada zona cobre intervalos de códigos postais
+// (pelos 4 primeiros dígitos) e/ou uma área (raio à volta de um ponto ou polígono), com a
+// sua taxa (fixa + por km desde a padaria), entrega grátis a partir de um valor e pedido mínimo.
+// Sem zonas ativas as entregas não são limitadas (taxa fixa de 2,50 €, como até aqui).
+// Os pedidos guardam a zona e a distância usadas no cálculo da taxa.
+
+module.exports = {
+    up: `
+        CREATE TABLE delivery_zones (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name TEXT NOT NULL,
+            postal_code_from INTEGER,
+            postal_code_to INTEGER,
+            center_lat REAL,
+            center_lng REAL,
+            radius_km REAL,
+            polygon TEXT,
+            base_fee DECIMAL(10,2) NOT NULL DEFAULT 0,
+            fee_per_km DECIMAL(10,2) NOT NULL DEFAULT 0,
+            free_delivery_threshold DECIMAL(10,2),
+            min_order_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+            priority INTEGER NOT NULL DEFAULT 0,
+            is_active BOOLEAN NOT NULL DEFAULT 1,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        ALTER TABLE orders ADD COLUMN delivery_zone_id INTEGER;
+        ALTER TABLE orders ADD COLUMN delivery_distance_km REAL;
+    `,
+
+    down: `
+        ALTER TABLE orders DROP COLUMN delivery_distance_km;
+        ALTER TABLE orders DROP COLUMN delivery_zone_id;
+        DROP TABLE delivery_zones;
+    `
+};
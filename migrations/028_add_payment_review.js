@@ -0,0 +1,12 @@
+// Pagamentos recebidos que não foram aplicados ao pedido (valor diferente do total, pedido
+// cancelado ou já pago, pagamento anulado): ficam marcados para a loja devolver o dinheiro.
+
+module.exports = {
+    up: `
+        ALTER TABLE payments ADD COLUMN review_reason TEXT;
+    `,
+
+    down: `
+        ALTER TABLE payments DROP COLUMN review_reason;
+    `
+};
@@ -0,0 +1,551 @@
+// 🛒 Carrinho da loja (landing page e menu) guardado no servidor em /api/cart
+// Visitantes ficam identificados pelo token anónimo devolvido ao adicionar o primeiro item;
+// ao entrar na conta o carrinho de visitante passa para o carrinho do cliente.
+// Cada página define showNotification() e os botões que abrem/fecham o modal do carrinho.
+
+const CART_TOKEN_KEY = 'sabores_portugueses_cart_token';
+const AUTH_TOKEN_KEY = 'sabores_portugueses_token';
+const REFRESH_TOKEN_KEY = 'sabores_portugueses_refresh_token';
+const CART_PAGE_TITLE = document.title;
+
+let cartItems = [];
+
+// ===== PEDIDOS À API =====
+
+function readStorage(key) {
+    try {
+        return localStorage.getItem(key);
+    } catch (e) {
+        return null;
+    }
+}
+
+function writeStorage(key, value) {
+    try {
+        if (value) {
+            localStorage.setItem(key, value);
+        } else {
+            localStorage.removeItem(key);
+        }
+    } catch (e) {
+        console.warn('❌ localStorage não disponível (modo privado):', e);
+    }
+}
+
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, char => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[char]);
+}
+
+function storeSession(session) {
+    writeStorage(AUTH_TOKEN_KEY, session && session.token);
+    writeStorage(REFRESH_TOKEN_KEY, session && session.refreshToken);
+}
+
+// O token de acesso dura poucos minutos: trocar o refresh token por uma nova sessão
+async function refreshSession() {
+    const refreshToken = readStorage(REFRESH_TOKEN_KEY);
+    if (!refreshToken) {
+        return false;
+    }
+
+    const response = await fetch('/api/auth/refresh', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refreshToken })
+    }).catch(() => null);
+    const data = response && await response.json().catch(() => ({}));
+
+    if (!response || !response.ok || !data.success) {
+        return false;
+    }
+
+    storeSession(data.data);
+    return true;
+}
+
+async function cartRequest(method, url, body, retried = false) {
+    const headers = { 'Content-Type': 'application/json' };
+    const authToken = readStorage(AUTH_TOKEN_KEY);
+    const cartToken = readStorage(CART_TOKEN_KEY);
+
+    if (authToken) {
+        headers['Authorization'] = `Bearer ${authToken}`;
+    } else if (cartToken) {
+        headers['X-Cart-Token'] = cartToken;
+    }
+
+    const response = await fetch(url, {
+        method,
+        headers,
+        body: body && JSON.stringify(body)
+    });
+    const data = await response.json().catch(() => ({}));
+
+    // Sessão expirada: renovar e repetir o pedido, ou voltar a usar o carrinho de visitante
+    if (response.status === 401 && authToken) {
+        if (!retried && await refreshSession()) {
+            return cartRequest(method, url, body, true);
+        }
+        storeSession(null);
+    }
+
+    if (!response.ok || data.success === false) {
+        const firstError = data.errors && data.errors[0];
+        throw new Error((firstError && firstError.message) || data.message || 'Erro ao comunicar com o servidor');
+    }
+
+    return data;
+}
+
+function isLoggedIn() {
+    return Boolean(readStorage(AUTH_TOKEN_KEY));
+}
+
+// ===== CARRINHO =====
+
+async function loadCart() {
+    try {
+        const data = await cartRequest('GET', '/api/cart');
+        cartItems = data.data.items;
+    } catch (e) {
+        console.error('❌ Erro ao carregar carrinho:', e);
+        cartItems = [];
+    }
+
+    // O carrinho antigo (localStorage por nome de produto) deixou de ser usado
+    writeStorage('sabores_portugueses_cart', null);
+
+    updateCartCount();
+    updateCartDisplay();
+    return cartItems;
+}
+
+async function addProductToCart(productId, quantity = 1) {
+    const data = await cartRequest('POST', '/api/cart/add', {
+        productId: parseInt(productId, 10),
+        quantity
+    });
+
+    if (data.data.cartToken) {
+        writeStorage(CART_TOKEN_KEY, data.data.cartToken);
+    }
+
+    await loadCart();
+    return data.data.item;
+}
+
+async function updateQuantity(itemId, newQuantity) {
+    if (newQuantity <= 0) {
+        return removeFromCart(itemId);
+    }
+
+    try {
+        await cartRequest('PUT', `/api/cart/${itemId}/update`, { quantity: newQuantity });
+        await loadCart();
+    } catch (e) {
+        showNotification(e.message, 'error');
+    }
+}
+
+async function removeFromCart(itemId) {
+    const item = cartItems.find(cartItem => cartItem.id === itemId);
+
+    try {
+        await cartRequest('DELETE', `/api/cart/${itemId}`);
+        await loadCart();
+        showNotification(`${item ? item.name : 'Produto'} removido do carrinho!`, 'info');
+    } catch (e) {
+        showNotification(e.message, 'error');
+    }
+}
+
+async function clearCart() {
+    if (cartItems.length === 0) {
+        return;
+    }
+
+    try {
+        await cartRequest('DELETE', '/api/cart/clear');
+        await loadCart();
+        showNotification('Carrinho limpo!', 'info');
+    } catch (e) {
+        showNotification(e.message, 'error');
+    }
+}
+
+function cartTotal() {
+    return cartItems
+        .filter(item => item.is_available)
+        .reduce((sum, item) => sum + item.price * item.quantity, 0);
+}
+
+// Atualizar contador do carrinho e título da página
+function updateCartCount() {
+    const count = cartItems.reduce((total, item) => total + item.quantity, 0);
+
+    const cartCountElement = document.getElementById('cart-count');
+    if (cartCountElement) {
+        cartCountElement.textContent = count;
+    }
+
+    document.title = count > 0 ? `(${count}) ${CART_PAGE_TITLE}` : CART_PAGE_TITLE;
+}
+
+// Atualizar display do carrinho
+function updateCartDisplay() {
+    const cartItemsContainer = document.getElementById('cart-items');
+    const cartTotalElement = document.getElementById('cart-total');
+    const emptyMessage = document.getElementById('empty-cart-message');
+    const cartActions = document.getElementById('cart-actions');
+
+    if (!cartItemsContainer) return;
+
+    if (cartItems.length === 0) {
+        if (emptyMessage) emptyMessage.classList.remove('hidden');
+        if (cartActions) cartActions.classList.add('hidden');
+        cartItemsContainer.innerHTML = '';
+        return;
+    }
+
+    if (emptyMessage) emptyMessage.classList.add('hidden');
+    if (cartActions) cartActions.classList.remove('hidden');
+
+    cartItemsContainer.innerHTML = cartItems.map(item => {
+        const itemTotal = item.price * item.quantity;
+
+        return `
+            <div class="flex justify-between items-center p-4 bg-gray-50 rounded-lg ${item.is_available ? '' : 'opacity-50'}">
+                <div class="flex-1">
+                    <h3 class="font-semibold text-gray-800">${escapeHtml(item.name)}</h3>
+                    <p class="text-sm text-gray-600">€${item.price.toFixed(2)} x ${item.quantity}</p>
+                    ${item.is_available ? '' : '<p class="text-xs text-red-500">Indisponível de momento</p>'}
+                </div>
+                <div class="flex items-center space-x-3">
+                    <div class="flex items-center space-x-2">
+                        <button onclick="updateQuantity(${item.id}, ${item.quantity - 1})"
+                                class="w-8 h-8 bg-gray-300 hover:bg-gray-400 rounded-full flex items-center justify-center text-gray-700 font-bold transition-colors">-</button>
+                        <span class="w-8 text-center font-semibold">${item.quantity}</span>
+                        <button onclick="updateQuantity(${item.id}, ${item.quantity + 1})"
+                                class="w-8 h-8 bg-gray-300 hover:bg-gray-400 rounded-full flex items-center justify-center text-gray-700 font-bold transition-colors">+</button>
+                    </div>
+                    <div class="text-right">
+                        <div class="font-bold text-primary">€${itemTotal.toFixed(2)}</div>
+                        <button onclick="removeFromCart(${item.id})"
+                                class="text-red-500 hover:text-red-700 text-sm transition-colors">Remover</button>
+                    </div>
+                </div>
+            </div>
+        `;
+    }).join('');
+
+    if (cartTotalElement) {
+        cartTotalElement.textContent = `€${cartTotal().toFixed(2)}`;
+    }
+}
+
+// ===== CHECKOUT =====
+
+const inputClass = 'w-full border border-gray-300 rounded-lg px-3 py-2';
+
+// Finalizar compra: entrar na conta (o carrinho de visitante passa para a conta) ou
+// continuar como visitante, e depois os dados da encomenda
+function checkout() {
+    if (cartItems.length === 0) {
+        showNotification('Carrinho vazio!', 'error');
+        return;
+    }
+
+    const panel = document.getElementById('checkout-panel');
+    if (!panel) return;
+
+    panel.classList.remove('hidden');
+    panel.innerHTML = isLoggedIn() ? renderOrderForm() : renderLoginForm();
+    updateDeliveryQuote();
+}
+
+function renderLoginForm() {
+    return `
+        <h3 class="text-lg font-bold text-text-primary mb-2">Entre na sua conta para encomendar</h3>
+        <p class="text-sm text-gray-600 mb-4">Os produtos do carrinho ficam guardados na sua conta.</p>
+        <form onsubmit="submitCheckoutLogin(event)" class="space-y-3">
+            <input id="checkout-email" type="email" required placeholder="Email" class="${inputClass}">
+            <input id="checkout-password" type="password" required placeholder="Password" class="${inputClass}">
+            <button type="submit" class="w-full bg-primary text-white py-3 rounded-lg font-semibold hover:bg-primary-600 transition-colors">
+                Entrar
+            </button>
+        </form>
+        <button onclick="requestPasswordReset()" class="w-full mt-2 text-sm text-gray-600 hover:underline">
+            Esqueceu a password?
+        </button>
+        <button onclick="checkoutAsGuest()" class="w-full mt-3 text-primary font-semibold hover:underline">
+            Continuar sem conta →
+        </button>
+    `;
+}
+
+// Envia o link para definir uma nova password (/repor-password) para o email indicado no formulário
+async function requestPasswordReset() {
+    const email = document.getElementById('checkout-email').value;
+
+    if (!email) {
+        showNotification('Indique o seu email', 'error');
+        return;
+    }
+
+    try {
+        const data = await cartRequest('POST', '/api/auth/forgot-password', { email });
+        showNotification(data.message, 'success');
+    } catch (e) {
+        showNotification(e.message, 'error');
+    }
+}
+
+function checkoutAsGuest() {
+    document.getElementById('checkout-panel').innerHTML = renderOrderForm({ guest: true });
+    updateDeliveryQuote();
+}
+
+function renderOrderForm({ guest = false } = {}) {
+    const contactFields = guest ? `
+            <input id="checkout-name" required placeholder="Nome" class="${inputClass}">
+            <div class="flex space-x-3">
+                <input id="checkout-customer-phone" type="tel" required placeholder="Telefone (9xxxxxxxx)" class="${inputClass}">
+                <input id="checkout-customer-email" type="email" required placeholder="Email" class="${inputClass}">
+            </div>` : '';
+
+    return `
+        <h3 class="text-lg font-bold text-text-primary mb-4">Dados da encomenda</h3>
+        <form onsubmit="submitOrder(event, ${guest})" class="space-y-3">${contactFields}
+            <select id="checkout-delivery-type" onchange="toggleCheckoutAddress()" class="${inputClass}">
+                <option value="delivery">🚚 Entrega ao domicílio</option>
+                <option value="pickup">🏪 Levantar na loja</option>
+            </select>
+            <div id="checkout-address" class="space-y-3">
+                <input id="checkout-street" placeholder="Rua e número" class="${inputClass}">
+                <div class="flex space-x-3">
+                    <input id="checkout-postal-code" placeholder="0000-000" onchange="updateDeliveryQuote()" class="${inputClass}">
+                    <input id="checkout-city" placeholder="Cidade" class="${inputClass}">
+                </div>
+            </div>
+            <select id="checkout-payment-method" onchange="toggleCheckoutPhone()" class="${inputClass}">
+                <option value="mbway">📱 MB WAY</option>
+                <option value="multibanco">🏧 Referência Multibanco</option>
+                <option value="cash">💶 Dinheiro na entrega</option>
+            </select>
+            <input id="checkout-phone" type="tel" placeholder="Telemóvel MB WAY (9xxxxxxxx)" class="${inputClass}">
+            <textarea id="checkout-notes" rows="2" placeholder="Observações (opcional)" class="${inputClass}"></textarea>
+            <div id="checkout-quote" class="bg-gray-50 rounded-lg p-4 text-sm">
+                <p class="text-gray-500">Indique o código postal para calcular a taxa de entrega.</p>
+            </div>
+            <button type="submit" id="checkout-submit" class="w-full bg-primary text-white py-3 rounded-lg font-semibold hover:bg-primary-600 transition-colors">
+                Confirmar Encomenda (€${cartTotal().toFixed(2)} + IVA)
+            </button>
+        </form>
+    `;
+}
+
+function toggleCheckoutAddress() {
+    const isDelivery = document.getElementById('checkout-delivery-type').value === 'delivery';
+    document.getElementById('checkout-address').classList.toggle('hidden', !isDelivery);
+    updateDeliveryQuote();
+}
+
+function checkoutItems() {
+    return cartItems
+        .filter(item => item.is_available)
+        .map(item => ({
+            productId: item.product_id,
+            quantity: item.quantity,
+            specialInstructions: item.special_instructions || undefined
+        }));
+}
+
+// Resumo do checkout: na entrega, a taxa, o pedido mínimo e a entrega grátis vêm da zona
+// da morada (/api/orders/delivery-quote); fora das zonas ou abaixo do mínimo não se pode encomendar
+async function updateDeliveryQuote() {
+    const quotePanel = document.getElementById('checkout-quote');
+    const submitButton = document.getElementById('checkout-submit');
+    if (!quotePanel) return;
+
+    const isDelivery = document.getElementById('checkout-delivery-type').value === 'delivery';
+    const postalCode = document.getElementById('checkout-postal-code').value.trim();
+    const subtotal = cartTotal();
+
+    if (!isDelivery) {
+        const tax = Math.round(subtotal * 0.23 * 100) / 100;
+        quotePanel.innerHTML = renderQuoteTotals({ subtotal, tax, deliveryFee: 0, finalAmount: subtotal + tax });
+        submitButton.disabled = false;
+        return;
+    }
+
+    if (!/^\d{4}-\d{3}$/.test(postalCode)) {
+        quotePanel.innerHTML = '<p class="text-gray-500">Indique o código postal para calcular a taxa de entrega.</p>';
+        submitButton.disabled = false;
+        return;
+    }
+
+    try {
+        const quote = (await cartRequest('POST', '/api/orders/delivery-quote', {
+            deliveryAddress: { postalCode },
+            items: checkoutItems().map(({ productId, quantity }) => ({ productId, quantity }))
+        })).data;
+
+        quotePanel.innerHTML = renderDeliveryQuote(quote);
+        submitButton.disabled = !quote.meetsMinimum;
+    } catch (e) {
+        quotePanel.innerHTML = `<p class="text-red-500">${escapeHtml(e.message)}</p>`;
+        submitButton.disabled = true;
+    }
+}
+
+function renderQuoteTotals({ subtotal, tax, deliveryFee, finalAmount }) {
+    return `
+        <p class="flex justify-between"><span>Subtotal</span><span>€${subtotal.toFixed(2)}</span></p>
+        <p class="flex justify-between"><span>IVA (23%)</span><span>€${tax.toFixed(2)}</span></p>
+        <p class="flex justify-between"><span>Taxa de entrega</span><span>${deliveryFee > 0 ? `€${deliveryFee.toFixed(2)}` : 'Grátis'}</span></p>
+        <p class="flex justify-between font-bold text-primary mt-1"><span>Total</span><span>€${finalAmount.toFixed(2)}</span></p>
+    `;
+}
+
+function renderDeliveryQuote(quote) {
+    const zone = quote.zone ? `<p class="text-gray-600 mb-2">🚚 Entrega em ${escapeHtml(quote.zone.name)}${quote.estimatedMinutes ? ` (cerca de ${quote.estimatedMinutes} min)` : ''}</p>` : '';
+    const freeDelivery = quote.amountForFreeDelivery > 0
+        ? `<p class="text-gray-600 mt-2">Faltam €${quote.amountForFreeDelivery.toFixed(2)} para a entrega grátis.</p>`
+        : '';
+    const minimum = quote.meetsMinimum ? '' : `
+        <p class="text-red-500 mt-2">O pedido mínimo nesta zona é de €${quote.minOrderAmount.toFixed(2)}: faltam €${quote.amountToMinimum.toFixed(2)}.</p>`;
+
+    return `${zone}${renderQuoteTotals(quote)}${freeDelivery}${minimum}`;
+}
+
+function toggleCheckoutPhone() {
+    const isMbway = document.getElementById('checkout-payment-method').value === 'mbway';
+    document.getElementById('checkout-phone').classList.toggle('hidden', !isMbway);
+}
+
+async function submitCheckoutLogin(event) {
+    event.preventDefault();
+
+    try {
+        const data = await cartRequest('POST', '/api/auth/login', {
+            email: document.getElementById('checkout-email').value,
+            password: document.getElementById('checkout-password').value,
+            cartToken: readStorage(CART_TOKEN_KEY) || undefined
+        });
+
+        storeSession(data.data);
+        writeStorage(CART_TOKEN_KEY, null);
+        await loadCart();
+
+        showNotification(`Olá, ${data.data.user.name}!`, 'success');
+        checkout();
+    } catch (e) {
+        showNotification(e.message, 'error');
+    }
+}
+
+async function submitOrder(event, guest = false) {
+    event.preventDefault();
+
+    const submitButton = document.getElementById('checkout-submit');
+    const deliveryType = document.getElementById('checkout-delivery-type').value;
+    const paymentMethod = document.getElementById('checkout-payment-method').value;
+
+    const orderData = {
+        items: checkoutItems(),
+        deliveryType,
+        paymentMethod,
+        customerNotes: document.getElementById('checkout-notes').value || undefined
+    };
+
+    if (deliveryType === 'delivery') {
+        orderData.deliveryAddress = {
+            street: document.getElementById('checkout-street').value,
+            city: document.getElementById('checkout-city').value,
+            postalCode: document.getElementById('checkout-postal-code').value
+        };
+    }
+
+    if (guest) {
+        orderData.customer = {
+            name: document.getElementById('checkout-name').value,
+            phone: document.getElementById('checkout-customer-phone').value,
+            email: document.getElementById('checkout-customer-email').value
+        };
+    }
+
+    submitButton.disabled = true;
+
+    // Pedidos de visitantes recebem um link de acompanhamento, usado também para pagar
+    let order;
+    let tracking = null;
+    try {
+        const data = (await cartRequest('POST', guest ? '/api/orders/guest' : '/api/orders', orderData)).data;
+        order = data.order;
+        if (guest) {
+            tracking = { token: data.trackingToken, url: data.trackingUrl };
+        }
+    } catch (e) {
+        submitButton.disabled = false;
+        showNotification(e.message, 'error');
+        return;
+    }
+
+    // O servidor esvaziou o carrinho ao criar o pedido
+    await loadCart();
+
+    const phone = paymentMethod === 'mbway' ? document.getElementById('checkout-phone').value : undefined;
+    let paymentData = null;
+    try {
+        paymentData = tracking
+            ? (await cartRequest('POST', `/api/orders/track/${encodeURIComponent(tracking.token)}/payment`, { phone })).data
+            : (await cartRequest('POST', '/api/payments', { orderId: order.id, phone })).data;
+    } catch (e) {
+        showNotification(`Encomenda registada, mas o pagamento falhou: ${e.message}`, 'error');
+    }
+
+    document.getElementById('checkout-panel').innerHTML = renderOrderConfirmation(order, paymentData, tracking);
+    showNotification('🎉 Encomenda registada!', 'success');
+}
+
+function renderPaymentInstructions(paymentData) {
+    if (!paymentData) {
+        return '<p class="text-sm text-red-500">Não foi possível iniciar o pagamento. Contacte-nos para concluir a encomenda.</p>';
+    }
+
+    if (paymentData.reference) {
+        return `
+            <div class="bg-gray-50 rounded-lg p-4 text-sm">
+                <p><strong>Entidade:</strong> ${escapeHtml(paymentData.entity)}</p>
+                <p><strong>Referência:</strong> ${escapeHtml(paymentData.reference)}</p>
+                <p><strong>Valor:</strong> €${Number(paymentData.amount).toFixed(2)}</p>
+                <p class="text-gray-500">Válida até ${new Date(paymentData.expiresAt).toLocaleString('pt-PT')}</p>
+            </div>
+        `;
+    }
+
+    return `<p class="text-sm text-gray-700">${escapeHtml(paymentData.message)}</p>`;
+}
+
+function renderOrderConfirmation(order, paymentData, tracking) {
+    const trackingLink = tracking ? `
+        <p class="text-sm text-gray-600 mt-4">
+            Guarde este link para acompanhar a encomenda:
+            <a href="${escapeHtml(tracking.url)}" class="text-primary font-semibold break-all">${escapeHtml(tracking.url)}</a>
+        </p>` : '';
+
+    return `
+        <div class="text-center mb-4">
+            <div class="text-5xl mb-2">🎉</div>
+            <h3 class="text-lg font-bold text-text-primary">Encomenda ${escapeHtml(order.order_number)} registada</h3>
+            <p class="text-gray-600">Total: €${order.final_amount.toFixed(2)}</p>
+        </div>
+        ${renderPaymentInstructions(paymentData)}
+        ${trackingLink}
+    `;
+}
+
+// Carrinho do servidor assim que a página carregar
+document.addEventListener('DOMContentLoaded', loadCart);
@@ -0,0 +1,70 @@
+const BaseRepository = require('./base-repository');
+
+// Livro de moradas dos clientes; no máximo uma morada predefinida por cliente
+class AddressRepository extends BaseRepository {
+    constructor(db) {
+        super(db, 'user_addresses');
+    }
+
+    listByUser(userId) {
+        return this.db.all(`
+            SELECT * FROM user_addresses
+            WHERE user_id = ?
+            ORDER BY is_default DESC, created_at, id
+        `, [userId]);
+    }
+
+    findForUser(id, userId) {
+        return this.db.get('SELECT * FROM user_addresses WHERE id = ? AND user_id = ?', [id, userId]);
+    }
+
+    findDefault(userId) {
+        return this.db.get('SELECT * FROM user_addresses WHERE user_id = ? AND is_default = 1', [userId]);
+    }
+
+    // Morada mais recente (nova predefinida quando a predefinida é apagada)
+    findLatest(userId) {
+        return this.db.get('SELECT * FROM user_addresses WHERE user_id = ? ORDER BY created_at DESC, id DESC LIMIT 1', [userId]);
+    }
+
+    async countByUser(userId) {
+        const row = await this.db.get('SELECT COUNT(*) as total FROM user_addresses WHERE user_id = ?', [userId]);
+        return row.total;
+    }
+
+    create(userId, { label, street, city, postalCode, lat, lng, deliveryInstructions, isDefault }) {
+        return this.insert({
+            user_id: userId,
+            label,
+            street,
+            city,
+            postal_code: postalCode,
+            lat: lat ?? null,
+            lng: lng ?? null,
+            delivery_instructions: deliveryInstructions || null,
+            is_default: isDefault ? 1 : 0
+        });
+    }
+
+    // Tirar a marca de predefinida antes de marcar outra (índice único por cliente)
+    clearDefault(userId) {
+        return this.db.run('UPDATE user_addresses SET is_default = 0 WHERE user_id = ? AND is_default = 1', [userId]);
+    }
+
+    markDefault(id) {
+        return this.db.run('UPDATE user_addresses SET is_default = 1, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [id]);
+    }
+
+    // Os pedidos mantêm a cópia da morada; só perdem a ligação ao livro
+    async delete(id) {
+        await this.db.run('UPDATE orders SET address_id = NULL WHERE address_id = ?', [id]);
+        return this.deleteById(id);
+    }
+
+    async deleteForUser(userId) {
+        await this.db.run('UPDATE orders SET address_id = NULL WHERE user_id = ?', [userId]);
+        return this.db.run('DELETE FROM user_addresses WHERE user_id = ?', [userId]);
+    }
+}
+
+module.exports = AddressRepository;
@@ -0,0 +1,87 @@
+const BaseRepository = require('./base-repository');
+
+// Construir cláusula WHERE para os filtros do registo de auditoria
+function buildFilters({ actor, action, entityType, entityId, from, to } = {}) {
+    let whereClause = 'WHERE 1=1';
+    const params = [];
+
+    if (actor) {
+        whereClause += ' AND (a.actor_username = ? OR CAST(a.actor_id AS TEXT) = ?)';
+        params.push(actor, String(actor));
+    }
+    if (action) {
+        whereClause += ' AND a.action = ?';
+        params.push(action);
+    }
+    if (entityType) {
+        whereClause += ' AND a.entity_type = ?';
+        params.push(entityType);
+    }
+    if (entityId) {
+        whereClause += ' AND a.entity_id = ?';
+        params.push(String(entityId));
+    }
+    if (from) {
+        whereClause += ' AND a.created_at >= datetime(?)';
+        params.push(from);
+    }
+    if (to) {
+        whereClause += ' AND a.created_at <= datetime(?)';
+        params.push(to);
+    }
+
+    return { whereClause, params };
+}
+
+// Registo de auditoria: só se acrescentam linhas (a tabela recusa UPDATE e DELETE)
+class AuditLogRepository extends BaseRepository {
+    constructor(db) {
+        super(db, 'audit_log');
+    }
+
+    append({ actor, action, entityType, entityId, changes, metadata, ip, userAgent }) {
+        return this.insert({
+            actor_id: actor ? actor.id : null,
+            actor_username: actor ? (actor.username || actor.email) : null,
+            actor_role: actor ? actor.role : null,
+            action,
+            entity_type: entityType,
+            entity_id: entityId === undefined || entityId === null ? null : String(entityId),
+            changes: changes ? JSON.stringify(changes) : null,
+            metadata: metadata ? JSON.stringify(metadata) : null,
+            ip: ip || null,
+            user_agent: userAgent || null
+        });
+    }
+
+    list(filters = {}, { limit = 50, offset = 0 } = {}) {
+        const { whereClause, params } = buildFilters(filters);
+
+        return this.db.all(`
+            SELECT a.*
+            FROM audit_log a
+            ${whereClause}
+            ORDER BY a.id DESC
+            LIMIT ? OFFSET ?
+        `, [...params, limit, offset]);
+    }
+
+    async count(filters = {}) {
+        const { whereClause, params } = buildFilters(filters);
+        const row = await this.db.get(`SELECT COUNT(*) as total FROM audit_log a ${whereClause}`, params);
+        return row.total;
+    }
+
+    // Ações e tipos de entidade já registados (opções dos filtros do painel)
+    async listFilterOptions() {
+        const actions = await this.db.all('SELECT DISTINCT action FROM audit_log ORDER BY action');
+        const entityTypes = await this.db.all('SELECT DISTINCT entity_type FROM audit_log ORDER BY entity_type');
+
+        return {
+            actions: actions.map(row => row.action),
+            entityTypes: entityTypes.map(row => row.entity_type)
+        };
+    }
+}
+
+module.exports = AuditLogRepository;
@@ -0,0 +1,48 @@
+// Base comum dos repositórios: guarda o executor (conexão principal ou transação)
+// e implementa as operações por id partilhadas por todas as tabelas.
+class BaseRepository {
+    constructor(db, table) {
+        this.db = db;
+        this.table = table;
+    }
+
+    findById(id) {
+        return this.db.get(`SELECT * FROM ${this.table} WHERE id = ?`, [id]);
+    }
+
+    // Atualizar apenas as colunas indicadas em changes ({ coluna: valor })
+    async updateById(id, changes, { touch = true } = {}) {
+        const columns = Object.keys(changes);
+
+        if (columns.length === 0) {
+            return { changes: 0 };
+        }
+
+        const assignments = columns.map(column => `${column} = ?`);
+        if (touch) {
+            assignments.push('updated_at = CURRENT_TIMESTAMP');
+        }
+
+        return this.db.run(
+            `UPDATE ${this.table} SET ${assignments.join(', ')} WHERE id = ?`,
+            [...columns.map(column => changes[column]), id]
+        );
+    }
+
+    deleteById(id) {
+        return this.db.run(`DELETE FROM ${this.table} WHERE id = ?`, [id]);
+    }
+
+    // Inserir uma linha a partir de um objeto { coluna: valor }
+    async insert(values) {
+        const columns = Object.keys(values);
+        const result = await this.db.run(
+            `INSERT INTO ${this.table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+            columns.map(column => values[column])
+        );
+
+        return result.lastInsertRowid;
+    }
+}
+
+module.exports = BaseRepository;
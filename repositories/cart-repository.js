@@ -0,0 +1,91 @@
+const BaseRepository = require('./base-repository');
+
+// Dono do carrinho: { userId } para clientes autenticados ou { cartToken } para visitantes
+function ownerCondition(owner, alias = 'ci') {
+    if (owner.userId) {
+        return { sql: `${alias}.user_id = ?`, params: [owner.userId] };
+    }
+
+    return { sql: `${alias}.user_id IS NULL AND ${alias}.cart_token = ?`, params: [owner.cartToken] };
+}
+
+class CartRepository extends BaseRepository {
+    constructor(db) {
+        super(db, 'cart_items');
+    }
+
+    listByOwner(owner) {
+        const condition = ownerCondition(owner);
+
+        return this.db.all(`
+            SELECT ci.*, p.name, p.price, p.image_url, p.is_available
+            FROM cart_items ci
+            JOIN products p ON ci.product_id = p.id
+            WHERE ${condition.sql}
+            ORDER BY ci.created_at DESC, ci.id DESC
+        `, condition.params);
+    }
+
+    // Itens com stock para validação antes do checkout
+    listForValidation(owner) {
+        const condition = ownerCondition(owner);
+
+        return this.db.all(`
+            SELECT ci.*, p.name, p.price, p.is_available, p.stock_quantity
+            FROM cart_items ci
+            JOIN products p ON ci.product_id = p.id
+            WHERE ${condition.sql}
+        `, condition.params);
+    }
+
+    findWithProduct(id) {
+        return this.db.get(`
+            SELECT ci.*, p.name, p.price, p.image_url
+            FROM cart_items ci
+            JOIN products p ON ci.product_id = p.id
+            WHERE ci.id = ?
+        `, [id]);
+    }
+
+    findOwnedItem(id, owner) {
+        const condition = ownerCondition(owner);
+
+        return this.db.get(`SELECT * FROM cart_items ci WHERE ci.id = ? AND ${condition.sql}`, [id, ...condition.params]);
+    }
+
+    findByOwnerAndProduct(owner, productId) {
+        const condition = ownerCondition(owner);
+
+        return this.db.get(
+            `SELECT id, quantity FROM cart_items ci WHERE ${condition.sql} AND ci.product_id = ?`,
+            [...condition.params, productId]
+        );
+    }
+
+    add(owner, { productId, quantity, specialInstructions, customization }) {
+        return this.insert({
+            user_id: owner.userId || null,
+            cart_token: owner.userId ? null : owner.cartToken,
+            product_id: productId,
+            quantity,
+            special_instructions: specialInstructions || null,
+            customization: customization || null
+        });
+    }
+
+    clear(owner) {
+        const condition = ownerCondition(owner, 'cart_items');
+
+        return this.db.run(`DELETE FROM cart_items WHERE ${condition.sql}`, condition.params);
+    }
+
+    // Carrinhos de visitantes sem alterações há mais de N dias
+    deleteStaleGuestItems(days) {
+        return this.db.run(`
+            DELETE FROM cart_items
+            WHERE user_id IS NULL AND updated_at < datetime('now', ?)
+        `, [`-${days} days`]);
+    }
+}
+
+module.exports = CartRepository;
@@ -0,0 +1,17 @@
+const BaseRepository = require('./base-repository');
+
+class CategoryRepository extends BaseRepository {
+    constructor(db) {
+        super(db, 'categories');
+    }
+
+    listActive() {
+        return this.db.all(`
+            SELECT * FROM categories
+            WHERE is_active = 1
+            ORDER BY sort_order, name
+        `);
+    }
+}
+
+module.exports = CategoryRepository;
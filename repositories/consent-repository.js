@@ -0,0 +1,91 @@
+const BaseRepository = require('./base-repository');
+
+// Registo dos consentimentos de marketing: só se acrescentam linhas; o estado atual de cada
+// canal/finalidade é a linha mais recente
+class ConsentRepository extends BaseRepository {
+    constructor(db) {
+        super(db, 'consent_records');
+    }
+
+    append({ userId, channel, purpose, granted, source, recordedBy, ip, userAgent }) {
+        return this.insert({
+            user_id: userId,
+            channel,
+            purpose,
+            granted: granted ? 1 : 0,
+            source,
+            recorded_by: recordedBy || null,
+            ip: ip || null,
+            user_agent: userAgent || null
+        });
+    }
+
+    listCurrentForUser(userId) {
+        return this.db.all(`
+            SELECT c.*
+            FROM consent_records c
+            JOIN (
+                SELECT MAX(id) as id FROM consent_records
+                WHERE user_id = ?
+                GROUP BY channel, purpose
+            ) latest ON latest.id = c.id
+        `, [userId]);
+    }
+
+    listHistory(userId) {
+        return this.db.all(`
+            SELECT id, channel, purpose, granted, source, ip, user_agent, created_at
+            FROM consent_records
+            WHERE user_id = ?
+            ORDER BY id DESC
+        `, [userId]);
+    }
+
+    async isGranted(userId, channel, purpose) {
+        const row = await this.db.get(`
+            SELECT granted FROM consent_records
+            WHERE user_id = ? AND channel = ? AND purpose = ?
+            ORDER BY id DESC
+            LIMIT 1
+        `, [userId, channel, purpose]);
+        return Boolean(row && row.granted);
+    }
+
+    // Destinatários de uma campanha: contas ativas com o consentimento dado neste momento
+    listGrantedRecipients(channel, purpose) {
+        return this.db.all(`
+            SELECT u.id, u.name, u.email, u.phone
+            FROM consent_records c
+            JOIN (
+                SELECT MAX(id) as id FROM consent_records
+                WHERE channel = ? AND purpose = ?
+                GROUP BY user_id
+            ) latest ON latest.id = c.id
+            JOIN users u ON u.id = c.user_id
+            WHERE c.granted = 1 AND u.is_active = 1 AND u.erased_at IS NULL
+            ORDER BY u.id
+        `, [channel, purpose]);
+    }
+
+    // Retirar de uma vez todos os consentimentos ainda dados (ex: eliminação da conta)
+    withdrawAllForUser(userId, source) {
+        return this.db.run(`
+            INSERT INTO consent_records (user_id, channel, purpose, granted, source)
+            SELECT c.user_id, c.channel, c.purpose, 0, ?
+            FROM consent_records c
+            JOIN (
+                SELECT MAX(id) as id FROM consent_records
+                WHERE user_id = ?
+                GROUP BY channel, purpose
+            ) latest ON latest.id = c.id
+            WHERE c.granted = 1
+        `, [source, userId]);
+    }
+
+    // O histórico fica como prova, mas sem o IP e o dispositivo
+    anonymizeForUser(userId) {
+        return this.db.run('UPDATE consent_records SET ip = NULL, user_agent = NULL WHERE user_id = ?', [userId]);
+    }
+}
+
+module.exports = ConsentRepository;
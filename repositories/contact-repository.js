@@ -0,0 +1,73 @@
+const BaseRepository = require('./base-repository');
+
+// Construir cláusula WHERE para os filtros da listagem de contactos
+function buildFilters({ status, subject } = {}) {
+    let whereClause = 'WHERE 1=1';
+    const params = [];
+
+    if (status) {
+        whereClause += ' AND status = ?';
+        params.push(status);
+    }
+    if (subject) {
+        whereClause += ' AND subject LIKE ?';
+        params.push(`%${subject}%`);
+    }
+
+    return { whereClause, params };
+}
+
+class ContactRepository extends BaseRepository {
+    constructor(db) {
+        super(db, 'contacts');
+    }
+
+    create({ name, email, phone, subject, message }) {
+        return this.insert({ name, email, phone: phone || null, subject, message });
+    }
+
+    list(filters = {}, { limit = 20, offset = 0 } = {}) {
+        const { whereClause, params } = buildFilters(filters);
+
+        return this.db.all(`
+            SELECT * FROM contacts
+            ${whereClause}
+            ORDER BY created_at DESC
+            LIMIT ? OFFSET ?
+        `, [...params, limit, offset]);
+    }
+
+    // Mensagens enviadas com um email (o formulário de contacto não está ligado às contas)
+    listByEmail(email) {
+        return this.db.all('SELECT * FROM contacts WHERE email = ? COLLATE NOCASE ORDER BY created_at, id', [email]);
+    }
+
+    deleteByEmail(email) {
+        return this.db.run('DELETE FROM contacts WHERE email = ? COLLATE NOCASE', [email]);
+    }
+
+    async count(filters = {}) {
+        const { whereClause, params } = buildFilters(filters);
+        const row = await this.db.get(`SELECT COUNT(*) as total FROM contacts ${whereClause}`, params);
+        return row.total;
+    }
+
+    async getStats() {
+        const totalContacts = (await this.db.get('SELECT COUNT(*) as total FROM contacts')).total;
+        const newContacts = (await this.db.get("SELECT COUNT(*) as total FROM contacts WHERE status = 'new'")).total;
+        const readContacts = (await this.db.get("SELECT COUNT(*) as total FROM contacts WHERE status = 'read'")).total;
+        const repliedContacts = (await this.db.get("SELECT COUNT(*) as total FROM contacts WHERE status = 'replied'")).total;
+
+        const monthlyContacts = await this.db.all(`
+            SELECT strftime('%m', created_at) as month, COUNT(*) as count
+            FROM contacts
+            WHERE created_at >= date('now', 'start of year')
+            GROUP BY strftime('%m', created_at)
+            ORDER BY month
+        `);
+
+        return { totalContacts, newContacts, readContacts, repliedContacts, monthlyContacts };
+    }
+}
+
+module.exports = ContactRepository;
@@ -0,0 +1,232 @@
+const BaseRepository = require('./base-repository');
+
+// Entrega com o pedido, o cliente e o entregador. O PIN de entrega fica de fora:
+// só o cliente o vê, e o entregador tem de o pedir no local.
+const DETAILED_SELECT = `
+    SELECT d.id, d.order_id, d.driver_id, d.status, d.estimated_time,
+           d.assigned_at, d.accepted_at, d.departed_at, d.delivered_at, d.failure_reason,
+           d.pin_verified_at, d.proof_photo, d.proof_signature, d.recipient_name,
+           d.created_at, d.updated_at,
+           o.order_number, o.status as order_status,
+           o.delivery_street, o.delivery_city, o.delivery_postal_code, o.delivery_instructions,
+           o.final_amount, o.payment_method, o.payment_status,
+           COALESCE(u.name, o.customer_name) as customer_name,
+           COALESCE(u.phone, o.customer_phone) as customer_phone,
+           dr.name as driver_name
+    FROM deliveries d
+    JOIN orders o ON d.order_id = o.id
+    LEFT JOIN users u ON o.user_id = u.id
+    LEFT JOIN users dr ON d.driver_id = dr.id
+`;
+
+// Construir cláusula WHERE para os filtros da listagem de entregas
+function buildFilters({ status, driverId, from, to } = {}) {
+    let whereClause = 'WHERE 1=1';
+    const params = [];
+
+    if (status) {
+        whereClause += ' AND d.status = ?';
+        params.push(status);
+    }
+    if (driverId) {
+        whereClause += ' AND d.driver_id = ?';
+        params.push(driverId);
+    }
+    if (from) {
+        whereClause += ' AND d.created_at >= datetime(?)';
+        params.push(from);
+    }
+    if (to) {
+        whereClause += ' AND d.created_at <= datetime(?)';
+        params.push(to);
+    }
+
+    return { whereClause, params };
+}
+
+class DeliveryRepository extends BaseRepository {
+    constructor(db) {
+        super(db, 'deliveries');
+    }
+
+    create({ orderId, driverId, status, estimatedTime, pin }) {
+        return this.insert({
+            order_id: orderId,
+            driver_id: driverId || null,
+            status: status || 'pending',
+            estimated_time: estimatedTime || null,
+            delivery_pin: pin || null
+        });
+    }
+
+    findByOrder(orderId) {
+        return this.db.get('SELECT * FROM deliveries WHERE order_id = ?', [orderId]);
+    }
+
+    findDetailed(id) {
+        return this.db.get(`${DETAILED_SELECT} WHERE d.id = ?`, [id]);
+    }
+
+    list(filters = {}, { limit = 20, offset = 0 } = {}) {
+        const { whereClause, params } = buildFilters(filters);
+
+        return this.db.all(`
+            ${DETAILED_SELECT}
+            ${whereClause}
+            ORDER BY d.created_at DESC, d.id DESC
+            LIMIT ? OFFSET ?
+        `, [...params, limit, offset]);
+    }
+
+    async count(filters = {}) {
+        const { whereClause, params } = buildFilters(filters);
+        const row = await this.db.get(`SELECT COUNT(*) as total FROM deliveries d ${whereClause}`, params);
+        return row.total;
+    }
+
+    // Paragens para o cálculo de rotas: coordenadas da morada (do pedido ou, sem elas, da morada
+    // guardada ou do perfil com a mesma rua, como em findDeliveryCoordinates) e hora prometida
+    // (a hora escolhida pelo cliente ou, sem ela, a hora prevista da entrega)
+    listRouteStops(ids) {
+        return this.db.all(`
+            SELECT d.id, d.order_id, d.status, d.created_at,
+                   o.order_number, o.delivery_street, o.delivery_city, o.delivery_postal_code,
+                   COALESCE(o.delivery_lat, a.lat, u.lat) as delivery_lat,
+                   COALESCE(o.delivery_lng, a.lng, u.lng) as delivery_lng,
+                   COALESCE(o.specific_time, d.estimated_time) as promised_time
+            FROM deliveries d
+            JOIN orders o ON d.order_id = o.id
+            LEFT JOIN user_addresses a ON a.id = o.address_id AND a.lat IS NOT NULL AND a.lng IS NOT NULL
+            LEFT JOIN users u ON u.id = o.user_id AND u.street = o.delivery_street
+                AND u.lat IS NOT NULL AND u.lng IS NOT NULL
+            WHERE d.id IN (${ids.map(() => '?').join(', ')})
+        `, ids);
+    }
+
+    // Entregas por fazer de um entregador: as que já saíram primeiro, depois pela ordem de atribuição
+    listDriverQueue(driverId, statuses) {
+        return this.db.all(`
+            ${DETAILED_SELECT}
+            WHERE d.driver_id = ? AND d.status IN (${statuses.map(() => '?').join(', ')})
+            ORDER BY CASE d.status WHEN 'out_for_delivery' THEN 0 ELSE 1 END, d.assigned_at, d.id
+        `, [driverId, ...statuses]);
+    }
+
+    // Novo estado e entregador; as datas de atribuição, saída e entrega ficam gravadas
+    // (assigned_at sempre que o entregador muda, e a aceitação do anterior deixa de contar)
+    updateStatus(id, status, driverId) {
+        return this.db.run(`
+            UPDATE deliveries
+            SET status = ?,
+                assigned_at = CASE WHEN ? IS NOT NULL AND driver_id IS NOT ? THEN CURRENT_TIMESTAMP ELSE assigned_at END,
+                accepted_at = CASE WHEN driver_id IS NOT ? THEN NULL ELSE accepted_at END,
+                driver_id = ?,
+                departed_at = CASE WHEN ? = 'out_for_delivery' THEN CURRENT_TIMESTAMP ELSE departed_at END,
+                delivered_at = CASE WHEN ? = 'delivered' THEN CURRENT_TIMESTAMP ELSE delivered_at END,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `, [status, driverId, driverId, driverId, driverId, status, status, id]);
+    }
+
+    markAccepted(id) {
+        return this.db.run(
+            'UPDATE deliveries SET accepted_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [id]
+        );
+    }
+
+    setFailureReason(id, reason) {
+        return this.updateById(id, { failure_reason: reason });
+    }
+
+    // Conta a tentativa só enquanto o limite não foi atingido (changes 0 quando já se esgotaram)
+    recordPinAttempt(id, maxAttempts) {
+        return this.db.run(
+            'UPDATE deliveries SET pin_attempts = pin_attempts + 1 WHERE id = ? AND pin_attempts < ?',
+            [id, maxAttempts]
+        );
+    }
+
+    saveProof(id, { photo, signature, recipientName, pinVerified }) {
+        return this.db.run(`
+            UPDATE deliveries
+            SET proof_photo = ?, proof_signature = ?, recipient_name = ?,
+                pin_verified_at = CASE WHEN ? THEN CURRENT_TIMESTAMP END,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `, [photo || null, signature || null, recipientName || null, pinVerified ? 1 : 0, id]);
+    }
+
+    listProofFilesForUser(userId) {
+        return this.db.all(`
+            SELECT d.proof_photo, d.proof_signature
+            FROM deliveries d
+            JOIN orders o ON d.order_id = o.id
+            WHERE o.user_id = ? AND (d.proof_photo IS NOT NULL OR d.proof_signature IS NOT NULL)
+        `, [userId]);
+    }
+
+    // Eliminação da conta do cliente: saem a prova de entrega com dados pessoais e o percurso
+    // até à morada (fica a data da entrega)
+    async anonymizeForUser(userId) {
+        await this.db.run(`
+            DELETE FROM delivery_locations
+            WHERE delivery_id IN (
+                SELECT d.id FROM deliveries d JOIN orders o ON d.order_id = o.id WHERE o.user_id = ?
+            )
+        `, [userId]);
+
+        return this.db.run(`
+            UPDATE deliveries
+            SET proof_photo = NULL, proof_signature = NULL, recipient_name = NULL, delivery_pin = NULL
+            WHERE order_id IN (SELECT id FROM orders WHERE user_id = ?)
+        `, [userId]);
+    }
+
+    addLocation(deliveryId, { driverId, latitude, longitude, accuracy, speed, heading, recordedAt }) {
+        return this.db.run(`
+            INSERT INTO delivery_locations (delivery_id, driver_id, latitude, longitude, accuracy, speed, heading, recorded_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `, [deliveryId, driverId || null, latitude, longitude, accuracy ?? null, speed ?? null, heading ?? null, recordedAt]);
+    }
+
+    findLastLocation(deliveryId) {
+        return this.db.get(`
+            SELECT * FROM delivery_locations
+            WHERE delivery_id = ?
+            ORDER BY recorded_at DESC, id DESC
+            LIMIT 1
+        `, [deliveryId]);
+    }
+
+    // Percurso do entregador, pela ordem em que as posições foram registadas no telemóvel
+    listLocations(deliveryId) {
+        return this.db.all(`
+            SELECT id, driver_id, latitude, longitude, accuracy, speed, heading, recorded_at
+            FROM delivery_locations
+            WHERE delivery_id = ?
+            ORDER BY recorded_at, id
+        `, [deliveryId]);
+    }
+
+    addStatusHistory(deliveryId, { status, driverId, note, updatedBy }) {
+        return this.db.run(`
+            INSERT INTO delivery_status_history (delivery_id, status, driver_id, note, updated_by)
+            VALUES (?, ?, ?, ?, ?)
+        `, [deliveryId, status, driverId || null, note || null, updatedBy || null]);
+    }
+
+    findStatusHistory(deliveryId) {
+        return this.db.all(`
+            SELECT h.id, h.status, h.driver_id, dr.name as driver_name, h.note,
+                   h.updated_by, u.name as updated_by_name, h.timestamp
+            FROM delivery_status_history h
+            LEFT JOIN users dr ON h.driver_id = dr.id
+            LEFT JOIN users u ON h.updated_by = u.id
+            WHERE h.delivery_id = ?
+            ORDER BY h.timestamp, h.id
+        `, [deliveryId]);
+    }
+}
+
+module.exports = DeliveryRepository;
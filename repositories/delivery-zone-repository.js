@@ -0,0 +1,51 @@
+const BaseRepository = require('./base-repository');
+
+// Colunas da zona a partir dos dados do painel (camelCase)
+function toColumns({ name, postalCodeFrom, postalCodeTo, center, radiusKm, polygon, baseFee, feePerKm, freeDeliveryThreshold, minOrderAmount, priority, isActive }) {
+    return {
+        name,
+        postal_code_from: postalCodeFrom ?? null,
+        postal_code_to: postalCodeTo ?? null,
+        center_lat: center?.lat ?? null,
+        center_lng: center?.lng ?? null,
+        radius_km: radiusKm ?? null,
+        polygon: polygon ? JSON.stringify(polygon) : null,
+        base_fee: baseFee ?? 0,
+        fee_per_km: feePerKm ?? 0,
+        free_delivery_threshold: freeDeliveryThreshold ?? null,
+        min_order_amount: minOrderAmount ?? 0,
+        priority: priority ?? 0,
+        is_active: isActive === false ? 0 : 1
+    };
+}
+
+// Zonas de entrega; a primeira zona ativa que contém a morada (por prioridade) define a taxa
+class DeliveryZoneRepository extends BaseRepository {
+    constructor(db) {
+        super(db, 'delivery_zones');
+    }
+
+    listAll() {
+        return this.db.all('SELECT * FROM delivery_zones ORDER BY is_active DESC, priority DESC, id');
+    }
+
+    listActive() {
+        return this.db.all('SELECT * FROM delivery_zones WHERE is_active = 1 ORDER BY priority DESC, id');
+    }
+
+    create(zone) {
+        return this.insert(toColumns(zone));
+    }
+
+    update(id, zone) {
+        return this.updateById(id, toColumns(zone));
+    }
+
+    // Os pedidos mantêm a taxa cobrada; só perdem a ligação à zona (usar dentro de transaction())
+    async delete(id) {
+        await this.db.run('UPDATE orders SET delivery_zone_id = NULL WHERE delivery_zone_id = ?', [id]);
+        return this.deleteById(id);
+    }
+}
+
+module.exports = DeliveryZoneRepository;
@@ -0,0 +1,56 @@
+const database = require('../config/database');
+const UserRepository = require('./user-repository');
+const OrderRepository = require('./order-repository');
+const CartRepository = require('./cart-repository');
+const ProductRepository = require('./product-repository');
+const CategoryRepository = require('./category-repository');
+const LoyaltyRepository = require('./loyalty-repository');
+const ContactRepository = require('./contact-repository');
+const DeliveryRepository = require('./delivery-repository');
+const PaymentRepository = require('./payment-repository');
+const RefundRepository = require('./refund-repository');
+const TokenRepository = require('./token-repository');
+const VerificationRepository = require('./verification-repository');
+const SettingsRepository = require('./settings-repository');
+const RecoveryCodeRepository = require('./recovery-code-repository');
+const LoginThrottleRepository = require('./login-throttle-repository');
+const AuditLogRepository = require('./audit-log-repository');
+const ConsentRepository = require('./consent-repository');
+const AddressRepository = require('./address-repository');
+const DeliveryZoneRepository = require('./delivery-zone-repository');
+
+// Criar o conjunto de repositórios sobre um executor (conexão principal ou transação)
+function createRepositories(executor) {
+    return {
+        userRepository: new UserRepository(executor),
+        orderRepository: new OrderRepository(executor),
+        cartRepository: new CartRepository(executor),
+        productRepository: new ProductRepository(executor),
+        categoryRepository: new CategoryRepository(executor),
+        loyaltyRepository: new LoyaltyRepository(executor),
+        contactRepository: new ContactRepository(executor),
+        deliveryRepository: new DeliveryRepository(executor),
+        paymentRepository: new PaymentRepository(executor),
+        refundRepository: new RefundRepository(executor),
+        tokenRepository: new TokenRepository(executor),
+        verificationRepository: new VerificationRepository(executor),
+        settingsRepository: new SettingsRepository(executor),
+        recoveryCodeRepository: new RecoveryCodeRepository(executor),
+        loginThrottleRepository: new LoginThrottleRepository(executor),
+        auditLogRepository: new AuditLogRepository(executor),
+        consentRepository: new ConsentRepository(executor),
+        addressRepository: new AddressRepository(executor),
+        deliveryZoneRepository: new DeliveryZoneRepository(executor)
+    };
+}
+
+// Executar fn numa transação: fn recebe repositórios ligados à transação e
+// tudo o que fizer é confirmado ou revertido em conjunto.
+function transaction(fn) {
+    return database.transaction(tx => fn(createRepositories(tx)));
+}
+
+module.exports = {
+    ...createRepositories(database),
+    transaction
+};
@@ -0,0 +1,99 @@
+const BaseRepository = require('./base-repository');
+
+// Segundos (arredondados para cima) até uma data: 0 ou menos se já passou, null se não existe
+const secondsUntil = (column) => `CAST((julianday(${column}) - julianday('now')) * 86400 + 0.999 AS INTEGER)`;
+
+// Tentativas de login falhadas por conta ou por IP (espera progressiva e bloqueios)
+class LoginThrottleRepository extends BaseRepository {
+    constructor(db) {
+        super(db, 'login_throttles');
+    }
+
+    // Estado atual: segundos que ainda faltam de bloqueio e de espera
+    findState(scope, key) {
+        return this.db.get(`
+            SELECT id, failed_attempts, lockouts,
+                   ${secondsUntil('locked_until')} as lock_seconds_left,
+                   ${secondsUntil('next_attempt_at')} as delay_seconds_left
+            FROM login_throttles
+            WHERE scope = ? AND throttle_key = ?
+        `, [scope, key]);
+    }
+
+    // Contar uma falha. Falhas mais antigas que a janela já não contam, e o histórico
+    // de bloqueios é esquecido depois de um dia sem falhas.
+    async recordFailure(scope, key, { userId, ip, windowMinutes }) {
+        await this.db.run(`
+            INSERT INTO login_throttles (scope, throttle_key, user_id, last_ip, failed_attempts, last_failed_at)
+            VALUES (?, ?, ?, ?, 1, CURRENT_TIMESTAMP)
+            ON CONFLICT (scope, throttle_key) DO UPDATE SET
+                failed_attempts = CASE
+                    WHEN last_failed_at > datetime('now', ?) THEN failed_attempts + 1
+                    ELSE 1
+                END,
+                lockouts = CASE
+                    WHEN last_failed_at > datetime('now', '-1 day') THEN lockouts
+                    ELSE 0
+                END,
+                user_id = COALESCE(excluded.user_id, user_id),
+                last_ip = excluded.last_ip,
+                last_failed_at = CURRENT_TIMESTAMP,
+                updated_at = CURRENT_TIMESTAMP
+        `, [scope, key, userId || null, ip || null, `-${windowMinutes} minutes`]);
+
+        return this.db.get(
+            'SELECT id, failed_attempts, lockouts FROM login_throttles WHERE scope = ? AND throttle_key = ?',
+            [scope, key]
+        );
+    }
+
+    // Com milissegundos: as esperas são de poucos segundos
+    delayNextAttempt(id, seconds) {
+        return this.db.run(`
+            UPDATE login_throttles
+            SET next_attempt_at = strftime('%Y-%m-%d %H:%M:%f', 'now', ?), updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `, [`+${seconds} seconds`, id]);
+    }
+
+    // Bloquear: as falhas voltam a zero (novas tentativas depois do bloqueio) e o bloqueio conta
+    // para o seguinte ser mais longo
+    lock(id, minutes) {
+        return this.db.run(`
+            UPDATE login_throttles
+            SET locked_until = datetime('now', ?), lockouts = lockouts + 1,
+                failed_attempts = 0, next_attempt_at = NULL, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `, [`+${minutes} minutes`, id]);
+    }
+
+    clear(scope, key) {
+        return this.db.run('DELETE FROM login_throttles WHERE scope = ? AND throttle_key = ?', [scope, key]);
+    }
+
+    // Bloqueios ativos e falhas recentes (painel), com a conta quando é conhecida
+    listActive(windowMinutes) {
+        return this.db.all(`
+            SELECT lt.id, lt.scope, lt.throttle_key, lt.user_id, lt.last_ip, lt.failed_attempts,
+                   lt.lockouts, lt.last_failed_at, lt.next_attempt_at, lt.locked_until,
+                   lt.locked_until > CURRENT_TIMESTAMP as is_locked,
+                   u.name as user_name, u.username, u.email, u.role
+            FROM login_throttles lt
+            LEFT JOIN users u ON u.id = lt.user_id
+            WHERE lt.locked_until > CURRENT_TIMESTAMP
+               OR (lt.failed_attempts > 0 AND lt.last_failed_at > datetime('now', ?))
+            ORDER BY is_locked DESC, lt.last_failed_at DESC
+        `, [`-${windowMinutes} minutes`]);
+    }
+
+    // Linhas sem falhas há mais de um dia e sem bloqueio ativo
+    deleteStale() {
+        return this.db.run(`
+            DELETE FROM login_throttles
+            WHERE last_failed_at <= datetime('now', '-1 day')
+              AND (locked_until IS NULL OR locked_until <= CURRENT_TIMESTAMP)
+        `);
+    }
+}
+
+module.exports = LoginThrottleRepository;
@@ -0,0 +1,85 @@
+const BaseRepository = require('./base-repository');
+
+class LoyaltyRepository extends BaseRepository {
+    constructor(db) {
+        super(db, 'loyalty_transactions');
+    }
+
+    listTransactions(userId, { limit = 20, offset = 0 } = {}) {
+        return this.db.all(`
+            SELECT * FROM loyalty_transactions
+            WHERE user_id = ?
+            ORDER BY created_at DESC
+            LIMIT ? OFFSET ?
+        `, [userId, limit, offset]);
+    }
+
+    listAllTransactions(userId) {
+        return this.db.all('SELECT * FROM loyalty_transactions WHERE user_id = ? ORDER BY created_at, id', [userId]);
+    }
+
+    deleteTransactionsForUser(userId) {
+        return this.db.run('DELETE FROM loyalty_transactions WHERE user_id = ?', [userId]);
+    }
+
+    async countTransactions(userId) {
+        const row = await this.db.get('SELECT COUNT(*) as total FROM loyalty_transactions WHERE user_id = ?', [userId]);
+        return row.total;
+    }
+
+    addTransaction({ userId, orderId, points, type, description }) {
+        return this.insert({
+            user_id: userId,
+            order_id: orderId || null,
+            points,
+            type,
+            description
+        });
+    }
+
+    // Saldo de pontos ganhos com um pedido, descontando os já retirados por reembolsos
+    async sumOrderPoints(orderId) {
+        const row = await this.db.get(`
+            SELECT COALESCE(SUM(points), 0) as total
+            FROM loyalty_transactions
+            WHERE order_id = ? AND type IN ('earned', 'clawback')
+        `, [orderId]);
+        return row.total;
+    }
+
+    listActiveRewards() {
+        return this.db.all('SELECT * FROM loyalty_rewards WHERE is_active = 1 ORDER BY points_required ASC');
+    }
+
+    listActiveGoals() {
+        return this.db.all('SELECT * FROM loyalty_goals WHERE is_active = 1 ORDER BY points_target ASC');
+    }
+
+    async createReward({ name, description, pointsRequired, discountPercentage, discountAmount }) {
+        const result = await this.db.run(`
+            INSERT INTO loyalty_rewards (name, description, points_required, discount_percentage, discount_amount)
+            VALUES (?, ?, ?, ?, ?)
+        `, [name, description, pointsRequired, discountPercentage || null, discountAmount || null]);
+
+        return this.db.get('SELECT * FROM loyalty_rewards WHERE id = ?', [result.lastInsertRowid]);
+    }
+
+    async createGoal({ name, description, pointsTarget, rewardDescription }) {
+        const result = await this.db.run(`
+            INSERT INTO loyalty_goals (name, description, points_target, reward_description)
+            VALUES (?, ?, ?, ?)
+        `, [name, description, pointsTarget, rewardDescription || null]);
+
+        return this.db.get('SELECT * FROM loyalty_goals WHERE id = ?', [result.lastInsertRowid]);
+    }
+
+    getMonthlyTransactions() {
+        return this.db.get(`
+            SELECT COUNT(*) as count, SUM(points) as total
+            FROM loyalty_transactions
+            WHERE created_at >= date('now', 'start of month')
+        `);
+    }
+}
+
+module.exports = LoyaltyRepository;
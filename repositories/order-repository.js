@@ -0,0 +1,202 @@
+const BaseRepository = require('./base-repository');
+
+// Construir cláusula WHERE para os filtros da listagem de pedidos
+function buildFilters({ userId, status, deliveryType, paymentStatus } = {}) {
+    let whereClause = 'WHERE 1=1';
+    const params = [];
+
+    if (userId) {
+        whereClause += ' AND o.user_id = ?';
+        params.push(userId);
+    }
+    if (status) {
+        whereClause += ' AND o.status = ?';
+        params.push(status);
+    }
+    if (deliveryType) {
+        whereClause += ' AND o.delivery_type = ?';
+        params.push(deliveryType);
+    }
+    if (paymentStatus) {
+        whereClause += ' AND o.payment_status = ?';
+        params.push(paymentStatus);
+    }
+
+    return { whereClause, params };
+}
+
+class OrderRepository extends BaseRepository {
+    constructor(db) {
+        super(db, 'orders');
+    }
+
+    create(order) {
+        return this.insert(order);
+    }
+
+    addItem(orderId, item) {
+        return this.db.run(`
+            INSERT INTO order_items (order_id, product_id, product_name, quantity, unit_price, total_price, special_instructions, customization)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            orderId,
+            item.productId,
+            item.productName,
+            item.quantity,
+            item.unitPrice,
+            item.totalPrice,
+            item.specialInstructions || null,
+            item.customization || null
+        ]);
+    }
+
+    deleteItems(orderId) {
+        return this.db.run('DELETE FROM order_items WHERE order_id = ?', [orderId]);
+    }
+
+    // Pedido com os dados de contacto do cliente
+    findWithCustomer(id) {
+        return this.db.get(`
+            SELECT o.*,
+                   COALESCE(u.name, o.customer_name) as customer_name,
+                   COALESCE(u.email, o.customer_email) as customer_email,
+                   COALESCE(u.phone, o.customer_phone) as customer_phone
+            FROM orders o
+            LEFT JOIN users u ON o.user_id = u.id
+            WHERE o.id = ?
+        `, [id]);
+    }
+
+    // Coordenadas da morada de entrega: as do pedido ou, sem elas (morada escrita no checkout,
+    // pedidos antigos), as da morada guardada usada ou as do perfil, se for a mesma rua
+    findDeliveryCoordinates(orderId) {
+        return this.db.get(`
+            SELECT COALESCE(o.delivery_lat, a.lat, u.lat) as lat,
+                   COALESCE(o.delivery_lng, a.lng, u.lng) as lng
+            FROM orders o
+            LEFT JOIN user_addresses a ON a.id = o.address_id AND a.lat IS NOT NULL AND a.lng IS NOT NULL
+            LEFT JOIN users u ON u.id = o.user_id AND u.street = o.delivery_street
+                AND u.lat IS NOT NULL AND u.lng IS NOT NULL
+            WHERE o.id = ?
+        `, [orderId]);
+    }
+
+    findItems(orderId) {
+        return this.db.all(`
+            SELECT oi.*, p.image_url
+            FROM order_items oi
+            LEFT JOIN products p ON oi.product_id = p.id
+            WHERE oi.order_id = ?
+        `, [orderId]);
+    }
+
+    findStatusHistory(orderId) {
+        return this.db.all(`
+            SELECT osh.*, u.name as updated_by_name
+            FROM order_status_history osh
+            LEFT JOIN users u ON osh.updated_by = u.id
+            WHERE osh.order_id = ?
+            ORDER BY osh.timestamp DESC
+        `, [orderId]);
+    }
+
+    // Última vez que o pedido passou a um estado (null se nunca passou)
+    async findStatusTimestamp(orderId, status) {
+        const row = await this.db.get(`
+            SELECT MAX(timestamp) as timestamp
+            FROM order_status_history
+            WHERE order_id = ? AND status = ?
+        `, [orderId, status]);
+
+        return row.timestamp;
+    }
+
+    addStatusHistory(orderId, status, note, updatedBy) {
+        return this.db.run(`
+            INSERT INTO order_status_history (order_id, status, note, updated_by)
+            VALUES (?, ?, ?, ?)
+        `, [orderId, status, note || null, updatedBy || null]);
+    }
+
+    // Todos os pedidos de um cliente, do mais antigo para o mais recente (exportação de dados)
+    listByUser(userId) {
+        return this.db.all('SELECT * FROM orders WHERE user_id = ? ORDER BY created_at, id', [userId]);
+    }
+
+    async countByUserExcludingStatuses(userId, statuses) {
+        const row = await this.db.get(`
+            SELECT COUNT(*) as total FROM orders
+            WHERE user_id = ? AND status NOT IN (${statuses.map(() => '?').join(', ')})
+        `, [userId, ...statuses]);
+        return row.total;
+    }
+
+    // Apagar os dados pessoais dos pedidos de um cliente; valores, itens e estados mantêm-se
+    async anonymizeForUser(userId) {
+        await this.db.run(`
+            UPDATE order_items
+            SET special_instructions = NULL, customization = NULL
+            WHERE order_id IN (SELECT id FROM orders WHERE user_id = ?)
+        `, [userId]);
+
+        return this.db.run(`
+            UPDATE orders
+            SET customer_name = NULL, customer_phone = NULL, customer_email = NULL,
+                delivery_street = NULL, delivery_postal_code = NULL, delivery_instructions = NULL,
+                delivery_lat = NULL, delivery_lng = NULL,
+                customer_notes = NULL, anonymized_at = CURRENT_TIMESTAMP
+            WHERE user_id = ?
+        `, [userId]);
+    }
+
+    updateStatus(id, status) {
+        return this.updateById(id, { status });
+    }
+
+    list(filters = {}, { limit = 20, offset = 0 } = {}) {
+        const { whereClause, params } = buildFilters(filters);
+
+        return this.db.all(`
+            SELECT o.*,
+                   COALESCE(u.name, o.customer_name) as customer_name,
+                   COALESCE(u.phone, o.customer_phone) as customer_phone
+            FROM orders o
+            LEFT JOIN users u ON o.user_id = u.id
+            ${whereClause}
+            ORDER BY o.created_at DESC
+            LIMIT ? OFFSET ?
+        `, [...params, limit, offset]);
+    }
+
+    async count(filters = {}) {
+        const { whereClause, params } = buildFilters(filters);
+        const row = await this.db.get(`SELECT COUNT(*) as total FROM orders o ${whereClause}`, params);
+        return row.total;
+    }
+
+    async getStats() {
+        const totalOrders = (await this.db.get('SELECT COUNT(*) as total FROM orders')).total;
+        const pendingOrders = (await this.db.get("SELECT COUNT(*) as total FROM orders WHERE status = 'pending'")).total;
+        const completedOrders = (await this.db.get("SELECT COUNT(*) as total FROM orders WHERE status = 'delivered'")).total;
+
+        const statusDistribution = await this.db.all(`
+            SELECT status, COUNT(*) as count
+            FROM orders
+            GROUP BY status
+        `);
+
+        const monthlyOrders = await this.db.all(`
+            SELECT strftime('%m', created_at) as month, COUNT(*) as count
+            FROM orders
+            WHERE created_at >= date('now', 'start of year')
+            GROUP BY strftime('%m', created_at)
+            ORDER BY month
+        `);
+
+        const totalRevenue = (await this.db.get("SELECT SUM(final_amount) as total FROM orders WHERE status = 'delivered'")).total || 0;
+
+        return { totalOrders, pendingOrders, completedOrders, totalRevenue, statusDistribution, monthlyOrders };
+    }
+}
+
+module.exports = OrderRepository;
@@ -0,0 +1,70 @@
+const BaseRepository = require('./base-repository');
+
+class PaymentRepository extends BaseRepository {
+    constructor(db) {
+        super(db, 'payments');
+    }
+
+    create({ orderId, provider, providerPaymentId, amount, currency, status, details, expiresAt }) {
+        return this.insert({
+            order_id: orderId,
+            provider: provider || 'stripe',
+            provider_payment_id: providerPaymentId || null,
+            amount,
+            currency: currency || 'eur',
+            status: status || 'pending',
+            details: details ? JSON.stringify(details) : null,
+            expires_at: expiresAt || null
+        });
+    }
+
+    findByProviderPaymentId(providerPaymentId) {
+        return this.db.get('SELECT * FROM payments WHERE provider_payment_id = ?', [providerPaymentId]);
+    }
+
+    // Pagamento mais recente do pedido
+    findLatestByOrder(orderId) {
+        return this.db.get(`
+            SELECT * FROM payments
+            WHERE order_id = ?
+            ORDER BY created_at DESC, id DESC
+            LIMIT 1
+        `, [orderId]);
+    }
+
+    // Pagamento já cobrado (e ainda não totalmente reembolsado) do pedido
+    findCapturedByOrder(orderId) {
+        return this.db.get(`
+            SELECT * FROM payments
+            WHERE order_id = ? AND status IN ('succeeded', 'partially_refunded')
+            ORDER BY created_at DESC, id DESC
+            LIMIT 1
+        `, [orderId]);
+    }
+
+    listByOrder(orderId) {
+        return this.db.all('SELECT * FROM payments WHERE order_id = ? ORDER BY created_at DESC, id DESC', [orderId]);
+    }
+
+    // Retirar o telemóvel (MB WAY) dos pagamentos dos pedidos de um cliente
+    removePhoneForUser(userId) {
+        return this.db.run(`
+            UPDATE payments
+            SET details = json_remove(details, '$.phone')
+            WHERE details IS NOT NULL
+              AND order_id IN (SELECT id FROM orders WHERE user_id = ?)
+        `, [userId]);
+    }
+
+    // Registar um evento do webhook; devolve false se já tinha sido processado
+    async recordEvent(eventId, type, paymentId) {
+        const result = await this.db.run(`
+            INSERT OR IGNORE INTO payment_events (id, type, payment_id)
+            VALUES (?, ?, ?)
+        `, [eventId, type, paymentId || null]);
+
+        return result.changes > 0;
+    }
+}
+
+module.exports = PaymentRepository;
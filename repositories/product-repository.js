@@ -0,0 +1,94 @@
+const BaseRepository = require('./base-repository');
+
+class ProductRepository extends BaseRepository {
+    constructor(db) {
+        super(db, 'products');
+    }
+
+    listAvailable(categorySlug = 'all') {
+        let query = `
+            SELECT p.*, c.name as category_name
+            FROM products p
+            LEFT JOIN categories c ON p.category_id = c.id
+            WHERE p.is_available = 1
+        `;
+
+        const params = [];
+
+        if (categorySlug !== 'all') {
+            query += ' AND c.slug = ?';
+            params.push(categorySlug);
+        }
+
+        query += ' ORDER BY p.sort_order, p.name';
+
+        return this.db.all(query, params);
+    }
+
+    listFeatured() {
+        return this.db.all(`
+            SELECT p.*, c.name as category_name, c.slug as category_slug
+            FROM products p
+            JOIN categories c ON p.category_id = c.id
+            WHERE p.is_available = 1 AND p.is_featured = 1
+            ORDER BY p.sort_order, p.name
+            LIMIT 6
+        `);
+    }
+
+    search(searchTerm) {
+        const searchPattern = `%${searchTerm}%`;
+
+        return this.db.all(`
+            SELECT p.*, c.name as category_name, c.slug as category_slug
+            FROM products p
+            JOIN categories c ON p.category_id = c.id
+            WHERE p.is_available = 1
+            AND (p.name LIKE ? OR p.description LIKE ? OR c.name LIKE ?)
+            ORDER BY p.sort_order, p.name
+        `, [searchPattern, searchPattern, searchPattern]);
+    }
+
+    // Reservar stock de forma condicional: falha (false) se não houver unidades
+    // suficientes. Produtos com stock -1 são ilimitados.
+    async reserveStock(id, quantity) {
+        const result = await this.db.run(`
+            UPDATE products
+            SET stock_quantity = CASE WHEN stock_quantity = -1 THEN -1 ELSE stock_quantity - ? END
+            WHERE id = ? AND (stock_quantity = -1 OR stock_quantity >= ?)
+        `, [quantity, id, quantity]);
+
+        return result.changes > 0;
+    }
+
+    // Devolver ao stock unidades reservadas (ex: pedido cancelado)
+    releaseStock(id, quantity) {
+        return this.db.run(`
+            UPDATE products
+            SET stock_quantity = stock_quantity + ?
+            WHERE id = ? AND stock_quantity != -1
+        `, [quantity, id]);
+    }
+
+    create(product) {
+        return this.insert(product);
+    }
+
+    async getStats() {
+        const categories = await this.db.all(`
+            SELECT c.name, c.slug, COUNT(p.id) as product_count
+            FROM categories c
+            LEFT JOIN products p ON c.id = p.category_id AND p.is_available = 1
+            WHERE c.is_active = 1 AND c.slug != 'all'
+            GROUP BY c.id, c.name, c.slug
+            ORDER BY c.sort_order
+        `);
+
+        const totalProducts = (await this.db.get('SELECT COUNT(*) as count FROM products WHERE is_available = 1')).count;
+        const featuredCount = (await this.db.get('SELECT COUNT(*) as count FROM products WHERE is_available = 1 AND is_featured = 1')).count;
+
+        return { totalProducts, featuredCount, categories };
+    }
+}
+
+module.exports = ProductRepository;
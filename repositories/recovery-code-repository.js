@@ -0,0 +1,42 @@
+const BaseRepository = require('./base-repository');
+
+// Códigos de recuperação da 2FA (uso único, guardados só como hash)
+class RecoveryCodeRepository extends BaseRepository {
+    constructor(db) {
+        super(db, 'recovery_codes');
+    }
+
+    // Novos códigos substituem todos os anteriores
+    async replaceForUser(userId, codeHashes) {
+        await this.deleteForUser(userId);
+
+        for (const codeHash of codeHashes) {
+            await this.db.run('INSERT INTO recovery_codes (user_id, code_hash) VALUES (?, ?)', [userId, codeHash]);
+        }
+    }
+
+    // Marca o código como usado; false se não existir ou já tiver sido usado
+    async consume(userId, codeHash) {
+        const result = await this.db.run(`
+            UPDATE recovery_codes
+            SET used_at = CURRENT_TIMESTAMP
+            WHERE user_id = ? AND code_hash = ? AND used_at IS NULL
+        `, [userId, codeHash]);
+
+        return result.changes > 0;
+    }
+
+    async countUnused(userId) {
+        const row = await this.db.get(
+            'SELECT COUNT(*) as count FROM recovery_codes WHERE user_id = ? AND used_at IS NULL',
+            [userId]
+        );
+        return row.count;
+    }
+
+    deleteForUser(userId) {
+        return this.db.run('DELETE FROM recovery_codes WHERE user_id = ?', [userId]);
+    }
+}
+
+module.exports = RecoveryCodeRepository;
@@ -0,0 +1,106 @@
+const BaseRepository = require('./base-repository');
+
+// Construir cláusula WHERE para os filtros da listagem de reembolsos
+function buildFilters({ orderId, reason, status } = {}) {
+    let whereClause = 'WHERE 1=1';
+    const params = [];
+
+    if (orderId) {
+        whereClause += ' AND r.order_id = ?';
+        params.push(orderId);
+    }
+    if (reason) {
+        whereClause += ' AND r.reason = ?';
+        params.push(reason);
+    }
+    if (status) {
+        whereClause += ' AND r.status = ?';
+        params.push(status);
+    }
+
+    return { whereClause, params };
+}
+
+class RefundRepository extends BaseRepository {
+    constructor(db) {
+        super(db, 'refunds');
+    }
+
+    create({ orderId, paymentId, type, amount, reason, note, createdBy }) {
+        return this.insert({
+            order_id: orderId,
+            payment_id: paymentId || null,
+            type,
+            amount,
+            reason,
+            note: note || null,
+            created_by: createdBy || null
+        });
+    }
+
+    addItem(refundId, { orderItemId, quantity, amount }) {
+        return this.db.run(`
+            INSERT INTO refund_items (refund_id, order_item_id, quantity, amount)
+            VALUES (?, ?, ?, ?)
+        `, [refundId, orderItemId, quantity, amount]);
+    }
+
+    listByOrder(orderId) {
+        return this.db.all('SELECT * FROM refunds WHERE order_id = ? ORDER BY created_at, id', [orderId]);
+    }
+
+    findItems(refundId) {
+        return this.db.all(`
+            SELECT ri.*, oi.product_name
+            FROM refund_items ri
+            JOIN order_items oi ON ri.order_item_id = oi.id
+            WHERE ri.refund_id = ?
+        `, [refundId]);
+    }
+
+    // Valor já reembolsado (ou em curso) de um pedido
+    async totalRefunded(orderId) {
+        const row = await this.db.get(`
+            SELECT COALESCE(SUM(amount), 0) as total
+            FROM refunds
+            WHERE order_id = ? AND status != 'failed'
+        `, [orderId]);
+        return row.total;
+    }
+
+    // Quantidades já reembolsadas por item do pedido ({ order_item_id: quantidade })
+    async refundedQuantities(orderId) {
+        const rows = await this.db.all(`
+            SELECT ri.order_item_id, SUM(ri.quantity) as quantity
+            FROM refund_items ri
+            JOIN refunds r ON ri.refund_id = r.id
+            WHERE r.order_id = ? AND r.status != 'failed'
+            GROUP BY ri.order_item_id
+        `, [orderId]);
+
+        return Object.fromEntries(rows.map(row => [row.order_item_id, row.quantity]));
+    }
+
+    list(filters = {}, { limit = 20, offset = 0 } = {}) {
+        const { whereClause, params } = buildFilters(filters);
+
+        return this.db.all(`
+            SELECT r.*, o.order_number,
+                   COALESCE(u.name, o.customer_name) as customer_name
+            FROM refunds r
+            JOIN orders o ON r.order_id = o.id
+            LEFT JOIN users u ON o.user_id = u.id
+            ${whereClause}
+            ORDER BY r.created_at DESC, r.id DESC
+            LIMIT ? OFFSET ?
+        `, [...params, limit, offset]);
+    }
+
+    async count(filters = {}) {
+        const { whereClause, params } = buildFilters(filters);
+        const row = await this.db.get(`SELECT COUNT(*) as total FROM refunds r ${whereClause}`, params);
+        return row.total;
+    }
+}
+
+module.exports = RefundRepository;
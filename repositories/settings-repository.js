@@ -0,0 +1,26 @@
+const BaseRepository = require('./base-repository');
+
+// Definições da aplicação alteradas no painel (chave → valor em JSON)
+class SettingsRepository extends BaseRepository {
+    constructor(db) {
+        super(db, 'app_settings');
+    }
+
+    async get(key, defaultValue = null) {
+        const row = await this.db.get('SELECT value FROM app_settings WHERE key = ?', [key]);
+        return row ? JSON.parse(row.value) : defaultValue;
+    }
+
+    set(key, value, updatedBy = null) {
+        return this.db.run(`
+            INSERT INTO app_settings (key, value, updated_by, updated_at)
+            VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+            ON CONFLICT (key) DO UPDATE SET
+                value = excluded.value,
+                updated_by = excluded.updated_by,
+                updated_at = excluded.updated_at
+        `, [key, JSON.stringify(value), updatedBy]);
+    }
+}
+
+module.exports = SettingsRepository;
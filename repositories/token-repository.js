@@ -0,0 +1,73 @@
+const BaseRepository = require('./base-repository');
+
+// Refresh tokens (tabela principal) e lista de tokens de acesso revogados
+class TokenRepository extends BaseRepository {
+    constructor(db) {
+        super(db, 'refresh_tokens');
+    }
+
+    async createRefreshToken({ userId, tokenHash, familyId, ttlDays, userAgent }) {
+        const result = await this.db.run(`
+            INSERT INTO refresh_tokens (user_id, token_hash, family_id, expires_at, user_agent)
+            VALUES (?, ?, ?, datetime('now', ?), ?)
+        `, [userId, tokenHash, familyId, `+${ttlDays} days`, userAgent || null]);
+
+        return result.lastInsertRowid;
+    }
+
+    // Inclui is_expired calculado pelo SQLite (mesmo formato de data que expires_at)
+    findRefreshToken(tokenHash) {
+        return this.db.get(`
+            SELECT *, expires_at <= CURRENT_TIMESTAMP as is_expired
+            FROM refresh_tokens
+            WHERE token_hash = ?
+        `, [tokenHash]);
+    }
+
+    markReplaced(id, replacedBy) {
+        return this.db.run(
+            'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP, replaced_by = ? WHERE id = ?',
+            [replacedBy, id]
+        );
+    }
+
+    revokeFamily(familyId) {
+        return this.db.run(
+            'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE family_id = ? AND revoked_at IS NULL',
+            [familyId]
+        );
+    }
+
+    revokeAllForUser(userId) {
+        return this.db.run(
+            'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = ? AND revoked_at IS NULL',
+            [userId]
+        );
+    }
+
+    // Os refresh tokens guardam o user agent de cada dispositivo
+    deleteRefreshTokensForUser(userId) {
+        return this.db.run('DELETE FROM refresh_tokens WHERE user_id = ?', [userId]);
+    }
+
+    // expiresAt em segundos (exp do JWT): a entrada só é precisa até o token expirar
+    revokeAccessToken(jti, userId, expiresAt) {
+        return this.db.run(`
+            INSERT OR IGNORE INTO revoked_tokens (jti, user_id, expires_at)
+            VALUES (?, ?, datetime(?, 'unixepoch'))
+        `, [jti, userId, expiresAt]);
+    }
+
+    async isAccessTokenRevoked(jti) {
+        const row = await this.db.get('SELECT jti FROM revoked_tokens WHERE jti = ?', [jti]);
+        return Boolean(row);
+    }
+
+    // Limpeza: tokens expirados já não precisam de ficar registados
+    async deleteExpired() {
+        await this.db.run('DELETE FROM revoked_tokens WHERE expires_at <= CURRENT_TIMESTAMP');
+        await this.db.run('DELETE FROM refresh_tokens WHERE expires_at <= CURRENT_TIMESTAMP');
+    }
+}
+
+module.exports = TokenRepository;
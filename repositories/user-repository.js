@@ -0,0 +1,227 @@
+const BaseRepository = require('./base-repository');
+
+// Colunas devolvidas nas várias vistas do usuário (nunca incluem a password)
+const AUTH_COLUMNS = `id, name, email, username, phone, street, city, postal_code, role, loyalty_points,
+    loyalty_tier, is_active, must_change_password, sessions_revoked_at, totp_enabled_at, created_at`;
+const PROFILE_COLUMNS = `id, name, email, phone, street, city, postal_code, lat, lng,
+    role, loyalty_points, loyalty_tier, is_active, email_verified,
+    phone_verified, dietary_restrictions, delivery_instructions,
+    marketing_emails, sms_notifications, last_login, created_at, updated_at`;
+const ADMIN_COLUMNS = 'id, name, email, username, phone, street, city, postal_code, role, loyalty_points, loyalty_tier, is_active, created_at, updated_at';
+const STAFF_COLUMNS = `id, name, email, username, role, is_active, must_change_password,
+    password_changed_at, totp_enabled_at, last_login, created_by, created_at, updated_at`;
+
+// Construir cláusula WHERE para os filtros da listagem de usuários
+function buildFilters({ role, isActive, search } = {}) {
+    let whereClause = 'WHERE 1=1';
+    const params = [];
+
+    if (role) {
+        whereClause += ' AND role = ?';
+        params.push(role);
+    }
+    if (isActive !== undefined) {
+        whereClause += ' AND is_active = ?';
+        params.push(isActive ? 1 : 0);
+    }
+    if (search) {
+        whereClause += ' AND (name LIKE ? OR email LIKE ? OR phone LIKE ?)';
+        const searchTerm = `%${search}%`;
+        params.push(searchTerm, searchTerm, searchTerm);
+    }
+
+    return { whereClause, params };
+}
+
+class UserRepository extends BaseRepository {
+    constructor(db) {
+        super(db, 'users');
+    }
+
+    findAuthById(id) {
+        return this.db.get(`SELECT ${AUTH_COLUMNS} FROM users WHERE id = ?`, [id]);
+    }
+
+    findProfileById(id) {
+        return this.db.get(`SELECT ${PROFILE_COLUMNS} FROM users WHERE id = ?`, [id]);
+    }
+
+    findAdminViewById(id) {
+        return this.db.get(`SELECT ${ADMIN_COLUMNS} FROM users WHERE id = ?`, [id]);
+    }
+
+    // Inclui a password (usar apenas para autenticação)
+    findByEmail(email) {
+        return this.db.get('SELECT * FROM users WHERE email = ?', [email]);
+    }
+
+    // Login por email ou username (inclui a password)
+    findByLogin(login) {
+        return this.db.get('SELECT * FROM users WHERE email = ? OR username = ?', [login, login]);
+    }
+
+    findStaffViewById(id) {
+        return this.db.get(`SELECT ${STAFF_COLUMNS} FROM users WHERE id = ? AND role != 'customer'`, [id]);
+    }
+
+    listStaff() {
+        return this.db.all(`SELECT ${STAFF_COLUMNS} FROM users WHERE role != 'customer' ORDER BY name`);
+    }
+
+    async isUsernameTaken(username) {
+        const user = await this.db.get('SELECT id FROM users WHERE username = ?', [username]);
+        return Boolean(user);
+    }
+
+    async countActiveByRole(role) {
+        const row = await this.db.get('SELECT COUNT(*) as total FROM users WHERE role = ? AND is_active = 1', [role]);
+        return row.total;
+    }
+
+    findByPhone(phone) {
+        return this.db.get('SELECT id FROM users WHERE phone = ?', [phone]);
+    }
+
+    async isEmailTaken(email, exceptId = null) {
+        const user = exceptId
+            ? await this.db.get('SELECT id FROM users WHERE email = ? AND id != ?', [email, exceptId])
+            : await this.db.get('SELECT id FROM users WHERE email = ?', [email]);
+
+        return Boolean(user);
+    }
+
+    create({ name, email, username, phone, password, street, city, postalCode, lat, lng, role, mustChangePassword, createdBy }) {
+        return this.insert({
+            name,
+            email: email || null,
+            username: username || null,
+            phone,
+            password,
+            street: street || '',
+            city: city || '',
+            postal_code: postalCode || '',
+            lat: lat || null,
+            lng: lng || null,
+            role: role || 'customer',
+            must_change_password: mustChangePassword ? 1 : 0,
+            created_by: createdBy || null
+        });
+    }
+
+    // mustChangePassword: password temporária, a alterar no próximo login
+    updatePassword(id, hashedPassword, { mustChangePassword = false } = {}) {
+        return this.db.run(`
+            UPDATE users
+            SET password = ?, must_change_password = ?,
+                password_changed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `, [hashedPassword, mustChangePassword ? 1 : 0, id]);
+    }
+
+    // Tokens emitidos antes deste instante deixam de ser aceites
+    revokeSessions(id) {
+        return this.db.run('UPDATE users SET sessions_revoked_at = CURRENT_TIMESTAMP WHERE id = ?', [id]);
+    }
+
+    // 2FA: segredo guardado por confirmar (totp_enabled_at fica vazio até ao primeiro código válido)
+    setPendingTotpSecret(id, encryptedSecret) {
+        return this.db.run(
+            'UPDATE users SET totp_secret = ?, totp_enabled_at = NULL, totp_last_used_step = NULL WHERE id = ?',
+            [encryptedSecret, id]
+        );
+    }
+
+    enableTotp(id) {
+        return this.db.run('UPDATE users SET totp_enabled_at = CURRENT_TIMESTAMP WHERE id = ?', [id]);
+    }
+
+    disableTotp(id) {
+        return this.db.run(
+            'UPDATE users SET totp_secret = NULL, totp_enabled_at = NULL, totp_last_used_step = NULL WHERE id = ?',
+            [id]
+        );
+    }
+
+    // Aceitar o passo TOTP só uma vez (e nunca um passo anterior ao último aceite)
+    async useTotpStep(id, step) {
+        const result = await this.db.run(`
+            UPDATE users
+            SET totp_last_used_step = ?
+            WHERE id = ? AND (totp_last_used_step IS NULL OR totp_last_used_step < ?)
+        `, [step, id, step]);
+
+        return result.changes > 0;
+    }
+
+    // Eliminação a pedido do titular: os dados pessoais são apagados e a linha fica só como
+    // registo anónimo, para os pedidos continuarem ligados a ela. A password deixa de servir.
+    anonymize(id, unusablePassword) {
+        return this.db.run(`
+            UPDATE users
+            SET name = 'Conta eliminada', email = ?, username = NULL, phone = NULL, password = ?,
+                street = NULL, city = NULL, postal_code = NULL, lat = NULL, lng = NULL,
+                loyalty_points = 0, loyalty_tier = 'bronze', is_active = 0,
+                email_verified = 0, phone_verified = 0, dietary_restrictions = NULL,
+                delivery_instructions = NULL, marketing_emails = 0, sms_notifications = 0,
+                totp_secret = NULL, totp_enabled_at = NULL, totp_last_used_step = NULL,
+                last_login = NULL, erased_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `, [`eliminado-${id}@anonimo.invalid`, unusablePassword, id]);
+    }
+
+    touchLastLogin(id) {
+        return this.db.run('UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = ?', [id]);
+    }
+
+    list(filters = {}, { limit = 20, offset = 0, orderBy = 'created_at DESC' } = {}) {
+        const { whereClause, params } = buildFilters(filters);
+
+        return this.db.all(`
+            SELECT ${ADMIN_COLUMNS}
+            FROM users
+            ${whereClause}
+            ORDER BY ${orderBy}
+            LIMIT ? OFFSET ?
+        `, [...params, limit, offset]);
+    }
+
+    async count(filters = {}) {
+        const { whereClause, params } = buildFilters(filters);
+        const row = await this.db.get(`SELECT COUNT(*) as total FROM users ${whereClause}`, params);
+        return row.total;
+    }
+
+    async getStats() {
+        const totalUsers = (await this.db.get('SELECT COUNT(*) as total FROM users')).total;
+        const activeUsers = (await this.db.get('SELECT COUNT(*) as total FROM users WHERE is_active = 1')).total;
+        const inactiveUsers = (await this.db.get('SELECT COUNT(*) as total FROM users WHERE is_active = 0')).total;
+        const verifiedUsers = (await this.db.get('SELECT COUNT(*) as total FROM users WHERE email_verified = 1 AND phone_verified = 1')).total;
+
+        const roleDistribution = await this.db.all('SELECT role, COUNT(*) as count FROM users GROUP BY role');
+
+        const monthlyUsers = await this.db.all(`
+            SELECT strftime('%m', created_at) as month, COUNT(*) as count
+            FROM users
+            WHERE created_at >= date('now', 'start of year')
+            GROUP BY strftime('%m', created_at)
+            ORDER BY month
+        `);
+
+        return { totalUsers, activeUsers, inactiveUsers, verifiedUsers, roleDistribution, monthlyUsers };
+    }
+
+    async getLoyaltyStats() {
+        const tierDistribution = await this.db.all(`
+            SELECT loyalty_tier, COUNT(*) as count
+            FROM users
+            GROUP BY loyalty_tier
+        `);
+
+        const totalPoints = (await this.db.get('SELECT SUM(loyalty_points) as total FROM users')).total || 0;
+        const activeUsers = (await this.db.get('SELECT COUNT(*) as count FROM users WHERE loyalty_points > 0')).count;
+
+        return { tierDistribution, totalPoints, activeUsers };
+    }
+}
+
+module.exports = UserRepository;
@@ -0,0 +1,91 @@
+const BaseRepository = require('./base-repository');
+
+// Tokens de reposição de password / verificação de email e códigos SMS (uso único, com validade)
+class VerificationRepository extends BaseRepository {
+    constructor(db) {
+        super(db, 'verification_tokens');
+    }
+
+    // Um novo token invalida os anteriores com o mesmo fim ainda por usar
+    async create({ userId, purpose, tokenHash, target, ttlMinutes }) {
+        await this.invalidate(userId, purpose);
+
+        const result = await this.db.run(`
+            INSERT INTO verification_tokens (user_id, purpose, token_hash, target, expires_at)
+            VALUES (?, ?, ?, ?, datetime('now', ?))
+        `, [userId, purpose, tokenHash, target || null, `+${ttlMinutes} minutes`]);
+
+        return result.lastInsertRowid;
+    }
+
+    // Token por usar e dentro da validade
+    findActiveByHash(purpose, tokenHash) {
+        return this.db.get(`
+            SELECT *
+            FROM verification_tokens
+            WHERE purpose = ? AND token_hash = ?
+              AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+        `, [purpose, tokenHash]);
+    }
+
+    // Último token ativo do usuário (códigos SMS: o código é procurado por usuário, não por hash)
+    findActiveForUser(userId, purpose) {
+        return this.db.get(`
+            SELECT *
+            FROM verification_tokens
+            WHERE user_id = ? AND purpose = ?
+              AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+            ORDER BY id DESC
+            LIMIT 1
+        `, [userId, purpose]);
+    }
+
+    // Conta uma tentativa; false se o limite já tinha sido atingido
+    async registerAttempt(id, maxAttempts) {
+        const result = await this.db.run(
+            'UPDATE verification_tokens SET attempts = attempts + 1 WHERE id = ? AND attempts < ?',
+            [id, maxAttempts]
+        );
+
+        return result.changes > 0;
+    }
+
+    // Marca como usado só se ainda não estava (dois pedidos com o mesmo token: só um ganha)
+    async markUsed(id) {
+        const result = await this.db.run(
+            'UPDATE verification_tokens SET used_at = CURRENT_TIMESTAMP WHERE id = ? AND used_at IS NULL',
+            [id]
+        );
+
+        return result.changes > 0;
+    }
+
+    invalidate(userId, purpose) {
+        return this.db.run(`
+            UPDATE verification_tokens
+            SET used_at = CURRENT_TIMESTAMP
+            WHERE user_id = ? AND purpose = ? AND used_at IS NULL
+        `, [userId, purpose]);
+    }
+
+    deleteForUser(userId) {
+        return this.db.run('DELETE FROM verification_tokens WHERE user_id = ?', [userId]);
+    }
+
+    // Para limitar envios: quantos tokens foram criados nos últimos N minutos e se houve algum no último minuto
+    countRecent(userId, purpose, minutes) {
+        return this.db.get(`
+            SELECT COUNT(*) as count,
+                   COALESCE(MAX(created_at) > datetime('now', '-1 minute'), 0) as sent_last_minute
+            FROM verification_tokens
+            WHERE user_id = ? AND purpose = ? AND created_at > datetime('now', ?)
+        `, [userId, purpose, `-${minutes} minutes`]);
+    }
+
+    // Ficam mais um dia depois de expirarem, para continuarem a contar nos limites de envio
+    deleteExpired() {
+        return this.db.run("DELETE FROM verification_tokens WHERE expires_at <= datetime('now', '-1 day')");
+    }
+}
+
+module.exports = VerificationRepository;
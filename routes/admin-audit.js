@@ -0,0 +1,39 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateAdmin, requirePermission } = require('../middleware/admin-auth');
+const { validatePagination, validateAuditFilters } = require('../middleware/validation');
+const { listAuditLog, exportAuditLog } = require('../services/audit-service');
+
+// GET - Registo de auditoria (filtros: actor, action, entityType, entityId, from, to)
+router.get('/audit-log', authenticateAdmin, requirePermission('view_audit_log'), validatePagination, validateAuditFilters, async (req, res) => {
+    try {
+        const { page = 1, limit = 50 } = req.query;
+
+        const auditLog = await listAuditLog(req.query, { page: parseInt(page), limit: parseInt(limit) });
+        res.json({ success: true, data: auditLog });
+    } catch (error) {
+        console.error('❌ Erro ao listar registo de auditoria:', error);
+        res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+    }
+});
+
+// GET - Exportar o registo com os mesmos filtros (CSV ou JSON)
+router.get('/audit-log/export', authenticateAdmin, requirePermission('view_audit_log'), validateAuditFilters, async (req, res) => {
+    try {
+        const format = req.query.format || 'csv';
+        const content = await exportAuditLog(req.query, format);
+        const fileName = `auditoria-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+        console.log(`📤 Registo de auditoria exportado (${format}) por ${req.user.username}`);
+        res.set({
+            'Content-Type': format === 'json' ? 'application/json; charset=utf-8' : 'text/csv; charset=utf-8',
+            'Content-Disposition': `attachment; filename="${fileName}"`
+        });
+        res.send(content);
+    } catch (error) {
+        console.error('❌ Erro ao exportar registo de auditoria:', error);
+        res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+    }
+});
+
+module.exports = router;
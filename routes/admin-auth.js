@@ -1,15 +1,62 @@
 const express = require('express');
 const router = express.Router();
-const jwt = require('jsonwebtoken');
-const { verifyCredentials } = require('../config/admin');
+const {
+    verifyCredentials,
+    verifyTwoFactorLogin,
+    changeOwnPassword,
+    toSessionUser
+} = require('../services/admin-user-service');
+const {
+    issueSession,
+    refreshSession,
+    verifyAccessToken,
+    signTwoFactorChallenge,
+    verifyTwoFactorChallenge,
+    revokeSession,
+    revokeAllSessions
+} = require('../services/token-service');
+const {
+    checkLoginAttempt,
+    recordLoginFailure,
+    recordLoginSuccess
+} = require('../services/login-protection-service');
+const { authenticateAdminForAccountSetup } = require('../middleware/admin-auth');
+const { loginLimiter, refreshLimiter, accountLimiter } = require('../middleware/rate-limit');
+const { validateAdminPasswordChange, validateRefreshToken, validateTwoFactorLogin } = require('../middleware/validation');
+const { HttpError } = require('../utils/errors');
 
-const JWT_SECRET = process.env.JWT_SECRET || 'admin-secret-key';
+// Login concluído (password e, se ativa, 2FA): gerar sessão (token de acesso + refresh token)
+async function sendPanelSession(req, res, user) {
+    const session = await issueSession(user.id, { userAgent: req.get('user-agent') });
+    
+    console.log('✅ Token gerado para:', user.username);
+    
+    let message = 'Login realizado com sucesso';
+    if (user.mustChangePassword) {
+        message = 'Login realizado. Altere a password temporária para continuar';
+    } else if (user.mustEnrollTwoFactor) {
+        message = 'Login realizado. Ative a autenticação em dois passos para continuar';
+    }
+    
+    res.json({
+        success: true,
+        message,
+        ...session,
+        mustChangePassword: user.mustChangePassword,
+        mustEnrollTwoFactor: user.mustEnrollTwoFactor,
+        user: {
+            id: user.id,
+            username: user.username,
+            role: user.role
+        }
+    });
+}
 
 // Login admin
-router.post('/login', async (req, res) => {
+router.post('/login', loginLimiter, async (req, res) => {
     try {
-        console.log('🔐 Login request:', req.body);
         const { username, password } = req.body;
+        console.log('🔐 Login request:', username);
         
         if (!username || !password) {
             console.log('❌ Dados faltando');
@@ -19,52 +66,43 @@ router.post('/login', async (req, res) => {
             });
         }
         
+        // Conta ou IP bloqueados (ou em espera) por tentativas falhadas: 429
+        const attempt = await checkLoginAttempt({ ip: req.ip, login: username });
+        
         console.log('🔍 Verificando credenciais...');
         const user = await verifyCredentials(username, password);
         
         if (!user) {
             console.log('❌ Credenciais inválidas');
+            await recordLoginFailure(attempt);
             return res.status(401).json({
                 success: false,
                 message: 'Credenciais inválidas'
             });
         }
         
-        // Gerar JWT token
-        const token = jwt.sign(
-            {
-                id: user.id,
-                username: user.username,
-                role: user.role,
-                permissions: user.permissions
-            },
-            JWT_SECRET,
-            { expiresIn: '24h' }
-        );
-        
-        console.log('✅ Token gerado:', token);
-        
-        // Definir cookie
-        res.cookie('admin_token', token, {
-            httpOnly: true,
-            secure: process.env.NODE_ENV === 'production',
-            maxAge: 24 * 60 * 60 * 1000 // 24 horas
-        });
+        // Password certa, mas a conta usa 2FA: falta o código da app (ou um código de recuperação).
+        // As falhas da conta só são esquecidas depois do segundo passo.
+        if (user.twoFactorEnabled) {
+            return res.json({
+                success: true,
+                message: 'Introduza o código da sua app de autenticação',
+                twoFactorRequired: true,
+                challengeToken: signTwoFactorChallenge(user.id)
+            });
+        }
         
-        console.log('✅ Cookie definido, enviando resposta...');
+        await recordLoginSuccess(attempt);
+        await sendPanelSession(req, res, user);
         
-        res.json({
-            success: true,
-            message: 'Login realizado com sucesso',
-            token,
-            user: {
-                id: user.id,
-                username: user.username,
-                role: user.role
+    } catch (error) {
+        if (error instanceof HttpError) {
+            if (error.details?.retryAfter) {
+                res.set('Retry-After', String(error.details.retryAfter));
             }
-        });
+            return res.status(error.status).json({ success: false, message: error.message, ...error.details });
+        }
         
-    } catch (error) {
         console.error('❌ Erro no login:', error);
         res.status(500).json({
             success: false,
@@ -73,43 +111,143 @@ router.post('/login', async (req, res) => {
     }
 });
 
-// Verificar token
-router.get('/verify', (req, res) => {
+// Login admin, segundo passo: código TOTP ou código de recuperação
+router.post('/login/2fa', loginLimiter, validateTwoFactorLogin, async (req, res) => {
     try {
-        const token = req.headers.authorization?.split(' ')[1] || 
-                     req.cookies?.admin_token || 
-                     req.query.token;
+        const { challengeToken, code, recoveryCode } = req.body;
+        
+        const userId = verifyTwoFactorChallenge(challengeToken);
+        if (!userId) {
+            await recordLoginFailure(await checkLoginAttempt({ ip: req.ip }));
+            return res.status(401).json({
+                success: false,
+                message: 'O pedido de login expirou. Introduza de novo o usuário e a senha'
+            });
+        }
+        
+        // Os códigos errados contam como falhas da conta, tal como passwords erradas
+        const attempt = await checkLoginAttempt({ ip: req.ip, userId });
         
-        if (!token) {
+        const user = await verifyTwoFactorLogin(userId, { code, recoveryCode });
+        if (!user) {
+            console.log('❌ Código 2FA inválido para o usuário', userId);
+            await recordLoginFailure(attempt);
             return res.status(401).json({
                 success: false,
-                message: 'Token não fornecido'
+                message: 'Código inválido'
             });
         }
         
-        const decoded = jwt.verify(token, JWT_SECRET);
+        await recordLoginSuccess(attempt);
+        await sendPanelSession(req, res, user);
+        
+    } catch (error) {
+        if (error instanceof HttpError) {
+            if (error.details?.retryAfter) {
+                res.set('Retry-After', String(error.details.retryAfter));
+            }
+            return res.status(error.status).json({ success: false, message: error.message, ...error.details });
+        }
         
+        console.error('❌ Erro no login (2FA):', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor'
+        });
+    }
+});
+
+// Renovar a sessão do painel (igual a /api/auth/refresh)
+router.post('/refresh', refreshLimiter, validateRefreshToken, async (req, res) => {
+    try {
+        const session = await refreshSession(req.body.refreshToken, { userAgent: req.get('user-agent') });
+
         res.json({
             success: true,
-            user: decoded
+            ...session
         });
-        
+
     } catch (error) {
-        console.error('❌ Erro ao verificar token:', error);
-        res.status(401).json({
+        if (error instanceof HttpError) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
+
+        console.error('❌ Erro ao renovar sessão:', error);
+        res.status(500).json({
             success: false,
-            message: 'Token inválido'
+            message: 'Erro interno do servidor'
         });
     }
 });
 
-// Logout
-router.post('/logout', (req, res) => {
-    res.clearCookie('admin_token');
+// Verificar token (sessões com password temporária ou 2FA por ativar também são válidas, para configurar a conta)
+router.get('/verify', authenticateAdminForAccountSetup, (req, res) => {
     res.json({
         success: true,
-        message: 'Logout realizado com sucesso'
+        user: toSessionUser(req.user)
     });
 });
 
+// Alterar a própria password (obrigatório no primeiro login com password temporária)
+router.post('/change-password', accountLimiter, authenticateAdminForAccountSetup, validateAdminPasswordChange, async (req, res) => {
+    try {
+        const { currentPassword, newPassword } = req.body;
+        const user = await changeOwnPassword(req.user.id, currentPassword, newPassword);
+        
+        // Sessões abertas com a password antiga terminam; nova sessão já sem a obrigação de a alterar
+        await revokeAllSessions(user.id);
+        const session = await issueSession(user.id, { userAgent: req.get('user-agent') });
+                
+        res.json({
+            success: true,
+            message: 'Password alterada com sucesso',
+            ...session,
+            mustEnrollTwoFactor: user.mustEnrollTwoFactor
+        });
+        
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
+        
+        console.error('❌ Erro ao alterar password:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor'
+        });
+    }
+});
+
+// Logout: revoga o refresh token enviado e o token de acesso, se ainda for válido
+// (não exige sessão válida, para o painel poder sair com um token já expirado)
+router.post('/logout', async (req, res) => {
+    try {
+        const authHeader = req.headers['authorization'];
+        const token = authHeader && authHeader.split(' ')[1];
+        
+        let accessPayload = null;
+        if (token) {
+            try {
+                accessPayload = verifyAccessToken(token);
+            } catch (error) {
+                // Token expirado ou inválido: não há nada a revogar
+            }
+        }
+        
+        await revokeSession({ accessPayload, refreshToken: req.body?.refreshToken });
+        
+        res.json({
+            success: true,
+            message: 'Logout realizado com sucesso'
+        });
+        
+    } catch (error) {
+        console.error('❌ Erro no logout:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor'
+        });
+    }
+});
+
 module.exports = router;
@@ -0,0 +1,92 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateAdmin, requirePermission } = require('../middleware/admin-auth');
+const { validateDeliveryZone } = require('../middleware/validation');
+const { listZones, findZone, createZone, updateZone, deleteZone } = require('../services/delivery-zone-service');
+const { deliveryZoneRepository } = require('../repositories');
+const { audit } = require('../middleware/audit');
+const { HttpError } = require('../utils/errors');
+
+// Registo de auditoria das zonas de entrega
+const loadZone = (id) => deliveryZoneRepository.findById(id);
+const auditZone = (action) => audit(action, {
+    entityType: 'delivery_zone',
+    entityId: (req) => req.params.id,
+    load: loadZone
+});
+
+// GET - Listar zonas de entrega (ativas primeiro, pela ordem em que são verificadas)
+router.get('/delivery-zones', authenticateAdmin, requirePermission('manage_delivery_zones'), async (req, res) => {
+    try {
+        const zones = await listZones();
+        res.json({ success: true, data: zones });
+    } catch (error) {
+        console.error('❌ Erro ao listar zonas de entrega:', error);
+        res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+    }
+});
+
+// GET - Zona de entrega por ID
+router.get('/delivery-zones/:id', authenticateAdmin, requirePermission('manage_delivery_zones'), async (req, res) => {
+    try {
+        const zone = await findZone(req.params.id);
+        res.json({ success: true, data: zone });
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
+
+        console.error('❌ Erro ao buscar zona de entrega:', error);
+        res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+    }
+});
+
+// POST - Criar zona
+router.post('/delivery-zones', authenticateAdmin, requirePermission('manage_delivery_zones'), validateDeliveryZone,
+    audit('delivery_zone.create', { entityType: 'delivery_zone', createdId: (body) => body.data.id, load: loadZone }), async (req, res) => {
+    try {
+        const zone = await createZone(req.body);
+        res.status(201).json({ success: true, data: zone, message: 'Zona de entrega criada com sucesso' });
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
+
+        console.error('❌ Erro ao criar zona de entrega:', error);
+        res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+    }
+});
+
+// PUT - Atualizar zona (a configuração completa); só conta para os pedidos seguintes
+router.put('/delivery-zones/:id', authenticateAdmin, requirePermission('manage_delivery_zones'), validateDeliveryZone,
+    auditZone('delivery_zone.update'), async (req, res) => {
+    try {
+        const zone = await updateZone(req.params.id, req.body);
+        res.json({ success: true, data: zone, message: 'Zona de entrega atualizada com sucesso' });
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
+
+        console.error('❌ Erro ao atualizar zona de entrega:', error);
+        res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+    }
+});
+
+// DELETE - Eliminar zona (para a suspender sem a perder, usar isActive: false)
+router.delete('/delivery-zones/:id', authenticateAdmin, requirePermission('manage_delivery_zones'),
+    auditZone('delivery_zone.delete'), async (req, res) => {
+    try {
+        await deleteZone(req.params.id);
+        res.json({ success: true, message: 'Zona de entrega eliminada com sucesso' });
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
+
+        console.error('❌ Erro ao eliminar zona de entrega:', error);
+        res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+    }
+});
+
+module.exports = router;
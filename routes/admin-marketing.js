@@ -0,0 +1,63 @@
+const express = require('express');
+const router = express.Router();
+const { consentRepository } = require('../repositories');
+const { authenticateAdmin, requirePermission } = require('../middleware/admin-auth');
+const { validateMarketingCampaign } = require('../middleware/validation');
+const { CONSENT_CHANNELS, CONSENT_PURPOSES } = require('../services/consent-service');
+const { sendCampaign } = require('../services/marketing-service');
+const { audit } = require('../middleware/audit');
+
+// GET - Número de clientes com consentimento, por canal e finalidade
+router.get('/marketing/audience', authenticateAdmin, requirePermission('manage_marketing'), async (req, res) => {
+    try {
+        const audience = [];
+
+        for (const channel of Object.keys(CONSENT_CHANNELS)) {
+            for (const purpose of Object.keys(CONSENT_PURPOSES)) {
+                const recipients = await consentRepository.listGrantedRecipients(channel, purpose);
+                audience.push({ channel, purpose, recipients: recipients.length });
+            }
+        }
+
+        res.json({
+            success: true,
+            data: {
+                audience,
+                channels: CONSENT_CHANNELS,
+                purposes: CONSENT_PURPOSES
+            }
+        });
+    } catch (error) {
+        console.error('❌ Erro ao obter audiência de marketing:', error);
+        res.status(500).json({ success: false, message: 'Erro interno' });
+    }
+});
+
+// POST - Enviar campanha (só a quem tem o consentimento dado no momento do envio)
+router.post('/marketing/campaigns', authenticateAdmin, requirePermission('manage_marketing'), validateMarketingCampaign, audit('marketing.campaign_send', {
+    entityType: 'marketing_campaign',
+    metadata: (req, body) => ({
+        channel: req.body.channel,
+        purpose: req.body.purpose,
+        subject: req.body.subject,
+        ...body.data
+    })
+}), async (req, res) => {
+    try {
+        const { channel, purpose, subject, text } = req.body;
+
+        const result = await sendCampaign({ channel, purpose, subject, text });
+        console.log(`📣 Campanha enviada por ${req.user.username}`);
+
+        res.json({
+            success: true,
+            message: `Campanha enviada a ${result.sent} cliente(s)`,
+            data: result
+        });
+    } catch (error) {
+        console.error('❌ Erro ao enviar campanha:', error);
+        res.status(500).json({ success: false, message: 'Erro interno' });
+    }
+});
+
+module.exports = router;
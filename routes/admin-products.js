@@ -3,8 +3,13 @@ const router = express.Router();
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
-const { db, getCategories, getProducts } = require('../config/database');
+const { productRepository, categoryRepository } = require('../repositories');
 const { authenticateAdmin, requirePermission } = require('../middleware/admin-auth');
+const { audit } = require('../middleware/audit');
+
+// Registo de auditoria das alterações ao catálogo
+const loadProduct = (id) => productRepository.findById(id);
+const productId = (req) => req.params.id;
 
 // Criar diretório de uploads se não existir
 const uploadsDir = path.join(__dirname, '..', 'public', 'uploads');
@@ -41,8 +46,8 @@ const upload = multer({
 // GET - Listar todos os produtos
 router.get('/products', authenticateAdmin, requirePermission('manage_products'), async (req, res) => {
     try {
-        const products = await getProducts();
-        const categories = await getCategories();
+        const products = await productRepository.listAvailable();
+        const categories = await categoryRepository.listActive();
         
         // Adicionar nome da categoria aos produtos
         const productsWithCategory = products.map(product => ({
@@ -62,19 +67,14 @@ router.get('/products/:id', authenticateAdmin, requirePermission('manage_product
     try {
         const { id } = req.params;
         
-        db.get('SELECT * FROM products WHERE id = ?', [id], (err, product) => {
-            if (err) {
-                console.error('❌ Erro ao buscar produto:', err);
-                return res.status(500).json({ success: false, message: 'Erro interno' });
-            }
-            
-            if (!product) {
-                return res.status(404).json({ success: false, message: 'Produto não encontrado' });
-            }
-            
-            console.log('✅ Produto encontrado:', product);
-            res.json({ success: true, data: product });
-        });
+        const product = await productRepository.findById(id);
+        
+        if (!product) {
+            return res.status(404).json({ success: false, message: 'Produto não encontrado' });
+        }
+        
+        console.log('✅ Produto encontrado:', product);
+        res.json({ success: true, data: product });
         
     } catch (error) {
         console.error('❌ Erro ao buscar produto:', error);
@@ -83,12 +83,13 @@ router.get('/products/:id', authenticateAdmin, requirePermission('manage_product
 });
 
 // POST - Criar produto
-router.post('/products', authenticateAdmin, requirePermission('manage_products'), upload.single('image'), async (req, res) => {
+router.post('/products', authenticateAdmin, requirePermission('manage_products'), upload.single('image'),
+    audit('product.create', { entityType: 'product', createdId: (body) => body.data.id, load: loadProduct }), async (req, res) => {
     try {
         console.log('📝 Criando produto:', req.body);
         console.log('📁 Arquivo recebido:', req.file);
         
-        const { name, description, price, category_id, is_available, is_featured } = req.body;
+        const { name, description, price, category_id, is_available, is_featured, stock_quantity } = req.body;
         
         if (!name || !price || !category_id) {
             return res.status(400).json({ success: false, message: 'Nome, preço e categoria são obrigatórios' });
@@ -100,19 +101,20 @@ router.post('/products', authenticateAdmin, requirePermission('manage_products')
             image_url = `/uploads/${req.file.filename}`;
         }
         
-        const query = `INSERT INTO products (name, description, price, category_id, image_url, is_available, is_featured) 
-                       VALUES (?, ?, ?, ?, ?, ?, ?)`;
-        
-        db.run(query, [name, description, price, category_id, image_url, is_available ? 1 : 0, is_featured ? 1 : 0], function(err) {
-            if (err) {
-                console.error('❌ Erro ao criar produto:', err);
-                return res.status(500).json({ success: false, message: 'Erro interno do servidor' });
-            }
-            
-            console.log('✅ Produto criado com ID:', this.lastID);
-            res.status(201).json({ success: true, data: { id: this.lastID }, message: 'Produto criado com sucesso' });
+        const productId = await productRepository.create({
+            name,
+            description,
+            price,
+            category_id,
+            image_url,
+            is_available: is_available ? 1 : 0,
+            is_featured: is_featured ? 1 : 0,
+            stock_quantity: parseStock(stock_quantity, -1)
         });
         
+        console.log('✅ Produto criado com ID:', productId);
+        res.status(201).json({ success: true, data: { id: productId }, message: 'Produto criado com sucesso' });
+        
     } catch (error) {
         console.error('❌ Erro na criação do produto:', error);
         res.status(500).json({ success: false, message: 'Erro interno do servidor' });
@@ -120,7 +122,8 @@ router.post('/products', authenticateAdmin, requirePermission('manage_products')
 });
 
 // PUT - Atualizar produto (com imagem)
-router.put('/products/:id/image', authenticateAdmin, requirePermission('manage_products'), upload.single('image'), async (req, res) => {
+router.put('/products/:id/image', authenticateAdmin, requirePermission('manage_products'), upload.single('image'),
+    audit('product.update', { entityType: 'product', entityId: productId, load: loadProduct }), async (req, res) => {
     try {
         const { id } = req.params;
         const { name, description, price, category_id, is_available, is_featured, sort_order } = req.body;
@@ -141,14 +144,16 @@ router.put('/products/:id/image', authenticateAdmin, requirePermission('manage_p
 });
 
 // PUT - Atualizar produto (sem imagem)
-router.put('/products/:id', authenticateAdmin, requirePermission('manage_products'), async (req, res) => {
+// O multer processa o FormData do painel; a imagem é opcional nesta rota
+router.put('/products/:id', authenticateAdmin, requirePermission('manage_products'), upload.single('image'),
+    audit('product.update', { entityType: 'product', entityId: productId, load: loadProduct }), async (req, res) => {
     try {
         const { id } = req.params;
         const { name, description, price, category_id, is_available, is_featured, sort_order } = req.body;
         
         console.log('📝 Atualizando produto sem imagem ID:', id, req.body);
         
-        await updateProductInDatabase(id, req.body, null, res);
+        await updateProductInDatabase(id, req.body, req.file || null, res);
         
     } catch (error) {
         console.error('❌ Erro na atualização do produto sem imagem:', error);
@@ -156,9 +161,19 @@ router.put('/products/:id', authenticateAdmin, requirePermission('manage_product
     }
 });
 
+// Converter o stock recebido do formulário (-1 = ilimitado)
+function parseStock(value, fallback) {
+    if (value === undefined || value === null || value === '') {
+        return fallback;
+    }
+
+    const stock = parseInt(value, 10);
+    return Number.isNaN(stock) || stock < -1 ? fallback : stock;
+}
+
 // Função auxiliar para atualizar produto no banco
 async function updateProductInDatabase(id, body, file, res) {
-    const { name, description, price, category_id, is_available, is_featured, sort_order } = body;
+    const { name, description, price, category_id, is_available, is_featured, sort_order, stock_quantity } = body;
     
     // Se é apenas uma atualização de destaque/sort_order, não validar campos obrigatórios
     const isFeaturedUpdate = body.hasOwnProperty('is_featured') && !name && !price && !category_id;
@@ -168,71 +183,57 @@ async function updateProductInDatabase(id, body, file, res) {
     }
     
     // Buscar produto atual para manter dados existentes
-    db.get('SELECT * FROM products WHERE id = ?', [id], async (err, currentProduct) => {
-        if (err) {
-            console.error('❌ Erro ao buscar produto atual:', err);
-            return res.status(500).json({ success: false, message: 'Erro interno' });
-        }
-        
-        if (!currentProduct) {
-            return res.status(404).json({ success: false, message: 'Produto não encontrado' });
-        }
-        
-        // Para atualizações de destaque, manter dados existentes
-        const updateName = name || currentProduct.name;
-        const updateDescription = description || currentProduct.description;
-        const updatePrice = price || currentProduct.price;
-        const updateCategoryId = category_id || currentProduct.category_id;
-        const updateIsAvailable = is_available !== undefined ? (is_available ? 1 : 0) : currentProduct.is_available;
-        const updateIsFeatured = is_featured !== undefined ? (is_featured ? 1 : 0) : currentProduct.is_featured;
-        const updateSortOrder = sort_order !== undefined ? sort_order : currentProduct.sort_order;
-        
-        let image_url = currentProduct.image_url || '';
-        
-        // Se foi enviada nova imagem, usar ela
-        if (file) {
-            image_url = `/uploads/${file.filename}`;
-        }
-        
-        const query = `UPDATE products SET name = ?, description = ?, price = ?, category_id = ?, 
-                       image_url = ?, is_available = ?, is_featured = ?, sort_order = ? WHERE id = ?`;
-        
-        db.run(query, [updateName, updateDescription, updatePrice, updateCategoryId, image_url, updateIsAvailable, updateIsFeatured, updateSortOrder, id], function(err) {
-            if (err) {
-                console.error('❌ Erro ao atualizar produto:', err);
-                return res.status(500).json({ success: false, message: 'Erro interno' });
-            }
-            
-            // Buscar produto atualizado
-            db.get('SELECT * FROM products WHERE id = ?', [id], (err, product) => {
-                if (err) {
-                    console.error('❌ Erro ao buscar produto atualizado:', err);
-                    return res.status(500).json({ success: false, message: 'Erro interno' });
-                }
-                
-                console.log('✅ Produto atualizado com sucesso:', product);
-                res.json({ success: true, data: product, message: 'Produto atualizado com sucesso' });
-            });
-        });
+    const currentProduct = await productRepository.findById(id);
+    
+    if (!currentProduct) {
+        return res.status(404).json({ success: false, message: 'Produto não encontrado' });
+    }
+    
+    let image_url = currentProduct.image_url || '';
+    
+    // Se foi enviada nova imagem, usar ela
+    if (file) {
+        image_url = `/uploads/${file.filename}`;
+    }
+    
+    // Para atualizações de destaque, manter dados existentes
+    await productRepository.updateById(id, {
+        name: name || currentProduct.name,
+        description: description || currentProduct.description,
+        price: price || currentProduct.price,
+        category_id: category_id || currentProduct.category_id,
+        image_url,
+        is_available: is_available !== undefined ? (is_available ? 1 : 0) : currentProduct.is_available,
+        is_featured: is_featured !== undefined ? (is_featured ? 1 : 0) : currentProduct.is_featured,
+        sort_order: sort_order !== undefined ? sort_order : currentProduct.sort_order,
+        stock_quantity: parseStock(stock_quantity, currentProduct.stock_quantity)
     });
+    
+    // Buscar produto atualizado
+    const product = await productRepository.findById(id);
+    
+    console.log('✅ Produto atualizado com sucesso:', product);
+    res.json({ success: true, data: product, message: 'Produto atualizado com sucesso' });
 }
 
 // DELETE - Deletar produto
-router.delete('/products/:id', authenticateAdmin, requirePermission('manage_products'), (req, res) => {
-    const { id } = req.params;
-    
-    db.run('DELETE FROM products WHERE id = ?', [id], function(err) {
-        if (err) {
-            return res.status(500).json({ success: false, message: 'Erro interno' });
-        }
+router.delete('/products/:id', authenticateAdmin, requirePermission('manage_products'),
+    audit('product.delete', { entityType: 'product', entityId: productId, load: loadProduct }), async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        await productRepository.deleteById(id);
         res.json({ success: true, message: 'Produto deletado' });
-    });
+    } catch (error) {
+        console.error('❌ Erro ao deletar produto:', error);
+        res.status(500).json({ success: false, message: 'Erro interno' });
+    }
 });
 
 // GET - Categorias
 router.get('/categories', authenticateAdmin, requirePermission('manage_products'), async (req, res) => {
     try {
-        const categories = await getCategories();
+        const categories = await categoryRepository.listActive();
         res.json({ success: true, data: categories });
     } catch (error) {
         console.error('❌ Erro ao buscar categorias:', error);
@@ -0,0 +1,80 @@
+const express = require('express');
+const router = express.Router();
+const { orderRepository, refundRepository } = require('../repositories');
+const { authenticateAdmin, requirePermission } = require('../middleware/admin-auth');
+const { validateRefund, validatePagination } = require('../middleware/validation');
+const { REFUND_REASONS, getRefundSummary, issueRefund } = require('../services/refund-service');
+const { audit } = require('../middleware/audit');
+const { HttpError } = require('../utils/errors');
+
+// GET - Listar reembolsos
+router.get('/refunds', authenticateAdmin, requirePermission('manage_orders'), validatePagination, async (req, res) => {
+    try {
+        const { page = 1, limit = 20, reason, status } = req.query;
+        const offset = (parseInt(page) - 1) * parseInt(limit);
+
+        const filters = { reason, status };
+        const refunds = await refundRepository.list(filters, { limit: parseInt(limit), offset });
+        const total = await refundRepository.count(filters);
+
+        res.json({
+            success: true,
+            data: {
+                refunds,
+                reasons: REFUND_REASONS,
+                pagination: {
+                    currentPage: parseInt(page),
+                    totalPages: Math.ceil(total / parseInt(limit)),
+                    totalRefunds: total
+                }
+            }
+        });
+    } catch (error) {
+        console.error('❌ Erro ao listar reembolsos:', error);
+        res.status(500).json({ success: false, message: 'Erro interno' });
+    }
+});
+
+// GET - Itens reembolsáveis e reembolsos de um pedido
+router.get('/orders/:orderId/refunds', authenticateAdmin, requirePermission('manage_orders'), async (req, res) => {
+    try {
+        const { orderId } = req.params;
+        const summary = await getRefundSummary({ orderRepository, refundRepository }, orderId);
+        const refunds = await refundRepository.list({ orderId }, { limit: 100 });
+
+        res.json({ success: true, data: { ...summary, refunds } });
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
+
+        console.error('❌ Erro ao buscar reembolsos do pedido:', error);
+        res.status(500).json({ success: false, message: 'Erro interno' });
+    }
+});
+
+// POST - Emitir reembolso total ou parcial (por item)
+router.post('/orders/:orderId/refunds', authenticateAdmin, requirePermission('manage_orders'), validateRefund,
+    audit('refund.create', {
+        entityType: 'refund',
+        createdId: (body) => body.data.id,
+        load: (id) => refundRepository.findById(id),
+        metadata: (req) => ({ orderId: req.params.orderId, items: req.body.items })
+    }), async (req, res) => {
+    try {
+        const { orderId } = req.params;
+        const refund = await issueRefund(orderId, req.body, req.user);
+
+        console.log(`💸 Reembolso ${refund.id} do pedido ${orderId}: €${refund.amount}`);
+        res.status(201).json({ success: true, data: refund, message: 'Reembolso emitido com sucesso' });
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
+
+        console.error('❌ Erro ao emitir reembolso:', error);
+        res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,179 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateAdmin, authenticateAdminForAccountSetup, requirePermission } = require('../middleware/admin-auth');
+const {
+    validateTwoFactorCode,
+    validateTwoFactorDisable,
+    validateSecurityPolicy
+} = require('../middleware/validation');
+const {
+    getTwoFactorStatus,
+    startEnrollment,
+    confirmEnrollment,
+    disableTwoFactor,
+    regenerateRecoveryCodes,
+    getTwoFactorPolicy,
+    setTwoFactorPolicy
+} = require('../services/two-factor-service');
+const { listLoginLockouts, unlockLogin } = require('../services/login-protection-service');
+const { loginThrottleRepository } = require('../repositories');
+const { audit } = require('../middleware/audit');
+const { HttpError } = require('../utils/errors');
+
+// Registo de auditoria: a 2FA da própria conta, a política e os desbloqueios
+const auditOwnAccount = (action) => audit(action, { entityType: 'user', entityId: (req) => req.user.id });
+
+// ===== AUTENTICAÇÃO EM DOIS PASSOS (conta atual) =====
+// Status, configuração e ativação também aceitam sessões com a 2FA obrigatória por ativar
+
+// GET - Estado da 2FA da conta
+router.get('/2fa/status', authenticateAdminForAccountSetup, async (req, res) => {
+    try {
+        const status = await getTwoFactorStatus(req.user);
+        res.json({ success: true, data: status });
+    } catch (error) {
+        console.error('❌ Erro ao buscar estado da 2FA:', error);
+        res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+    }
+});
+
+// POST - Gerar um novo segredo (QR code para a app de autenticação)
+router.post('/2fa/setup', authenticateAdminForAccountSetup, async (req, res) => {
+    try {
+        const enrollment = await startEnrollment(req.user);
+        res.json({ success: true, data: enrollment });
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
+
+        console.error('❌ Erro ao configurar 2FA:', error);
+        res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+    }
+});
+
+// POST - Confirmar com o primeiro código da app; devolve os códigos de recuperação (mostrados uma vez)
+router.post('/2fa/enable', authenticateAdminForAccountSetup, validateTwoFactorCode, auditOwnAccount('two_factor.enable'), async (req, res) => {
+    try {
+        const recoveryCodes = await confirmEnrollment(req.user.id, req.body.code);
+
+        console.log(`🔐 2FA ativada por ${req.user.username}`);
+        res.json({
+            success: true,
+            message: 'Autenticação em dois passos ativada. Guarde os códigos de recuperação num local seguro',
+            data: { recoveryCodes }
+        });
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
+
+        console.error('❌ Erro ao ativar 2FA:', error);
+        res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+    }
+});
+
+// POST - Desativar (password + código da app ou de recuperação)
+router.post('/2fa/disable', authenticateAdmin, validateTwoFactorDisable, auditOwnAccount('two_factor.disable'), async (req, res) => {
+    try {
+        await disableTwoFactor(req.user, req.body);
+
+        console.log(`🔓 2FA desativada por ${req.user.username}`);
+        res.json({ success: true, message: 'Autenticação em dois passos desativada' });
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
+
+        console.error('❌ Erro ao desativar 2FA:', error);
+        res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+    }
+});
+
+// POST - Novos códigos de recuperação (os anteriores deixam de servir)
+router.post('/2fa/recovery-codes', authenticateAdmin, validateTwoFactorCode,
+    auditOwnAccount('two_factor.regenerate_recovery_codes'), async (req, res) => {
+    try {
+        const recoveryCodes = await regenerateRecoveryCodes(req.user.id, req.body.code);
+        res.json({
+            success: true,
+            message: 'Novos códigos de recuperação gerados',
+            data: { recoveryCodes }
+        });
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
+
+        console.error('❌ Erro ao gerar códigos de recuperação:', error);
+        res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+    }
+});
+
+// ===== POLÍTICA DE SEGURANÇA =====
+
+// GET - Política atual
+router.get('/security/policy', authenticateAdmin, requirePermission('manage_users'), async (req, res) => {
+    try {
+        const policy = await getTwoFactorPolicy();
+        res.json({ success: true, data: policy });
+    } catch (error) {
+        console.error('❌ Erro ao buscar política de segurança:', error);
+        res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+    }
+});
+
+// PUT - Exigir (ou não) 2FA às contas que gerem utilizadores
+router.put('/security/policy', authenticateAdmin, requirePermission('manage_users'), validateSecurityPolicy,
+    audit('security_policy.update', { entityType: 'security_policy', entityId: () => 'two_factor', load: getTwoFactorPolicy }), async (req, res) => {
+    try {
+        const policy = await setTwoFactorPolicy(req.body, req.user);
+
+        console.log(`🛡️  Política de 2FA alterada por ${req.user.username}:`, policy);
+        res.json({ success: true, data: policy, message: 'Política de segurança atualizada' });
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
+
+        console.error('❌ Erro ao atualizar política de segurança:', error);
+        res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+    }
+});
+
+// ===== TENTATIVAS DE LOGIN =====
+
+// GET - Contas e IPs bloqueados ou com falhas recentes
+router.get('/security/lockouts', authenticateAdmin, requirePermission('manage_users'), async (req, res) => {
+    try {
+        const lockouts = await listLoginLockouts();
+        res.json({ success: true, data: lockouts });
+    } catch (error) {
+        console.error('❌ Erro ao listar bloqueios de login:', error);
+        res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+    }
+});
+
+// DELETE - Desbloquear (apaga as falhas registadas dessa conta ou IP)
+router.delete('/security/lockouts/:id', authenticateAdmin, requirePermission('manage_users'),
+    audit('login_lockout.unlock', {
+        entityType: 'login_lockout',
+        entityId: (req) => req.params.id,
+        load: (id) => loginThrottleRepository.findById(id)
+    }), async (req, res) => {
+    try {
+        await unlockLogin(req.params.id);
+
+        console.log(`🔓 Bloqueio de login ${req.params.id} removido por ${req.user.username}`);
+        res.json({ success: true, message: 'Login desbloqueado' });
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
+
+        console.error('❌ Erro ao desbloquear login:', error);
+        res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,119 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateAdmin, requirePermission } = require('../middleware/admin-auth');
+const { validateAdminUser, validateAdminUserUpdate } = require('../middleware/validation');
+const {
+    getAdminUser,
+    listAdminUsers,
+    createAdminUser,
+    updateAdminUser,
+    deleteAdminUser
+} = require('../services/admin-user-service');
+const { resetTwoFactor } = require('../services/two-factor-service');
+const { userRepository } = require('../repositories');
+const { audit } = require('../middleware/audit');
+const { HttpError } = require('../utils/errors');
+
+// Registo de auditoria das contas internas
+const loadStaffAccount = (id) => userRepository.findStaffViewById(id);
+const auditStaffAccount = (action) => audit(action, {
+    entityType: 'user',
+    entityId: (req) => req.params.id,
+    load: loadStaffAccount
+});
+
+// GET - Listar contas administrativas
+router.get('/users', authenticateAdmin, requirePermission('manage_users'), async (req, res) => {
+    try {
+        const users = await listAdminUsers();
+        res.json({ success: true, data: users });
+    } catch (error) {
+        console.error('❌ Erro ao listar contas administrativas:', error);
+        res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+    }
+});
+
+// GET - Conta administrativa por ID
+router.get('/users/:id', authenticateAdmin, requirePermission('manage_users'), async (req, res) => {
+    try {
+        const user = await getAdminUser(req.params.id);
+        res.json({ success: true, data: user });
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
+
+        console.error('❌ Erro ao buscar conta administrativa:', error);
+        res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+    }
+});
+
+// POST - Criar conta (password temporária, alterada no primeiro login)
+router.post('/users', authenticateAdmin, requirePermission('manage_users'), validateAdminUser,
+    audit('staff_user.create', { entityType: 'user', createdId: (body) => body.data.id, load: loadStaffAccount }), async (req, res) => {
+    try {
+        const user = await createAdminUser(req.body, req.user);
+
+        console.log(`👤 Conta administrativa ${user.username} criada por ${req.user.username}`);
+        res.status(201).json({ success: true, data: user, message: 'Conta criada com sucesso' });
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
+
+        console.error('❌ Erro ao criar conta administrativa:', error);
+        res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+    }
+});
+
+// PUT - Atualizar perfil, estado ou repor a password
+router.put('/users/:id', authenticateAdmin, requirePermission('manage_users'), validateAdminUserUpdate,
+    auditStaffAccount('staff_user.update'), async (req, res) => {
+    try {
+        const user = await updateAdminUser(req.params.id, req.body, req.user);
+        res.json({ success: true, data: user, message: 'Conta atualizada com sucesso' });
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
+
+        console.error('❌ Erro ao atualizar conta administrativa:', error);
+        res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+    }
+});
+
+// DELETE - Eliminar conta
+router.delete('/users/:id', authenticateAdmin, requirePermission('manage_users'),
+    auditStaffAccount('staff_user.delete'), async (req, res) => {
+    try {
+        await deleteAdminUser(req.params.id, req.user);
+        res.json({ success: true, message: 'Conta eliminada com sucesso' });
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
+
+        console.error('❌ Erro ao eliminar conta administrativa:', error);
+        res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+    }
+});
+
+// DELETE - Repor a 2FA de uma conta (dispositivo perdido); as sessões abertas terminam
+router.delete('/users/:id/two-factor', authenticateAdmin, requirePermission('manage_users'),
+    auditStaffAccount('staff_user.reset_two_factor'), async (req, res) => {
+    try {
+        await resetTwoFactor(req.params.id, req.user);
+
+        console.log(`🔓 2FA da conta ${req.params.id} reposta por ${req.user.username}`);
+        res.json({ success: true, message: 'Autenticação em dois passos reposta' });
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
+
+        console.error('❌ Erro ao repor 2FA:', error);
+        res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+    }
+});
+
+module.exports = router;
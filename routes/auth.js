@@ -1,25 +1,67 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
-const db = require('../config/database');
+const { userRepository } = require('../repositories');
 const { authenticateToken } = require('../middleware/auth');
-const { validateRegister, validateLogin, validatePasswordChange } = require('../middleware/validation');
-const { verifyCredentials } = require('../config/admin');
+const {
+  validateRegister,
+  validateLogin,
+  validateRefreshToken,
+  validatePasswordChange,
+  validateForgotPassword,
+  validateResetPassword,
+  validateEmailVerification,
+  validatePhoneCode
+} = require('../middleware/validation');
+const {
+  issueSession,
+  refreshSession,
+  revokeSession,
+  revokeAllSessions
+} = require('../services/token-service');
+const { HttpError } = require('../utils/errors');
+const { mergeGuestCart } = require('../services/cart-service');
+const { addAddress } = require('../services/address-service');
+const {
+  checkLoginAttempt,
+  recordLoginFailure,
+  recordLoginSuccess
+} = require('../services/login-protection-service');
+const { loginLimiter, refreshLimiter, accountLimiter } = require('../middleware/rate-limit');
+const {
+  requestPasswordReset,
+  resetPassword,
+  sendEmailVerification,
+  verifyEmail,
+  sendPhoneCode,
+  verifyPhoneCode
+} = require('../services/account-verification-service');
 
 const router = express.Router();
 
-const JWT_SECRET = process.env.JWT_SECRET || 'admin-secret-key';
+// Trazer o carrinho de visitante (cartToken opcional no corpo) para a conta.
+// Uma falha aqui não impede o login: o carrinho pode ser fundido depois em /api/cart/merge
+async function adoptGuestCart(cartToken, userId) {
+  if (!cartToken) {
+    return 0;
+  }
+
+  try {
+    return await mergeGuestCart(cartToken, userId);
+  } catch (error) {
+    console.error('Erro ao fundir carrinho de visitante:', error);
+    return 0;
+  }
+}
 
 // @route   POST /api/auth/register
 // @desc    Registar novo usuário
 // @access  Public
-router.post('/register', validateRegister, async (req, res) => {
+router.post('/register', accountLimiter, validateRegister, async (req, res) => {
   try {
     const { name, email, phone, password, address } = req.body;
 
     // Verificar se o usuário já existe
-    const existingUser = db.prepare('SELECT id FROM users WHERE email = ?').get(email);
-    if (existingUser) {
+    if (await userRepository.isEmailTaken(email)) {
       return res.status(400).json({
         success: false,
         message: 'Email já está registado'
@@ -27,7 +69,7 @@ router.post('/register', validateRegister, async (req, res) => {
     }
 
     // Verificar se o telefone já está em uso
-    const existingPhone = db.prepare('SELECT id FROM users WHERE phone = ?').get(phone);
+    const existingPhone = await userRepository.findByPhone(phone);
     if (existingPhone) {
       return res.status(400).json({
         success: false,
@@ -40,41 +82,39 @@ router.post('/register', validateRegister, async (req, res) => {
     const hashedPassword = await bcrypt.hash(password, salt);
 
     // Criar novo usuário
-    const stmt = db.prepare(`
-      INSERT INTO users (name, email, phone, password, street, city, postal_code, lat, lng)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `);
-    
-    const result = stmt.run(
-      name, 
-      email, 
-      phone, 
-      hashedPassword, 
-      address.street, 
-      address.city, 
-      address.postalCode,
-      address.coordinates?.lat || null,
-      address.coordinates?.lng || null
-    );
-
-    const userId = result.lastInsertRowid;
-
-    // Gerar token JWT
-    const token = jwt.sign(
-      { userId },
-      process.env.JWT_SECRET || 'default_secret',
-      { expiresIn: '7d' }
-    );
+    const userId = await userRepository.create({
+      name,
+      email,
+      phone,
+      password: hashedPassword,
+      street: address.street,
+      city: address.city,
+      postalCode: address.postalCode,
+      lat: address.coordinates?.lat,
+      lng: address.coordinates?.lng
+    });
+    await addAddress(userId, { label: 'Casa', ...address });
+
+    // Gerar sessão (token de acesso + refresh token)
+    const session = await issueSession(userId, { userAgent: req.get('user-agent') });
 
     // Buscar usuário criado (sem password)
-    const user = db.prepare('SELECT id, name, email, phone, street, city, postal_code, role, loyalty_points, loyalty_tier, created_at FROM users WHERE id = ?').get(userId);
+    const user = await userRepository.findAuthById(userId);
+
+    const mergedCartItems = await adoptGuestCart(req.body.cartToken, userId);
+
+    // Uma falha no envio não impede o registo: o email pode ser pedido de novo em /verify-email/send
+    sendEmailVerification(userId).catch(error => {
+      console.error('Erro ao enviar email de verificação:', error);
+    });
 
     res.status(201).json({
       success: true,
       message: 'Utilizador registado com sucesso',
       data: {
         user,
-        token
+        ...session,
+        mergedCartItems
       }
     });
   } catch (error) {
@@ -89,14 +129,18 @@ router.post('/register', validateRegister, async (req, res) => {
 // @route   POST /api/auth/login
 // @desc    Autenticar usuário
 // @access  Public
-router.post('/login', validateLogin, async (req, res) => {
+router.post('/login', loginLimiter, validateLogin, async (req, res) => {
   try {
     const { email, password } = req.body;
 
+    // Conta ou IP bloqueados (ou em espera) por tentativas falhadas: 429
+    const attempt = await checkLoginAttempt({ ip: req.ip, login: email });
+
     // Buscar usuário com password
-    const user = db.prepare('SELECT * FROM users WHERE email = ?').get(email);
+    const user = await userRepository.findByEmail(email);
     
     if (!user) {
+      await recordLoginFailure(attempt);
       return res.status(401).json({
         success: false,
         message: 'Credenciais inválidas'
@@ -113,34 +157,51 @@ router.post('/login', validateLogin, async (req, res) => {
     // Verificar password
     const isPasswordValid = await bcrypt.compare(password, user.password);
     if (!isPasswordValid) {
+      await recordLoginFailure(attempt);
       return res.status(401).json({
         success: false,
         message: 'Credenciais inválidas'
       });
     }
 
+    // Contas com 2FA (só do painel) não podem abrir sessão sem o segundo passo
+    if (user.totp_enabled_at) {
+      return res.status(403).json({
+        success: false,
+        message: 'Esta conta usa autenticação em dois passos. Inicie sessão no painel administrativo',
+        twoFactorRequired: true
+      });
+    }
+
     // Atualizar último login
-    db.prepare('UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = ?').run(user.id);
+    await recordLoginSuccess(attempt);
+    await userRepository.touchLastLogin(user.id);
 
-    // Gerar token JWT
-    const token = jwt.sign(
-      { userId: user.id },
-      process.env.JWT_SECRET || 'default_secret',
-      { expiresIn: '7d' }
-    );
+    // Gerar sessão (token de acesso + refresh token)
+    const session = await issueSession(user.id, { userAgent: req.get('user-agent') });
 
-    // Remover password da resposta
-    const { password: _, ...userResponse } = user;
+    // Remover password (e o segredo da 2FA) da resposta
+    const { password: _, totp_secret: __, totp_last_used_step: ___, ...userResponse } = user;
+
+    const mergedCartItems = await adoptGuestCart(req.body.cartToken, user.id);
 
     res.json({
       success: true,
       message: 'Login realizado com sucesso',
       data: {
         user: userResponse,
-        token
+        ...session,
+        mergedCartItems
       }
     });
   } catch (error) {
+    if (error instanceof HttpError) {
+      if (error.details?.retryAfter) {
+        res.set('Retry-After', String(error.details.retryAfter));
+      }
+      return res.status(error.status).json({ success: false, message: error.message, ...error.details });
+    }
+
     console.error('Erro no login:', error);
     res.status(500).json({
       success: false,
@@ -150,25 +211,25 @@ router.post('/login', validateLogin, async (req, res) => {
 });
 
 // @route   POST /api/auth/refresh
-// @desc    Renovar token JWT
-// @access  Private
-router.post('/refresh', authenticateToken, async (req, res) => {
+// @desc    Trocar o refresh token por uma nova sessão (o refresh token usado deixa de valer)
+// @access  Public
+router.post('/refresh', refreshLimiter, validateRefreshToken, async (req, res) => {
   try {
-    // Gerar novo token
-    const token = jwt.sign(
-      { userId: req.user.id },
-      process.env.JWT_SECRET || 'default_secret',
-      { expiresIn: '7d' }
-    );
+    const session = await refreshSession(req.body.refreshToken, { userAgent: req.get('user-agent') });
 
     res.json({
       success: true,
       message: 'Token renovado com sucesso',
-      data: {
-        token
-      }
+      data: session
     });
   } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     console.error('Erro na renovação do token:', error);
     res.status(500).json({
       success: false,
@@ -178,26 +239,54 @@ router.post('/refresh', authenticateToken, async (req, res) => {
 });
 
 // @route   POST /api/auth/logout
-// @desc    Fazer logout (invalidar token no frontend)
+// @desc    Terminar a sessão deste dispositivo (token de acesso e refresh token)
+// @access  Private
+router.post('/logout', authenticateToken, async (req, res) => {
+  try {
+    await revokeSession({ accessPayload: req.auth, refreshToken: req.body.refreshToken });
+
+    res.json({
+      success: true,
+      message: 'Logout realizado com sucesso'
+    });
+  } catch (error) {
+    console.error('Erro no logout:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor'
+    });
+  }
+});
+
+// @route   POST /api/auth/logout-all
+// @desc    Terminar todas as sessões da conta (todos os dispositivos)
 // @access  Private
-router.post('/logout', authenticateToken, (req, res) => {
-  // No JWT, o logout é feito no frontend removendo o token
-  // Aqui podemos registrar o logout para auditoria se necessário
-  res.json({
-    success: true,
-    message: 'Logout realizado com sucesso'
-  });
+router.post('/logout-all', authenticateToken, async (req, res) => {
+  try {
+    await revokeAllSessions(req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Sessão terminada em todos os dispositivos'
+    });
+  } catch (error) {
+    console.error('Erro ao terminar sessões:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor'
+    });
+  }
 });
 
 // @route   POST /api/auth/change-password
 // @desc    Alterar password
 // @access  Private
-router.post('/change-password', authenticateToken, validatePasswordChange, async (req, res) => {
+router.post('/change-password', accountLimiter, authenticateToken, validatePasswordChange, async (req, res) => {
   try {
     const { currentPassword, newPassword } = req.body;
 
     // Buscar usuário com password atual
-    const user = db.prepare('SELECT * FROM users WHERE id = ?').get(req.user.id);
+    const user = await userRepository.findById(req.user.id);
     
     if (!user) {
       return res.status(404).json({
@@ -220,7 +309,7 @@ router.post('/change-password', authenticateToken, validatePasswordChange, async
     const hashedNewPassword = await bcrypt.hash(newPassword, salt);
 
     // Atualizar password
-    db.prepare('UPDATE users SET password = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(hashedNewPassword, req.user.id);
+    await userRepository.updatePassword(req.user.id, hashedNewPassword);
 
     res.json({
       success: true,
@@ -236,38 +325,13 @@ router.post('/change-password', authenticateToken, validatePasswordChange, async
 });
 
 // @route   POST /api/auth/forgot-password
-// @desc    Solicitar reset de password
+// @desc    Solicitar reset de password (link de uso único enviado por email)
 // @access  Public
-router.post('/forgot-password', async (req, res) => {
+router.post('/forgot-password', accountLimiter, validateForgotPassword, async (req, res) => {
   try {
-    const { email } = req.body;
-
-    if (!email) {
-      return res.status(400).json({
-        success: false,
-        message: 'Email é obrigatório'
-      });
-    }
-
-    // Verificar se o usuário existe
-    const user = db.prepare('SELECT id FROM users WHERE email = ?').get(email);
-    if (!user) {
-      // Por segurança, não revelar se o email existe ou não
-      return res.json({
-        success: true,
-        message: 'Se o email estiver registado, receberá instruções para reset da password'
-      });
-    }
+    await requestPasswordReset(req.body.email);
 
-    // Gerar token de reset (válido por 1 hora)
-    const resetToken = jwt.sign(
-      { userId: user.id, type: 'password_reset' },
-      process.env.JWT_SECRET || 'default_secret',
-      { expiresIn: '1h' }
-    );
-
-    // TODO: Enviar email com link de reset
-    // Por agora, apenas retornar sucesso
+    // Por segurança, não revelar se o email existe ou não
     res.json({
       success: true,
       message: 'Se o email estiver registado, receberá instruções para reset da password'
@@ -282,61 +346,21 @@ router.post('/forgot-password', async (req, res) => {
 });
 
 // @route   POST /api/auth/reset-password
-// @desc    Reset de password com token
+// @desc    Reset de password com o token do email (termina as sessões abertas)
 // @access  Public
-router.post('/reset-password', async (req, res) => {
+router.post('/reset-password', accountLimiter, validateResetPassword, async (req, res) => {
   try {
-    const { token, newPassword } = req.body;
-
-    if (!token || !newPassword) {
-      return res.status(400).json({
-        success: false,
-        message: 'Token e nova password são obrigatórios'
-      });
-    }
-
-    // Verificar token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'default_secret');
-    
-    if (decoded.type !== 'password_reset') {
-      return res.status(400).json({
-        success: false,
-        message: 'Token inválido'
-      });
-    }
-
-    // Buscar usuário
-    const user = db.prepare('SELECT id FROM users WHERE id = ?').get(decoded.userId);
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: 'Utilizador não encontrado'
-      });
-    }
-
-    // Hash da nova password
-    const salt = await bcrypt.genSalt(12);
-    const hashedNewPassword = await bcrypt.hash(newPassword, salt);
-
-    // Atualizar password
-    db.prepare('UPDATE users SET password = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(hashedNewPassword, decoded.userId);
+    await resetPassword(req.body.token, req.body.newPassword);
 
     res.json({
       success: true,
       message: 'Password alterada com sucesso'
     });
   } catch (error) {
-    if (error.name === 'JsonWebTokenError') {
-      return res.status(400).json({
-        success: false,
-        message: 'Token inválido'
-      });
-    }
-    
-    if (error.name === 'TokenExpiredError') {
-      return res.status(400).json({
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({
         success: false,
-        message: 'Token expirado'
+        message: error.message
       });
     }
 
@@ -354,13 +378,7 @@ router.post('/reset-password', async (req, res) => {
 router.get('/me', authenticateToken, async (req, res) => {
   try {
     // Buscar usuário com dados atualizados
-    const user = db.prepare(`
-      SELECT id, name, email, phone, street, city, postal_code, lat, lng, 
-             role, loyalty_points, loyalty_tier, is_active, email_verified, 
-             phone_verified, dietary_restrictions, delivery_instructions, 
-             marketing_emails, sms_notifications, last_login, created_at, updated_at
-      FROM users WHERE id = ?
-    `).get(req.user.id);
+    const user = await userRepository.findProfileById(req.user.id);
 
     if (!user) {
       return res.status(404).json({
@@ -384,35 +402,52 @@ router.get('/me', authenticateToken, async (req, res) => {
   }
 });
 
-// @route   POST /api/auth/verify-email
-// @desc    Verificar email (simulado)
+// @route   POST /api/auth/verify-email/send
+// @desc    Enviar (de novo) o link de verificação de email
 // @access  Private
-router.post('/verify-email', authenticateToken, async (req, res) => {
+router.post('/verify-email/send', accountLimiter, authenticateToken, async (req, res) => {
   try {
-    const user = db.prepare('SELECT id, email_verified FROM users WHERE id = ?').get(req.user.id);
-    
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: 'Utilizador não encontrado'
-      });
-    }
+    await sendEmailVerification(req.user.id);
 
-    if (user.email_verified) {
-      return res.status(400).json({
+    res.json({
+      success: true,
+      message: 'Enviámos um link de verificação para o seu email'
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({
         success: false,
-        message: 'Email já está verificado'
+        message: error.message
       });
     }
 
-    // Simular verificação de email
-    db.prepare('UPDATE users SET email_verified = 1, updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(req.user.id);
+    console.error('Erro ao enviar verificação de email:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor'
+    });
+  }
+});
+
+// @route   POST /api/auth/verify-email
+// @desc    Verificar email com o token do link
+// @access  Public (com o link)
+router.post('/verify-email', accountLimiter, validateEmailVerification, async (req, res) => {
+  try {
+    await verifyEmail(req.body.token);
 
     res.json({
       success: true,
       message: 'Email verificado com sucesso'
     });
   } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     console.error('Erro na verificação de email:', error);
     res.status(500).json({
       success: false,
@@ -421,51 +456,55 @@ router.post('/verify-email', authenticateToken, async (req, res) => {
   }
 });
 
-// @route   POST /api/auth/verify-phone
-// @desc    Verificar telefone (simulado)
+// @route   POST /api/auth/verify-phone/send
+// @desc    Enviar código de verificação por SMS
 // @access  Private
-router.post('/verify-phone', authenticateToken, async (req, res) => {
+router.post('/verify-phone/send', accountLimiter, authenticateToken, async (req, res) => {
   try {
-    const { code } = req.body;
-
-    if (!code) {
-      return res.status(400).json({
-        success: false,
-        message: 'Código de verificação é obrigatório'
-      });
-    }
+    const { expiresInMinutes } = await sendPhoneCode(req.user.id);
 
-    const user = db.prepare('SELECT id, phone_verified FROM users WHERE id = ?').get(req.user.id);
-    
-    if (!user) {
-      return res.status(404).json({
+    res.json({
+      success: true,
+      message: 'Enviámos um código de verificação por SMS',
+      data: {
+        expiresInMinutes
+      }
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({
         success: false,
-        message: 'Utilizador não encontrado'
+        message: error.message
       });
     }
 
-    if (user.phone_verified) {
-      return res.status(400).json({
-        success: false,
-        message: 'Telefone já está verificado'
-      });
-    }
+    console.error('Erro ao enviar código SMS:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor'
+    });
+  }
+});
 
-    // Simular verificação de código (qualquer código funciona)
-    if (code.length === 6) {
-      db.prepare('UPDATE users SET phone_verified = 1, updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(req.user.id);
+// @route   POST /api/auth/verify-phone
+// @desc    Verificar telefone com o código recebido por SMS
+// @access  Private
+router.post('/verify-phone', accountLimiter, authenticateToken, validatePhoneCode, async (req, res) => {
+  try {
+    await verifyPhoneCode(req.user.id, req.body.code);
 
-      res.json({
-        success: true,
-        message: 'Telefone verificado com sucesso'
-      });
-    } else {
-      res.status(400).json({
+    res.json({
+      success: true,
+      message: 'Telefone verificado com sucesso'
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({
         success: false,
-        message: 'Código de verificação inválido'
+        message: error.message
       });
     }
-  } catch (error) {
+
     console.error('Erro na verificação de telefone:', error);
     res.status(500).json({
       success: false,
@@ -474,103 +513,7 @@ router.post('/verify-phone', authenticateToken, async (req, res) => {
   }
 });
 
-// Login admin
-router.post('/admin/login', async (req, res) => {
-    try {
-        const { username, password } = req.body;
-        
-        if (!username || !password) {
-            return res.status(400).json({
-                success: false,
-                message: 'Usuário e senha são obrigatórios'
-            });
-        }
-        
-        const user = await verifyCredentials(username, password);
-        
-        if (!user) {
-            return res.status(401).json({
-                success: false,
-                message: 'Credenciais inválidas'
-            });
-        }
-        
-        // Gerar JWT token
-        const token = jwt.sign(
-            {
-                id: user.id,
-                username: user.username,
-                role: user.role,
-                permissions: user.permissions
-            },
-            JWT_SECRET,
-            { expiresIn: '24h' }
-        );
-        
-        // Definir cookie
-        res.cookie('admin_token', token, {
-            httpOnly: true,
-            secure: process.env.NODE_ENV === 'production',
-            maxAge: 24 * 60 * 60 * 1000 // 24 horas
-        });
-        
-        res.json({
-            success: true,
-            message: 'Login realizado com sucesso',
-            token,
-            user: {
-                id: user.id,
-                username: user.username,
-                role: user.role
-            }
-        });
-        
-    } catch (error) {
-        console.error('❌ Erro no login:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Erro interno do servidor'
-        });
-    }
-});
-
-// Verificar token
-router.get('/admin/verify', (req, res) => {
-    try {
-        const token = req.headers.authorization?.split(' ')[1] || 
-                     req.cookies?.admin_token || 
-                     req.query.token;
-        
-        if (!token) {
-            return res.status(401).json({
-                success: false,
-                message: 'Token não fornecido'
-            });
-        }
-        
-        const decoded = jwt.verify(token, JWT_SECRET);
-        
-        res.json({
-            success: true,
-            user: decoded
-        });
-        
-    } catch (error) {
-        console.error('❌ Erro ao verificar token:', error);
-        res.status(401).json({
-            success: false,
-            message: 'Token inválido'
-        });
-    }
-});
-
-// Logout
-router.post('/admin/logout', (req, res) => {
-    res.clearCookie('admin_token');
-    res.json({
-        success: true,
-        message: 'Logout realizado com sucesso'
-    });
-});
+// Login, verificação e logout do painel também disponíveis em /api/auth/admin
+router.use('/admin', require('./admin-auth'));
 
 module.exports = router;
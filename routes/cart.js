@@ -1,42 +1,39 @@
 const express = require('express');
-const db = require('../config/database');
-const { authenticateToken, requireOwnershipOrAdmin } = require('../middleware/auth');
-const { validateCartItem, validateQuantity } = require('../middleware/validation');
+const { cartRepository } = require('../repositories');
+const { authenticateToken, resolveCartOwner } = require('../middleware/auth');
+const { validateCartItem, validateQuantity, validateCartMerge } = require('../middleware/validation');
+const { createGuestCart, summarize, getCart, addItem, mergeGuestCart } = require('../services/cart-service');
+const { HttpError } = require('../utils/errors');
 
 const router = express.Router();
 
+// Rotas que precisam de um carrinho já existente (cliente autenticado ou token de visitante)
+const requireCartOwner = (req, res, next) => {
+  if (!req.cartOwner) {
+    return res.status(401).json({
+      success: false,
+      message: 'Carrinho não identificado'
+    });
+  }
+
+  next();
+};
+
 // @route   GET /api/cart
-// @desc    Obter carrinho do usuário
-// @access  Private
-router.get('/', authenticateToken, async (req, res) => {
+// @desc    Obter carrinho do usuário ou do visitante (X-Cart-Token)
+// @access  Public
+router.get('/', resolveCartOwner, async (req, res) => {
   try {
-    const cartItems = db.prepare(`
-      SELECT ci.*, p.name, p.price, p.image_url, p.is_available
-      FROM cart_items ci
-      JOIN products p ON ci.product_id = p.id
-      WHERE ci.user_id = ?
-      ORDER BY ci.created_at DESC
-    `).all(req.user.id);
-
-    // Calcular totais
-    let subtotal = 0;
-    let totalItems = 0;
-
-    cartItems.forEach(item => {
-      if (item.is_available) {
-        subtotal += item.quantity * item.price;
-        totalItems += item.quantity;
-      }
-    });
+    const { items, summary } = await getCart(req.cartOwner);
 
     res.json({
       success: true,
       data: {
-        items: cartItems,
+        items,
         summary: {
-          subtotal: parseFloat(subtotal.toFixed(2)),
-          totalItems,
-          itemCount: cartItems.length
+          subtotal: summary.subtotal,
+          totalItems: summary.availableItems,
+          itemCount: summary.itemCount
         }
       }
     });
@@ -50,77 +47,36 @@ router.get('/', authenticateToken, async (req, res) => {
 });
 
 // @route   POST /api/cart/add
-// @desc    Adicionar item ao carrinho
-// @access  Private
-router.post('/add', authenticateToken, validateCartItem, validateQuantity, async (req, res) => {
+// @desc    Adicionar item ao carrinho (sem sessão nem token cria um carrinho de visitante)
+// @access  Public
+router.post('/add', resolveCartOwner, validateCartItem, async (req, res) => {
   try {
     const { productId, quantity, specialInstructions, customization } = req.body;
 
-    // Verificar se o produto existe e está disponível
-    const product = db.prepare('SELECT id, name, price, is_available FROM products WHERE id = ?').get(productId);
-    
-    if (!product) {
-      return res.status(404).json({
-        success: false,
-        message: 'Produto não encontrado'
-      });
+    let owner = req.cartOwner;
+    if (!owner) {
+      owner = await createGuestCart();
+      res.set('X-Cart-Token', owner.cartToken);
     }
 
-    if (!product.is_available) {
-      return res.status(400).json({
+    const { created, item } = await addItem(owner, { productId, quantity, specialInstructions, customization });
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      message: created ? 'Item adicionado ao carrinho' : 'Quantidade atualizada no carrinho',
+      data: {
+        item,
+        ...(owner.cartToken && { cartToken: owner.cartToken })
+      }
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({
         success: false,
-        message: 'Produto não está disponível'
+        message: error.message
       });
     }
 
-    // Verificar se o item já existe no carrinho
-    const existingItem = db.prepare('SELECT id, quantity FROM cart_items WHERE user_id = ? AND product_id = ?').get(req.user.id, productId);
-
-    if (existingItem) {
-      // Atualizar quantidade
-      const newQuantity = existingItem.quantity + quantity;
-      db.prepare('UPDATE cart_items SET quantity = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(newQuantity, existingItem.id);
-      
-      const updatedItem = db.prepare(`
-        SELECT ci.*, p.name, p.price, p.image_url
-        FROM cart_items ci
-        JOIN products p ON ci.product_id = p.id
-        WHERE ci.id = ?
-      `).get(existingItem.id);
-
-      res.json({
-        success: true,
-        message: 'Quantidade atualizada no carrinho',
-        data: {
-          item: updatedItem
-        }
-      });
-    } else {
-      // Adicionar novo item
-      const stmt = db.prepare(`
-        INSERT INTO cart_items (user_id, product_id, quantity, special_instructions, customization)
-        VALUES (?, ?, ?, ?, ?)
-      `);
-
-      const result = stmt.run(req.user.id, productId, quantity, specialInstructions || null, customization || null);
-      const cartItemId = result.lastInsertRowid;
-
-      const newItem = db.prepare(`
-        SELECT ci.*, p.name, p.price, p.image_url
-        FROM cart_items ci
-        JOIN products p ON ci.product_id = p.id
-        WHERE ci.id = ?
-      `).get(cartItemId);
-
-      res.status(201).json({
-        success: true,
-        message: 'Item adicionado ao carrinho',
-        data: {
-          item: newItem
-        }
-      });
-    }
-  } catch (error) {
     console.error('Erro ao adicionar item ao carrinho:', error);
     res.status(500).json({
       success: false,
@@ -129,17 +85,64 @@ router.post('/add', authenticateToken, validateCartItem, validateQuantity, async
   }
 });
 
+// @route   POST /api/cart/merge
+// @desc    Fundir o carrinho de visitante no carrinho do usuário
+// @access  Private
+router.post('/merge', authenticateToken, validateCartMerge, async (req, res) => {
+  try {
+    const merged = await mergeGuestCart(req.body.cartToken, req.user.id);
+    const { items, summary } = await getCart({ userId: req.user.id });
+
+    res.json({
+      success: true,
+      message: merged > 0 ? 'Carrinho de visitante adicionado à sua conta' : 'Nada para fundir',
+      data: {
+        merged,
+        items,
+        summary
+      }
+    });
+  } catch (error) {
+    console.error('Erro ao fundir carrinho:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor'
+    });
+  }
+});
+
+// @route   DELETE /api/cart/clear
+// @desc    Limpar carrinho
+// @access  Public (dono do carrinho)
+router.delete('/clear', resolveCartOwner, requireCartOwner, async (req, res) => {
+  try {
+    // Remover todos os itens do carrinho
+    await cartRepository.clear(req.cartOwner);
+
+    res.json({
+      success: true,
+      message: 'Carrinho limpo com sucesso'
+    });
+  } catch (error) {
+    console.error('Erro ao limpar carrinho:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor'
+    });
+  }
+});
+
 // @route   PUT /api/cart/:itemId/update
 // @desc    Atualizar item do carrinho
-// @access  Private
-router.put('/:itemId/update', authenticateToken, requireOwnershipOrAdmin, validateQuantity, async (req, res) => {
+// @access  Public (dono do carrinho)
+router.put('/:itemId/update', resolveCartOwner, requireCartOwner, validateQuantity, async (req, res) => {
   try {
     const { itemId } = req.params;
     const { quantity, specialInstructions, customization } = req.body;
 
-    // Verificar se o item existe e pertence ao usuário
-    const cartItem = db.prepare('SELECT * FROM cart_items WHERE id = ? AND user_id = ?').get(itemId, req.user.id);
-    
+    // Verificar se o item existe e pertence ao carrinho
+    const cartItem = await cartRepository.findOwnedItem(itemId, req.cartOwner);
+
     if (!cartItem) {
       return res.status(404).json({
         success: false,
@@ -148,39 +151,24 @@ router.put('/:itemId/update', authenticateToken, requireOwnershipOrAdmin, valida
     }
 
     // Atualizar item
-    const updateFields = [];
-    const params = [];
+    const changes = {};
 
     if (quantity !== undefined) {
-      updateFields.push('quantity = ?');
-      params.push(quantity);
+      changes.quantity = quantity;
     }
 
     if (specialInstructions !== undefined) {
-      updateFields.push('special_instructions = ?');
-      params.push(specialInstructions);
+      changes.special_instructions = specialInstructions;
     }
 
     if (customization !== undefined) {
-      updateFields.push('customization = ?');
-      params.push(customization);
+      changes.customization = customization;
     }
 
-    if (updateFields.length > 0) {
-      updateFields.push('updated_at = CURRENT_TIMESTAMP');
-      params.push(itemId);
-
-      const updateQuery = `UPDATE cart_items SET ${updateFields.join(', ')} WHERE id = ?`;
-      db.prepare(updateQuery).run(...params);
-    }
+    await cartRepository.updateById(itemId, changes);
 
     // Buscar item atualizado
-    const updatedItem = db.prepare(`
-      SELECT ci.*, p.name, p.price, p.image_url
-      FROM cart_items ci
-      JOIN products p ON ci.product_id = p.id
-      WHERE ci.id = ?
-    `).get(itemId);
+    const updatedItem = await cartRepository.findWithProduct(itemId);
 
     res.json({
       success: true,
@@ -200,14 +188,14 @@ router.put('/:itemId/update', authenticateToken, requireOwnershipOrAdmin, valida
 
 // @route   DELETE /api/cart/:itemId
 // @desc    Remover item do carrinho
-// @access  Private
-router.delete('/:itemId', authenticateToken, requireOwnershipOrAdmin, async (req, res) => {
+// @access  Public (dono do carrinho)
+router.delete('/:itemId', resolveCartOwner, requireCartOwner, async (req, res) => {
   try {
     const { itemId } = req.params;
 
-    // Verificar se o item existe e pertence ao usuário
-    const cartItem = db.prepare('SELECT id FROM cart_items WHERE id = ? AND user_id = ?').get(itemId, req.user.id);
-    
+    // Verificar se o item existe e pertence ao carrinho
+    const cartItem = await cartRepository.findOwnedItem(itemId, req.cartOwner);
+
     if (!cartItem) {
       return res.status(404).json({
         success: false,
@@ -216,7 +204,7 @@ router.delete('/:itemId', authenticateToken, requireOwnershipOrAdmin, async (req
     }
 
     // Remover item
-    db.prepare('DELETE FROM cart_items WHERE id = ?').run(itemId);
+    await cartRepository.deleteById(itemId);
 
     res.json({
       success: true,
@@ -231,38 +219,12 @@ router.delete('/:itemId', authenticateToken, requireOwnershipOrAdmin, async (req
   }
 });
 
-// @route   DELETE /api/cart/clear
-// @desc    Limpar carrinho
-// @access  Private
-router.delete('/clear', authenticateToken, async (req, res) => {
-  try {
-    // Remover todos os itens do carrinho do usuário
-    db.prepare('DELETE FROM cart_items WHERE user_id = ?').run(req.user.id);
-
-    res.json({
-      success: true,
-      message: 'Carrinho limpo com sucesso'
-    });
-  } catch (error) {
-    console.error('Erro ao limpar carrinho:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Erro interno do servidor'
-    });
-  }
-});
-
 // @route   POST /api/cart/validate
 // @desc    Validar carrinho antes do checkout
-// @access  Private
-router.post('/validate', authenticateToken, async (req, res) => {
+// @access  Public (dono do carrinho)
+router.post('/validate', resolveCartOwner, requireCartOwner, async (req, res) => {
   try {
-    const cartItems = db.prepare(`
-      SELECT ci.*, p.name, p.price, p.is_available, p.stock_quantity
-      FROM cart_items ci
-      JOIN products p ON ci.product_id = p.id
-      WHERE ci.user_id = ?
-    `).all(req.user.id);
+    const cartItems = await cartRepository.listForValidation(req.cartOwner);
 
     if (cartItems.length === 0) {
       return res.status(400).json({
@@ -277,7 +239,7 @@ router.post('/validate', authenticateToken, async (req, res) => {
     cartItems.forEach(item => {
       if (!item.is_available) {
         validationErrors.push(`Produto "${item.name}" não está disponível`);
-      } else if (item.stock_quantity < item.quantity) {
+      } else if (item.stock_quantity !== -1 && item.stock_quantity < item.quantity) {
         validationErrors.push(`Produto "${item.name}" tem apenas ${item.stock_quantity} unidades em estoque`);
       } else {
         subtotal += item.quantity * item.price;
@@ -311,37 +273,15 @@ router.post('/validate', authenticateToken, async (req, res) => {
 
 // @route   GET /api/cart/summary
 // @desc    Obter resumo do carrinho
-// @access  Private
-router.get('/summary', authenticateToken, async (req, res) => {
+// @access  Public
+router.get('/summary', resolveCartOwner, async (req, res) => {
   try {
-    const cartItems = db.prepare(`
-      SELECT ci.quantity, p.price, p.is_available
-      FROM cart_items ci
-      JOIN products p ON ci.product_id = p.id
-      WHERE ci.user_id = ?
-    `).all(req.user.id);
-
-    let subtotal = 0;
-    let totalItems = 0;
-    let availableItems = 0;
-
-    cartItems.forEach(item => {
-      if (item.is_available) {
-        subtotal += item.quantity * item.price;
-        availableItems += item.quantity;
-      }
-      totalItems += item.quantity;
-    });
+    const { items } = await getCart(req.cartOwner);
 
     res.json({
       success: true,
       data: {
-        summary: {
-          totalItems,
-          availableItems,
-          subtotal: parseFloat(subtotal.toFixed(2)),
-          itemCount: cartItems.length
-        }
+        summary: summarize(items)
       }
     });
   } catch (error) {
@@ -1,5 +1,5 @@
 const express = require('express');
-const db = require('../config/database');
+const { contactRepository } = require('../repositories');
 const { authenticateToken, requireStaff, requireAdmin } = require('../middleware/auth');
 const { validateContact, validatePagination } = require('../middleware/validation');
 
@@ -13,13 +13,7 @@ router.post('/', validateContact, async (req, res) => {
     const { name, email, phone, subject, message } = req.body;
 
     // Criar contacto
-    const stmt = db.prepare(`
-      INSERT INTO contacts (name, email, phone, subject, message)
-      VALUES (?, ?, ?, ?, ?)
-    `);
-
-    const result = stmt.run(name, email, phone, subject, message);
-    const contactId = result.lastInsertRowid;
+    const contactId = await contactRepository.create({ name, email, phone, subject, message });
 
     // TODO: Enviar email de confirmação
     // TODO: Enviar notificação para staff
@@ -56,37 +50,14 @@ router.get('/admin/all', authenticateToken, requireStaff, validatePagination, as
       subject
     } = req.query;
 
-    // Construir query SQL
-    let whereClause = 'WHERE 1=1';
-    const params = [];
-
-    if (status) {
-      whereClause += ' AND status = ?';
-      params.push(status);
-    }
-
-    if (subject) {
-      whereClause += ' AND subject LIKE ?';
-      params.push(`%${subject}%`);
-    }
-
     // Calcular offset para paginação
     const offset = (parseInt(page) - 1) * parseInt(limit);
 
-    // Executar query
-    const contactsQuery = `
-      SELECT * FROM contacts 
-      ${whereClause} 
-      ORDER BY created_at DESC 
-      LIMIT ? OFFSET ?
-    `;
-    
-    const contacts = db.prepare(contactsQuery).all(...params, parseInt(limit), offset);
+    const filters = { status, subject };
+    const contacts = await contactRepository.list(filters, { limit: parseInt(limit), offset });
 
     // Contar total de mensagens
-    const countQuery = `SELECT COUNT(*) as total FROM contacts ${whereClause}`;
-    const totalResult = db.prepare(countQuery).get(...params);
-    const total = totalResult.total;
+    const total = await contactRepository.count(filters);
     const totalPages = Math.ceil(total / parseInt(limit));
 
     res.json({
@@ -116,7 +87,7 @@ router.get('/admin/all', authenticateToken, requireStaff, validatePagination, as
 // @access  Private (Staff/Admin)
 router.get('/admin/:id', authenticateToken, requireStaff, async (req, res) => {
   try {
-    const contact = db.prepare('SELECT * FROM contacts WHERE id = ?').get(req.params.id);
+    const contact = await contactRepository.findById(req.params.id);
 
     if (!contact) {
       return res.status(404).json({
@@ -149,7 +120,7 @@ router.put('/admin/:id/update-status', authenticateToken, requireStaff, async (r
     const { status, notes } = req.body;
 
     // Verificar se mensagem existe
-    const existingContact = db.prepare('SELECT id FROM contacts WHERE id = ?').get(id);
+    const existingContact = await contactRepository.findById(id);
     if (!existingContact) {
       return res.status(404).json({
         success: false,
@@ -158,29 +129,20 @@ router.put('/admin/:id/update-status', authenticateToken, requireStaff, async (r
     }
 
     // Atualizar status
-    const updateFields = [];
-    const params = [];
+    const changes = {};
 
     if (status) {
-      updateFields.push('status = ?');
-      params.push(status);
+      changes.status = status;
     }
 
     if (notes) {
-      updateFields.push('notes = ?');
-      params.push(notes);
+      changes.notes = notes;
     }
 
-    if (updateFields.length > 0) {
-      updateFields.push('updated_at = CURRENT_TIMESTAMP');
-      params.push(id);
-
-      const updateQuery = `UPDATE contacts SET ${updateFields.join(', ')} WHERE id = ?`;
-      db.prepare(updateQuery).run(...params);
-    }
+    await contactRepository.updateById(id, changes);
 
     // Buscar mensagem atualizada
-    const updatedContact = db.prepare('SELECT * FROM contacts WHERE id = ?').get(id);
+    const updatedContact = await contactRepository.findById(id);
 
     res.json({
       success: true,
@@ -206,7 +168,7 @@ router.delete('/admin/:id', authenticateToken, requireAdmin, async (req, res) =>
     const { id } = req.params;
 
     // Verificar se mensagem existe
-    const existingContact = db.prepare('SELECT id FROM contacts WHERE id = ?').get(id);
+    const existingContact = await contactRepository.findById(id);
     if (!existingContact) {
       return res.status(404).json({
         success: false,
@@ -215,7 +177,7 @@ router.delete('/admin/:id', authenticateToken, requireAdmin, async (req, res) =>
     }
 
     // Excluir mensagem
-    db.prepare('DELETE FROM contacts WHERE id = ?').run(id);
+    await contactRepository.deleteById(id);
 
     res.json({
       success: true,
@@ -235,20 +197,13 @@ router.delete('/admin/:id', authenticateToken, requireAdmin, async (req, res) =>
 // @access  Private (Staff/Admin)
 router.get('/admin/stats/summary', authenticateToken, requireStaff, async (req, res) => {
   try {
-    // Total de mensagens
-    const totalContacts = db.prepare('SELECT COUNT(*) as total FROM contacts').get().total;
-    const newContacts = db.prepare('SELECT COUNT(*) as total FROM contacts WHERE status = "new"').get().total;
-    const readContacts = db.prepare('SELECT COUNT(*) as total FROM contacts WHERE status = "read"').get().total;
-    const repliedContacts = db.prepare('SELECT COUNT(*) as total FROM contacts WHERE status = "replied"').get().total;
-
-    // Mensagens por mês (últimos 12 meses)
-    const monthlyContacts = db.prepare(`
-      SELECT strftime('%m', created_at) as month, COUNT(*) as count 
-      FROM contacts 
-      WHERE created_at >= date('now', 'start of year')
-      GROUP BY strftime('%m', created_at)
-      ORDER BY month
-    `).all();
+    const {
+      totalContacts,
+      newContacts,
+      readContacts,
+      repliedContacts,
+      monthlyContacts
+    } = await contactRepository.getStats();
 
     res.json({
       success: true,
@@ -1,38 +1,115 @@
 const express = require('express');
 const router = express.Router();
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs');
+const { deliveryRepository } = require('../repositories');
 const { authenticateAdmin, requirePermission } = require('../middleware/admin-auth');
+const { authenticateToken, requireDriver } = require('../middleware/auth');
+const {
+    validatePagination,
+    validateDeliveryCreate,
+    validateDeliveryStatus,
+    validateDeliveryFailure,
+    validateDeliveryReject,
+    validateDeliveryProof,
+    validateDeliveryLocation,
+    validateRouteOptimization,
+    validateDeliveryAssign,
+    validateDeliveryFilters
+} = require('../middleware/validation');
+const {
+    DELIVERY_PROOFS_DIR,
+    findDeliveryWithHistory,
+    listDeliveries,
+    createDelivery,
+    assignDriver,
+    acceptDelivery,
+    rejectDelivery,
+    findProofFile,
+    removeProofFiles,
+    getDriverQueue
+} = require('../services/delivery-service');
+const { updateDeliveryStatus, completeDeliveryWithProof } = require('../services/order-service');
+const { recordDriverLocation, listDeliveryLocations } = require('../services/delivery-tracking-service');
+const { optimizeDeliveryRoute } = require('../services/route-optimization-service');
+const { audit } = require('../middleware/audit');
+const { HttpError } = require('../utils/errors');
 
-// Listar todas as entregas
-router.get('/', authenticateAdmin, async (req, res) => {
-    try {
-        // Simular dados de delivery (em produção, viria do banco)
-        const deliveries = [
-            {
-                id: 1,
-                orderId: '001',
-                customerName: 'João Silva',
-                address: 'Rua das Flores, 123',
-                status: 'pending',
-                driver: null,
-                estimatedTime: null,
-                createdAt: new Date().toISOString()
-            },
-            {
-                id: 2,
-                orderId: '002',
-                customerName: 'Maria Santos',
-                address: 'Av. Principal, 456',
-                status: 'active',
-                driver: 'João Entregador',
-                estimatedTime: '15:30',
-                createdAt: new Date().toISOString()
-            }
-        ];
+// Criar diretório das provas de entrega se não existir (fora de public/)
+if (!fs.existsSync(DELIVERY_PROOFS_DIR)) {
+    fs.mkdirSync(DELIVERY_PROOFS_DIR, { recursive: true });
+    console.log('📁 Diretório das provas de entrega criado:', DELIVERY_PROOFS_DIR);
+}
 
-        res.json({
-            success: true,
-            deliveries
+// Configuração do Multer para a fotografia e a assinatura da prova de entrega
+const proofStorage = multer.diskStorage({
+    destination: function (req, file, cb) {
+        cb(null, DELIVERY_PROOFS_DIR);
+    },
+    filename: function (req, file, cb) {
+        const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+        cb(null, `entrega-${req.params.id}-${file.fieldname}-${uniqueSuffix}${path.extname(file.originalname)}`);
+    }
+});
+
+const proofUpload = multer({
+    storage: proofStorage,
+    limits: {
+        fileSize: 5 * 1024 * 1024 // 5MB
+    },
+    fileFilter: function (req, file, cb) {
+        if (file.mimetype.startsWith('image/')) {
+            cb(null, true);
+        } else {
+            cb(new HttpError(400, 'Apenas imagens são permitidas!'), false);
+        }
+    }
+}).fields([{ name: 'photo', maxCount: 1 }, { name: 'signature', maxCount: 1 }]);
+
+const uploadedFileNames = (req) => Object.values(req.files || {}).flat().map(file => file.filename);
+
+// Erros do upload (tipo ou tamanho do ficheiro) respondem 400. Os ficheiros só ficam em disco
+// se a entrega for concluída: qualquer resposta de erro (validação, PIN errado, transição
+// recusada) apaga o que foi recebido, porque nenhuma entrega os referencia.
+function uploadProof(req, res, next) {
+    proofUpload(req, res, (error) => {
+        if (error) {
+            removeProofFiles(uploadedFileNames(req));
+            return res.status(400).json({
+                success: false,
+                message: error instanceof multer.MulterError && error.code === 'LIMIT_FILE_SIZE'
+                    ? 'A imagem deve ter no máximo 5MB'
+                    : error.message
+            });
+        }
+
+        res.once('finish', () => {
+            if (res.statusCode >= 400) {
+                removeProofFiles(uploadedFileNames(req));
+            }
         });
+        next();
+    });
+}
+
+const uploadedFileName = (req, field) => req.files?.[field]?.[0]?.filename;
+
+// Registo de auditoria das alterações às entregas
+const auditDelivery = (action, metadata) => audit(action, {
+    entityType: 'delivery',
+    entityId: (req) => req.params.id,
+    load: (id) => deliveryRepository.findById(id),
+    metadata
+});
+
+// Listar entregas (filtros: status, driverId, from, to)
+router.get('/', authenticateAdmin, validatePagination, validateDeliveryFilters, async (req, res) => {
+    try {
+        const { page = 1, limit = 20, status, driverId, from, to } = req.query;
+
+        const result = await listDeliveries({ status, driverId, from, to }, { page: parseInt(page), limit: parseInt(limit) });
+        res.json({ success: true, data: result });
     } catch (error) {
         console.error('❌ Erro ao buscar entregas:', error);
         res.status(500).json({
@@ -42,37 +119,26 @@ router.get('/', authenticateAdmin, async (req, res) => {
     }
 });
 
-// Criar nova entrega
-router.post('/', authenticateAdmin, requirePermission('manage_orders'), async (req, res) => {
+// Criar entrega para um pedido que ainda não a tem (as entregas são criadas ao confirmar o pedido)
+router.post('/', authenticateAdmin, requirePermission('manage_orders'), validateDeliveryCreate, audit('delivery.create', {
+    entityType: 'delivery',
+    createdId: (body) => body.data.id,
+    load: (id) => deliveryRepository.findById(id)
+}), async (req, res) => {
     try {
-        const { orderId, customerName, address, estimatedTime } = req.body;
-        
-        if (!orderId || !customerName || !address) {
-            return res.status(400).json({
-                success: false,
-                message: 'Dados obrigatórios não fornecidos'
-            });
-        }
-
-        // Simular criação de entrega
-        const newDelivery = {
-            id: Date.now(),
-            orderId,
-            customerName,
-            address,
-            status: 'pending',
-            driver: null,
-            estimatedTime: estimatedTime || null,
-            createdAt: new Date().toISOString()
-        };
+        const { orderId, estimatedTime } = req.body;
+        const delivery = await createDelivery(orderId, { estimatedTime, actor: req.user });
 
         res.status(201).json({
             success: true,
             message: 'Entrega criada com sucesso',
-            delivery: newDelivery
+            data: delivery
         });
-
     } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
+
         console.error('❌ Erro ao criar entrega:', error);
         res.status(500).json({
             success: false,
@@ -81,35 +147,60 @@ router.post('/', authenticateAdmin, requirePermission('manage_orders'), async (r
     }
 });
 
-// Atualizar status da entrega
-router.patch('/:id/status', authenticateAdmin, requirePermission('manage_orders'), async (req, res) => {
+// Fila de entregas do entregador (o próprio entregador ou staff)
+router.get('/driver/:driverId', authenticateToken, async (req, res) => {
     try {
-        const { id } = req.params;
-        const { status, driver, estimatedTime } = req.body;
-        
-        if (!status) {
-            return res.status(400).json({
-                success: false,
-                message: 'Status é obrigatório'
-            });
+        const queue = await getDriverQueue(req.params.driverId, req.user);
+        res.json({ success: true, data: queue });
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
+
+        console.error('❌ Erro ao buscar entregas do entregador:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor'
+        });
+    }
+});
+
+// Entrega com o histórico de estados
+router.get('/:id', authenticateAdmin, async (req, res) => {
+    try {
+        const delivery = await findDeliveryWithHistory(req.params.id);
+        res.json({ success: true, data: delivery });
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.status).json({ success: false, message: error.message });
         }
 
-        // Simular atualização
-        const updatedDelivery = {
-            id: parseInt(id),
-            status,
-            driver: driver || null,
-            estimatedTime: estimatedTime || null,
-            updatedAt: new Date().toISOString()
-        };
+        console.error('❌ Erro ao buscar entrega:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor'
+        });
+    }
+});
+
+// Atualizar status da entrega (saída, entregue ou tentativa falhada com o motivo)
+router.patch('/:id/status', authenticateAdmin, requirePermission('manage_orders'), validateDeliveryStatus,
+    auditDelivery('delivery.status_change', (req) => req.body.note ? { note: req.body.note } : null), async (req, res) => {
+    try {
+        const { status, note, reason } = req.body;
+
+        await updateDeliveryStatus(req.params.id, status, req.user, { note, reason });
 
         res.json({
             success: true,
             message: 'Status atualizado com sucesso',
-            delivery: updatedDelivery
+            data: await findDeliveryWithHistory(req.params.id)
         });
-
     } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.status).json({ success: false, message: error.message, ...error.details });
+        }
+
         console.error('❌ Erro ao atualizar status:', error);
         res.status(500).json({
             success: false,
@@ -119,34 +210,21 @@ router.patch('/:id/status', authenticateAdmin, requirePermission('manage_orders'
 });
 
 // Atribuir entregador
-router.patch('/:id/assign', authenticateAdmin, requirePermission('manage_orders'), async (req, res) => {
+router.patch('/:id/assign', authenticateAdmin, requirePermission('manage_orders'), validateDeliveryAssign,
+    auditDelivery('delivery.assign'), async (req, res) => {
     try {
-        const { id } = req.params;
-        const { driverId, driverName } = req.body;
-        
-        if (!driverId || !driverName) {
-            return res.status(400).json({
-                success: false,
-                message: 'Dados do entregador são obrigatórios'
-            });
-        }
-
-        // Simular atribuição
-        const assignment = {
-            deliveryId: parseInt(id),
-            driverId,
-            driverName,
-            assignedAt: new Date().toISOString(),
-            status: 'assigned'
-        };
+        const delivery = await assignDriver(req.params.id, req.body.driverId, req.user);
 
         res.json({
             success: true,
             message: 'Entregador atribuído com sucesso',
-            assignment
+            data: delivery
         });
-
     } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.status).json({ success: false, message: error.message, ...error.details });
+        }
+
         console.error('❌ Erro ao atribuir entregador:', error);
         res.status(500).json({
             success: false,
@@ -155,30 +233,71 @@ router.patch('/:id/assign', authenticateAdmin, requirePermission('manage_orders'
     }
 });
 
-// Rota de entrega (para entregadores)
-router.get('/driver/:driverId', async (req, res) => {
+// Fotografia ou assinatura da prova de entrega (kind: photo ou signature)
+router.get('/:id/proof/:kind', authenticateAdmin, async (req, res) => {
     try {
-        const { driverId } = req.params;
-        
-        // Simular entregas do entregador
-        const driverDeliveries = [
-            {
-                id: 1,
-                orderId: '001',
-                customerName: 'João Silva',
-                address: 'Rua das Flores, 123',
-                status: 'active',
-                estimatedTime: '15:30'
+        const filePath = await findProofFile(req.params.id, req.params.kind);
+        res.sendFile(filePath, (error) => {
+            if (error && !res.headersSent) {
+                res.status(404).json({ success: false, message: 'Prova de entrega não encontrada' });
             }
-        ];
+        });
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
+
+        console.error('❌ Erro ao buscar prova de entrega:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor'
+        });
+    }
+});
+
+// ===== APP DO ENTREGADOR =====
+// Só sobre as entregas atribuídas ao próprio entregador
+
+// Aceitar a entrega atribuída
+router.post('/:id/accept', authenticateToken, requireDriver, auditDelivery('delivery.accept'), async (req, res) => {
+    try {
+        const delivery = await acceptDelivery(req.params.id, req.user);
 
         res.json({
             success: true,
-            deliveries: driverDeliveries
+            message: 'Entrega aceite',
+            data: delivery
         });
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
 
+        console.error('❌ Erro ao aceitar entrega:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor'
+        });
+    }
+});
+
+// Recusar a entrega atribuída (volta a ficar à espera de entregador)
+router.post('/:id/reject', authenticateToken, requireDriver, validateDeliveryReject,
+    auditDelivery('delivery.reject', (req) => ({ reason: req.body.reason })), async (req, res) => {
+    try {
+        const delivery = await rejectDelivery(req.params.id, req.user, req.body.reason);
+
+        res.json({
+            success: true,
+            message: 'Entrega recusada',
+            data: delivery
+        });
     } catch (error) {
-        console.error('❌ Erro ao buscar entregas do entregador:', error);
+        if (error instanceof HttpError) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
+
+        console.error('❌ Erro ao recusar entrega:', error);
         res.status(500).json({
             success: false,
             message: 'Erro interno do servidor'
@@ -186,34 +305,100 @@ router.get('/driver/:driverId', async (req, res) => {
     }
 });
 
-// Atualizar localização da entrega (GPS)
-router.post('/:id/location', async (req, res) => {
+// Recolher o pedido na loja: a entrega (e o pedido) saem para entrega
+router.post('/:id/pickup', authenticateToken, requireDriver, auditDelivery('delivery.pickup'), async (req, res) => {
     try {
-        const { id } = req.params;
-        const { latitude, longitude, timestamp } = req.body;
-        
-        if (!latitude || !longitude) {
-            return res.status(400).json({
-                success: false,
-                message: 'Coordenadas são obrigatórias'
-            });
+        await updateDeliveryStatus(req.params.id, 'out_for_delivery', req.user);
+
+        res.json({
+            success: true,
+            message: 'Pedido recolhido',
+            data: await findDeliveryWithHistory(req.params.id)
+        });
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.status).json({ success: false, message: error.message, ...error.details });
         }
 
-        // Simular atualização de localização
-        const locationUpdate = {
-            deliveryId: parseInt(id),
-            latitude,
-            longitude,
-            timestamp: timestamp || new Date().toISOString()
-        };
+        console.error('❌ Erro ao marcar recolha:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor'
+        });
+    }
+});
+
+// Marcar como entregue, com a prova: pin (PIN do cliente), photo e/ou signature (imagens) e recipientName
+router.post('/:id/deliver', authenticateToken, requireDriver, uploadProof, validateDeliveryProof,
+    auditDelivery('delivery.deliver'), async (req, res) => {
+    const photo = uploadedFileName(req, 'photo');
+    const signature = uploadedFileName(req, 'signature');
+
+    try {
+        const { pin, recipientName } = req.body;
+
+        await completeDeliveryWithProof(req.params.id, req.user, { pin, recipientName, photo, signature });
 
         res.json({
             success: true,
-            message: 'Localização atualizada',
-            location: locationUpdate
+            message: 'Entrega concluída',
+            data: await findDeliveryWithHistory(req.params.id)
         });
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.status).json({ success: false, message: error.message, ...error.details });
+        }
 
+        console.error('❌ Erro ao concluir entrega:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor'
+        });
+    }
+});
+
+// Tentativa falhada (reason e note): o pedido volta à loja
+router.post('/:id/fail', authenticateToken, requireDriver, validateDeliveryFailure,
+    auditDelivery('delivery.fail', (req) => ({ reason: req.body.reason, note: req.body.note || null })), async (req, res) => {
+    try {
+        const { reason, note } = req.body;
+
+        await updateDeliveryStatus(req.params.id, 'failed', req.user, { reason, note });
+
+        res.json({
+            success: true,
+            message: 'Tentativa falhada registada',
+            data: await findDeliveryWithHistory(req.params.id)
+        });
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.status).json({ success: false, message: error.message, ...error.details });
+        }
+
+        console.error('❌ Erro ao registar tentativa falhada:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor'
+        });
+    }
+});
+
+// Posição GPS do entregador durante a entrega (latitude, longitude, accuracy, speed, heading,
+// timestamp). Devolve o acompanhamento visto pelo cliente (distância e hora prevista).
+router.post('/:id/location', authenticateToken, requireDriver, validateDeliveryLocation, async (req, res) => {
+    try {
+        const tracking = await recordDriverLocation(req.params.id, req.user, req.body);
+
+        res.json({
+            success: true,
+            message: 'Localização atualizada',
+            data: tracking
+        });
     } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
+
         console.error('❌ Erro ao atualizar localização:', error);
         res.status(500).json({
             success: false,
@@ -222,36 +407,41 @@ router.post('/:id/location', async (req, res) => {
     }
 });
 
-// Calcular rota otimizada
-router.post('/optimize-route', authenticateAdmin, requirePermission('manage_orders'), async (req, res) => {
+// Percurso do entregador (posições registadas durante a entrega)
+router.get('/:id/locations', authenticateAdmin, async (req, res) => {
     try {
-        const { deliveries } = req.body;
-        
-        if (!deliveries || !Array.isArray(deliveries)) {
-            return res.status(400).json({
-                success: false,
-                message: 'Lista de entregas é obrigatória'
-            });
+        const locations = await listDeliveryLocations(req.params.id);
+        res.json({ success: true, data: locations });
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.status).json({ success: false, message: error.message });
         }
 
-        // Simular cálculo de rota otimizada
-        const optimizedRoute = {
-            totalDistance: '12.5 km',
-            estimatedTime: '45 min',
-            route: deliveries.map((delivery, index) => ({
-                order: index + 1,
-                address: delivery.address,
-                estimatedTime: `${index * 15 + 10}:00`
-            }))
-        };
+        console.error('❌ Erro ao buscar percurso da entrega:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor'
+        });
+    }
+});
+
+// Calcular rota otimizada para uma volta (ordem das paragens, distâncias e horas previstas)
+router.post('/optimize-route', authenticateAdmin, requirePermission('manage_orders'), validateRouteOptimization, async (req, res) => {
+    try {
+        const { deliveryIds, startTime, maxStops } = req.body;
+        const route = await optimizeDeliveryRoute({ deliveryIds, startTime, maxStops: maxStops || undefined });
 
         res.json({
             success: true,
             message: 'Rota otimizada calculada',
-            route: optimizedRoute
+            data: route
         });
 
     } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.status).json({ success: false, message: error.message, ...error.details });
+        }
+
         console.error('❌ Erro ao calcular rota:', error);
         res.status(500).json({
             success: false,
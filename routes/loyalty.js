@@ -1,7 +1,9 @@
 const express = require('express');
-const db = require('../config/database');
+const { userRepository, loyaltyRepository, transaction } = require('../repositories');
 const { authenticateToken, requireStaff, requireAdmin } = require('../middleware/auth');
 const { validateLoyaltyPoints, validatePagination } = require('../middleware/validation');
+const { adjustPoints } = require('../services/loyalty-service');
+const { audit } = require('../middleware/audit');
 
 const router = express.Router();
 
@@ -10,7 +12,7 @@ const router = express.Router();
 // @access  Private
 router.get('/profile', authenticateToken, async (req, res) => {
   try {
-    const user = db.prepare('SELECT id, name, loyalty_points, loyalty_tier FROM users WHERE id = ?').get(req.user.id);
+    const user = await userRepository.findById(req.user.id);
     
     if (!user) {
       return res.status(404).json({
@@ -59,16 +61,10 @@ router.get('/transactions', authenticateToken, validatePagination, async (req, r
     const { page = 1, limit = 20 } = req.query;
     const offset = (parseInt(page) - 1) * parseInt(limit);
 
-    const transactions = db.prepare(`
-      SELECT * FROM loyalty_transactions 
-      WHERE user_id = ? 
-      ORDER BY created_at DESC 
-      LIMIT ? OFFSET ?
-    `).all(req.user.id, parseInt(limit), offset);
+    const transactions = await loyaltyRepository.listTransactions(req.user.id, { limit: parseInt(limit), offset });
 
     // Contar total de transações
-    const totalResult = db.prepare('SELECT COUNT(*) as total FROM loyalty_transactions WHERE user_id = ?').get(req.user.id);
-    const total = totalResult.total;
+    const total = await loyaltyRepository.countTransactions(req.user.id);
     const totalPages = Math.ceil(total / parseInt(limit));
 
     res.json({
@@ -98,7 +94,7 @@ router.get('/transactions', authenticateToken, validatePagination, async (req, r
 // @access  Private
 router.get('/rewards', authenticateToken, async (req, res) => {
   try {
-    const rewards = db.prepare('SELECT * FROM loyalty_rewards WHERE is_active = 1 ORDER BY points_required ASC').all();
+    const rewards = await loyaltyRepository.listActiveRewards();
 
     res.json({
       success: true,
@@ -120,7 +116,7 @@ router.get('/rewards', authenticateToken, async (req, res) => {
 // @access  Private
 router.get('/goals', authenticateToken, async (req, res) => {
   try {
-    const goals = db.prepare('SELECT * FROM loyalty_goals WHERE is_active = 1 ORDER BY points_target ASC').all();
+    const goals = await loyaltyRepository.listActiveGoals();
 
     res.json({
       success: true,
@@ -144,56 +140,43 @@ router.post('/use-points', authenticateToken, validateLoyaltyPoints, async (req,
   try {
     const { points, description } = req.body;
 
-    // Verificar se o usuário tem pontos suficientes
-    const user = db.prepare('SELECT loyalty_points FROM users WHERE id = ?').get(req.user.id);
-    
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: 'Usuário não encontrado'
-      });
-    }
+    const result = await transaction(async ({ userRepository, loyaltyRepository }) => {
+      // Verificar se o usuário tem pontos suficientes
+      const user = await userRepository.findById(req.user.id);
 
-    if (user.loyalty_points < points) {
-      return res.status(400).json({
-        success: false,
-        message: 'Pontos insuficientes'
-      });
-    }
+      if (!user) {
+        return { status: 404, message: 'Usuário não encontrado' };
+      }
 
-    // Registrar transação
-    const stmt = db.prepare(`
-      INSERT INTO loyalty_transactions (user_id, points, type, description)
-      VALUES (?, ?, 'used', ?)
-    `);
+      if (user.loyalty_points < points) {
+        return { status: 400, message: 'Pontos insuficientes' };
+      }
 
-    stmt.run(req.user.id, -points, description || 'Pontos utilizados');
+      // Registrar transação e atualizar pontos e tier do usuário
+      const { newPoints, newTier } = await adjustPoints({ userRepository, loyaltyRepository }, user, {
+        points: -points,
+        type: 'used',
+        description: description || 'Pontos utilizados'
+      });
 
-    // Atualizar pontos do usuário
-    db.prepare('UPDATE users SET loyalty_points = loyalty_points - ? WHERE id = ?').run(points, req.user.id);
+      return { remainingPoints: newPoints, newTier };
+    });
 
-    // Atualizar tier se necessário
-    const updatedUser = db.prepare('SELECT loyalty_points, loyalty_tier FROM users WHERE id = ?').get(req.user.id);
-    
-    let newTier = updatedUser.loyalty_tier;
-    if (updatedUser.loyalty_points < 100 && updatedUser.loyalty_tier !== 'bronze') {
-      newTier = 'bronze';
-    } else if (updatedUser.loyalty_points < 250 && updatedUser.loyalty_tier !== 'silver') {
-      newTier = 'silver';
-    } else if (updatedUser.loyalty_points >= 250 && updatedUser.loyalty_tier !== 'gold') {
-      newTier = 'gold';
+    if (result.status) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
     }
 
-    if (newTier !== updatedUser.loyalty_tier) {
-      db.prepare('UPDATE users SET loyalty_tier = ? WHERE id = ?').run(newTier, req.user.id);
-    }
+    const { remainingPoints, newTier } = result;
 
     res.json({
       success: true,
       message: 'Pontos utilizados com sucesso',
       data: {
         pointsUsed: points,
-        remainingPoints: updatedUser.loyalty_points,
+        remainingPoints,
         currentTier: newTier
       }
     });
@@ -209,41 +192,42 @@ router.post('/use-points', authenticateToken, validateLoyaltyPoints, async (req,
 // @route   POST /api/loyalty/admin/add-points
 // @desc    Adicionar pontos de fidelidade (Admin/Staff)
 // @access  Private (Staff/Admin)
-router.post('/admin/add-points', authenticateToken, requireStaff, validateLoyaltyPoints, async (req, res) => {
+router.post('/admin/add-points', authenticateToken, requireStaff, validateLoyaltyPoints, audit('loyalty.add_points', {
+  entityType: 'user',
+  entityId: (req) => req.body.userId,
+  load: async (id) => {
+    const user = await userRepository.findById(id);
+    return user && { loyalty_points: user.loyalty_points, loyalty_tier: user.loyalty_tier };
+  },
+  metadata: (req) => ({ points: req.body.points, type: req.body.type || 'bonus', description: req.body.description })
+}), async (req, res) => {
   try {
     const { userId, points, type, description } = req.body;
 
-    // Verificar se o usuário existe
-    const user = db.prepare('SELECT id, loyalty_points FROM users WHERE id = ?').get(userId);
-    
-    if (!user) {
+    const result = await transaction(async ({ userRepository, loyaltyRepository }) => {
+      // Verificar se o usuário existe
+      const user = await userRepository.findById(userId);
+
+      if (!user) {
+        return null;
+      }
+
+      // Registrar transação e atualizar pontos e tier do usuário
+      return adjustPoints({ userRepository, loyaltyRepository }, user, {
+        points,
+        type: type || 'bonus',
+        description: description || 'Pontos adicionados por staff'
+      });
+    });
+
+    if (!result) {
       return res.status(404).json({
         success: false,
         message: 'Usuário não encontrado'
       });
     }
 
-    // Registrar transação
-    const stmt = db.prepare(`
-      INSERT INTO loyalty_transactions (user_id, points, type, description)
-      VALUES (?, ?, ?, ?)
-    `);
-
-    stmt.run(userId, points, type || 'bonus', description || 'Pontos adicionados por staff');
-
-    // Atualizar pontos do usuário
-    const newPoints = user.loyalty_points + points;
-    db.prepare('UPDATE users SET loyalty_points = ? WHERE id = ?').run(newPoints, userId);
-
-    // Atualizar tier se necessário
-    let newTier = 'bronze';
-    if (newPoints >= 250) {
-      newTier = 'gold';
-    } else if (newPoints >= 100) {
-      newTier = 'silver';
-    }
-
-    db.prepare('UPDATE users SET loyalty_tier = ? WHERE id = ?').run(newTier, userId);
+    const { newPoints, newTier } = result;
 
     res.json({
       success: true,
@@ -271,7 +255,7 @@ router.get('/admin/user/:userId', authenticateToken, requireStaff, async (req, r
   try {
     const { userId } = req.params;
 
-    const user = db.prepare('SELECT id, name, loyalty_points, loyalty_tier FROM users WHERE id = ?').get(userId);
+    const user = await userRepository.findById(userId);
     
     if (!user) {
       return res.status(404).json({
@@ -281,12 +265,7 @@ router.get('/admin/user/:userId', authenticateToken, requireStaff, async (req, r
     }
 
     // Obter transações recentes
-    const recentTransactions = db.prepare(`
-      SELECT * FROM loyalty_transactions 
-      WHERE user_id = ? 
-      ORDER BY created_at DESC 
-      LIMIT 10
-    `).all(userId);
+    const recentTransactions = await loyaltyRepository.listTransactions(userId, { limit: 10 });
 
     res.json({
       success: true,
@@ -314,27 +293,11 @@ router.get('/admin/user/:userId', authenticateToken, requireStaff, async (req, r
 // @access  Private (Staff/Admin)
 router.get('/admin/stats/summary', authenticateToken, requireStaff, async (req, res) => {
   try {
-    // Total de usuários por tier
-    const tierStats = db.prepare(`
-      SELECT loyalty_tier, COUNT(*) as count 
-      FROM users 
-      GROUP BY loyalty_tier
-    `).all();
-
-    // Total de pontos distribuídos
-    const totalPointsResult = db.prepare('SELECT SUM(loyalty_points) as total FROM users').get();
-    const totalPoints = totalPointsResult.total || 0;
+    // Distribuição por tier, total de pontos e usuários ativos (com pontos > 0)
+    const { tierDistribution: tierStats, totalPoints, activeUsers } = await userRepository.getLoyaltyStats();
 
     // Transações do mês
-    const monthlyTransactions = db.prepare(`
-      SELECT COUNT(*) as count, SUM(points) as total 
-      FROM loyalty_transactions 
-      WHERE created_at >= date('now', 'start of month')
-    `).get();
-
-    // Usuários ativos (com pontos > 0)
-    const activeUsersResult = db.prepare('SELECT COUNT(*) as count FROM users WHERE loyalty_points > 0').get();
-    const activeUsers = activeUsersResult.count;
+    const monthlyTransactions = await loyaltyRepository.getMonthlyTransactions();
 
     res.json({
       success: true,
@@ -373,15 +336,7 @@ router.post('/admin/rewards', authenticateToken, requireAdmin, async (req, res)
       });
     }
 
-    const stmt = db.prepare(`
-      INSERT INTO loyalty_rewards (name, description, points_required, discount_percentage, discount_amount)
-      VALUES (?, ?, ?, ?, ?)
-    `);
-
-    const result = stmt.run(name, description, pointsRequired, discountPercentage || null, discountAmount || null);
-    const rewardId = result.lastInsertRowid;
-
-    const newReward = db.prepare('SELECT * FROM loyalty_rewards WHERE id = ?').get(rewardId);
+    const newReward = await loyaltyRepository.createReward({ name, description, pointsRequired, discountPercentage, discountAmount });
 
     res.status(201).json({
       success: true,
@@ -413,15 +368,7 @@ router.post('/admin/goals', authenticateToken, requireAdmin, async (req, res) =>
       });
     }
 
-    const stmt = db.prepare(`
-      INSERT INTO loyalty_goals (name, description, points_target, reward_description)
-      VALUES (?, ?, ?, ?)
-    `);
-
-    const result = stmt.run(name, description, pointsTarget, rewardDescription || null);
-    const goalId = result.lastInsertRowid;
-
-    const newGoal = db.prepare('SELECT * FROM loyalty_goals WHERE id = ?').get(goalId);
+    const newGoal = await loyaltyRepository.createGoal({ name, description, pointsTarget, rewardDescription });
 
     res.status(201).json({
       success: true,
@@ -1,141 +1,355 @@
 const express = require('express');
-const db = require('../config/database');
-const { authenticateToken, requireStaff, requireAdmin, requireOwnershipOrAdmin } = require('../middleware/auth');
-const { validateOrder, validatePagination } = require('../middleware/validation');
+const { orderRepository } = require('../repositories');
+const { issueSession } = require('../services/token-service');
+const { placeOrder, quoteOrderDelivery, transitionOrder, cancelOrderByCustomer, modifyOrderByCustomer } = require('../services/order-service');
+const { placeGuestOrder, getTrackedOrder, findTrackedOrder, claimGuestOrder, sendRegistrationLink, registerFromGuestOrder } = require('../services/guest-order-service');
+const { createPayment } = require('../services/payment-service');
+const { refundCancelledOrder } = require('../services/refund-service');
+const { findDeliveryPin } = require('../services/delivery-service');
+const { getOrderTracking, subscribeToTracking } = require('../services/delivery-tracking-service');
+const { isValidCartToken } = require('../services/cart-service');
+const { HttpError } = require('../utils/errors');
+const { authenticateToken, authenticateStream, requireStaff, requireAdmin, requireOrderOwnershipOrStaff } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const {
+  validateOrder,
+  validateGuestOrder,
+  validateGuestRegister,
+  validateGuestPayment,
+  validateOrderStatus,
+  validateOrderUpdate,
+  validateOrderCancel,
+  validateDeliveryQuote,
+  validatePagination
+} = require('../middleware/validation');
 
 const router = express.Router();
 
+// Intervalo dos comentários que mantêm o stream aberto em proxies com timeout
+const TRACKING_KEEP_ALIVE_MS = 25000;
+
+// Stream (Server-Sent Events) do acompanhamento: o estado atual e depois cada atualização
+// (posição do entregador, mudança de estado), como eventos "tracking"
+async function streamTracking(req, res, order) {
+  const initial = await getOrderTracking(order);
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  // res.flush vem do middleware compression: sem ele os eventos ficavam retidos
+  const write = (chunk) => {
+    res.write(chunk);
+    if (res.flush) {
+      res.flush();
+    }
+  };
+  const send = (tracking) => write(`event: tracking\ndata: ${JSON.stringify(tracking)}\n\n`);
+
+  send(initial);
+  const unsubscribe = subscribeToTracking(order.id, send);
+  const keepAlive = setInterval(() => write(': keep-alive\n\n'), TRACKING_KEEP_ALIVE_MS);
+
+  req.on('close', () => {
+    clearInterval(keepAlive);
+    unsubscribe();
+  });
+}
+
+function sendTrackingError(res, error) {
+  if (error instanceof HttpError) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  console.error('Erro ao acompanhar entrega:', error);
+  res.status(500).json({
+    success: false,
+    message: 'Erro interno do servidor'
+  });
+}
+
 // @route   POST /api/orders
 // @desc    Criar novo pedido
 // @access  Private
 router.post('/', authenticateToken, validateOrder, async (req, res) => {
   try {
-    const {
-      deliveryType,
-      deliveryAddress,
-      deliveryInstructions,
-      preferredTime,
-      specificTime,
-      paymentMethod,
-      customerNotes,
-      items
-    } = req.body;
-
-    if (!items || items.length === 0) {
-      return res.status(400).json({
+    // Validação, reserva de stock e gravação do pedido numa única transação
+    const order = await placeOrder(req.user.id, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Pedido criado com sucesso',
+      data: {
+        order
+      }
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({
         success: false,
-        message: 'Carrinho está vazio'
+        message: error.message,
+        ...error.details
       });
     }
 
-    // Gerar número do pedido
-    const orderNumber = `SP${Date.now()}${Math.floor(Math.random() * 1000)}`;
-
-    // Calcular totais
-    let subtotal = 0;
-    const orderItems = [];
-
-    for (const item of items) {
-      const product = db.prepare('SELECT id, name, price, is_available FROM products WHERE id = ?').get(item.productId);
-      
-      if (!product) {
-        return res.status(400).json({
-          success: false,
-          message: `Produto ${item.productId} não encontrado`
-        });
-      }
+    console.error('Erro ao criar pedido:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor'
+    });
+  }
+});
+
+// @route   POST /api/orders/guest
+// @desc    Criar pedido sem conta (contactos no pedido, devolve o link de acompanhamento)
+// @access  Public
+router.post('/guest', validateGuestOrder, async (req, res) => {
+  try {
+    // O carrinho de visitante (se existir) é limpo com o pedido
+    const cartToken = req.headers['x-cart-token'];
+    const cartOwner = isValidCartToken(cartToken) ? { cartToken } : null;
 
-      if (!product.is_available) {
-        return res.status(400).json({
-          success: false,
-          message: `Produto ${product.name} não está disponível`
-        });
+    const { order, trackingToken, trackingUrl } = await placeGuestOrder(req.body, cartOwner);
+
+    res.status(201).json({
+      success: true,
+      message: 'Pedido criado com sucesso',
+      data: {
+        order,
+        trackingToken,
+        trackingUrl
       }
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        ...error.details
+      });
+    }
 
-      const itemTotal = item.quantity * product.price;
-      subtotal += itemTotal;
+    console.error('Erro ao criar pedido de visitante:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor'
+    });
+  }
+});
+
+// @route   POST /api/orders/delivery-quote
+// @desc    Condições de entrega de uma morada para o checkout (zona, taxa, pedido mínimo, entrega grátis e totais)
+// @access  Public
+router.post('/delivery-quote', validateDeliveryQuote, async (req, res) => {
+  try {
+    const quote = await quoteOrderDelivery(req.body);
 
-      orderItems.push({
-        productId: item.productId,
-        quantity: item.quantity,
-        unitPrice: product.price,
-        totalPrice: itemTotal,
-        specialInstructions: item.specialInstructions,
-        customization: item.customization
+    res.json({
+      success: true,
+      data: quote
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
       });
     }
 
-    const deliveryFee = deliveryType === 'delivery' ? 2.50 : 0;
-    const tax = subtotal * 0.23; // IVA 23%
-    const finalAmount = subtotal + deliveryFee + tax;
-
-    // Inserir pedido
-    const orderStmt = db.prepare(`
-      INSERT INTO orders (
-        order_number, user_id, delivery_type, delivery_street, delivery_city, 
-        delivery_postal_code, delivery_instructions, preferred_time, specific_time,
-        payment_method, subtotal, tax, delivery_fee, final_amount, customer_notes
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `);
-
-    const orderResult = orderStmt.run(
-      orderNumber,
-      req.user.id,
-      deliveryType,
-      deliveryAddress?.street || '',
-      deliveryAddress?.city || '',
-      deliveryAddress?.postalCode || '',
-      deliveryInstructions || null,
-      preferredTime || 'asap',
-      specificTime || null,
-      paymentMethod,
-      subtotal,
-      tax,
-      deliveryFee,
-      finalAmount,
-      customerNotes || null
-    );
-
-    const orderId = orderResult.lastInsertRowid;
-
-    // Inserir itens do pedido
-    const itemStmt = db.prepare(`
-      INSERT INTO order_items (order_id, product_id, quantity, unit_price, total_price, special_instructions, customization)
-      VALUES (?, ?, ?, ?, ?, ?, ?)
-    `);
-
-    for (const item of orderItems) {
-      itemStmt.run(
-        orderId,
-        item.productId,
-        item.quantity,
-        item.unitPrice,
-        item.totalPrice,
-        item.specialInstructions || null,
-        item.customization || null
-      );
+    console.error('Erro ao calcular condições de entrega:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor'
+    });
+  }
+});
+
+// @route   GET /api/orders/track/:token
+// @desc    Acompanhar pedido pelo link assinado
+// @access  Public (com o link)
+router.get('/track/:token', async (req, res) => {
+  try {
+    const order = await getTrackedOrder(req.params.token);
+
+    res.json({
+      success: true,
+      data: {
+        order
+      }
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
     }
 
-    // Limpar carrinho
-    db.prepare('DELETE FROM cart_items WHERE user_id = ?').run(req.user.id);
+    console.error('Erro ao acompanhar pedido:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor'
+    });
+  }
+});
+
+// @route   GET /api/orders/track/:token/tracking
+// @desc    Posição do entregador, distância e hora prevista de chegada (link assinado)
+// @access  Public (com o link)
+router.get('/track/:token/tracking', async (req, res) => {
+  try {
+    const order = await findTrackedOrder(req.params.token);
+
+    res.json({
+      success: true,
+      data: await getOrderTracking(order)
+    });
+  } catch (error) {
+    sendTrackingError(res, error);
+  }
+});
 
-    // Buscar pedido criado
-    const order = db.prepare(`
-      SELECT o.*, u.name as customer_name, u.email as customer_email, u.phone as customer_phone
-      FROM orders o
-      JOIN users u ON o.user_id = u.id
-      WHERE o.id = ?
-    `).get(orderId);
+// @route   GET /api/orders/track/:token/tracking/stream
+// @desc    Acompanhamento em tempo real (Server-Sent Events) pelo link assinado
+// @access  Public (com o link)
+router.get('/track/:token/tracking/stream', async (req, res) => {
+  try {
+    await streamTracking(req, res, await findTrackedOrder(req.params.token));
+  } catch (error) {
+    sendTrackingError(res, error);
+  }
+});
+
+// @route   POST /api/orders/track/:token/payment
+// @desc    Iniciar o pagamento de um pedido de visitante
+// @access  Public (com o link)
+router.post('/track/:token/payment', validateGuestPayment, async (req, res) => {
+  try {
+    const order = await findTrackedOrder(req.params.token);
+    const { payment, clientData } = await createPayment(order.id, { guestOrderId: order.id }, {
+      phone: req.body.phone
+    });
 
     res.status(201).json({
       success: true,
-      message: 'Pedido criado com sucesso',
+      data: {
+        payment: {
+          id: payment.id,
+          provider: payment.provider,
+          status: payment.status,
+          amount: payment.amount,
+          currency: payment.currency,
+          expiresAt: payment.expires_at
+        },
+        ...clientData
+      }
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Erro ao iniciar pagamento de visitante:', error);
+    res.status(502).json({
+      success: false,
+      message: 'Não foi possível contactar o fornecedor de pagamentos'
+    });
+  }
+});
+
+// @route   POST /api/orders/track/:token/claim
+// @desc    Associar um pedido de visitante à conta autenticada
+// @access  Private (com o link)
+router.post('/track/:token/claim', authenticateToken, async (req, res) => {
+  try {
+    const order = await claimGuestOrder(req.params.token, req.user);
+
+    res.json({
+      success: true,
+      message: 'Pedido associado à sua conta',
       data: {
         order
       }
     });
   } catch (error) {
-    console.error('Erro ao criar pedido:', error);
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Erro ao associar pedido:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor'
+    });
+  }
+});
+
+// @route   POST /api/orders/track/:token/register
+// @desc    Enviar para o email do pedido de visitante o link para criar conta
+// @access  Public (com o link)
+router.post('/track/:token/register', async (req, res) => {
+  try {
+    await sendRegistrationLink(req.params.token);
+
+    res.json({
+      success: true,
+      message: 'Enviámos para o email da encomenda um link para criar a conta'
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Erro ao enviar link para criar conta:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor'
+    });
+  }
+});
+
+// @route   POST /api/orders/register
+// @desc    Criar conta com os contactos do pedido de visitante (link do email)
+// @access  Public (com o link do email)
+router.post('/register', validateGuestRegister, async (req, res) => {
+  try {
+    const user = await registerFromGuestOrder(req.body.token, req.body.password);
+
+    const session = await issueSession(user.id, { userAgent: req.get('user-agent') });
+
+    res.status(201).json({
+      success: true,
+      message: 'Conta criada e pedido associado',
+      data: {
+        user,
+        ...session
+      }
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Erro ao criar conta a partir do pedido:', error);
     res.status(500).json({
       success: false,
       message: 'Erro interno do servidor'
@@ -151,30 +365,11 @@ router.get('/', authenticateToken, validatePagination, async (req, res) => {
     const { page = 1, limit = 20, status } = req.query;
     const offset = (parseInt(page) - 1) * parseInt(limit);
 
-    // Construir query
-    let whereClause = 'WHERE o.user_id = ?';
-    const params = [req.user.id];
-
-    if (status) {
-      whereClause += ' AND o.status = ?';
-      params.push(status);
-    }
-
-    const ordersQuery = `
-      SELECT o.*, u.name as customer_name
-      FROM orders o
-      JOIN users u ON o.user_id = u.id
-      ${whereClause}
-      ORDER BY o.created_at DESC
-      LIMIT ? OFFSET ?
-    `;
-
-    const orders = db.prepare(ordersQuery).all(...params, parseInt(limit), offset);
+    const filters = { userId: req.user.id, status };
+    const orders = await orderRepository.list(filters, { limit: parseInt(limit), offset });
 
     // Contar total de pedidos
-    const countQuery = `SELECT COUNT(*) as total FROM orders o ${whereClause}`;
-    const totalResult = db.prepare(countQuery).get(...params);
-    const total = totalResult.total;
+    const total = await orderRepository.count(filters);
     const totalPages = Math.ceil(total / parseInt(limit));
 
     res.json({
@@ -202,16 +397,11 @@ router.get('/', authenticateToken, validatePagination, async (req, res) => {
 // @route   GET /api/orders/:orderId
 // @desc    Obter pedido específico
 // @access  Private
-router.get('/:orderId', authenticateToken, requireOwnershipOrAdmin, async (req, res) => {
+router.get('/:orderId', authenticateToken, requireOrderOwnershipOrStaff, async (req, res) => {
   try {
     const { orderId } = req.params;
 
-    const order = db.prepare(`
-      SELECT o.*, u.name as customer_name, u.email as customer_email, u.phone as customer_phone
-      FROM orders o
-      JOIN users u ON o.user_id = u.id
-      WHERE o.id = ?
-    `).get(orderId);
+    const order = await orderRepository.findWithCustomer(orderId);
 
     if (!order) {
       return res.status(404).json({
@@ -221,21 +411,14 @@ router.get('/:orderId', authenticateToken, requireOwnershipOrAdmin, async (req,
     }
 
     // Obter itens do pedido
-    const orderItems = db.prepare(`
-      SELECT oi.*, p.name as product_name, p.image_url
-      FROM order_items oi
-      JOIN products p ON oi.product_id = p.id
-      WHERE oi.order_id = ?
-    `).all(orderId);
+    const orderItems = await orderRepository.findItems(orderId);
 
     // Obter histórico de status
-    const statusHistory = db.prepare(`
-      SELECT osh.*, u.name as updated_by_name
-      FROM order_status_history osh
-      LEFT JOIN users u ON osh.updated_by = u.id
-      WHERE osh.order_id = ?
-      ORDER BY osh.timestamp DESC
-    `).all(orderId);
+    const statusHistory = await orderRepository.findStatusHistory(orderId);
+
+    // PIN a dar ao entregador, só para o próprio cliente
+    const isOwner = String(order.user_id) === String(req.user.id);
+    const deliveryPin = isOwner ? await findDeliveryPin(order.id) : null;
 
     res.json({
       success: true,
@@ -243,7 +426,8 @@ router.get('/:orderId', authenticateToken, requireOwnershipOrAdmin, async (req,
         order: {
           ...order,
           items: orderItems,
-          statusHistory
+          statusHistory,
+          deliveryPin
         }
       }
     });
@@ -256,43 +440,134 @@ router.get('/:orderId', authenticateToken, requireOwnershipOrAdmin, async (req,
   }
 });
 
-// @route   PUT /api/orders/:orderId/status
-// @desc    Atualizar status do pedido (Staff/Admin)
-// @access  Private (Staff/Admin)
-router.put('/:orderId/status', authenticateToken, requireStaff, async (req, res) => {
+// @route   GET /api/orders/:orderId/tracking
+// @desc    Posição do entregador, distância e hora prevista de chegada
+// @access  Private (dono do pedido ou staff)
+router.get('/:orderId/tracking', authenticateToken, requireOrderOwnershipOrStaff, async (req, res) => {
   try {
-    const { orderId } = req.params;
-    const { status, note } = req.body;
+    const order = await orderRepository.findById(req.params.orderId);
 
-    // Verificar se o pedido existe
-    const order = db.prepare('SELECT id, status FROM orders WHERE id = ?').get(orderId);
-    if (!order) {
-      return res.status(404).json({
+    res.json({
+      success: true,
+      data: await getOrderTracking(order)
+    });
+  } catch (error) {
+    sendTrackingError(res, error);
+  }
+});
+
+// @route   GET /api/orders/:orderId/tracking/stream
+// @desc    Acompanhamento em tempo real (Server-Sent Events)
+// @access  Private (dono do pedido ou staff; token no header ou em ?token=, para o EventSource)
+router.get('/:orderId/tracking/stream', authenticateStream, requireOrderOwnershipOrStaff, async (req, res) => {
+  try {
+    await streamTracking(req, res, await orderRepository.findById(req.params.orderId));
+  } catch (error) {
+    sendTrackingError(res, error);
+  }
+});
+
+// @route   PUT /api/orders/:orderId
+// @desc    Alterar itens, horário ou instruções do pedido (enquanto pendente ou na janela de alteração)
+// @access  Private (dono do pedido)
+router.put('/:orderId', authenticateToken, validateOrderUpdate, async (req, res) => {
+  try {
+    const order = await modifyOrderByCustomer(req.params.orderId, req.user, req.body);
+
+    res.json({
+      success: true,
+      message: 'Pedido alterado com sucesso',
+      data: {
+        order
+      }
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({
         success: false,
-        message: 'Pedido não encontrado'
+        message: error.message,
+        ...error.details
       });
     }
 
-    // Atualizar status
-    db.prepare('UPDATE orders SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(status, orderId);
+    console.error('Erro ao alterar pedido:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor'
+    });
+  }
+});
 
-    // Registrar no histórico
-    const historyStmt = db.prepare(`
-      INSERT INTO order_status_history (order_id, status, note, updated_by)
-      VALUES (?, ?, ?, ?)
-    `);
+// @route   POST /api/orders/:orderId/cancel
+// @desc    Cancelar pedido (enquanto pendente ou na janela de alteração)
+// @access  Private (dono do pedido)
+router.post('/:orderId/cancel', authenticateToken, validateOrderCancel, async (req, res) => {
+  try {
+    const order = await cancelOrderByCustomer(req.params.orderId, req.user, req.body.reason);
 
-    historyStmt.run(orderId, status, note || null, req.user.id);
+    // Pedido já pago: o valor é devolvido ao cliente (e o pedido fica reembolsado)
+    const refund = await refundCancelledOrder(order, req.user);
+
+    res.json({
+      success: true,
+      message: refund ? 'Pedido cancelado e reembolsado' : 'Pedido cancelado com sucesso',
+      data: {
+        orderId: order.id,
+        newStatus: refund ? (await orderRepository.findById(order.id)).status : order.status,
+        refund: refund && { id: refund.id, amount: refund.amount, status: refund.status }
+      }
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        ...error.details
+      });
+    }
+
+    console.error('Erro ao cancelar pedido:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor'
+    });
+  }
+});
+
+// @route   PUT /api/orders/:orderId/status
+// @desc    Atualizar status do pedido (Staff/Admin)
+// @access  Private (Staff/Admin)
+router.put('/:orderId/status', authenticateToken, requireStaff, validateOrderStatus, audit('order.status_change', {
+  entityType: 'order',
+  entityId: (req) => req.params.orderId,
+  load: (id) => orderRepository.findById(id),
+  metadata: (req) => req.body.note ? { note: req.body.note } : null
+}), async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const { status, note } = req.body;
+
+    // A máquina de estados valida a transição e aplica os seus efeitos
+    const order = await transitionOrder(orderId, status, req.user, note);
 
     res.json({
       success: true,
       message: 'Status atualizado com sucesso',
       data: {
         orderId,
-        newStatus: status
+        previousStatus: order.previousStatus,
+        newStatus: order.status
       }
     });
   } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        ...error.details
+      });
+    }
+
     console.error('Erro ao atualizar status:', error);
     res.status(500).json({
       success: false,
@@ -309,40 +584,11 @@ router.get('/admin/all', authenticateToken, requireStaff, validatePagination, as
     const { page = 1, limit = 20, status, deliveryType, paymentStatus } = req.query;
     const offset = (parseInt(page) - 1) * parseInt(limit);
 
-    // Construir query
-    let whereClause = 'WHERE 1=1';
-    const params = [];
-
-    if (status) {
-      whereClause += ' AND o.status = ?';
-      params.push(status);
-    }
-
-    if (deliveryType) {
-      whereClause += ' AND o.delivery_type = ?';
-      params.push(deliveryType);
-    }
-
-    if (paymentStatus) {
-      whereClause += ' AND o.payment_status = ?';
-      params.push(paymentStatus);
-    }
-
-    const ordersQuery = `
-      SELECT o.*, u.name as customer_name, u.phone as customer_phone
-      FROM orders o
-      JOIN users u ON o.user_id = u.id
-      ${whereClause}
-      ORDER BY o.created_at DESC
-      LIMIT ? OFFSET ?
-    `;
-
-    const orders = db.prepare(ordersQuery).all(...params, parseInt(limit), offset);
+    const filters = { status, deliveryType, paymentStatus };
+    const orders = await orderRepository.list(filters, { limit: parseInt(limit), offset });
 
     // Contar total de pedidos
-    const countQuery = `SELECT COUNT(*) as total FROM orders o ${whereClause}`;
-    const totalResult = db.prepare(countQuery).get(...params);
-    const total = totalResult.total;
+    const total = await orderRepository.count(filters);
     const totalPages = Math.ceil(total / parseInt(limit));
 
     res.json({
@@ -372,29 +618,14 @@ router.get('/admin/all', authenticateToken, requireStaff, validatePagination, as
 // @access  Private (Staff/Admin)
 router.get('/admin/stats/summary', authenticateToken, requireStaff, async (req, res) => {
   try {
-    // Total de pedidos
-    const totalOrders = db.prepare('SELECT COUNT(*) as total FROM orders').get().total;
-    const pendingOrders = db.prepare('SELECT COUNT(*) as total FROM orders WHERE status = "pending"').get().total;
-    const completedOrders = db.prepare('SELECT COUNT(*) as total FROM orders WHERE status = "delivered"').get().total;
-
-    // Pedidos por status
-    const statusStats = db.prepare(`
-      SELECT status, COUNT(*) as count 
-      FROM orders 
-      GROUP BY status
-    `).all();
-
-    // Pedidos por mês (últimos 12 meses)
-    const monthlyOrders = db.prepare(`
-      SELECT strftime('%m', created_at) as month, COUNT(*) as count 
-      FROM orders 
-      WHERE created_at >= date('now', 'start of year')
-      GROUP BY strftime('%m', created_at)
-      ORDER BY month
-    `).all();
-
-    // Receita total
-    const totalRevenue = db.prepare('SELECT SUM(final_amount) as total FROM orders WHERE status = "delivered"').get().total || 0;
+    const {
+      totalOrders,
+      pendingOrders,
+      completedOrders,
+      totalRevenue,
+      statusDistribution: statusStats,
+      monthlyOrders
+    } = await orderRepository.getStats();
 
     res.json({
       success: true,
@@ -1,27 +1,71 @@
 const express = require('express');
 const router = express.Router();
 const stripe = require('../config/stripe');
+const { authenticateToken } = require('../middleware/auth');
+const { validatePayment, validatePaymentIntent } = require('../middleware/validation');
+const { createPayment, createPaymentIntent, handleStripeEvent, handleGatewayEvent } = require('../services/payment-service');
+const { verifySignature } = require('../services/payment-providers/gateway-client');
+const { HttpError } = require('../utils/errors');
 
-// Criar payment intent
-router.post('/create-payment-intent', async (req, res) => {
+// Iniciar o pagamento de um pedido com o método escolhido no checkout
+// (cartão: client secret do Stripe; MB WAY: pedido na app; Multibanco: entidade e referência;
+// dinheiro: instruções para a entrega)
+router.post('/', authenticateToken, validatePayment, async (req, res) => {
     try {
-        const { amount, currency = 'eur', metadata = {} } = req.body;
-        
-        const paymentIntent = await stripe.paymentIntents.create({
-            amount: Math.round(amount * 100), // Stripe usa centavos
-            currency,
-            metadata,
-            automatic_payment_methods: {
-                enabled: true,
-            },
+        const { payment, clientData } = await createPayment(req.body.orderId, req.user, {
+            phone: req.body.phone
+        });
+
+        res.status(201).json({
+            success: true,
+            data: {
+                payment: {
+                    id: payment.id,
+                    provider: payment.provider,
+                    status: payment.status,
+                    amount: payment.amount,
+                    currency: payment.currency,
+                    expiresAt: payment.expires_at
+                },
+                ...clientData
+            }
+        });
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('❌ Erro ao iniciar pagamento:', error);
+        res.status(502).json({
+            success: false,
+            message: 'Não foi possível contactar o fornecedor de pagamentos'
         });
+    }
+});
+
+// Criar payment intent para um pedido existente (o valor vem do pedido)
+router.post('/create-payment-intent', authenticateToken, validatePaymentIntent, async (req, res) => {
+    try {
+        const { payment, clientSecret } = await createPaymentIntent(req.body.orderId, req.user);
 
         res.json({
             success: true,
-            clientSecret: paymentIntent.client_secret,
-            paymentIntentId: paymentIntent.id
+            clientSecret,
+            paymentIntentId: payment.provider_payment_id,
+            amount: payment.amount,
+            currency: payment.currency
         });
     } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
         console.error('❌ Erro ao criar payment intent:', error);
         res.status(500).json({
             success: false,
@@ -32,6 +76,7 @@ router.post('/create-payment-intent', async (req, res) => {
 });
 
 // Webhook para confirmar pagamentos
+// (o corpo chega em bruto: o server.js monta express.raw antes do express.json)
 router.post('/webhook', express.raw({ type: 'application/json' }), async (req, res) => {
     const sig = req.headers['stripe-signature'];
     const endpointSecret = process.env.STRIPE_WEBHOOK_SECRET;
@@ -45,15 +90,48 @@ router.post('/webhook', express.raw({ type: 'application/json' }), async (req, r
         return res.status(400).send(`Webhook Error: ${err.message}`);
     }
 
-    if (event.type === 'payment_intent.succeeded') {
-        const paymentIntent = event.data.object;
-        console.log('✅ Pagamento confirmado:', paymentIntent.id);
-        
-        // Aqui você pode salvar o pedido no banco de dados
-        // await saveOrder(paymentIntent);
+    try {
+        const result = await handleStripeEvent(event);
+
+        if (result.status) {
+            console.log(`💳 Pagamento ${result.paymentId} do pedido ${result.orderId}: ${result.status}`);
+        }
+
+        res.json({ received: true, duplicate: Boolean(result.duplicate) });
+    } catch (error) {
+        // Responder com erro para o Stripe voltar a enviar o evento
+        console.error('❌ Erro ao processar evento do webhook:', error);
+        res.status(500).json({ received: false });
+    }
+});
+
+// Callback do gateway MB WAY / Multibanco (pagamento confirmado, recusado ou expirado)
+// (o corpo chega em bruto: o server.js monta express.raw antes do express.json)
+router.post('/gateway/callback', express.raw({ type: 'application/json' }), async (req, res) => {
+    if (!Buffer.isBuffer(req.body) || !verifySignature(req.body, req.headers['x-gateway-signature'])) {
+        return res.status(400).json({ received: false, message: 'Assinatura inválida' });
     }
 
-    res.json({ received: true });
+    let event;
+    try {
+        event = JSON.parse(req.body.toString('utf8'));
+    } catch (err) {
+        return res.status(400).json({ received: false, message: 'Corpo inválido' });
+    }
+
+    try {
+        const result = await handleGatewayEvent(event);
+
+        if (result.status) {
+            console.log(`💳 Pagamento ${result.paymentId} do pedido ${result.orderId}: ${result.status}`);
+        }
+
+        res.json({ received: true, duplicate: Boolean(result.duplicate) });
+    } catch (error) {
+        // Responder com erro para o gateway voltar a enviar o callback
+        console.error('❌ Erro ao processar callback do gateway:', error);
+        res.status(500).json({ received: false });
+    }
 });
 
 // Histórico de pedidos por cliente
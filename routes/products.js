@@ -1,11 +1,11 @@
 const express = require('express');
 const router = express.Router();
-const { getCategories, getProducts, getFeaturedProducts, searchProducts } = require('../config/database');
+const { productRepository, categoryRepository } = require('../repositories');
 
 // GET /api/products/categories - Listar todas as categorias
 router.get('/categories', async (req, res) => {
     try {
-        const categories = await getCategories();
+        const categories = await categoryRepository.listActive();
         
         res.json({
             success: true,
@@ -26,20 +26,20 @@ router.get('/', async (req, res) => {
         const { category, search, featured } = req.query;
         
         let products;
-        const categories = await getCategories();
+        const categories = await categoryRepository.listActive();
         
         if (featured === 'true') {
             // Produtos em destaque
-            products = await getFeaturedProducts();
+            products = await productRepository.listFeatured();
         } else if (search) {
             // Busca por termo
-            products = await searchProducts(search);
+            products = await productRepository.search(search);
         } else if (category && category !== 'all') {
             // Produtos por categoria
-            products = await getProducts(category);
+            products = await productRepository.listAvailable(category);
         } else {
             // Todos os produtos
-            products = await getProducts();
+            products = await productRepository.listAvailable();
         }
         
         // Adicionar slug da categoria aos produtos
@@ -71,7 +71,7 @@ router.get('/', async (req, res) => {
 // GET /api/products/featured - Produtos em destaque
 router.get('/featured', async (req, res) => {
     try {
-        const products = await getFeaturedProducts();
+        const products = await productRepository.listFeatured();
         
         res.json({
             success: true,
@@ -99,7 +99,7 @@ router.get('/search', async (req, res) => {
             });
         }
         
-        const products = await searchProducts(q);
+        const products = await productRepository.search(q);
         
         res.json({
             success: true,
@@ -122,7 +122,7 @@ router.get('/category/:slug', async (req, res) => {
         const { slug } = req.params;
         
         if (slug === 'all') {
-            const products = await getProducts();
+            const products = await productRepository.listAvailable();
             return res.json({
                 success: true,
                 data: products,
@@ -131,7 +131,7 @@ router.get('/category/:slug', async (req, res) => {
             });
         }
         
-        const products = await getProducts(slug);
+        const products = await productRepository.listAvailable(slug);
         
         res.json({
             success: true,
@@ -151,38 +151,8 @@ router.get('/category/:slug', async (req, res) => {
 // GET /api/products/stats - Estatísticas dos produtos
 router.get('/stats', async (req, res) => {
     try {
-        const { db } = require('../config/database');
-        
-        // Contar produtos por categoria
-        const categoryStats = await new Promise((resolve, reject) => {
-            db.all(`
-                SELECT c.name, c.slug, COUNT(p.id) as product_count
-                FROM categories c
-                LEFT JOIN products p ON c.id = p.category_id AND p.is_available = 1
-                WHERE c.is_active = 1 AND c.slug != 'all'
-                GROUP BY c.id, c.name, c.slug
-                ORDER BY c.sort_order
-            `, (err, rows) => {
-                if (err) reject(err);
-                else resolve(rows);
-            });
-        });
-        
-        // Total de produtos
-        const totalProducts = await new Promise((resolve, reject) => {
-            db.get('SELECT COUNT(*) as count FROM products WHERE is_available = 1', (err, row) => {
-                if (err) reject(err);
-                else resolve(row.count);
-            });
-        });
-        
-        // Produtos em destaque
-        const featuredCount = await new Promise((resolve, reject) => {
-            db.get('SELECT COUNT(*) as count FROM products WHERE is_available = 1 AND is_featured = 1', (err, row) => {
-                if (err) reject(err);
-                else resolve(row.count);
-            });
-        });
+        // Produtos por categoria, total de produtos e produtos em destaque
+        const { categories: categoryStats, totalProducts, featuredCount } = await productRepository.getStats();
         
         res.json({
             success: true,
@@ -1,17 +1,95 @@
 const express = require('express');
-const db = require('../config/database');
+const { userRepository } = require('../repositories');
 const { authenticateToken, requireOwnershipOrAdmin, requireAdmin, requireStaff } = require('../middleware/auth');
-const { validateProfileUpdate, validatePasswordChange, validatePagination } = require('../middleware/validation');
+const {
+  validateProfileUpdate,
+  validateAddress,
+  validateAddressUpdate,
+  validatePasswordChange,
+  validatePagination,
+  validateAccountErasure,
+  validateDataExport,
+  validateConsentUpdate,
+  validateUnsubscribe
+} = require('../middleware/validation');
+const { accountLimiter } = require('../middleware/rate-limit');
+const { revokeAllSessions } = require('../services/token-service');
+const { assertCanManageAccount, updateAccountAccess } = require('../services/admin-user-service');
+const {
+  exportAccountData,
+  createExportArchive,
+  eraseCustomerAccount,
+  eraseOwnAccount
+} = require('../services/privacy-service');
+const {
+  getConsents,
+  getConsentHistory,
+  updateConsents,
+  consentChangesFromPreferences,
+  describeUnsubscribe,
+  unsubscribe
+} = require('../services/consent-service');
+const {
+  listAddresses,
+  addAddress,
+  updateAddress,
+  setDefaultAddress,
+  removeAddress,
+  saveProfileAddress
+} = require('../services/address-service');
+const { HttpError } = require('../utils/errors');
+const { audit } = require('../middleware/audit');
+const { PERSONAL_FIELDS } = require('../services/audit-service');
 const bcrypt = require('bcryptjs');
 
 const router = express.Router();
 
+// Registo de auditoria das alterações feitas por staff/admin às contas (sem os dados
+// pessoais, que têm de desaparecer quando a conta é eliminada)
+const loadUser = (id) => userRepository.findById(id);
+const auditUser = (action) => audit(action, {
+  entityType: 'user',
+  entityId: (req) => req.params.userId,
+  load: loadUser,
+  redact: PERSONAL_FIELDS
+});
+
+// Contas eliminadas a pedido do titular ficam só como registo anónimo
+const ERASED_ACCOUNT_MESSAGE = 'Esta conta foi eliminada a pedido do titular e não pode ser alterada';
+
+// Converter os campos de perfil recebidos no body em colunas da tabela users
+// (a morada vai para o livro de moradas e os consentimentos de marketing para o registo
+// de consentimentos, em address-service e consent-service)
+function buildProfileChanges({ name, email, phone, preferences }) {
+  const changes = {};
+
+  if (name) {
+    changes.name = name;
+  }
+  if (email) {
+    changes.email = email;
+  }
+  if (phone) {
+    changes.phone = phone;
+  }
+  if (preferences) {
+    if (preferences.dietaryRestrictions) {
+      changes.dietary_restrictions = JSON.stringify(preferences.dietaryRestrictions);
+    }
+    if (preferences.deliveryInstructions) {
+      changes.delivery_instructions = preferences.deliveryInstructions;
+    }
+  }
+
+  return changes;
+}
+
 // @route   GET /api/users/profile
 // @desc    Obter perfil do usuário autenticado
 // @access  Private
 router.get('/profile', authenticateToken, async (req, res) => {
   try {
-    const user = db.prepare('SELECT id, name, email, phone, street, city, postal_code, lat, lng, role, loyalty_points, loyalty_tier, is_active, email_verified, phone_verified, dietary_restrictions, delivery_instructions, marketing_emails, sms_notifications, last_login, created_at, updated_at FROM users WHERE id = ?').get(req.user.id);
+    const user = await userRepository.findProfileById(req.user.id);
     
     if (!user) {
       return res.status(404).json({
@@ -42,7 +120,7 @@ router.put('/profile', authenticateToken, validateProfileUpdate, async (req, res
   try {
     const { name, email, phone, address, preferences } = req.body;
 
-    const user = db.prepare('SELECT * FROM users WHERE id = ?').get(req.user.id);
+    const user = await userRepository.findById(req.user.id);
     if (!user) {
       return res.status(404).json({
         success: false,
@@ -52,8 +130,7 @@ router.put('/profile', authenticateToken, validateProfileUpdate, async (req, res
 
     // Verificar se o email já está em uso por outro usuário
     if (email && email !== user.email) {
-      const existingUser = db.prepare('SELECT id FROM users WHERE email = ? AND id != ?').get(email, req.user.id);
-      if (existingUser) {
+      if (await userRepository.isEmailTaken(email, req.user.id)) {
         return res.status(400).json({
           success: false,
           message: 'Este email já está em uso'
@@ -61,75 +138,31 @@ router.put('/profile', authenticateToken, validateProfileUpdate, async (req, res
       }
     }
 
-    // Construir query de atualização
-    const updateFields = [];
-    const params = [];
-    
-    if (name) {
-      updateFields.push('name = ?');
-      params.push(name);
-    }
-    if (email) {
-      updateFields.push('email = ?');
-      params.push(email);
+    // Construir alterações
+    const changes = buildProfileChanges({ name, email, phone, preferences });
+
+    // Contactos alterados têm de voltar a ser verificados
+    if (changes.email && changes.email !== user.email) {
+      changes.email_verified = 0;
     }
-    if (phone) {
-      updateFields.push('phone = ?');
-      params.push(phone);
+    if (changes.phone && changes.phone !== user.phone) {
+      changes.phone_verified = 0;
     }
+
+    // Morada primeiro: uma morada incompleta recusa o pedido sem alterar o resto
     if (address) {
-      if (address.street) {
-        updateFields.push('street = ?');
-        params.push(address.street);
-      }
-      if (address.city) {
-        updateFields.push('city = ?');
-        params.push(address.city);
-      }
-      if (address.postalCode) {
-        updateFields.push('postal_code = ?');
-        params.push(address.postalCode);
-      }
-      if (address.coordinates) {
-        if (address.coordinates.lat) {
-          updateFields.push('lat = ?');
-          params.push(address.coordinates.lat);
-        }
-        if (address.coordinates.lng) {
-          updateFields.push('lng = ?');
-          params.push(address.coordinates.lng);
-        }
-      }
-    }
-    if (preferences) {
-      if (preferences.dietaryRestrictions) {
-        updateFields.push('dietary_restrictions = ?');
-        params.push(JSON.stringify(preferences.dietaryRestrictions));
-      }
-      if (preferences.deliveryInstructions) {
-        updateFields.push('delivery_instructions = ?');
-        params.push(preferences.deliveryInstructions);
-      }
-      if (preferences.marketingEmails !== undefined) {
-        updateFields.push('marketing_emails = ?');
-        params.push(preferences.marketingEmails ? 1 : 0);
-      }
-      if (preferences.smsNotifications !== undefined) {
-        updateFields.push('sms_notifications = ?');
-        params.push(preferences.smsNotifications ? 1 : 0);
-      }
+      await saveProfileAddress(req.user.id, address);
     }
 
-    if (updateFields.length > 0) {
-      updateFields.push('updated_at = CURRENT_TIMESTAMP');
-      params.push(req.user.id);
+    await userRepository.updateById(req.user.id, changes);
 
-      const updateQuery = `UPDATE users SET ${updateFields.join(', ')} WHERE id = ?`;
-      db.prepare(updateQuery).run(...params);
+    const consentChanges = consentChangesFromPreferences(preferences);
+    if (consentChanges.length > 0) {
+      await updateConsents(req.user.id, consentChanges, { source: 'profile', ip: req.ip, userAgent: req.get('user-agent') });
     }
 
     // Buscar usuário atualizado
-    const updatedUser = db.prepare('SELECT id, name, email, phone, street, city, postal_code, lat, lng, role, loyalty_points, loyalty_tier, is_active, email_verified, phone_verified, dietary_restrictions, delivery_instructions, marketing_emails, sms_notifications, last_login, created_at, updated_at FROM users WHERE id = ?').get(req.user.id);
+    const updatedUser = await userRepository.findProfileById(req.user.id);
 
     res.json({
       success: true,
@@ -139,6 +172,10 @@ router.put('/profile', authenticateToken, validateProfileUpdate, async (req, res
       }
     });
   } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+
     console.error('Erro ao atualizar perfil:', error);
     res.status(500).json({
       success: false,
@@ -154,7 +191,7 @@ router.put('/change-password', authenticateToken, validatePasswordChange, async
   try {
     const { currentPassword, newPassword } = req.body;
 
-    const user = db.prepare('SELECT * FROM users WHERE id = ?').get(req.user.id);
+    const user = await userRepository.findById(req.user.id);
     if (!user) {
       return res.status(404).json({
         success: false,
@@ -176,7 +213,7 @@ router.put('/change-password', authenticateToken, validatePasswordChange, async
     const hashedNewPassword = await bcrypt.hash(newPassword, salt);
 
     // Atualizar senha
-    db.prepare('UPDATE users SET password = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(hashedNewPassword, req.user.id);
+    await userRepository.updatePassword(req.user.id, hashedNewPassword);
 
     res.json({
       success: true,
@@ -191,28 +228,273 @@ router.put('/change-password', authenticateToken, validatePasswordChange, async
   }
 });
 
-// @route   DELETE /api/users/account
-// @desc    Desativar conta do usuário
+// @route   GET /api/users/addresses
+// @desc    Moradas guardadas (a predefinida primeiro)
 // @access  Private
-router.delete('/account', authenticateToken, async (req, res) => {
+router.get('/addresses', authenticateToken, async (req, res) => {
   try {
-    const user = db.prepare('SELECT * FROM users WHERE id = ?').get(req.user.id);
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: 'Usuário não encontrado'
-      });
+    res.json({
+      success: true,
+      data: {
+        addresses: await listAddresses(req.user.id)
+      }
+    });
+  } catch (error) {
+    console.error('Erro ao listar moradas:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor'
+    });
+  }
+});
+
+// @route   POST /api/users/addresses
+// @desc    Guardar uma morada ({ label, street, city, postalCode, coordinates, deliveryInstructions, isDefault })
+// @access  Private
+router.post('/addresses', authenticateToken, validateAddress, async (req, res) => {
+  try {
+    const address = await addAddress(req.user.id, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Morada guardada',
+      data: {
+        address
+      }
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+
+    console.error('Erro ao guardar morada:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor'
+    });
+  }
+});
+
+// @route   PUT /api/users/addresses/:addressId
+// @desc    Alterar uma morada guardada
+// @access  Private
+router.put('/addresses/:addressId', authenticateToken, validateAddressUpdate, async (req, res) => {
+  try {
+    const address = await updateAddress(req.user.id, req.params.addressId, req.body);
+
+    res.json({
+      success: true,
+      message: 'Morada atualizada',
+      data: {
+        address
+      }
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+
+    console.error('Erro ao atualizar morada:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor'
+    });
+  }
+});
+
+// @route   PUT /api/users/addresses/:addressId/default
+// @desc    Tornar uma morada a predefinida
+// @access  Private
+router.put('/addresses/:addressId/default', authenticateToken, async (req, res) => {
+  try {
+    const address = await setDefaultAddress(req.user.id, req.params.addressId);
+
+    res.json({
+      success: true,
+      message: 'Morada predefinida atualizada',
+      data: {
+        address
+      }
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+
+    console.error('Erro ao definir morada predefinida:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor'
+    });
+  }
+});
+
+// @route   DELETE /api/users/addresses/:addressId
+// @desc    Apagar uma morada guardada (os pedidos já feitos mantêm a morada)
+// @access  Private
+router.delete('/addresses/:addressId', authenticateToken, async (req, res) => {
+  try {
+    await removeAddress(req.user.id, req.params.addressId);
+
+    res.json({
+      success: true,
+      message: 'Morada apagada'
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ success: false, message: error.message });
     }
 
-    // Desativar conta (soft delete)
-    db.prepare('UPDATE users SET is_active = 0, updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(req.user.id);
+    console.error('Erro ao apagar morada:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor'
+    });
+  }
+});
 
+// @route   GET /api/users/consents
+// @desc    Consentimentos de marketing por canal e finalidade
+// @access  Private
+router.get('/consents', authenticateToken, async (req, res) => {
+  try {
     res.json({
       success: true,
-      message: 'Conta desativada com sucesso'
+      data: {
+        consents: await getConsents(req.user.id)
+      }
     });
   } catch (error) {
-    console.error('Erro ao desativar conta:', error);
+    console.error('Erro ao obter consentimentos:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor'
+    });
+  }
+});
+
+// @route   PUT /api/users/consents
+// @desc    Dar ou retirar consentimentos de marketing ({ consents: [{ channel, purpose, granted }] })
+// @access  Private
+router.put('/consents', authenticateToken, validateConsentUpdate, async (req, res) => {
+  try {
+    const consents = await updateConsents(req.user.id, req.body.consents, {
+      source: 'profile',
+      ip: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.json({
+      success: true,
+      message: 'Preferências de comunicação atualizadas',
+      data: {
+        consents
+      }
+    });
+  } catch (error) {
+    console.error('Erro ao atualizar consentimentos:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor'
+    });
+  }
+});
+
+// @route   GET /api/users/unsubscribe?token=
+// @desc    Consentimento a que se refere um link de cancelamento (página /cancelar-subscricao)
+// @access  Public
+router.get('/unsubscribe', accountLimiter, validateUnsubscribe, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await describeUnsubscribe(req.query.token)
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+
+    console.error('Erro ao ler link de cancelamento:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor'
+    });
+  }
+});
+
+// @route   POST /api/users/unsubscribe
+// @desc    Cancelar a subscrição pelo link das mensagens (token na query para o cancelamento
+//          com um clique do List-Unsubscribe-Post, ou no body; all: true retira todos)
+// @access  Public
+router.post('/unsubscribe', accountLimiter, validateUnsubscribe, async (req, res) => {
+  try {
+    const all = req.body.all === true || req.body.all === 'true';
+
+    await unsubscribe(req.query.token || req.body.token, { all, ip: req.ip, userAgent: req.get('user-agent') });
+
+    res.json({
+      success: true,
+      message: all ? 'Deixará de receber comunicações de marketing' : 'Subscrição cancelada'
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+
+    console.error('Erro ao cancelar subscrição:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor'
+    });
+  }
+});
+
+// @route   GET /api/users/account/export
+// @desc    Exportar os dados pessoais da conta (JSON ou ZIP)
+// @access  Private
+router.get('/account/export', accountLimiter, authenticateToken, validateDataExport, async (req, res) => {
+  try {
+    const data = await exportAccountData(req.user.id);
+    const fileName = `meus-dados-${data.exportedAt.slice(0, 10)}`;
+
+    if (req.query.format === 'zip') {
+      res.attachment(`${fileName}.zip`);
+      return res.send(await createExportArchive(data));
+    }
+
+    res.attachment(`${fileName}.json`);
+    res.send(JSON.stringify(data, null, 2));
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+
+    console.error('Erro ao exportar dados da conta:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor'
+    });
+  }
+});
+
+// @route   DELETE /api/users/account
+// @desc    Eliminar a conta (RGPD): apaga os dados pessoais e anonimiza os pedidos
+// @access  Private
+router.delete('/account', accountLimiter, authenticateToken, validateAccountErasure, async (req, res) => {
+  try {
+    const { ordersAnonymized } = await eraseOwnAccount(req.user.id, req.body.password);
+
+    console.log(`🗑️  Conta ${req.user.id} eliminada a pedido do titular (${ordersAnonymized} pedido(s) anonimizados)`);
+    res.json({
+      success: true,
+      message: 'Conta eliminada. Os seus dados pessoais foram apagados'
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+
+    console.error('Erro ao eliminar conta:', error);
     res.status(500).json({
       success: false,
       message: 'Erro interno do servidor'
@@ -228,38 +510,16 @@ router.get('/admin/all', authenticateToken, requireStaff, validatePagination, as
     const { page = 1, limit = 20, role, isActive, search } = req.query;
     const offset = (parseInt(page) - 1) * parseInt(limit);
 
-    // Construir query SQL
-    let whereClause = 'WHERE 1=1';
-    const params = [];
+    const filters = {
+      role,
+      isActive: isActive !== undefined ? isActive === 'true' : undefined,
+      search
+    };
 
-    if (role) {
-      whereClause += ' AND role = ?';
-      params.push(role);
-    }
-    if (isActive !== undefined) {
-      whereClause += ' AND is_active = ?';
-      params.push(isActive === 'true' ? 1 : 0);
-    }
-    if (search) {
-      whereClause += ' AND (name LIKE ? OR email LIKE ? OR phone LIKE ?)';
-      const searchTerm = `%${search}%`;
-      params.push(searchTerm, searchTerm, searchTerm);
-    }
-
-    const usersQuery = `
-      SELECT id, name, email, phone, street, city, postal_code, role, loyalty_points, loyalty_tier, is_active, created_at, updated_at 
-      FROM users 
-      ${whereClause} 
-      ORDER BY created_at DESC 
-      LIMIT ? OFFSET ?
-    `;
-    
-    const users = db.prepare(usersQuery).all(...params, parseInt(limit), offset);
+    const users = await userRepository.list(filters, { limit: parseInt(limit), offset });
 
     // Contar total de usuários
-    const countQuery = `SELECT COUNT(*) as total FROM users ${whereClause}`;
-    const totalResult = db.prepare(countQuery).get(...params);
-    const total = totalResult.total;
+    const total = await userRepository.count(filters);
     const totalPages = Math.ceil(total / parseInt(limit));
 
     res.json({
@@ -291,7 +551,7 @@ router.get('/admin/:userId', authenticateToken, requireStaff, async (req, res) =
   try {
     const { userId } = req.params;
 
-    const user = db.prepare('SELECT id, name, email, phone, street, city, postal_code, role, loyalty_points, loyalty_tier, is_active, created_at, updated_at FROM users WHERE id = ?').get(userId);
+    const user = await userRepository.findAdminViewById(userId);
     if (!user) {
       return res.status(404).json({
         success: false,
@@ -302,7 +562,8 @@ router.get('/admin/:userId', authenticateToken, requireStaff, async (req, res) =
     res.json({
       success: true,
       data: {
-        user
+        user,
+        addresses: await listAddresses(userId)
       }
     });
   } catch (error) {
@@ -314,15 +575,45 @@ router.get('/admin/:userId', authenticateToken, requireStaff, async (req, res) =
   }
 });
 
+// @route   GET /api/users/admin/:userId/consents
+// @desc    Estado atual e histórico dos consentimentos de marketing do usuário (Admin/Staff)
+// @access  Private (Staff/Admin)
+router.get('/admin/:userId/consents', authenticateToken, requireStaff, async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (!await userRepository.findById(userId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Usuário não encontrado'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        consents: await getConsents(userId),
+        history: await getConsentHistory(userId)
+      }
+    });
+  } catch (error) {
+    console.error('Erro ao obter consentimentos do usuário:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor'
+    });
+  }
+});
+
 // @route   PUT /api/users/admin/:userId/update
-// @desc    Atualizar usuário (Admin/Staff)
+// @desc    Atualizar usuário (Admin/Staff; contas internas e papel só com manage_users)
 // @access  Private (Staff/Admin)
-router.put('/admin/:userId/update', authenticateToken, requireStaff, async (req, res) => {
+router.put('/admin/:userId/update', authenticateToken, requireStaff, auditUser('user.update'), async (req, res) => {
   try {
     const { userId } = req.params;
     const { name, email, phone, role, isActive, address, preferences } = req.body;
 
-    const user = db.prepare('SELECT * FROM users WHERE id = ?').get(userId);
+    const user = await userRepository.findById(userId);
     if (!user) {
       return res.status(404).json({
         success: false,
@@ -330,10 +621,15 @@ router.put('/admin/:userId/update', authenticateToken, requireStaff, async (req,
       });
     }
 
+    if (user.erased_at) {
+      return res.status(400).json({ success: false, message: ERASED_ACCOUNT_MESSAGE });
+    }
+
+    assertCanManageAccount(req.user, user, { role });
+
     // Verificar se o email já está em uso por outro usuário
     if (email && email !== user.email) {
-      const existingUser = db.prepare('SELECT id FROM users WHERE email = ? AND id != ?').get(email, userId);
-      if (existingUser) {
+      if (await userRepository.isEmailTaken(email, userId)) {
         return res.status(400).json({
           success: false,
           message: 'Este email já está em uso'
@@ -341,83 +637,28 @@ router.put('/admin/:userId/update', authenticateToken, requireStaff, async (req,
       }
     }
 
-    // Construir query de atualização
-    const updateFields = [];
-    const params = [];
-    
-    if (name) {
-      updateFields.push('name = ?');
-      params.push(name);
-    }
-    if (email) {
-      updateFields.push('email = ?');
-      params.push(email);
-    }
-    if (phone) {
-      updateFields.push('phone = ?');
-      params.push(phone);
-    }
-    if (role) {
-      updateFields.push('role = ?');
-      params.push(role);
-    }
-    if (isActive !== undefined) {
-      updateFields.push('is_active = ?');
-      params.push(isActive ? 1 : 0);
+    // Construir alterações
+    // Papel e estado passam pelas verificações das contas internas (último administrador ativo)
+    if (role || isActive !== undefined) {
+      await updateAccountAccess(userId, { role: role || undefined, isActive }, req.user);
     }
+
+    const changes = buildProfileChanges({ name, email, phone, preferences });
+
     if (address) {
-      if (address.street) {
-        updateFields.push('street = ?');
-        params.push(address.street);
-      }
-      if (address.city) {
-        updateFields.push('city = ?');
-        params.push(address.city);
-      }
-      if (address.postalCode) {
-        updateFields.push('postal_code = ?');
-        params.push(address.postalCode);
-      }
-      if (address.coordinates) {
-        if (address.coordinates.lat) {
-          updateFields.push('lat = ?');
-          params.push(address.coordinates.lat);
-        }
-        if (address.coordinates.lng) {
-          updateFields.push('lng = ?');
-          params.push(address.coordinates.lng);
-        }
-      }
-    }
-    if (preferences) {
-      if (preferences.dietaryRestrictions) {
-        updateFields.push('dietary_restrictions = ?');
-        params.push(JSON.stringify(preferences.dietaryRestrictions));
-      }
-      if (preferences.deliveryInstructions) {
-        updateFields.push('delivery_instructions = ?');
-        params.push(preferences.deliveryInstructions);
-      }
-      if (preferences.marketingEmails !== undefined) {
-        updateFields.push('marketing_emails = ?');
-        params.push(preferences.marketingEmails ? 1 : 0);
-      }
-      if (preferences.smsNotifications !== undefined) {
-        updateFields.push('sms_notifications = ?');
-        params.push(preferences.smsNotifications ? 1 : 0);
-      }
+      await saveProfileAddress(userId, address);
     }
 
-    if (updateFields.length > 0) {
-      updateFields.push('updated_at = CURRENT_TIMESTAMP');
-      params.push(userId);
+    await userRepository.updateById(userId, changes);
 
-      const updateQuery = `UPDATE users SET ${updateFields.join(', ')} WHERE id = ?`;
-      db.prepare(updateQuery).run(...params);
+    // Consentimento comunicado à loja (balcão, telefone): fica registado quem o registou
+    const consentChanges = consentChangesFromPreferences(preferences);
+    if (consentChanges.length > 0) {
+      await updateConsents(userId, consentChanges, { source: 'staff', recordedBy: req.user.id, ip: req.ip });
     }
 
     // Buscar usuário atualizado
-    const updatedUser = db.prepare('SELECT id, name, email, phone, street, city, postal_code, role, loyalty_points, loyalty_tier, is_active, created_at, updated_at FROM users WHERE id = ?').get(userId);
+    const updatedUser = await userRepository.findAdminViewById(userId);
 
     res.json({
       success: true,
@@ -427,6 +668,10 @@ router.put('/admin/:userId/update', authenticateToken, requireStaff, async (req,
       }
     });
   } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+
     console.error('Erro ao atualizar usuário:', error);
     res.status(500).json({
       success: false,
@@ -436,9 +681,9 @@ router.put('/admin/:userId/update', authenticateToken, requireStaff, async (req,
 });
 
 // @route   PUT /api/users/admin/:userId/reset-password
-// @desc    Redefinir senha do usuário (Admin/Staff)
+// @desc    Redefinir senha do usuário (Admin/Staff; contas internas só com manage_users)
 // @access  Private (Staff/Admin)
-router.put('/admin/:userId/reset-password', authenticateToken, requireStaff, async (req, res) => {
+router.put('/admin/:userId/reset-password', authenticateToken, requireStaff, auditUser('user.reset_password'), async (req, res) => {
   try {
     const { userId } = req.params;
     const { newPassword } = req.body;
@@ -450,7 +695,7 @@ router.put('/admin/:userId/reset-password', authenticateToken, requireStaff, asy
       });
     }
 
-    const user = db.prepare('SELECT id FROM users WHERE id = ?').get(userId);
+    const user = await userRepository.findById(userId);
     if (!user) {
       return res.status(404).json({
         success: false,
@@ -458,18 +703,29 @@ router.put('/admin/:userId/reset-password', authenticateToken, requireStaff, asy
       });
     }
 
+    if (user.erased_at) {
+      return res.status(400).json({ success: false, message: ERASED_ACCOUNT_MESSAGE });
+    }
+
+    assertCanManageAccount(req.user, user);
+
     // Hash da nova senha
     const salt = await bcrypt.genSalt(12);
     const hashedPassword = await bcrypt.hash(newPassword, salt);
 
-    // Atualizar senha
-    db.prepare('UPDATE users SET password = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(hashedPassword, userId);
+    // Atualizar senha e terminar as sessões abertas (incluindo refresh tokens já emitidos)
+    await userRepository.updatePassword(userId, hashedPassword);
+    await revokeAllSessions(userId);
 
     res.json({
       success: true,
       message: 'Senha redefinida com sucesso'
     });
   } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+
     console.error('Erro ao redefinir senha:', error);
     res.status(500).json({
       success: false,
@@ -479,13 +735,13 @@ router.put('/admin/:userId/reset-password', authenticateToken, requireStaff, asy
 });
 
 // @route   PUT /api/users/admin/:userId/toggle-status
-// @desc    Ativar/Desativar usuário (Admin/Staff)
+// @desc    Ativar/Desativar usuário (Admin/Staff; contas internas só com manage_users)
 // @access  Private (Staff/Admin)
-router.put('/admin/:userId/toggle-status', authenticateToken, requireStaff, async (req, res) => {
+router.put('/admin/:userId/toggle-status', authenticateToken, requireStaff, auditUser('user.toggle_status'), async (req, res) => {
   try {
     const { userId } = req.params;
 
-    const user = db.prepare('SELECT id, name, email, is_active FROM users WHERE id = ?').get(userId);
+    const user = await userRepository.findById(userId);
     if (!user) {
       return res.status(404).json({
         success: false,
@@ -493,10 +749,14 @@ router.put('/admin/:userId/toggle-status', authenticateToken, requireStaff, asyn
       });
     }
 
+    if (user.erased_at) {
+      return res.status(400).json({ success: false, message: ERASED_ACCOUNT_MESSAGE });
+    }
+
     // Alternar status
     const newStatus = user.is_active ? 0 : 1;
-    
-    db.prepare('UPDATE users SET is_active = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(newStatus, userId);
+
+    await updateAccountAccess(userId, { isActive: newStatus === 1 }, req.user);
 
     res.json({
       success: true,
@@ -511,6 +771,10 @@ router.put('/admin/:userId/toggle-status', authenticateToken, requireStaff, asyn
       }
     });
   } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+
     console.error('Erro ao alternar status do usuário:', error);
     res.status(500).json({
       success: false,
@@ -524,25 +788,14 @@ router.put('/admin/:userId/toggle-status', authenticateToken, requireStaff, asyn
 // @access  Private (Staff/Admin)
 router.get('/admin/stats/summary', authenticateToken, requireStaff, async (req, res) => {
   try {
-    // Total de usuários
-    const totalUsers = db.prepare('SELECT COUNT(*) as total FROM users').get().total;
-    const activeUsers = db.prepare('SELECT COUNT(*) as total FROM users WHERE is_active = 1').get().total;
-    const inactiveUsers = db.prepare('SELECT COUNT(*) as total FROM users WHERE is_active = 0').get().total;
-
-    // Distribuição por role
-    const roleDistribution = db.prepare('SELECT role, COUNT(*) as count FROM users GROUP BY role').all();
-
-    // Usuários por mês (últimos 12 meses)
-    const monthlyUsers = db.prepare(`
-      SELECT strftime('%m', created_at) as month, COUNT(*) as count 
-      FROM users 
-      WHERE created_at >= date('now', 'start of year')
-      GROUP BY strftime('%m', created_at)
-      ORDER BY month
-    `).all();
-
-    // Usuários verificados
-    const verifiedUsers = db.prepare('SELECT COUNT(*) as total FROM users WHERE email_verified = 1 AND phone_verified = 1').get().total;
+    const {
+      totalUsers,
+      activeUsers,
+      inactiveUsers,
+      verifiedUsers,
+      roleDistribution,
+      monthlyUsers
+    } = await userRepository.getStats();
 
     res.json({
       success: true,
@@ -569,7 +822,12 @@ router.get('/admin/stats/summary', authenticateToken, requireStaff, async (req,
 // @route   POST /api/users/admin/create
 // @desc    Criar novo usuário (Admin)
 // @access  Private (Admin)
-router.post('/admin/create', authenticateToken, requireAdmin, async (req, res) => {
+router.post('/admin/create', authenticateToken, requireAdmin, audit('user.create', {
+  entityType: 'user',
+  createdId: (body) => body.data.user.id,
+  load: loadUser,
+  redact: PERSONAL_FIELDS
+}), async (req, res) => {
   try {
     const { name, email, phone, password, role, address } = req.body;
 
@@ -581,8 +839,7 @@ router.post('/admin/create', authenticateToken, requireAdmin, async (req, res) =
     }
 
     // Verificar se o email já está em uso
-    const existingUser = db.prepare('SELECT id FROM users WHERE email = ?').get(email);
-    if (existingUser) {
+    if (await userRepository.isEmailTaken(email)) {
       return res.status(400).json({
         success: false,
         message: 'Este email já está em uso'
@@ -594,26 +851,23 @@ router.post('/admin/create', authenticateToken, requireAdmin, async (req, res) =
     const hashedPassword = await bcrypt.hash(password, salt);
 
     // Criar usuário
-    const stmt = db.prepare(`
-      INSERT INTO users (name, email, phone, password, street, city, postal_code, role, is_active)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, 1)
-    `);
-
-    const result = stmt.run(
+    const userId = await userRepository.create({
       name,
       email,
       phone,
-      hashedPassword,
-      address?.street || '',
-      address?.city || '',
-      address?.postalCode || '',
-      role || 'customer'
-    );
+      password: hashedPassword,
+      street: address?.street,
+      city: address?.city,
+      postalCode: address?.postalCode,
+      role
+    });
 
-    const userId = result.lastInsertRowid;
+    if (address?.street && address.city && address.postalCode) {
+      await addAddress(userId, { label: 'Casa', ...address });
+    }
 
     // Buscar usuário criado
-    const userResponse = db.prepare('SELECT id, name, email, phone, street, city, postal_code, role, is_active, created_at FROM users WHERE id = ?').get(userId);
+    const userResponse = await userRepository.findAdminViewById(userId);
 
     res.status(201).json({
       success: true,
@@ -632,9 +886,13 @@ router.post('/admin/create', authenticateToken, requireAdmin, async (req, res) =
 });
 
 // @route   DELETE /api/users/admin/:userId
-// @desc    Excluir usuário permanentemente (Admin)
+// @desc    Eliminar conta de cliente a pedido do titular (RGPD): apaga os dados pessoais e anonimiza os pedidos
 // @access  Private (Admin)
-router.delete('/admin/:userId', authenticateToken, requireAdmin, async (req, res) => {
+router.delete('/admin/:userId', authenticateToken, requireAdmin, audit('user.erase', {
+  entityType: 'user',
+  entityId: (req) => req.params.userId,
+  metadata: (req, body) => body.data
+}), async (req, res) => {
   try {
     const { userId } = req.params;
 
@@ -646,22 +904,18 @@ router.delete('/admin/:userId', authenticateToken, requireAdmin, async (req, res
       });
     }
 
-    const user = db.prepare('SELECT id FROM users WHERE id = ?').get(userId);
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: 'Usuário não encontrado'
-      });
-    }
-
-    // Exclusão permanente
-    db.prepare('DELETE FROM users WHERE id = ?').run(userId);
+    const { ordersAnonymized } = await eraseCustomerAccount(userId);
 
     res.json({
       success: true,
-      message: 'Usuário excluído permanentemente'
+      message: 'Conta eliminada: dados pessoais apagados e pedidos anonimizados',
+      data: { ordersAnonymized }
     });
   } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+
     console.error('Erro ao excluir usuário:', error);
     res.status(500).json({
       success: false,
@@ -684,28 +938,11 @@ router.get('/admin/search', authenticateToken, requireStaff, async (req, res) =>
       });
     }
 
-    // Construir query SQL
-    let whereClause = 'WHERE (name LIKE ? OR email LIKE ? OR phone LIKE ?)';
-    const params = [`%${query}%`, `%${query}%`, `%${query}%`];
-
-    if (role) {
-      whereClause += ' AND role = ?';
-      params.push(role);
-    }
-    if (isActive !== undefined) {
-      whereClause += ' AND is_active = ?';
-      params.push(isActive === 'true' ? 1 : 0);
-    }
-
-    const usersQuery = `
-      SELECT id, name, email, phone, street, city, postal_code, role, loyalty_points, loyalty_tier, is_active, created_at, updated_at 
-      FROM users 
-      ${whereClause} 
-      ORDER BY name ASC 
-      LIMIT 20
-    `;
-    
-    const users = db.prepare(usersQuery).all(...params);
+    const users = await userRepository.list({
+      search: query,
+      role,
+      isActive: isActive !== undefined ? isActive === 'true' : undefined
+    }, { limit: 20, orderBy: 'name ASC' });
 
     res.json({
       success: true,
@@ -0,0 +1,43 @@
+require('dotenv').config();
+const crypto = require('crypto');
+const { db, dbPath } = require('../config/database');
+const { migrate } = require('../config/migrator');
+const { bootstrapAdmin } = require('../services/admin-user-service');
+
+// Criar o primeiro administrador do painel (só funciona enquanto não existir nenhuma conta).
+// Uso:
+//   npm run admin:create -- <usuario> [password]
+//   (ou ADMIN_USERNAME / ADMIN_PASSWORD no ambiente)
+// Sem password é gerada uma temporária; em qualquer caso é pedida uma nova no primeiro login.
+async function main() {
+  const [usernameArg, passwordArg] = process.argv.slice(2);
+  const username = usernameArg || process.env.ADMIN_USERNAME;
+  const password = passwordArg || process.env.ADMIN_PASSWORD || crypto.randomBytes(12).toString('base64url');
+
+  if (!username) {
+    throw new Error('Indique o nome de usuário: npm run admin:create -- <usuario> [password]');
+  }
+
+  if (password.length < 8) {
+    throw new Error('A password deve ter pelo menos 8 caracteres');
+  }
+
+  console.log('📍 Banco:', dbPath);
+  await migrate(db);
+
+  const admin = await bootstrapAdmin({ username, password });
+
+  console.log(`✅ Administrador "${admin.username}" criado`);
+  if (!passwordArg && !process.env.ADMIN_PASSWORD) {
+    console.log(`🔑 Password temporária: ${password}`);
+  }
+  console.log('ℹ️  A password terá de ser alterada no primeiro login em /admin');
+}
+
+main()
+  .then(() => db.close())
+  .catch((error) => {
+    console.error('❌ Erro ao criar administrador:', error.message);
+    db.close();
+    process.exit(1);
+  });
@@ -0,0 +1,45 @@
+const { db, dbPath } = require('../config/database');
+const { migrate, rollback, status } = require('../config/migrator');
+
+// Uso:
+//   npm run migrate                 -> aplicar migrações pendentes
+//   npm run migrate:rollback [-- N] -> reverter as últimas N migrações (padrão: 1)
+//   npm run migrate:status          -> listar migrações e o estado de cada uma
+async function main() {
+  const [command = 'up', arg] = process.argv.slice(2);
+
+  console.log('📍 Banco:', dbPath);
+
+  if (command === 'up') {
+    const applied = await migrate(db);
+    console.log(applied.length > 0
+      ? `✅ ${applied.length} migração(ões) aplicada(s)`
+      : '✅ Nenhuma migração pendente');
+  } else if (command === 'rollback') {
+    const steps = parseInt(arg || '1', 10);
+
+    if (!Number.isInteger(steps) || steps < 1) {
+      throw new Error('Número de migrações a reverter inválido');
+    }
+
+    const reverted = await rollback(db, steps);
+    console.log(reverted.length > 0
+      ? `✅ ${reverted.length} migração(ões) revertida(s)`
+      : '✅ Nenhuma migração para reverter');
+  } else if (command === 'status') {
+    const migrations = await status(db);
+    migrations.forEach(m => {
+      console.log(`${m.applied ? '✅' : '⏳'} ${String(m.version).padStart(3, '0')}_${m.name}${m.appliedAt ? ` (${m.appliedAt})` : ''}`);
+    });
+  } else {
+    throw new Error(`Comando desconhecido: ${command}`);
+  }
+}
+
+main()
+  .then(() => db.close())
+  .catch((error) => {
+    console.error('❌ Erro nas migrações:', error.message);
+    db.close();
+    process.exit(1);
+  });
@@ -0,0 +1,182 @@
+// Gateway de pagamentos local (MB WAY e referências Multibanco) para desenvolvimento e testes.
+// Uso: npm run mock:gateway
+// Os pagamentos ficam pendentes até serem simulados:
+//   POST /v1/payments/:id/simulate { "outcome": "paid" | "failed" | "expired" }
+// e o resultado é enviado ao callback da API com a assinatura x-gateway-signature.
+// Pagamentos anulados pela loja (POST /v1/payments/:id/cancel) já não podem ser pagos.
+const http = require('http');
+const crypto = require('crypto');
+const { signPayload } = require('../services/payment-providers/gateway-client');
+
+const OUTCOME_EVENTS = {
+  paid: 'payment.succeeded',
+  failed: 'payment.failed',
+  expired: 'payment.expired'
+};
+
+const MBWAY_EXPIRY_MINUTES = 5;
+const MULTIBANCO_ENTITY = '12345';
+
+function createMockGateway({
+  callbackUrl = process.env.PAYMENT_GATEWAY_CALLBACK_URL || 'http://localhost:5000/api/payments/gateway/callback',
+  apiKey = process.env.PAYMENT_GATEWAY_API_KEY || 'gateway_test_key',
+  callbackSecret = process.env.PAYMENT_GATEWAY_CALLBACK_SECRET || 'gateway_callback_secret'
+} = {}) {
+  const payments = new Map();
+  const refunds = [];
+  let eventCount = 0;
+
+  const addMinutes = (minutes) => new Date(Date.now() + minutes * 60 * 1000).toISOString();
+
+  function createPayment(method, fields) {
+    const payment = {
+      id: `gw_${method}_${payments.size + 1}`,
+      method,
+      status: 'pending',
+      ...fields
+    };
+    payments.set(payment.id, payment);
+    return payment;
+  }
+
+  async function sendCallback(payment, outcome) {
+    const payload = JSON.stringify({
+      id: `gwevt_${++eventCount}`,
+      type: OUTCOME_EVENTS[outcome],
+      data: {
+        paymentId: payment.id,
+        amount: payment.amount,
+        reason: outcome === 'failed' ? 'Pagamento recusado pelo cliente' : undefined
+      }
+    });
+
+    const response = await fetch(callbackUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-gateway-signature': signPayload(payload, callbackSecret)
+      },
+      body: payload
+    });
+
+    return response.status;
+  }
+
+  async function handle(method, url, body) {
+    if (method === 'POST' && url === '/v1/mbway/requests') {
+      if (!body.amount || !/^9\d{8}$/.test(body.phone || '')) {
+        return [400, { message: 'Telemóvel ou valor inválido' }];
+      }
+      const payment = createPayment('mbway', {
+        amount: body.amount,
+        phone: body.phone,
+        orderReference: body.orderReference,
+        expiresAt: addMinutes(MBWAY_EXPIRY_MINUTES)
+      });
+      return [201, payment];
+    }
+
+    if (method === 'POST' && url === '/v1/multibanco/references') {
+      if (!body.amount) {
+        return [400, { message: 'Valor inválido' }];
+      }
+      const payment = createPayment('multibanco', {
+        amount: body.amount,
+        orderReference: body.orderReference,
+        entity: MULTIBANCO_ENTITY,
+        reference: String(crypto.randomInt(100000000, 999999999)),
+        expiresAt: addMinutes((body.expiresInHours || 48) * 60)
+      });
+      return [201, payment];
+    }
+
+    if (method === 'POST' && url === '/v1/refunds') {
+      const payment = payments.get(body.paymentId);
+      if (!payment || payment.status !== 'paid') {
+        return [409, { message: 'Pagamento não pode ser reembolsado' }];
+      }
+      const refund = {
+        id: `gwref_${refunds.length + 1}`,
+        paymentId: payment.id,
+        amount: body.amount,
+        reference: body.reference,
+        status: 'succeeded'
+      };
+      refunds.push(refund);
+      return [201, refund];
+    }
+
+    // Anular um pagamento ainda por pagar (pedido alterado ou cancelado na loja)
+    const cancel = url.match(/^\/v1\/payments\/([\w-]+)\/cancel$/);
+    if (method === 'POST' && cancel) {
+      const payment = payments.get(cancel[1]);
+      if (!payment) {
+        return [404, { message: 'Pagamento desconhecido' }];
+      }
+      if (payment.status === 'paid') {
+        return [409, { message: 'Pagamento já foi pago' }];
+      }
+      payment.status = 'canceled';
+      return [200, payment];
+    }
+
+    const simulate = url.match(/^\/v1\/payments\/([\w-]+)\/simulate$/);
+    if (method === 'POST' && simulate) {
+      const payment = payments.get(simulate[1]);
+      if (!payment || !OUTCOME_EVENTS[body.outcome]) {
+        return [404, { message: 'Pagamento ou resultado desconhecido' }];
+      }
+      if (payment.status === 'canceled') {
+        return [409, { message: 'Pagamento anulado' }];
+      }
+      payment.status = body.outcome;
+      const callbackStatus = await sendCallback(payment, body.outcome);
+      return [200, { ...payment, callbackStatus }];
+    }
+
+    const lookup = url.match(/^\/v1\/payments\/([\w-]+)$/);
+    if (method === 'GET' && lookup && payments.has(lookup[1])) {
+      return [200, payments.get(lookup[1])];
+    }
+
+    return [404, { message: `Rota não suportada: ${method} ${url}` }];
+  }
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', async () => {
+      const send = (status, data) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(data));
+      };
+
+      if (req.headers.authorization !== `Bearer ${apiKey}`) {
+        return send(401, { message: 'Chave de API inválida' });
+      }
+
+      try {
+        const [status, data] = await handle(req.method, req.url, raw ? JSON.parse(raw) : {});
+        send(status, data);
+      } catch (error) {
+        send(500, { message: error.message });
+      }
+    });
+  });
+
+  return { server, payments, refunds };
+}
+
+if (require.main === module) {
+  require('dotenv').config();
+  const port = parseInt(process.env.PAYMENT_GATEWAY_PORT || '4010', 10);
+  const { server } = createMockGateway();
+
+  server.listen(port, () => {
+    console.log(`🏧 Gateway de pagamentos (mock) em http://localhost:${port}`);
+  });
+}
+
+module.exports = {
+  createMockGateway
+};
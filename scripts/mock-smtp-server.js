@@ -0,0 +1,119 @@
+// Servidor SMTP local para desenvolvimento e testes: aceita todos os emails, não os
+// entrega a ninguém e mostra-os na consola.
+// Uso: npm run mock:smtp   (com EMAIL_HOST=localhost e EMAIL_PORT=1025 no .env)
+const net = require('net');
+
+function createMockSmtpServer({ log = false } = {}) {
+  const messages = [];
+
+  const server = net.createServer(socket => {
+    let buffer = '';
+    let envelope = { from: null, to: [] };
+    let readingData = false;
+
+    const reply = (line) => socket.write(`${line}\r\n`);
+
+    function handleCommand(line) {
+      const command = line.slice(0, 4).toUpperCase();
+
+      if (command === 'EHLO' || command === 'HELO') {
+        return reply('250 mock-smtp');
+      }
+      if (command === 'MAIL') {
+        envelope = { from: line.replace(/^MAIL FROM:\s*/i, '').replace(/[<>]/g, ''), to: [] };
+        return reply('250 OK');
+      }
+      if (command === 'RCPT') {
+        envelope.to.push(line.replace(/^RCPT TO:\s*/i, '').replace(/[<>]/g, ''));
+        return reply('250 OK');
+      }
+      if (command === 'DATA') {
+        readingData = true;
+        return reply('354 Terminar com <CRLF>.<CRLF>');
+      }
+      if (command === 'RSET') {
+        envelope = { from: null, to: [] };
+        return reply('250 OK');
+      }
+      if (command === 'NOOP') {
+        return reply('250 OK');
+      }
+      if (command === 'QUIT') {
+        reply('221 Adeus');
+        return socket.end();
+      }
+
+      reply('502 Comando não suportado');
+    }
+
+    function storeMessage(raw) {
+      const [head, ...bodyParts] = raw.split('\r\n\r\n');
+      const subject = (head.match(/^Subject: (.*)$/mi) || [])[1] || '';
+      const body = decodeBody(head, bodyParts.join('\r\n\r\n'));
+      const message = { ...envelope, subject, body, raw, receivedAt: new Date() };
+
+      messages.push(message);
+      if (log) {
+        console.log(`📨 ${message.to.join(', ')} — ${subject}\n${body}\n`);
+      }
+    }
+
+    socket.on('data', chunk => {
+      buffer += chunk.toString('utf8');
+
+      while (true) {
+        if (readingData) {
+          const end = buffer.indexOf('\r\n.\r\n');
+          if (end === -1) {
+            return;
+          }
+          storeMessage(buffer.slice(0, end).replace(/^\.\./gm, '.'));
+          buffer = buffer.slice(end + 5);
+          readingData = false;
+          reply('250 OK: mensagem aceite');
+          continue;
+        }
+
+        const lineEnd = buffer.indexOf('\r\n');
+        if (lineEnd === -1) {
+          return;
+        }
+        const line = buffer.slice(0, lineEnd);
+        buffer = buffer.slice(lineEnd + 2);
+        handleCommand(line);
+      }
+    });
+
+    socket.on('error', () => {});
+    reply('220 mock-smtp pronto');
+  });
+
+  return { server, messages };
+}
+
+// Corpo em texto: o nodemailer usa quoted-printable para texto com acentos
+function decodeBody(head, body) {
+  if (!/Content-Transfer-Encoding: quoted-printable/i.test(head)) {
+    return body;
+  }
+
+  const bytes = body
+    .replace(/=\r\n/g, '')
+    .replace(/=([0-9A-F]{2})/gi, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+
+  return Buffer.from(bytes, 'latin1').toString('utf8');
+}
+
+if (require.main === module) {
+  require('dotenv').config();
+  const port = parseInt(process.env.MOCK_SMTP_PORT || '1025', 10);
+  const { server } = createMockSmtpServer({ log: true });
+
+  server.listen(port, () => {
+    console.log(`📬 Servidor SMTP (mock) em localhost:${port}`);
+  });
+}
+
+module.exports = {
+  createMockSmtpServer
+};
@@ -0,0 +1,36 @@
+// Corre todos os scripts de teste (npm test): os scripts "test:*" do package.json, cada um
+// no seu processo (o ambiente e a base de dados temporária são lidos ao carregar os módulos).
+// O test:sqlite fica de fora: verifica a base de dados configurada, não uma temporária.
+// Termina com erro se algum teste falhar, para poder correr na integração contínua.
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { scripts } = require('../package.json');
+
+const EXCLUDED = ['test:sqlite'];
+const TEST_TIMEOUT_MS = parseInt(process.env.TEST_TIMEOUT_MS || '120000', 10);
+
+const tests = Object.entries(scripts)
+  .filter(([name]) => name.startsWith('test:') && !EXCLUDED.includes(name))
+  .map(([name, command]) => ({ name, file: command.replace(/^node\s+/, '') }));
+
+const failed = [];
+
+for (const { name, file } of tests) {
+  console.log(`\n▶️  ${name}`);
+
+  const result = spawnSync(process.execPath, [path.join(__dirname, '..', file)], {
+    stdio: 'inherit',
+    timeout: TEST_TIMEOUT_MS
+  });
+
+  if (result.status !== 0) {
+    failed.push(name);
+  }
+}
+
+console.log(`\n${tests.length - failed.length}/${tests.length} testes passaram`);
+
+if (failed.length > 0) {
+  console.error(`❌ Falharam: ${failed.join(', ')}`);
+  process.exitCode = 1;
+}
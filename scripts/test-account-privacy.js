@@ -0,0 +1,223 @@
+// Teste dos direitos RGPD da conta: exportação dos dados (JSON e ZIP) e eliminação, que apaga
+// os dados pessoais e deixa os pedidos anónimos com os valores, pagamentos e reembolsos.
+// Base de dados temporária; os pedidos são criados diretamente nos repositórios.
+const assert = require('assert');
+const { setupTestEnv, startTestServer, cleanup } = require('./test-helpers');
+
+const dbFile = setupTestEnv('account-privacy');
+
+async function testAccountPrivacy() {
+  // Só depois de configurar o ambiente: config/database lê o DB_PATH ao carregar
+  const bcrypt = require('bcryptjs');
+  const { get, all, initializeDatabase } = require('../config/database');
+  const {
+    userRepository,
+    orderRepository,
+    paymentRepository,
+    refundRepository,
+    loyaltyRepository,
+    contactRepository,
+    consentRepository,
+    addressRepository,
+    deliveryRepository
+  } = require('../repositories');
+  const { signAccessToken } = require('../services/token-service');
+
+  const { server, request } = await startTestServer([
+    ['/api/auth', require('../routes/auth')],
+    ['/api/users', require('../routes/users')]
+  ]);
+
+  const createOrder = async (userId, status, extra = {}) => {
+    const orderId = await orderRepository.create({
+      order_number: `RGPD-${userId}-${status}-${Date.now()}`,
+      user_id: userId,
+      customer_name: 'Maria Silva',
+      customer_phone: '912345678',
+      customer_email: 'maria@teste.pt',
+      status,
+      delivery_type: 'delivery',
+      delivery_street: 'Rua das Flores 1',
+      delivery_city: 'Lisboa',
+      delivery_postal_code: '1000-001',
+      delivery_instructions: '3.º esquerdo',
+      subtotal: 8.4,
+      final_amount: 8.4,
+      customer_notes: 'Bolo para a Maria',
+      ...extra
+    });
+    await orderRepository.addItem(orderId, {
+      productId: 1,
+      productName: 'Pastel de Nata',
+      quantity: 2,
+      unitPrice: 4.2,
+      totalPrice: 8.4,
+      specialInstructions: 'Escrever "Parabéns Maria"'
+    });
+    return orderId;
+  };
+
+  try {
+    console.log('🔍 Testando exportação e eliminação de dados da conta...');
+    await initializeDatabase();
+
+    const password = await bcrypt.hash('Segura123', 4);
+    const userId = await userRepository.create({
+      name: 'Maria Silva',
+      email: 'maria@teste.pt',
+      phone: '912345678',
+      password,
+      street: 'Rua das Flores 1',
+      city: 'Lisboa',
+      postalCode: '1000-001'
+    });
+    await userRepository.updateById(userId, { email_verified: 1 });
+    const adminId = await userRepository.create({ name: 'Admin', username: 'admin-rgpd', password, role: 'admin' });
+    const token = signAccessToken(userId);
+    const adminToken = signAccessToken(adminId);
+
+    const deliveredId = await createOrder(userId, 'delivered', { delivery_street: 'Avenida da Liberdade 10' });
+    const paymentId = await paymentRepository.create({
+      orderId: deliveredId,
+      provider: 'mbway',
+      amount: 8.4,
+      status: 'succeeded',
+      details: { phone: '912345678' }
+    });
+    await refundRepository.create({ orderId: deliveredId, paymentId, type: 'full', amount: 8.4, reason: 'quality', note: 'Nota interna' });
+    const deliveryId = await deliveryRepository.create({ orderId: deliveredId, status: 'delivered' });
+    await deliveryRepository.saveProof(deliveryId, { recipientName: 'Maria Silva', pinVerified: true });
+    await deliveryRepository.addLocation(deliveryId, { latitude: 38.7223, longitude: -9.1393, recordedAt: '2024-01-01 12:00:00' });
+    await loyaltyRepository.addTransaction({ userId, orderId: deliveredId, points: 8, type: 'earned', description: 'Pedido entregue' });
+    await contactRepository.create({ name: 'Maria Silva', email: 'Maria@teste.pt', subject: 'Encomenda', message: 'Olá' });
+    await contactRepository.create({ name: 'Outra', email: 'outra@teste.pt', subject: 'Outro', message: 'Olá' });
+    await addressRepository.create(userId, { label: 'Trabalho', street: 'Rua do Trabalho 5', city: 'Lisboa', postalCode: '1000-002', deliveryInstructions: 'Receção' });
+    await consentRepository.append({ userId, channel: 'email', purpose: 'newsletter', granted: true, source: 'profile', ip: '10.0.0.1' });
+
+    // Exportação
+    const exported = await request('GET', '/api/users/account/export', { token });
+    assert.strictEqual(exported.status, 200, exported.buffer.toString());
+    assert.ok(exported.headers.get('content-disposition').includes('attachment'));
+    const data = exported.data;
+    assert.strictEqual(data.profile.email, 'maria@teste.pt');
+    assert.strictEqual(data.profile.password, undefined);
+    assert.deepStrictEqual(data.addresses.map(address => address.street), ['Rua do Trabalho 5', 'Rua das Flores 1', 'Avenida da Liberdade 10']);
+    assert.strictEqual(data.addresses[0].label, 'Trabalho');
+    assert.strictEqual(data.addresses[0].deliveryInstructions, 'Receção');
+    assert.strictEqual(data.orders.length, 1);
+    assert.strictEqual(data.orders[0].items[0].product_name, 'Pastel de Nata');
+    assert.strictEqual(data.orders[0].payments[0].details.phone, '912345678');
+    assert.strictEqual(data.orders[0].refunds[0].amount, 8.4);
+    assert.strictEqual(data.orders[0].refunds[0].note, undefined);
+    assert.strictEqual(data.loyaltyTransactions.length, 1);
+    assert.deepStrictEqual(data.contactMessages.map(message => message.subject), ['Encomenda']);
+    assert.ok(data.consents.current.find(consent => consent.channel === 'email' && consent.purpose === 'newsletter').granted);
+    assert.strictEqual(data.consents.history.length, 1);
+    console.log('✅ Exportação JSON com perfil, moradas, pedidos, pontos, mensagens e consentimentos');
+
+    const zip = await request('GET', '/api/users/account/export?format=zip', { token });
+    assert.strictEqual(zip.status, 200);
+    assert.strictEqual(zip.headers.get('content-type'), 'application/zip');
+    assert.strictEqual(zip.buffer.subarray(0, 2).toString(), 'PK');
+    for (const fileName of ['perfil.json', 'moradas.json', 'pedidos.json', 'pontos-fidelidade.json', 'mensagens-contacto.json', 'consentimentos.json']) {
+      assert.ok(zip.buffer.includes(fileName), fileName);
+    }
+    assert.strictEqual((await request('GET', '/api/users/account/export?format=xml', { token })).status, 400);
+    console.log('✅ Exportação ZIP com um ficheiro por secção');
+
+    // Eliminação
+    const openOrderId = await createOrder(userId, 'preparing');
+    const blocked = await request('DELETE', '/api/users/account', { token, body: { password: 'Segura123' } });
+    assert.strictEqual(blocked.status, 409);
+    await orderRepository.updateStatus(openOrderId, 'cancelled');
+
+    assert.strictEqual((await request('DELETE', '/api/users/account', { token, body: {} })).status, 400);
+    assert.strictEqual((await request('DELETE', '/api/users/account', { token, body: { password: 'Errada123' } })).status, 400);
+    console.log('✅ Eliminação exige a password e pedidos terminados');
+
+    const erased = await request('DELETE', '/api/users/account', { token, body: { password: 'Segura123' } });
+    assert.strictEqual(erased.status, 200, JSON.stringify(erased.data));
+
+    const account = await userRepository.findById(userId);
+    assert.ok(account.erased_at);
+    assert.strictEqual(account.name, 'Conta eliminada');
+    assert.ok(account.email.endsWith('@anonimo.invalid'));
+    assert.strictEqual(account.phone, null);
+    assert.strictEqual(account.street, null);
+    assert.strictEqual(account.is_active, 0);
+
+    const order = await orderRepository.findById(deliveredId);
+    assert.ok(order.anonymized_at);
+    assert.strictEqual(order.customer_name, null);
+    assert.strictEqual(order.customer_email, null);
+    assert.strictEqual(order.delivery_street, null);
+    assert.strictEqual(order.customer_notes, null);
+    assert.strictEqual(order.final_amount, 8.4);
+    assert.strictEqual(order.delivery_city, 'Lisboa');
+    assert.strictEqual((await orderRepository.findItems(deliveredId))[0].special_instructions, null);
+    assert.strictEqual((await orderRepository.findItems(deliveredId))[0].total_price, 8.4);
+
+    const payment = await paymentRepository.findById(paymentId);
+    assert.strictEqual(payment.amount, 8.4);
+    assert.strictEqual(JSON.parse(payment.details).phone, undefined);
+    assert.strictEqual((await refundRepository.listByOrder(deliveredId)).length, 1);
+
+    const delivery = await deliveryRepository.findById(deliveryId);
+    assert.strictEqual(delivery.recipient_name, null);
+    assert.ok(delivery.pin_verified_at);
+    assert.strictEqual((await deliveryRepository.listLocations(deliveryId)).length, 0);
+    console.log('✅ Pedidos anónimos, com valores, pagamentos, reembolsos e entregas mantidos (sem o percurso GPS)');
+
+    assert.strictEqual((await loyaltyRepository.countTransactions(userId)), 0);
+    assert.strictEqual(await addressRepository.countByUser(userId), 0);
+    assert.strictEqual((await get('SELECT COUNT(*) as total FROM contacts')).total, 1);
+    console.log('✅ Moradas, pontos e mensagens de contacto apagados');
+
+    assert.strictEqual(await consentRepository.isGranted(userId, 'email', 'newsletter'), false);
+    const consentHistory = await consentRepository.listHistory(userId);
+    assert.strictEqual(consentHistory[0].source, 'account_erasure');
+    assert.ok(consentHistory.every(record => record.ip === null));
+    console.log('✅ Consentimentos retirados, histórico sem IP');
+
+    assert.strictEqual((await request('GET', '/api/users/profile', { token })).status, 401);
+    const login = await request('POST', '/api/auth/login', { body: { email: 'maria@teste.pt', password: 'Segura123' } });
+    assert.strictEqual(login.status, 401);
+    console.log('✅ Sessões terminadas e login recusado');
+
+    // Pedido recebido pela loja: eliminação pelo administrador
+    const otherId = await userRepository.create({ name: 'João Sousa', email: 'joao@teste.pt', password });
+    await createOrder(otherId, 'delivered');
+    const adminUpdate = await request('PUT', `/api/users/admin/${otherId}/update`, {
+      token: adminToken,
+      body: { name: 'João Pedro Sousa', phone: '913000000' }
+    });
+    assert.strictEqual(adminUpdate.status, 200, JSON.stringify(adminUpdate.data));
+    const adminErase = await request('DELETE', `/api/users/admin/${otherId}`, { token: adminToken });
+    assert.strictEqual(adminErase.status, 200, JSON.stringify(adminErase.data));
+    assert.strictEqual(adminErase.data.data.ordersAnonymized, 1);
+    assert.strictEqual((await userRepository.findById(otherId)).name, 'Conta eliminada');
+    assert.strictEqual((await request('DELETE', `/api/users/admin/${otherId}`, { token: adminToken })).status, 404);
+    assert.strictEqual((await request('PUT', `/api/users/admin/${otherId}/toggle-status`, { token: adminToken })).status, 400);
+    assert.strictEqual((await request('DELETE', `/api/users/admin/${adminId}`, { token: adminToken })).status, 400);
+    console.log('✅ Eliminação pelo administrador, sem reativar contas eliminadas');
+
+    // O registo de auditoria não se altera: da conta fica só que campos mudaram
+    const auditRows = await all("SELECT action, changes FROM audit_log WHERE entity_type = 'user' AND entity_id = ?", [String(otherId)]);
+    const updateEntry = auditRows.find(row => row.action === 'user.update');
+    assert.deepStrictEqual(JSON.parse(updateEntry.changes).name, { changed: true });
+    assert.deepStrictEqual(JSON.parse(updateEntry.changes).phone, { changed: true });
+    const auditText = JSON.stringify(auditRows);
+    assert.ok(!auditText.includes('João') && !auditText.includes('joao@teste.pt') && !auditText.includes('913000000'));
+    console.log('✅ Registo de auditoria sem os dados pessoais da conta eliminada');
+
+    console.log('\n🎉 Exportação e eliminação de dados estão funcionando!');
+  } catch (error) {
+    console.error('❌ Teste de exportação e eliminação de dados falhou:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await cleanup({ servers: [server], dbFile });
+  }
+}
+
+// Executar teste
+testAccountPrivacy();
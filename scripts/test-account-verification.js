@@ -0,0 +1,194 @@
+// Teste da reposição de password, da verificação de email e telefone e da conta criada a partir
+// de uma encomenda sem conta contra o servidor SMTP local (scripts/mock-smtp-server.js) e o
+// fornecedor de SMS stub.
+// Não usa a rede e trabalha numa base de dados temporária.
+const assert = require('assert');
+const { setupTestEnv, listen, startTestServer, cleanup } = require('./test-helpers');
+
+const dbFile = setupTestEnv('account-verification', {
+  EMAIL_HOST: '127.0.0.1',
+  EMAIL_USER: '',
+  SMS_PROVIDER: 'stub',
+  APP_URL: 'http://loja.test'
+});
+
+const tokenFromLink = (body) => body.match(/token=([a-f0-9]{64})/)[1];
+
+async function testAccountVerification() {
+  const { createMockSmtpServer } = require('./mock-smtp-server');
+  const smtp = createMockSmtpServer();
+  process.env.EMAIL_PORT = String(await listen(smtp.server));
+
+  // Só depois de configurar o ambiente: config/database e o mail-service leem-no ao carregar
+  const { db, initializeDatabase } = require('../config/database');
+  const { userRepository, verificationRepository, orderRepository } = require('../repositories');
+  const { createTrackingLink } = require('../services/guest-order-service');
+  const { outbox } = require('../services/sms-providers/stub');
+
+  const { server, request } = await startTestServer([
+    ['/api/auth', require('../routes/auth')],
+    ['/api/users', require('../routes/users')],
+    ['/api/orders', require('../routes/orders')]
+  ]);
+
+  // O email de verificação do registo é enviado sem bloquear a resposta
+  const waitForMail = async (count) => {
+    for (let i = 0; i < 50 && smtp.messages.length < count; i++) {
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    assert.strictEqual(smtp.messages.length, count, 'email não recebido');
+    return smtp.messages[count - 1];
+  };
+
+  try {
+    console.log('🔍 Testando reposição de password e verificação de contactos...');
+    await initializeDatabase();
+
+    const registered = await request('POST', '/api/auth/register', {
+      body: {
+        name: 'Cliente Teste',
+        email: 'verificacao@teste.pt',
+        phone: '912345678',
+        password: 'Segura123',
+        address: { street: 'Rua das Flores 1', city: 'Lisboa', postalCode: '1000-001' }
+      }
+    });
+    assert.strictEqual(registered.status, 201, JSON.stringify(registered.data));
+    const { token } = registered.data.data;
+    const userId = registered.data.data.user.id;
+
+    // Verificação de email
+    const welcome = await waitForMail(1);
+    assert.deepStrictEqual(welcome.to, ['verificacao@teste.pt']);
+    assert.ok(welcome.body.includes('http://loja.test/verificar-email?token='));
+    const emailToken = tokenFromLink(welcome.body);
+    console.log('✅ Email de verificação enviado no registo');
+
+    const forged = await request('POST', '/api/auth/verify-email', { body: { token: 'a'.repeat(64) } });
+    assert.strictEqual(forged.status, 400);
+    assert.strictEqual((await userRepository.findById(userId)).email_verified, 0);
+    console.log('✅ Token de verificação desconhecido recusado');
+
+    assert.strictEqual((await request('POST', '/api/auth/verify-email', { body: { token: emailToken } })).status, 200);
+    assert.strictEqual((await userRepository.findById(userId)).email_verified, 1);
+    assert.strictEqual((await request('POST', '/api/auth/verify-email', { body: { token: emailToken } })).status, 400);
+    console.log('✅ Email verificado com o link (uso único)');
+
+    // Verificação de telefone
+    const sent = await request('POST', '/api/auth/verify-phone/send', { token });
+    assert.strictEqual(sent.status, 200, JSON.stringify(sent.data));
+    const sms = outbox[outbox.length - 1];
+    assert.strictEqual(sms.phone, '912345678');
+    const code = sms.message.match(/\b(\d{6})\b/)[1];
+    const stored = await verificationRepository.findActiveForUser(userId, 'phone_verification');
+    assert.ok(!stored.token_hash.includes(code));
+    console.log('✅ Código SMS enviado e guardado só como hash');
+
+    const tooSoon = await request('POST', '/api/auth/verify-phone/send', { token });
+    assert.strictEqual(tooSoon.status, 429);
+    console.log('✅ Novo código recusado antes de passar um minuto');
+
+    const wrongCode = code === '000000' ? '111111' : '000000';
+    for (let attempt = 0; attempt < 5; attempt++) {
+      assert.strictEqual((await request('POST', '/api/auth/verify-phone', { token, body: { code: wrongCode } })).status, 400);
+    }
+    const blocked = await request('POST', '/api/auth/verify-phone', { token, body: { code } });
+    assert.strictEqual(blocked.status, 429);
+    assert.strictEqual((await userRepository.findById(userId)).phone_verified, 0);
+    console.log('✅ Código bloqueado depois de 5 tentativas erradas');
+
+    // Simular que o último envio foi há mais de um minuto
+    await db.run("UPDATE verification_tokens SET created_at = datetime('now', '-2 minutes') WHERE user_id = ?", [userId]);
+    assert.strictEqual((await request('POST', '/api/auth/verify-phone/send', { token })).status, 200);
+    const newCode = outbox[outbox.length - 1].message.match(/\b(\d{6})\b/)[1];
+    assert.strictEqual((await request('POST', '/api/auth/verify-phone', { token, body: { code: newCode } })).status, 200);
+    assert.strictEqual((await userRepository.findById(userId)).phone_verified, 1);
+    console.log('✅ Telefone verificado com um novo código');
+
+    const changed = await request('PUT', '/api/users/profile', { token, body: { phone: '919999999' } });
+    assert.strictEqual(changed.status, 200, JSON.stringify(changed.data));
+    assert.strictEqual((await userRepository.findById(userId)).phone_verified, 0);
+    console.log('✅ Telefone alterado volta a precisar de verificação');
+
+    // Reposição de password
+    const unknown = await request('POST', '/api/auth/forgot-password', { body: { email: 'ninguem@teste.pt' } });
+    assert.strictEqual(unknown.status, 200);
+    assert.strictEqual(smtp.messages.length, 1);
+
+    const forgot = await request('POST', '/api/auth/forgot-password', { body: { email: 'verificacao@teste.pt' } });
+    assert.strictEqual(forgot.status, 200);
+    assert.strictEqual(forgot.data.message, unknown.data.message);
+    const resetMail = await waitForMail(2);
+    assert.ok(resetMail.body.includes('http://loja.test/repor-password?token='));
+    const resetToken = tokenFromLink(resetMail.body);
+    console.log('✅ Link de reposição enviado (mesma resposta para emails desconhecidos)');
+
+    const weak = await request('POST', '/api/auth/reset-password', { body: { token: resetToken, newPassword: 'fraca' } });
+    assert.strictEqual(weak.status, 400);
+
+    // O iat dos tokens tem precisão de segundos: a sessão do registo tem de ser anterior à reposição
+    await new Promise(resolve => setTimeout(resolve, 1000));
+    const reset = await request('POST', '/api/auth/reset-password', { body: { token: resetToken, newPassword: 'NovaSegura456' } });
+    assert.strictEqual(reset.status, 200, JSON.stringify(reset.data));
+    assert.strictEqual((await request('POST', '/api/auth/reset-password', { body: { token: resetToken, newPassword: 'OutraSegura789' } })).status, 400);
+    console.log('✅ Password reposta com o link (uso único)');
+
+    assert.strictEqual((await request('GET', '/api/auth/me', { token })).status, 401);
+    const oldLogin = await request('POST', '/api/auth/login', { body: { email: 'verificacao@teste.pt', password: 'Segura123' } });
+    assert.strictEqual(oldLogin.status, 401);
+    const newLogin = await request('POST', '/api/auth/login', { body: { email: 'verificacao@teste.pt', password: 'NovaSegura456' } });
+    assert.strictEqual(newLogin.status, 200);
+    console.log('✅ Sessões antigas terminadas e login com a nova password');
+
+    await db.run("UPDATE verification_tokens SET created_at = datetime('now', '-2 minutes') WHERE user_id = ?", [userId]);
+    await request('POST', '/api/auth/forgot-password', { body: { email: 'verificacao@teste.pt' } });
+    const expiredToken = tokenFromLink((await waitForMail(3)).body);
+    await db.run("UPDATE verification_tokens SET expires_at = datetime('now', '-1 minute') WHERE user_id = ?", [userId]);
+    assert.strictEqual((await request('POST', '/api/auth/reset-password', { body: { token: expiredToken, newPassword: 'OutraSegura789' } })).status, 400);
+    console.log('✅ Link expirado recusado');
+
+    // Encomenda sem conta: a conta só é criada com o link enviado para o email do pedido
+    const guestOrderId = await orderRepository.create({
+      order_number: 'VISITANTE-1',
+      customer_name: 'Rita Visitante',
+      customer_email: 'rita@teste.pt',
+      customer_phone: '934567890',
+      delivery_type: 'delivery',
+      delivery_street: 'Rua do Pedido 3',
+      delivery_city: 'Lisboa',
+      delivery_postal_code: '1000-003',
+      subtotal: 10,
+      final_amount: 12.5
+    });
+    const { trackingToken } = createTrackingLink({ id: guestOrderId });
+    const requested = await request('POST', `/api/orders/track/${trackingToken}/register`);
+    assert.strictEqual(requested.status, 200, JSON.stringify(requested.data));
+    assert.strictEqual(requested.data.data, undefined);
+    assert.strictEqual(await userRepository.findByEmail('rita@teste.pt'), undefined);
+    const registrationMail = await waitForMail(4);
+    assert.deepStrictEqual(registrationMail.to, ['rita@teste.pt']);
+    const registrationToken = registrationMail.body.match(/\/criar-conta\?token=([\w.-]+)/)[1];
+    console.log('✅ Link para criar conta enviado só para o email da encomenda');
+
+    assert.strictEqual((await request('POST', '/api/orders/register', { body: { token: trackingToken, password: 'Visitante123' } })).status, 400);
+    const guestAccount = await request('POST', '/api/orders/register', { body: { token: registrationToken, password: 'Visitante123' } });
+    assert.strictEqual(guestAccount.status, 201, JSON.stringify(guestAccount.data));
+    const guestUser = await userRepository.findById(guestAccount.data.data.user.id);
+    assert.strictEqual(guestUser.email_verified, 1);
+    assert.strictEqual(guestUser.phone_verified, 0);
+    assert.strictEqual((await orderRepository.findById(guestOrderId)).user_id, guestUser.id);
+    assert.strictEqual((await request('POST', '/api/orders/register', { body: { token: registrationToken, password: 'Visitante123' } })).status, 409);
+    assert.strictEqual((await request('POST', `/api/orders/track/${trackingToken}/register`)).status, 409);
+    console.log('✅ Conta criada com o link do email (email verificado) e pedido associado');
+
+    console.log('\n🎉 Reposição de password e verificações estão funcionando!');
+  } catch (error) {
+    console.error('❌ Teste de verificação falhou:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await cleanup({ servers: [server, smtp.server], dbFile });
+  }
+}
+
+// Executar teste
+testAccountVerification();
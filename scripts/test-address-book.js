@@ -0,0 +1,158 @@
+// Teste do livro de moradas: CRUD, morada predefinida (copiada para o perfil), limite de moradas,
+// pedidos com addressId e moradas de outros clientes recusadas. Base de dados temporária.
+const assert = require('assert');
+const { setupTestEnv, listen, startTestServer, cleanup } = require('./test-helpers');
+
+const dbFile = setupTestEnv('address-book', { EMAIL_HOST: '127.0.0.1', EMAIL_USER: '' });
+
+async function testAddressBook() {
+  // O registo envia o email de verificação: servidor SMTP local
+  const { createMockSmtpServer } = require('./mock-smtp-server');
+  const smtp = createMockSmtpServer();
+  process.env.EMAIL_PORT = String(await listen(smtp.server));
+
+  // Só depois de configurar o ambiente: config/database e o mail-service leem-no ao carregar
+  const { initializeDatabase } = require('../config/database');
+  const { userRepository, orderRepository, addressRepository } = require('../repositories');
+
+  const { server, request } = await startTestServer([
+    ['/api/auth', require('../routes/auth')],
+    ['/api/users', require('../routes/users')],
+    ['/api/orders', require('../routes/orders')]
+  ]);
+
+  const register = async (email, phone) => {
+    const registered = await request('POST', '/api/auth/register', {
+      body: {
+        name: 'Cliente Teste',
+        email,
+        phone,
+        password: 'Segura123',
+        address: { street: 'Rua das Flores 1', city: 'Lisboa', postalCode: '1000-001' }
+      }
+    });
+    assert.strictEqual(registered.status, 201, JSON.stringify(registered.data));
+    return { id: registered.data.data.user.id, token: registered.data.data.token };
+  };
+
+  const orderBody = (extra) => ({
+    items: [{ productId: 1, quantity: 1 }],
+    deliveryType: 'delivery',
+    paymentMethod: 'cash',
+    ...extra
+  });
+
+  try {
+    console.log('🔍 Testando livro de moradas...');
+    await initializeDatabase();
+
+    const maria = await register('moradas@teste.pt', '912345678');
+    const joao = await register('outro@teste.pt', '913333333');
+    for (let i = 0; i < 50 && smtp.messages.length < 2; i++) {
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+
+    // O registo cria a morada "Casa" predefinida
+    let addresses = (await request('GET', '/api/users/addresses', { token: maria.token })).data.data.addresses;
+    assert.strictEqual(addresses.length, 1);
+    assert.strictEqual(addresses[0].label, 'Casa');
+    assert.strictEqual(addresses[0].is_default, 1);
+    const homeId = addresses[0].id;
+
+    const work = await request('POST', '/api/users/addresses', {
+      token: maria.token,
+      body: { label: 'Trabalho', street: 'Avenida da Liberdade 100', city: 'Lisboa', postalCode: '1250-096', deliveryInstructions: 'Entregar na receção' }
+    });
+    assert.strictEqual(work.status, 201, JSON.stringify(work.data));
+    assert.strictEqual(work.data.data.address.is_default, 0);
+    const workId = work.data.data.address.id;
+
+    const invalid = await request('POST', '/api/users/addresses', { token: maria.token, body: { label: 'X', street: 'Rua', city: 'L', postalCode: '1000' } });
+    assert.strictEqual(invalid.status, 400);
+    console.log('✅ Morada do registo e novas moradas com nome e instruções');
+
+    // Predefinida
+    const madeDefault = await request('PUT', `/api/users/addresses/${workId}/default`, { token: maria.token });
+    assert.strictEqual(madeDefault.status, 200);
+    addresses = (await request('GET', '/api/users/addresses', { token: maria.token })).data.data.addresses;
+    assert.deepStrictEqual(addresses.map(address => [address.label, address.is_default]), [['Trabalho', 1], ['Casa', 0]]);
+    assert.strictEqual((await userRepository.findById(maria.id)).street, 'Avenida da Liberdade 100');
+
+    const renamed = await request('PUT', `/api/users/addresses/${homeId}`, { token: maria.token, body: { label: 'Casa dos pais', deliveryInstructions: '2.º andar' } });
+    assert.strictEqual(renamed.status, 200);
+    assert.strictEqual(renamed.data.data.address.label, 'Casa dos pais');
+    assert.strictEqual(renamed.data.data.address.street, 'Rua das Flores 1');
+
+    // O address do perfil altera a predefinida
+    await request('PUT', '/api/users/profile', { token: maria.token, body: { address: { street: 'Avenida da Liberdade 200' } } });
+    assert.strictEqual((await addressRepository.findById(workId)).street, 'Avenida da Liberdade 200');
+    assert.strictEqual((await userRepository.findById(maria.id)).street, 'Avenida da Liberdade 200');
+    console.log('✅ Morada predefinida copiada para o perfil');
+
+    // Moradas de outros clientes
+    assert.strictEqual((await request('PUT', `/api/users/addresses/${homeId}`, { token: joao.token, body: { label: 'Minha' } })).status, 404);
+    assert.strictEqual((await request('DELETE', `/api/users/addresses/${homeId}`, { token: joao.token })).status, 404);
+    const foreignOrder = await request('POST', '/api/orders', { token: joao.token, body: orderBody({ addressId: homeId }) });
+    assert.strictEqual(foreignOrder.status, 400);
+    console.log('✅ Moradas de outros clientes recusadas');
+
+    // Pedido com addressId: cópia da morada e instruções da morada
+    const order = await request('POST', '/api/orders', { token: maria.token, body: orderBody({ addressId: workId }) });
+    assert.strictEqual(order.status, 201, JSON.stringify(order.data));
+    assert.strictEqual(order.data.data.order.delivery_street, 'Avenida da Liberdade 200');
+    assert.strictEqual(order.data.data.order.delivery_postal_code, '1250-096');
+    assert.strictEqual(order.data.data.order.delivery_instructions, 'Entregar na receção');
+    assert.strictEqual(order.data.data.order.address_id, workId);
+
+    const withInstructions = await request('POST', '/api/orders', {
+      token: maria.token,
+      body: orderBody({ addressId: homeId, deliveryInstructions: 'Tocar duas vezes' })
+    });
+    assert.strictEqual(withInstructions.data.data.order.delivery_instructions, 'Tocar duas vezes');
+
+    const typed = await request('POST', '/api/orders', {
+      token: maria.token,
+      body: orderBody({ deliveryAddress: { street: 'Rua Nova 5', city: 'Porto', postalCode: '4000-001' } })
+    });
+    assert.strictEqual(typed.status, 201);
+    assert.strictEqual(typed.data.data.order.address_id, null);
+    assert.strictEqual((await request('POST', '/api/orders', { token: maria.token, body: orderBody() })).status, 400);
+    console.log('✅ Pedidos com addressId ou com a morada escrita');
+
+    // Apagar a predefinida: a marca passa para a outra; o pedido mantém a cópia
+    assert.strictEqual((await request('DELETE', `/api/users/addresses/${workId}`, { token: maria.token })).status, 200);
+    addresses = (await request('GET', '/api/users/addresses', { token: maria.token })).data.data.addresses;
+    assert.deepStrictEqual(addresses.map(address => [address.id, address.is_default]), [[homeId, 1]]);
+    assert.strictEqual((await userRepository.findById(maria.id)).street, 'Rua das Flores 1');
+
+    const stored = await orderRepository.findById(order.data.data.order.id);
+    assert.strictEqual(stored.address_id, null);
+    assert.strictEqual(stored.delivery_street, 'Avenida da Liberdade 200');
+    console.log('✅ Apagar a predefinida passa a marca e não altera os pedidos');
+
+    // Limite
+    for (let i = 2; i <= 10; i++) {
+      const created = await request('POST', '/api/users/addresses', {
+        token: maria.token,
+        body: { label: `Morada ${i}`, street: `Rua Número ${i}`, city: 'Lisboa', postalCode: '1000-001' }
+      });
+      assert.strictEqual(created.status, 201);
+    }
+    const overLimit = await request('POST', '/api/users/addresses', {
+      token: maria.token,
+      body: { label: 'Demais', street: 'Rua Número 11', city: 'Lisboa', postalCode: '1000-001' }
+    });
+    assert.strictEqual(overLimit.status, 400);
+    console.log('✅ Limite de 10 moradas por cliente');
+
+    console.log('\n🎉 Livro de moradas está funcionando!');
+  } catch (error) {
+    console.error('❌ Teste do livro de moradas falhou:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await cleanup({ servers: [server, smtp.server], dbFile });
+  }
+}
+
+// Executar teste
+testAddressBook();
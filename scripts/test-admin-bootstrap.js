@@ -0,0 +1,87 @@
+// Teste do primeiro administrador: criado pelo scripts/create-admin.js (só enquanto não houver
+// nenhum), com password temporária que tem de ser alterada antes de qualquer outra rota do
+// painel responder. Base de dados temporária.
+const assert = require('assert');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { setupTestEnv, startTestServer, cleanup } = require('./test-helpers');
+
+const dbFile = setupTestEnv('admin-bootstrap');
+
+// O script corre no seu processo, com a mesma base de dados (DB_PATH) do teste
+const createAdmin = (...args) => spawnSync(process.execPath, [path.join(__dirname, 'create-admin.js'), ...args], {
+  env: process.env,
+  encoding: 'utf8',
+  timeout: 60000
+});
+
+async function testAdminBootstrap() {
+  // Só depois de configurar o ambiente: config/database lê o DB_PATH ao carregar
+  const { initializeDatabase } = require('../config/database');
+
+  const { server, request } = await startTestServer([
+    ['/api/admin', require('../routes/admin-auth')],
+    ['/api/admin', require('../routes/admin-users')],
+    ['/api/admin', require('../routes/admin-audit')]
+  ]);
+
+  const login = (password) => request('POST', '/api/admin/login', { body: { username: 'chefe', password } });
+
+  try {
+    console.log('🔍 Testando primeiro administrador...');
+
+    const created = createAdmin('chefe', 'Inicial123');
+    assert.strictEqual(created.status, 0, created.stderr);
+    assert.ok(created.stdout.includes('Administrador "chefe" criado'));
+
+    const repeated = createAdmin('outro', 'Inicial123');
+    assert.strictEqual(repeated.status, 1);
+    assert.ok(repeated.stderr.includes('Já existe um administrador ativo'));
+
+    await initializeDatabase();
+    console.log('✅ Administrador criado pelo script, só uma vez');
+
+    // Password temporária: só a verificação da sessão e a alteração da password respondem
+    const first = await login('Inicial123');
+    assert.strictEqual(first.status, 200, JSON.stringify(first.data));
+    assert.strictEqual(first.data.mustChangePassword, true);
+    const temporary = first.data.token;
+
+    for (const url of ['/api/admin/users', '/api/admin/audit-log']) {
+      const blocked = await request('GET', url, { token: temporary });
+      assert.strictEqual(blocked.status, 403, url);
+      assert.strictEqual(blocked.data.mustChangePassword, true);
+    }
+    const verify = await request('GET', '/api/admin/verify', { token: temporary });
+    assert.strictEqual(verify.status, 200);
+    assert.strictEqual(verify.data.user.mustChangePassword, true);
+    console.log('✅ Com a password temporária as rotas do painel respondem 403 (mustChangePassword)');
+
+    const change = (currentPassword, newPassword) =>
+      request('POST', '/api/admin/change-password', { token: temporary, body: { currentPassword, newPassword, confirmPassword: newPassword } });
+    assert.strictEqual((await change('Errada1234', 'Definitiva123')).status, 400);
+    assert.strictEqual((await change('Inicial123', 'Inicial123')).status, 400);
+
+    const changed = await change('Inicial123', 'Definitiva123');
+    assert.strictEqual(changed.status, 200, JSON.stringify(changed.data));
+    assert.strictEqual((await request('GET', '/api/admin/users', { token: changed.data.token })).status, 200);
+    assert.strictEqual((await request('POST', '/api/admin/refresh', { body: { refreshToken: first.data.refreshToken } })).status, 401);
+    console.log('✅ Depois de alterar a password o painel abre; a sessão temporária termina');
+
+    assert.strictEqual((await login('Inicial123')).status, 401);
+    const next = await login('Definitiva123');
+    assert.strictEqual(next.status, 200);
+    assert.strictEqual(next.data.mustChangePassword, false);
+    console.log('✅ Login seguinte só com a nova password, sem obrigação de a alterar');
+
+    console.log('\n🎉 Primeiro administrador está funcionando!');
+  } catch (error) {
+    console.error('❌ Teste do primeiro administrador falhou:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await cleanup({ servers: [server], dbFile });
+  }
+}
+
+// Executar teste
+testAdminBootstrap();
@@ -0,0 +1,138 @@
+// Teste do registo de auditoria: entradas escritas pelo middleware nas rotas do painel
+// (diferença antes/depois, autor, IP), tabela só de escrita, filtros, permissão e exportação.
+// Base de dados temporária.
+const assert = require('assert');
+const { setupTestEnv, startTestServer, cleanup } = require('./test-helpers');
+
+const dbFile = setupTestEnv('audit-log');
+
+async function testAuditLog() {
+  // Só depois de configurar o ambiente: config/database lê o DB_PATH ao carregar
+  const { get, run, initializeDatabase } = require('../config/database');
+  const { bootstrapAdmin } = require('../services/admin-user-service');
+
+  const { server, request } = await startTestServer([
+    ['/api/admin', require('../routes/admin-auth')],
+    ['/api/admin', require('../routes/admin-security')],
+    ['/api/admin', require('../routes/admin-users')],
+    ['/api/admin', require('../routes/admin-audit')]
+  ]);
+
+  const login = async (username, password) =>
+    (await request('POST', '/api/admin/login', { body: { username, password } })).data.token;
+
+  try {
+    console.log('🔍 Testando registo de auditoria...');
+    await initializeDatabase();
+
+    await bootstrapAdmin({ username: 'chefe', password: 'Inicial123' });
+    await run('UPDATE users SET must_change_password = 0');
+    const token = await login('chefe', 'Inicial123');
+    assert.ok(token);
+
+    // Escrita pelo middleware
+    const created = await request('POST', '/api/admin/users', {
+      token,
+      body: { username: 'balcao', password: 'Inicial123', role: 'staff' }
+    });
+    assert.strictEqual(created.status, 201, JSON.stringify(created.data));
+    const staffId = created.data.data.id;
+
+    const updated = await request('PUT', `/api/admin/users/${staffId}`, {
+      token,
+      body: { name: 'Balcão Principal', password: 'Outra12345' }
+    });
+    assert.strictEqual(updated.status, 200, JSON.stringify(updated.data));
+
+    const refused = await request('PUT', '/api/admin/users/9999', { token, body: { name: 'Ninguém' } });
+    assert.strictEqual(refused.status, 404);
+
+    const entries = (await request('GET', '/api/admin/audit-log', { token })).data.data.entries;
+    assert.deepStrictEqual(entries.map(entry => entry.action), ['staff_user.update', 'staff_user.create']);
+
+    const [update, create] = entries;
+    assert.strictEqual(update.entityType, 'user');
+    assert.strictEqual(update.entityId, String(staffId));
+    assert.strictEqual(update.actor.username, 'chefe');
+    assert.strictEqual(update.actor.role, 'admin');
+    assert.ok(update.ip);
+    assert.deepStrictEqual(update.changes.name, { from: 'balcao', to: 'Balcão Principal' });
+    assert.strictEqual(create.changes.username.from, null);
+    assert.strictEqual(create.changes.username.to, 'balcao');
+    console.log('✅ Criação e alteração registadas com autor, IP e diferença antes/depois');
+    console.log('✅ Pedidos recusados não ficam registados');
+
+    // A password nunca é copiada para o registo
+    const policy = await request('PUT', '/api/admin/security/policy', { token, body: { requiredForManageUsers: false } });
+    assert.strictEqual(policy.status, 200);
+    const stored = await get("SELECT changes FROM audit_log WHERE action = 'staff_user.update'");
+    assert.ok(!stored.changes.includes('Outra12345'));
+    assert.ok(!stored.changes.includes('$2a$'));
+    console.log('✅ Passwords e segredos ficam fora do registo');
+
+    // Só de escrita
+    await assert.rejects(run("UPDATE audit_log SET action = 'outra'"), /só de escrita/);
+    await assert.rejects(run('DELETE FROM audit_log'), /só de escrita/);
+    console.log('✅ A tabela recusa alterações e eliminações');
+
+    // A eliminação da conta não apaga o histórico
+    assert.strictEqual((await request('DELETE', `/api/admin/users/${staffId}`, { token })).status, 200);
+    const deleted = (await request('GET', `/api/admin/audit-log?entityType=user&entityId=${staffId}`, { token })).data.data;
+    assert.strictEqual(deleted.pagination.totalEntries, 3);
+    assert.strictEqual(deleted.entries[0].action, 'staff_user.delete');
+    assert.strictEqual(deleted.entries[0].changes.username.to, null);
+    console.log('✅ Histórico mantido depois de eliminar a conta');
+
+    // Filtros e paginação
+    const byAction = (await request('GET', '/api/admin/audit-log?action=security_policy.update', { token })).data.data;
+    assert.strictEqual(byAction.pagination.totalEntries, 1);
+    assert.ok(byAction.filterOptions.actions.includes('staff_user.delete'));
+    assert.ok(byAction.filterOptions.entityTypes.includes('security_policy'));
+
+    assert.strictEqual((await request('GET', '/api/admin/audit-log?actor=chefe', { token })).data.data.pagination.totalEntries, 4);
+    assert.strictEqual((await request('GET', '/api/admin/audit-log?actor=outro', { token })).data.data.pagination.totalEntries, 0);
+
+    const today = new Date().toISOString().slice(0, 10);
+    assert.strictEqual((await request('GET', `/api/admin/audit-log?from=${today}&to=${today}`, { token })).data.data.pagination.totalEntries, 4);
+    assert.strictEqual((await request('GET', '/api/admin/audit-log?to=2000-01-01', { token })).data.data.pagination.totalEntries, 0);
+    assert.strictEqual((await request('GET', '/api/admin/audit-log?from=ontem', { token })).status, 400);
+
+    const paged = (await request('GET', '/api/admin/audit-log?limit=3&page=2', { token })).data.data;
+    assert.strictEqual(paged.entries.length, 1);
+    assert.strictEqual(paged.pagination.totalPages, 2);
+    console.log('✅ Filtros por ação, entidade, autor e datas, com paginação');
+
+    // Permissão: só administradores
+    await request('POST', '/api/admin/users', { token, body: { username: 'gerente', password: 'Inicial123', role: 'manager' } });
+    await run("UPDATE users SET must_change_password = 0 WHERE username = 'gerente'");
+    const managerToken = await login('gerente', 'Inicial123');
+    assert.strictEqual((await request('GET', '/api/admin/audit-log', { token: managerToken })).status, 403);
+    assert.strictEqual((await request('GET', '/api/admin/audit-log/export', { token: managerToken })).status, 403);
+    console.log('✅ Registo só visível com a permissão view_audit_log');
+
+    // Exportação
+    const csv = await request('GET', '/api/admin/audit-log/export?action=staff_user.update', { token });
+    assert.strictEqual(csv.status, 200);
+    assert.ok(csv.headers.get('content-type').startsWith('text/csv'));
+    assert.ok(csv.headers.get('content-disposition').includes('attachment'));
+    const lines = csv.data.trim().split('\n');
+    assert.strictEqual(lines.length, 2);
+    assert.ok(lines[0].startsWith('id,data,autor_id,autor'));
+    assert.ok(lines[1].includes('staff_user.update') && lines[1].includes('Balcão Principal'));
+
+    const json = await request('GET', '/api/admin/audit-log/export?format=json', { token });
+    assert.strictEqual(json.data.length, 5);
+    assert.strictEqual((await request('GET', '/api/admin/audit-log/export?format=xml', { token })).status, 400);
+    console.log('✅ Exportação em CSV e JSON com os mesmos filtros');
+
+    console.log('\n🎉 Registo de auditoria está funcionando!');
+  } catch (error) {
+    console.error('❌ Teste do registo de auditoria falhou:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await cleanup({ servers: [server], dbFile });
+  }
+}
+
+// Executar teste
+testAuditLog();
@@ -0,0 +1,78 @@
+// Teste do carrinho no servidor: carrinho de visitante identificado pelo token X-Cart-Token
+// e fusão com o carrinho da conta no login (quantidades somadas, carrinho de visitante apagado).
+// Base de dados temporária.
+const assert = require('assert');
+const { setupTestEnv, startTestServer, cleanup } = require('./test-helpers');
+
+const dbFile = setupTestEnv('cart');
+
+async function testCart() {
+  // Só depois de configurar o ambiente: config/database lê o DB_PATH ao carregar
+  const bcrypt = require('bcryptjs');
+  const { initializeDatabase } = require('../config/database');
+  const { userRepository } = require('../repositories');
+  const { signAccessToken } = require('../services/token-service');
+
+  const { server, request } = await startTestServer([
+    ['/api/auth', require('../routes/auth')],
+    ['/api/cart', require('../routes/cart')]
+  ]);
+
+  const quantities = (items) => Object.fromEntries(items.map(item => [item.product_id, item.quantity]));
+
+  try {
+    console.log('🔍 Testando carrinho de visitante e fusão no login...');
+    await initializeDatabase();
+
+    const password = await bcrypt.hash('Segura123', 4);
+    const customerId = await userRepository.create({ name: 'Maria Silva', email: 'maria@teste.pt', password });
+
+    // Carrinho de visitante: o primeiro item cria o token
+    const first = await request('POST', '/api/cart/add', { body: { productId: 1, quantity: 2 } });
+    assert.strictEqual(first.status, 201, JSON.stringify(first.data));
+    const { cartToken } = first.data.data;
+    assert.match(cartToken, /^[a-f0-9]{48}$/);
+    assert.strictEqual(first.headers.get('x-cart-token'), cartToken);
+
+    const guest = { 'X-Cart-Token': cartToken };
+    assert.strictEqual((await request('POST', '/api/cart/add', { headers: guest, body: { productId: 2, quantity: 1 } })).status, 201);
+    const again = await request('POST', '/api/cart/add', { headers: guest, body: { productId: 1, quantity: 1 } });
+    assert.strictEqual(again.status, 200);
+    assert.strictEqual(again.data.data.item.quantity, 3);
+
+    const guestCart = await request('GET', '/api/cart', { headers: guest });
+    assert.deepStrictEqual(quantities(guestCart.data.data.items), { 1: 3, 2: 1 });
+    assert.strictEqual((await request('GET', '/api/cart', { headers: { 'X-Cart-Token': 'a'.repeat(48) } })).data.data.items.length, 0);
+    console.log('✅ Carrinho de visitante guardado no servidor pelo token');
+
+    // Fusão no login: o produto repetido soma as quantidades
+    const customer = signAccessToken(customerId);
+    assert.strictEqual((await request('POST', '/api/cart/add', { token: customer, body: { productId: 1, quantity: 4 } })).status, 201);
+
+    const login = await request('POST', '/api/auth/login', { body: { email: 'maria@teste.pt', password: 'Segura123', cartToken } });
+    assert.strictEqual(login.status, 200, JSON.stringify(login.data));
+    assert.strictEqual(login.data.data.mergedCartItems, 2);
+
+    const merged = await request('GET', '/api/cart', { token: login.data.data.token });
+    assert.deepStrictEqual(quantities(merged.data.data.items), { 1: 7, 2: 1 });
+    console.log('✅ Carrinho de visitante fundido no login, com as quantidades somadas');
+
+    // O carrinho de visitante deixa de existir
+    assert.strictEqual((await request('GET', '/api/cart', { headers: guest })).data.data.items.length, 0);
+    const mergedAgain = await request('POST', '/api/cart/merge', { token: customer, body: { cartToken } });
+    assert.strictEqual(mergedAgain.status, 200);
+    assert.strictEqual(mergedAgain.data.data.merged, 0);
+    assert.deepStrictEqual(quantities(mergedAgain.data.data.items), { 1: 7, 2: 1 });
+    console.log('✅ Carrinho de visitante apagado depois da fusão (não volta a somar)');
+
+    console.log('\n🎉 Carrinho está funcionando!');
+  } catch (error) {
+    console.error('❌ Teste do carrinho falhou:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await cleanup({ servers: [server], dbFile });
+  }
+}
+
+// Executar teste
+testCart();
@@ -0,0 +1,188 @@
+// Teste das entregas: criadas ao confirmar pedidos de entrega, atribuição de entregador,
+// saída/entrega sincronizadas com o pedido, tentativas falhadas, histórico, filtros e fila
+// do entregador, e aviso ao cliente quando o pedido fica pronto (servidor SMTP local).
+// Base de dados temporária.
+const assert = require('assert');
+const { setupTestEnv, listen, startTestServer, cleanup } = require('./test-helpers');
+
+const dbFile = setupTestEnv('deliveries', {
+  EMAIL_HOST: '127.0.0.1',
+  EMAIL_USER: ''
+});
+
+async function testDeliveries() {
+  const { createMockSmtpServer } = require('./mock-smtp-server');
+  const smtp = createMockSmtpServer();
+  process.env.EMAIL_PORT = String(await listen(smtp.server));
+
+  // Só depois de configurar o ambiente: config/database lê o DB_PATH ao carregar
+  const bcrypt = require('bcryptjs');
+  const { initializeDatabase } = require('../config/database');
+  const { userRepository, orderRepository } = require('../repositories');
+  const { signAccessToken } = require('../services/token-service');
+
+  const { server, request } = await startTestServer([
+    ['/api/orders', require('../routes/orders')],
+    ['/api/delivery', require('../routes/delivery')]
+  ]);
+
+  try {
+    console.log('🔍 Testando entregas...');
+    await initializeDatabase();
+
+    const password = await bcrypt.hash('Segura123', 4);
+    const customerId = await userRepository.create({ name: 'Maria Silva', email: 'maria@teste.pt', phone: '912345678', password });
+    const staffId = await userRepository.create({ name: 'Balcão', username: 'balcao-entregas', password, role: 'staff' });
+    const driverId = await userRepository.create({ name: 'Rui Entregador', username: 'rui', password, role: 'driver' });
+    const otherDriverId = await userRepository.create({ name: 'Ana Entregadora', username: 'ana', password, role: 'driver' });
+    const customer = signAccessToken(customerId);
+    const staff = signAccessToken(staffId);
+    const driver = signAccessToken(driverId);
+    const otherDriver = signAccessToken(otherDriverId);
+
+    const placeOrder = async (deliveryType = 'delivery') => {
+      const placed = await request('POST', '/api/orders', {
+        token: customer,
+        body: {
+          items: [{ productId: 1, quantity: 2 }],
+          deliveryType,
+          deliveryAddress: { street: 'Rua das Flores 1', city: 'Lisboa', postalCode: '1000-001' },
+          paymentMethod: 'cash'
+        }
+      });
+      assert.strictEqual(placed.status, 201, JSON.stringify(placed.data));
+      return placed.data.data.order.id;
+    };
+
+    const setOrderStatus = (orderId, status, token = staff) =>
+      request('PUT', `/api/orders/${orderId}/status`, { token, body: { status } });
+
+    // Criada ao confirmar o pedido
+    const orderId = await placeOrder();
+    assert.strictEqual((await request('GET', '/api/delivery', { token: staff })).data.data.deliveries.length, 0);
+    assert.strictEqual((await setOrderStatus(orderId, 'confirmed')).status, 200);
+
+    const pickupId = await placeOrder('pickup');
+    await setOrderStatus(pickupId, 'confirmed');
+
+    let list = (await request('GET', '/api/delivery', { token: staff })).data.data;
+    assert.strictEqual(list.deliveries.length, 1);
+    const delivery = list.deliveries[0];
+    assert.strictEqual(delivery.order_id, orderId);
+    assert.strictEqual(delivery.status, 'pending');
+    assert.strictEqual(delivery.customer_name, 'Maria Silva');
+    assert.strictEqual(delivery.delivery_street, 'Rua das Flores 1');
+    console.log('✅ Entrega criada ao confirmar um pedido de entrega (não para recolha)');
+
+    // Atribuição
+    assert.strictEqual((await request('PATCH', `/api/delivery/${delivery.id}/assign`, { token: staff, body: { driverId: customerId } })).status, 400);
+    assert.strictEqual((await request('PATCH', `/api/delivery/${delivery.id}/assign`, { token: driver, body: { driverId } })).status, 403);
+
+    const assigned = await request('PATCH', `/api/delivery/${delivery.id}/assign`, { token: staff, body: { driverId: otherDriverId } });
+    assert.strictEqual(assigned.status, 200, JSON.stringify(assigned.data));
+    const reassigned = await request('PATCH', `/api/delivery/${delivery.id}/assign`, { token: staff, body: { driverId } });
+    assert.strictEqual(reassigned.data.data.status, 'assigned');
+    assert.strictEqual(reassigned.data.data.driver_name, 'Rui Entregador');
+    assert.ok(reassigned.data.data.assigned_at);
+    console.log('✅ Entregador atribuído e trocado (só contas de entregador)');
+
+    // Saída só com o pedido pronto; muda também o pedido
+    const early = await request('PATCH', `/api/delivery/${delivery.id}/status`, { token: staff, body: { status: 'out_for_delivery' } });
+    assert.strictEqual(early.status, 409);
+
+    await setOrderStatus(orderId, 'preparing');
+    await setOrderStatus(orderId, 'ready');
+
+    // Aviso ao cliente, enviado depois do commit
+    for (let i = 0; i < 50 && smtp.messages.length === 0; i++) {
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    assert.strictEqual(smtp.messages.length, 1, 'email não recebido');
+    assert.deepStrictEqual(smtp.messages[0].to, ['maria@teste.pt']);
+    assert.ok(smtp.messages[0].body.includes('vai sair para entrega'));
+    console.log('✅ Cliente avisado por email quando o pedido fica pronto');
+
+    const departed = await request('PATCH', `/api/delivery/${delivery.id}/status`, { token: staff, body: { status: 'out_for_delivery' } });
+    assert.strictEqual(departed.status, 200, JSON.stringify(departed.data));
+    assert.strictEqual(departed.data.data.status, 'out_for_delivery');
+    assert.strictEqual(departed.data.data.order_status, 'out_for_delivery');
+    assert.ok(departed.data.data.departed_at);
+    assert.strictEqual((await request('PATCH', `/api/delivery/${delivery.id}/assign`, { token: staff, body: { driverId: otherDriverId } })).status, 409);
+    console.log('✅ Saída sincronizada com o pedido, sem troca de entregador depois de sair');
+
+    // Tentativa falhada e nova saída
+    assert.strictEqual((await request('PATCH', `/api/delivery/${delivery.id}/status`, { token: staff, body: { status: 'failed' } })).status, 400);
+    assert.strictEqual((await request('PATCH', `/api/delivery/${delivery.id}/status`, { token: staff, body: { status: 'failed', reason: 'other' } })).status, 400);
+    const failed = await request('PATCH', `/api/delivery/${delivery.id}/status`, { token: staff, body: { status: 'failed', reason: 'customer_absent', note: 'Tocou três vezes' } });
+    assert.strictEqual(failed.status, 200);
+    assert.strictEqual(failed.data.data.status, 'failed');
+    assert.strictEqual(failed.data.data.failure_reason, 'customer_absent');
+    assert.strictEqual(failed.data.data.order_status, 'ready');
+
+    const queue = await request('GET', `/api/delivery/driver/${driverId}`, { token: driver });
+    assert.strictEqual(queue.status, 200);
+    assert.deepStrictEqual(queue.data.data.deliveries.map(entry => entry.status), ['failed']);
+    assert.strictEqual((await request('GET', `/api/delivery/driver/${driverId}`, { token: otherDriver })).status, 403);
+    assert.strictEqual((await request('GET', `/api/delivery/driver/${driverId}`, { token: staff })).status, 200);
+    assert.strictEqual((await request('GET', `/api/delivery/driver/${customerId}`, { token: staff })).status, 404);
+    console.log('✅ Tentativa falhada com motivo (pedido de volta à loja) e fila do entregador');
+
+    const retried = await request('PATCH', `/api/delivery/${delivery.id}/status`, { token: staff, body: { status: 'out_for_delivery' } });
+    assert.strictEqual(retried.data.data.order_status, 'out_for_delivery');
+    const delivered = await request('PATCH', `/api/delivery/${delivery.id}/status`, { token: staff, body: { status: 'delivered' } });
+    assert.strictEqual(delivered.status, 200, JSON.stringify(delivered.data));
+    assert.strictEqual(delivered.data.data.status, 'delivered');
+    assert.strictEqual(delivered.data.data.order_status, 'delivered');
+    assert.ok(delivered.data.data.delivered_at);
+    assert.ok((await userRepository.findById(customerId)).loyalty_points > 0);
+    assert.deepStrictEqual((await request('GET', `/api/delivery/driver/${driverId}`, { token: driver })).data.data.deliveries, []);
+    assert.strictEqual(smtp.messages.length, 1, 'pedido devolvido à loja não volta a avisar o cliente');
+
+    const history = (await request('GET', `/api/delivery/${delivery.id}`, { token: staff })).data.data.statusHistory;
+    assert.deepStrictEqual(history.map(entry => entry.status), ['pending', 'assigned', 'assigned', 'out_for_delivery', 'failed', 'out_for_delivery', 'delivered']);
+    assert.strictEqual(history[4].note, 'Cliente ausente: Tocou três vezes');
+    assert.strictEqual(history[4].driver_name, 'Rui Entregador');
+    assert.strictEqual(history[6].updated_by_name, 'Balcão');
+    console.log('✅ Entrega concluída com o pedido (pontos atribuídos) e histórico completo');
+
+    // Pelo pedido: saída exige entregador; cancelamento cancela a entrega
+    const secondId = await placeOrder();
+    await setOrderStatus(secondId, 'confirmed');
+    await setOrderStatus(secondId, 'preparing');
+    await setOrderStatus(secondId, 'ready');
+    const unassigned = await setOrderStatus(secondId, 'out_for_delivery');
+    assert.strictEqual(unassigned.status, 409);
+    assert.strictEqual((await orderRepository.findById(secondId)).status, 'ready');
+
+    const adminId = await userRepository.create({ name: 'Admin', username: 'admin-entregas', password, role: 'admin' });
+    assert.strictEqual((await setOrderStatus(secondId, 'cancelled', signAccessToken(adminId))).status, 200);
+    list = (await request('GET', '/api/delivery?status=cancelled', { token: staff })).data.data;
+    assert.strictEqual(list.deliveries.length, 1);
+    assert.strictEqual(list.deliveries[0].order_id, secondId);
+    console.log('✅ Saída sem entregador recusada e cancelamento do pedido cancela a entrega');
+
+    // Filtros
+    assert.strictEqual((await request('GET', `/api/delivery?driverId=${driverId}`, { token: staff })).data.data.pagination.totalDeliveries, 1);
+    const today = new Date().toISOString().slice(0, 10);
+    assert.strictEqual((await request('GET', `/api/delivery?from=${today}&to=${today}`, { token: staff })).data.data.pagination.totalDeliveries, 2);
+    assert.strictEqual((await request('GET', '/api/delivery?to=2000-01-01', { token: staff })).data.data.pagination.totalDeliveries, 0);
+    assert.strictEqual((await request('GET', '/api/delivery?status=perdida', { token: staff })).status, 400);
+    assert.strictEqual((await request('GET', '/api/delivery', { token: customer })).status, 403);
+    console.log('✅ Filtros por estado, entregador e datas');
+
+    // Criação manual: só pedidos de entrega sem entrega
+    assert.strictEqual((await request('POST', '/api/delivery', { token: staff, body: { orderId } })).status, 409);
+    assert.strictEqual((await request('POST', '/api/delivery', { token: staff, body: { orderId: pickupId } })).status, 400);
+    console.log('✅ Criação manual só para pedidos de entrega sem entrega');
+
+    console.log('\n🎉 Entregas estão funcionando!');
+  } catch (error) {
+    console.error('❌ Teste das entregas falhou:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await cleanup({ servers: [server, smtp.server], dbFile });
+  }
+}
+
+// Executar teste
+testDeliveries();
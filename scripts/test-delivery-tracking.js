@@ -0,0 +1,223 @@
+// Teste do acompanhamento das entregas: posições GPS do entregador, acompanhamento do cliente
+// (pelo pedido ou pelo link assinado) com distância e hora prevista, e stream em tempo real
+// (Server-Sent Events). Base de dados temporária.
+const assert = require('assert');
+const os = require('os');
+const path = require('path');
+const { setupTestEnv, startTestServer, cleanup } = require('./test-helpers');
+
+const proofsDir = path.join(os.tmpdir(), `padaria-test-delivery-tracking-proofs-${process.pid}`);
+const dbFile = setupTestEnv('delivery-tracking', {
+  DELIVERY_PROOFS_PATH: proofsDir,
+  DELIVERY_AVERAGE_SPEED_KMH: '20'
+});
+
+// Morada do cliente e posição do entregador a pouco menos de 2 km (só latitude diferente)
+const HOME = { lat: 38.7223, lng: -9.1393 };
+const TWO_KM_AWAY = { latitude: 38.7400, longitude: -9.1393 };
+
+async function testDeliveryTracking() {
+  // Só depois de configurar o ambiente: config/database lê o DB_PATH ao carregar
+  const bcrypt = require('bcryptjs');
+  const { initializeDatabase } = require('../config/database');
+  const { userRepository, orderRepository, deliveryRepository } = require('../repositories');
+  const { signAccessToken } = require('../services/token-service');
+  const { createTrackingLink } = require('../services/guest-order-service');
+
+  const { server, baseUrl, request } = await startTestServer([
+    ['/api/orders', require('../routes/orders')],
+    ['/api/delivery', require('../routes/delivery')]
+  ]);
+  const streams = [];
+
+  // Ler os eventos "tracking" de um stream SSE
+  const openStream = async (url, token) => {
+    const controller = new AbortController();
+    const response = await fetch(baseUrl + url, {
+      headers: token ? { Authorization: `Bearer ${token}` } : {},
+      signal: controller.signal
+    });
+    const events = [];
+    const stream = { response, events, close: () => controller.abort() };
+    streams.push(stream);
+
+    if (!response.headers.get('content-type').startsWith('text/event-stream')) {
+      return stream;
+    }
+
+    (async () => {
+      const decoder = new TextDecoder();
+      let buffer = '';
+      for await (const chunk of response.body) {
+        buffer += decoder.decode(chunk, { stream: true });
+        let end;
+        while ((end = buffer.indexOf('\n\n')) >= 0) {
+          const data = buffer.slice(0, end).split('\n').find(line => line.startsWith('data: '));
+          buffer = buffer.slice(end + 2);
+          if (data) {
+            events.push(JSON.parse(data.slice(6)));
+          }
+        }
+      }
+    })().catch(() => {});
+
+    stream.waitFor = async (count) => {
+      for (let waited = 0; events.length < count; waited += 20) {
+        assert.ok(waited < 3000, `Evento ${count} do stream não chegou`);
+        await new Promise(resolve => setTimeout(resolve, 20));
+      }
+      return events[count - 1];
+    };
+
+    return stream;
+  };
+
+  try {
+    console.log('🔍 Testando acompanhamento das entregas...');
+    await initializeDatabase();
+
+    const password = await bcrypt.hash('Segura123', 4);
+    const customerId = await userRepository.create({ name: 'Maria Silva', email: 'maria@teste.pt', phone: '912345678', password });
+    const otherCustomerId = await userRepository.create({ name: 'João Sousa', email: 'joao@teste.pt', password });
+    const adminId = await userRepository.create({ name: 'Admin', username: 'admin-gps', password, role: 'admin' });
+    const driverId = await userRepository.create({ name: 'Rui Entregador', username: 'rui', password, role: 'driver' });
+    const otherDriverId = await userRepository.create({ name: 'Ana Entregadora', username: 'ana', password, role: 'driver' });
+    const customer = signAccessToken(customerId);
+    const otherCustomer = signAccessToken(otherCustomerId);
+    const admin = signAccessToken(adminId);
+    const driver = signAccessToken(driverId);
+
+    const placed = await request('POST', '/api/orders', {
+      token: customer,
+      body: {
+        items: [{ productId: 1, quantity: 1 }],
+        deliveryType: 'delivery',
+        deliveryAddress: { street: 'Rua das Flores 1', city: 'Lisboa', postalCode: '1000-001', coordinates: HOME },
+        paymentMethod: 'cash'
+      }
+    });
+    assert.strictEqual(placed.status, 201, JSON.stringify(placed.data));
+    const orderId = placed.data.data.order.id;
+    assert.strictEqual((await orderRepository.findById(orderId)).delivery_lat, HOME.lat);
+
+    for (const status of ['confirmed', 'preparing', 'ready']) {
+      await request('PUT', `/api/orders/${orderId}/status`, { token: admin, body: { status } });
+    }
+    const delivery = await deliveryRepository.findByOrder(orderId);
+    await request('PATCH', `/api/delivery/${delivery.id}/assign`, { token: admin, body: { driverId } });
+
+    // Antes de sair
+    let tracking = await request('GET', `/api/orders/${orderId}/tracking`, { token: customer });
+    assert.strictEqual(tracking.status, 200, JSON.stringify(tracking.data));
+    assert.strictEqual(tracking.data.data.delivery.status, 'assigned');
+    assert.strictEqual(tracking.data.data.delivery.driverName, 'Rui');
+    assert.strictEqual(tracking.data.data.lastPosition, null);
+    assert.strictEqual(tracking.data.data.etaMinutes, null);
+    assert.strictEqual((await request('GET', `/api/orders/${orderId}/tracking`, { token: otherCustomer })).status, 403);
+    assert.strictEqual((await request('GET', `/api/orders/${orderId}/tracking`)).status, 401);
+
+    const early = await request('POST', `/api/delivery/${delivery.id}/location`, { token: driver, body: TWO_KM_AWAY });
+    assert.strictEqual(early.status, 409);
+    console.log('✅ Acompanhamento só para o dono do pedido, sem posição antes da saída');
+
+    // Stream aberto antes da saída recebe as atualizações
+    const stream = await openStream(`/api/orders/${orderId}/tracking/stream`, customer);
+    assert.strictEqual(stream.response.status, 200);
+    assert.strictEqual((await stream.waitFor(1)).delivery.status, 'assigned');
+
+    await request('POST', `/api/delivery/${delivery.id}/pickup`, { token: driver });
+    assert.strictEqual((await stream.waitFor(2)).orderStatus, 'out_for_delivery');
+
+    assert.strictEqual((await request('POST', `/api/delivery/${delivery.id}/location`, { token: driver, body: { latitude: 91, longitude: 0 } })).status, 400);
+    assert.strictEqual((await request('POST', `/api/delivery/${delivery.id}/location`, { token: driver, body: {} })).status, 400);
+    assert.strictEqual((await request('POST', `/api/delivery/${delivery.id}/location`, { token: signAccessToken(otherDriverId), body: TWO_KM_AWAY })).status, 403);
+    assert.strictEqual((await request('POST', `/api/delivery/${delivery.id}/location`, { token: customer, body: TWO_KM_AWAY })).status, 403);
+
+    const located = await request('POST', `/api/delivery/${delivery.id}/location`, { token: driver, body: { ...TWO_KM_AWAY, speed: 8.5, accuracy: 5 } });
+    assert.strictEqual(located.status, 200, JSON.stringify(located.data));
+    assert.ok(Math.abs(located.data.data.distanceRemainingKm - 2) < 0.05, located.data.data.distanceRemainingKm);
+    assert.strictEqual(located.data.data.etaMinutes, 6);
+    assert.ok(located.data.data.estimatedArrival);
+
+    const pushed = await stream.waitFor(3);
+    assert.strictEqual(pushed.lastPosition.latitude, TWO_KM_AWAY.latitude);
+    assert.strictEqual(pushed.etaMinutes, 6);
+    console.log('✅ Posição do entregador gravada, com distância e hora prevista enviadas pelo stream');
+
+    // Posição lida sem rede e enviada mais tarde: fica no percurso, mas não passa à frente
+    const earlier = new Date(Date.now() - 60 * 1000).toISOString();
+    await request('POST', `/api/delivery/${delivery.id}/location`, { token: driver, body: { latitude: 38.75, longitude: -9.14, timestamp: earlier } });
+    tracking = await request('GET', `/api/orders/${orderId}/tracking`, { token: customer });
+    assert.strictEqual(tracking.data.data.lastPosition.latitude, TWO_KM_AWAY.latitude);
+
+    const route = await request('GET', `/api/delivery/${delivery.id}/locations`, { token: admin });
+    assert.deepStrictEqual(route.data.data.map(point => point.latitude), [38.75, TWO_KM_AWAY.latitude]);
+    assert.strictEqual(route.data.data[1].speed, 8.5);
+    assert.strictEqual((await request('GET', `/api/delivery/${delivery.id}/locations`, { token: driver })).status, 403);
+    console.log('✅ Percurso completo no painel, por ordem da leitura no telemóvel');
+
+    // Link assinado (clientes sem sessão)
+    const { trackingToken } = createTrackingLink({ id: orderId });
+    const viaLink = await request('GET', `/api/orders/track/${trackingToken}/tracking`);
+    assert.strictEqual(viaLink.status, 200);
+    assert.strictEqual(viaLink.data.data.etaMinutes, 6);
+    assert.strictEqual((await request('GET', '/api/orders/track/invalido/tracking')).status, 404);
+
+    const linkStream = await openStream(`/api/orders/track/${trackingToken}/tracking/stream`);
+    assert.strictEqual((await linkStream.waitFor(1)).lastPosition.latitude, TWO_KM_AWAY.latitude);
+    assert.strictEqual((await openStream('/api/orders/track/invalido/tracking/stream')).response.status, 404);
+    console.log('✅ Acompanhamento e stream também pelo link assinado');
+
+    // Entregue: a posição deixa de ser mostrada
+    const delivered = await request('POST', `/api/delivery/${delivery.id}/deliver`, { token: driver, body: { pin: delivery.delivery_pin } });
+    assert.strictEqual(delivered.status, 200, JSON.stringify(delivered.data));
+    const finished = await linkStream.waitFor(2);
+    assert.strictEqual(finished.orderStatus, 'delivered');
+    assert.strictEqual(finished.lastPosition, null);
+    assert.strictEqual((await stream.waitFor(5)).delivery.status, 'delivered');
+    console.log('✅ Entrega concluída enviada aos streams, sem a posição do entregador');
+
+    // Morada escrita sem coordenadas: a distância usa as coordenadas do perfil (mesma rua)
+    await userRepository.updateById(customerId, { street: 'Rua das Flores 1', lat: HOME.lat, lng: HOME.lng });
+    const typed = await request('POST', '/api/orders', {
+      token: customer,
+      body: {
+        items: [{ productId: 1, quantity: 1 }],
+        deliveryType: 'delivery',
+        deliveryAddress: { street: 'Rua das Flores 1', city: 'Lisboa', postalCode: '1000-001' },
+        paymentMethod: 'cash'
+      }
+    });
+    const typedOrderId = typed.data.data.order.id;
+    assert.strictEqual((await orderRepository.findById(typedOrderId)).delivery_lat, null);
+    for (const status of ['confirmed', 'preparing', 'ready']) {
+      await request('PUT', `/api/orders/${typedOrderId}/status`, { token: admin, body: { status } });
+    }
+    const typedDelivery = await deliveryRepository.findByOrder(typedOrderId);
+    await request('PATCH', `/api/delivery/${typedDelivery.id}/assign`, { token: admin, body: { driverId } });
+    await request('POST', `/api/delivery/${typedDelivery.id}/pickup`, { token: driver });
+    await request('POST', `/api/delivery/${typedDelivery.id}/location`, { token: driver, body: TWO_KM_AWAY });
+    tracking = await request('GET', `/api/orders/${typedOrderId}/tracking`, { token: customer });
+    assert.strictEqual(tracking.data.data.etaMinutes, 6);
+    console.log('✅ Pedidos sem coordenadas usam as da morada do perfil');
+
+    // Pedidos para levantamento
+    const pickup = await request('POST', '/api/orders', {
+      token: customer,
+      body: { items: [{ productId: 1, quantity: 1 }], deliveryType: 'pickup', paymentMethod: 'cash' }
+    });
+    assert.strictEqual((await request('GET', `/api/orders/${pickup.data.data.order.id}/tracking`, { token: customer })).status, 400);
+    console.log('✅ Pedidos para levantamento não têm acompanhamento');
+
+    console.log('\n🎉 Acompanhamento das entregas está funcionando!');
+  } catch (error) {
+    console.error('❌ Teste do acompanhamento das entregas falhou:', error.message);
+    process.exitCode = 1;
+  } finally {
+    streams.forEach(stream => stream.close());
+    await cleanup({ servers: [server], dbFile, paths: [proofsDir] });
+  }
+}
+
+// Executar teste
+testDeliveryTracking();
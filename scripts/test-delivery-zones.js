@@ -0,0 +1,228 @@
+// Teste das zonas de entrega: zonas por códigos postais, raio e polígono, taxa fixa + por km,
+// entrega grátis, pedido mínimo, cotação do checkout, entregas sem zonas configuradas, pedidos
+// fora das zonas e gestão no painel.
+// Base de dados temporária.
+const assert = require('assert');
+const { setupTestEnv, startTestServer, cleanup } = require('./test-helpers');
+
+const dbFile = setupTestEnv('delivery-zones', {
+  BAKERY_LAT: '38.70',
+  BAKERY_LNG: '-9.14',
+  DELIVERY_AVERAGE_SPEED_KMH: '20'
+});
+
+// Bolo de Pastel de Nata (8,50 €) e Café Expresso (1,50 €) dos dados iniciais
+const CAKE = 1;
+const COFFEE = 7;
+
+async function testDeliveryZones() {
+  // Só depois de configurar o ambiente: config/database lê o DB_PATH ao carregar
+  const bcrypt = require('bcryptjs');
+  const { initializeDatabase } = require('../config/database');
+  const { userRepository, orderRepository } = require('../repositories');
+  const { signAccessToken } = require('../services/token-service');
+  const { distanceKm } = require('../services/delivery-tracking-service');
+
+  const { server, request } = await startTestServer([
+    ['/api/orders', require('../routes/orders')],
+    ['/api/admin', require('../routes/admin-delivery-zones')]
+  ]);
+
+  const address = (postalCode, coordinates) => ({ street: 'Rua das Flores 1', city: 'Lisboa', postalCode, coordinates });
+  const quote = (deliveryAddress, items) => request('POST', '/api/orders/delivery-quote', { body: { deliveryAddress, items } });
+
+  try {
+    console.log('🔍 Testando zonas de entrega...');
+    await initializeDatabase();
+
+    const password = await bcrypt.hash('Segura123', 4);
+    const customerId = await userRepository.create({ name: 'Maria Silva', email: 'maria@teste.pt', phone: '912345678', password });
+    const customer = signAccessToken(customerId);
+    const manager = signAccessToken(await userRepository.create({ name: 'Gerente', username: 'gerente-zonas', password, role: 'manager' }));
+    const staff = signAccessToken(await userRepository.create({ name: 'Balcão', username: 'balcao-zonas', password, role: 'staff' }));
+
+    const placeOrder = (deliveryAddress, items) => request('POST', '/api/orders', {
+      token: customer,
+      body: { items, deliveryType: 'delivery', deliveryAddress, paymentMethod: 'cash' }
+    });
+
+    // Sem zonas: entrega em qualquer morada com a taxa fixa de 2,50 €
+    let result = await quote(address('4000-001'), [{ productId: CAKE, quantity: 2 }]);
+    assert.strictEqual(result.status, 200, JSON.stringify(result.data));
+    assert.strictEqual(result.data.data.zone, null);
+    assert.strictEqual(result.data.data.deliveryFee, 2.5);
+    assert.strictEqual(result.data.data.meetsMinimum, true);
+    const unzonedOrder = await placeOrder(address('4000-001'), [{ productId: CAKE, quantity: 1 }]);
+    assert.strictEqual(unzonedOrder.status, 201, JSON.stringify(unzonedOrder.data));
+    assert.strictEqual(unzonedOrder.data.data.order.delivery_fee, 2.5);
+    assert.strictEqual(unzonedOrder.data.data.order.delivery_zone_id, null);
+    console.log('✅ Sem zonas configuradas as entregas não são limitadas');
+
+    // Primeira zona: Lisboa (1000-1999), 2,50 €
+    const lisbon = await request('POST', '/api/admin/delivery-zones', {
+      token: manager,
+      body: { name: 'Lisboa', postalCodeFrom: 1000, postalCodeTo: 1999, baseFee: 2.5 }
+    });
+    assert.strictEqual(lisbon.status, 201, JSON.stringify(lisbon.data));
+
+    result = await quote(address('1000-001'), [{ productId: CAKE, quantity: 2 }]);
+    assert.strictEqual(result.status, 200, JSON.stringify(result.data));
+    assert.strictEqual(result.data.data.zone.name, 'Lisboa');
+    assert.strictEqual(result.data.data.deliveryFee, 2.5);
+    assert.strictEqual(result.data.data.subtotal, 17);
+    assert.strictEqual(result.data.data.tax, 3.91);
+    assert.strictEqual(result.data.data.finalAmount, 23.41);
+    assert.strictEqual(result.data.data.distanceKm, null);
+    assert.strictEqual(result.data.data.meetsMinimum, true);
+
+    const lisbonOrder = await placeOrder(address('1999-100'), [{ productId: CAKE, quantity: 1 }]);
+    assert.strictEqual(lisbonOrder.status, 201, JSON.stringify(lisbonOrder.data));
+    assert.strictEqual(lisbonOrder.data.data.order.delivery_fee, 2.5);
+    assert.strictEqual(lisbonOrder.data.data.order.delivery_zone_id, lisbon.data.data.id);
+
+    const pickup = await request('POST', '/api/orders', {
+      token: customer,
+      body: { items: [{ productId: CAKE, quantity: 1 }], deliveryType: 'pickup', paymentMethod: 'cash' }
+    });
+    assert.strictEqual(pickup.data.data.order.delivery_fee, 0);
+    console.log('✅ Zona de Lisboa com a taxa fixa de 2,50 €');
+
+    // Fora das zonas
+    assert.strictEqual((await quote(address('2700-001'))).status, 400);
+    const outside = await placeOrder(address('4000-001'), [{ productId: CAKE, quantity: 1 }]);
+    assert.strictEqual(outside.status, 400);
+    assert.strictEqual(outside.data.message, 'A morada fica fora das nossas zonas de entrega');
+    assert.strictEqual((await quote({ postalCode: '1000' })).status, 400);
+    console.log('✅ Moradas fora das zonas recusadas na cotação e no pedido');
+
+    // Gestão no painel
+    const radiusZone = {
+      name: 'Até 10 km',
+      radiusKm: 10,
+      baseFee: 1.5,
+      feePerKm: 0.5,
+      freeDeliveryThreshold: 30,
+      minOrderAmount: 10,
+      priority: 5
+    };
+    assert.strictEqual((await request('POST', '/api/admin/delivery-zones', { token: staff, body: radiusZone })).status, 403);
+    assert.strictEqual((await request('POST', '/api/admin/delivery-zones', { token: customer, body: radiusZone })).status, 403);
+
+    result = await request('POST', '/api/admin/delivery-zones', { token: manager, body: radiusZone });
+    assert.strictEqual(result.status, 201, JSON.stringify(result.data));
+    const radiusZoneId = result.data.data.id;
+    assert.strictEqual(result.data.data.radius_km, 10);
+    assert.strictEqual(result.data.data.center_lat, null);
+
+    const invalidZones = [
+      { name: 'Sem área', baseFee: 1 },
+      { name: 'Intervalo', postalCodeFrom: 2000, baseFee: 1 },
+      { name: 'Invertido', postalCodeFrom: 2999, postalCodeTo: 2000, baseFee: 1 },
+      { name: 'Centro', radiusKm: 5, center: { lat: 38.7 }, baseFee: 1 },
+      { name: 'Sem taxa', postalCodeFrom: 2000, postalCodeTo: 2999 },
+      { name: 'Linha', polygon: [{ lat: 41, lng: -8 }, { lat: 42, lng: -8 }], baseFee: 1 },
+      { name: 'Código', postalCodeFrom: 100, postalCodeTo: 200, baseFee: 1 }
+    ];
+    for (const zone of invalidZones) {
+      assert.strictEqual((await request('POST', '/api/admin/delivery-zones', { token: manager, body: zone })).status, 400, zone.name);
+    }
+    console.log('✅ Zonas criadas no painel (gerentes e administradores), com validação da área');
+
+    // Raio à volta da padaria, taxa por km, pedido mínimo e entrega grátis (~4,45 km para norte)
+    const north = { lat: 38.74, lng: -9.14 };
+    const distance = distanceKm({ lat: 38.70, lng: -9.14 }, north);
+    result = await quote(address('2700-001', north), [{ productId: CAKE, quantity: 1 }]);
+    assert.strictEqual(result.status, 200, JSON.stringify(result.data));
+    let data = result.data.data;
+    assert.strictEqual(data.zone.id, radiusZoneId);
+    assert.strictEqual(data.distanceKm, Math.round(distance * 100) / 100);
+    assert.strictEqual(data.estimatedMinutes, Math.ceil(distance / 20 * 60));
+    assert.strictEqual(data.deliveryFee, Math.round((1.5 + 0.5 * distance) * 100) / 100);
+    assert.strictEqual(data.meetsMinimum, false);
+    assert.strictEqual(data.amountToMinimum, 1.5);
+    assert.strictEqual(data.amountForFreeDelivery, 21.5);
+
+    const belowMinimum = await placeOrder(address('2700-001', north), [{ productId: CAKE, quantity: 1 }]);
+    assert.strictEqual(belowMinimum.status, 400);
+    assert.strictEqual(belowMinimum.data.minOrderAmount, 10);
+    assert.strictEqual(belowMinimum.data.amountToMinimum, 1.5);
+
+    // Com coordenadas dentro do raio, a zona de maior prioridade ganha à de Lisboa
+    result = await quote(address('1000-001', north), [{ productId: CAKE, quantity: 2 }]);
+    assert.strictEqual(result.data.data.zone.id, radiusZoneId);
+
+    result = await quote(address('2700-001', north), [{ productId: CAKE, quantity: 4 }]);
+    assert.strictEqual(result.data.data.deliveryFee, 0);
+    assert.strictEqual(result.data.data.amountForFreeDelivery, 0);
+    console.log('✅ Taxa fixa + por km, pedido mínimo e entrega grátis da zona');
+
+    // Pedido na zona do raio e alteração dos itens pelo cliente
+    const radiusOrder = await placeOrder(address('2700-001', north), [{ productId: CAKE, quantity: 2 }]);
+    assert.strictEqual(radiusOrder.status, 201, JSON.stringify(radiusOrder.data));
+    const radiusOrderId = radiusOrder.data.data.order.id;
+    assert.strictEqual(radiusOrder.data.data.order.delivery_fee, data.deliveryFee);
+    assert.strictEqual(radiusOrder.data.data.order.delivery_distance_km, data.distanceKm);
+
+    result = await request('PUT', `/api/orders/${radiusOrderId}`, { token: customer, body: { items: [{ productId: CAKE, quantity: 4 }] } });
+    assert.strictEqual(result.status, 200, JSON.stringify(result.data));
+    assert.strictEqual(result.data.data.order.delivery_fee, 0);
+    assert.strictEqual(result.data.data.order.final_amount, 41.82);
+
+    result = await request('PUT', `/api/orders/${radiusOrderId}`, { token: customer, body: { items: [{ productId: COFFEE, quantity: 1 }] } });
+    assert.strictEqual(result.status, 400);
+    assert.strictEqual(result.data.amountToMinimum, 8.5);
+    assert.strictEqual((await orderRepository.findItems(radiusOrderId))[0].quantity, 4);
+    console.log('✅ Alteração dos itens recalcula a taxa e respeita o pedido mínimo');
+
+    // Polígono (zona à volta do Porto) e desativação de zonas
+    result = await request('POST', '/api/admin/delivery-zones', {
+      token: manager,
+      body: {
+        name: 'Porto',
+        polygon: [{ lat: 41.0, lng: -8.7 }, { lat: 41.3, lng: -8.7 }, { lat: 41.15, lng: -8.4 }],
+        baseFee: 3
+      }
+    });
+    assert.strictEqual(result.status, 201, JSON.stringify(result.data));
+    const portoZoneId = result.data.data.id;
+    assert.strictEqual(result.data.data.polygon.length, 3);
+
+    result = await quote(address('4000-001', { lat: 41.15, lng: -8.6 }));
+    assert.strictEqual(result.data.data.zone.id, portoZoneId);
+    assert.strictEqual(result.data.data.deliveryFee, 3);
+    assert.strictEqual((await quote(address('4000-001', { lat: 41.15, lng: -8.8 }))).status, 400);
+    assert.strictEqual((await quote(address('4000-001'))).status, 400);
+
+    const portoOrder = await placeOrder(address('4000-001', { lat: 41.15, lng: -8.6 }), [{ productId: CAKE, quantity: 1 }]);
+    assert.strictEqual(portoOrder.status, 201, JSON.stringify(portoOrder.data));
+
+    result = await request('PUT', `/api/admin/delivery-zones/${radiusZoneId}`, { token: manager, body: { ...radiusZone, isActive: false } });
+    assert.strictEqual(result.status, 200, JSON.stringify(result.data));
+    assert.strictEqual(result.data.data.is_active, 0);
+    assert.strictEqual((await quote(address('2700-001', north))).status, 400);
+    assert.strictEqual((await quote(address('1000-001', north))).data.data.zone.name, 'Lisboa');
+
+    const zones = await request('GET', '/api/admin/delivery-zones', { token: manager });
+    assert.deepStrictEqual(zones.data.data.map(zone => zone.name), ['Lisboa', 'Porto', 'Até 10 km']);
+    console.log('✅ Zonas por polígono e zonas desativadas');
+
+    // Eliminar zona: os pedidos mantêm a taxa cobrada
+    assert.strictEqual((await request('DELETE', `/api/admin/delivery-zones/${portoZoneId}`, { token: manager })).status, 200);
+    const storedOrder = await orderRepository.findById(portoOrder.data.data.order.id);
+    assert.strictEqual(storedOrder.delivery_zone_id, null);
+    assert.strictEqual(storedOrder.delivery_fee, 3);
+    assert.strictEqual((await request('DELETE', `/api/admin/delivery-zones/${portoZoneId}`, { token: manager })).status, 404);
+    assert.strictEqual((await request('GET', `/api/admin/delivery-zones/${portoZoneId}`, { token: manager })).status, 404);
+    console.log('✅ Zonas eliminadas sem alterar os pedidos já feitos');
+
+    console.log('\n🎉 Zonas de entrega estão funcionando!');
+  } catch (error) {
+    console.error('❌ Teste das zonas de entrega falhou:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await cleanup({ servers: [server], dbFile });
+  }
+}
+
+// Executar teste
+testDeliveryZones();
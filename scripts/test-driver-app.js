@@ -0,0 +1,256 @@
+// Teste da app dos entregadores: login das contas de entregador, aceitar/recusar, recolha,
+// tentativas falhadas com motivo (o pedido volta à loja) e prova de entrega (PIN do cliente,
+// fotografia ou assinatura). Base de dados e pasta das provas temporárias.
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { setupTestEnv, startTestServer, cleanup } = require('./test-helpers');
+
+const proofsDir = path.join(os.tmpdir(), `padaria-test-driver-app-proofs-${process.pid}`);
+const dbFile = setupTestEnv('driver-app', { DELIVERY_PROOFS_PATH: proofsDir });
+
+// PNG de 1x1 píxel
+const PNG = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg==', 'base64');
+
+async function testDriverApp() {
+  // Só depois de configurar o ambiente: config/database lê o DB_PATH ao carregar
+  const bcrypt = require('bcryptjs');
+  const { get, initializeDatabase } = require('../config/database');
+  const { userRepository, orderRepository, deliveryRepository } = require('../repositories');
+  const { signAccessToken } = require('../services/token-service');
+
+  const { server, request } = await startTestServer([
+    ['/api/admin', require('../routes/admin-auth')],
+    ['/api/admin', require('../routes/admin-users')],
+    ['/api/orders', require('../routes/orders')],
+    ['/api/delivery', require('../routes/delivery')]
+  ]);
+
+  const proofForm = (fields, files = {}) => {
+    const form = new FormData();
+    Object.entries(fields).forEach(([name, value]) => form.append(name, value));
+    Object.entries(files).forEach(([name, { content, type, fileName }]) => form.append(name, new Blob([content], { type }), fileName));
+    return form;
+  };
+
+  try {
+    console.log('🔍 Testando app dos entregadores...');
+    await initializeDatabase();
+
+    const password = await bcrypt.hash('Segura123', 4);
+    const customerId = await userRepository.create({ name: 'Maria Silva', email: 'maria@teste.pt', phone: '912345678', password });
+    const adminId = await userRepository.create({ name: 'Admin', username: 'admin-entregas', password, role: 'admin' });
+    const customer = signAccessToken(customerId);
+    const admin = signAccessToken(adminId);
+
+    // Conta de entregador criada no painel: entra pelo login das contas internas
+    const created = await request('POST', '/api/admin/users', {
+      token: admin,
+      body: { username: 'rui', name: 'Rui Entregador', password: 'Inicial123', role: 'driver' }
+    });
+    assert.strictEqual(created.status, 201, JSON.stringify(created.data));
+    const driverId = created.data.data.id;
+
+    const login = await request('POST', '/api/admin/login', { body: { username: 'rui', password: 'Inicial123' } });
+    assert.strictEqual(login.status, 200, JSON.stringify(login.data));
+    assert.strictEqual(login.data.mustChangePassword, true);
+    assert.strictEqual((await request('GET', `/api/delivery/driver/${driverId}`, { token: login.data.token })).status, 403);
+
+    const changed = await request('POST', '/api/admin/change-password', {
+      token: login.data.token,
+      body: { currentPassword: 'Inicial123', newPassword: 'Entregas123', confirmPassword: 'Entregas123' }
+    });
+    assert.strictEqual(changed.status, 200, JSON.stringify(changed.data));
+    const driver = changed.data.token;
+    assert.strictEqual((await request('GET', `/api/delivery/driver/${driverId}`, { token: driver })).status, 200);
+    assert.strictEqual((await request('GET', '/api/delivery', { token: driver })).status, 403);
+    assert.strictEqual((await request('POST', '/api/admin/login', { body: { username: 'maria@teste.pt', password: 'Segura123' } })).status, 401);
+    console.log('✅ Entregador entra pelo login das contas internas (sem acesso ao painel)');
+
+    const otherDriverId = await userRepository.create({ name: 'Ana Entregadora', username: 'ana', password, role: 'driver' });
+    const otherDriver = signAccessToken(otherDriverId);
+
+    const setOrderStatus = (orderId, status) =>
+      request('PUT', `/api/orders/${orderId}/status`, { token: admin, body: { status } });
+
+    // Pedido de entrega confirmado e atribuído ao entregador
+    const assignedOrder = async () => {
+      const placed = await request('POST', '/api/orders', {
+        token: customer,
+        body: {
+          items: [{ productId: 1, quantity: 1 }],
+          deliveryType: 'delivery',
+          deliveryAddress: { street: 'Rua das Flores 1', city: 'Lisboa', postalCode: '1000-001' },
+          paymentMethod: 'cash'
+        }
+      });
+      assert.strictEqual(placed.status, 201, JSON.stringify(placed.data));
+      const orderId = placed.data.data.order.id;
+      await setOrderStatus(orderId, 'confirmed');
+
+      const delivery = await deliveryRepository.findByOrder(orderId);
+      await request('PATCH', `/api/delivery/${delivery.id}/assign`, { token: admin, body: { driverId } });
+      return { orderId, deliveryId: delivery.id, pin: delivery.delivery_pin };
+    };
+
+    const readyOrder = async (orderId) => {
+      await setOrderStatus(orderId, 'preparing');
+      await setOrderStatus(orderId, 'ready');
+    };
+
+    // PIN visível só para o cliente
+    const first = await assignedOrder();
+    const ownView = await request('GET', `/api/orders/${first.orderId}`, { token: customer });
+    assert.match(ownView.data.data.order.deliveryPin, /^\d{4}$/);
+    assert.strictEqual(ownView.data.data.order.deliveryPin, first.pin);
+    assert.strictEqual((await request('GET', `/api/orders/${first.orderId}`, { token: admin })).data.data.order.deliveryPin, null);
+
+    const queue = (await request('GET', `/api/delivery/driver/${driverId}`, { token: driver })).data.data;
+    assert.strictEqual(queue.deliveries.length, 1);
+    assert.strictEqual(queue.deliveries[0].delivery_pin, undefined);
+    assert.ok(queue.failureReasons.customer_absent);
+    console.log('✅ PIN de entrega mostrado ao cliente e escondido do entregador');
+
+    // Aceitar e recusar
+    assert.strictEqual((await request('POST', `/api/delivery/${first.deliveryId}/accept`, { token: otherDriver })).status, 403);
+    assert.strictEqual((await request('POST', `/api/delivery/${first.deliveryId}/accept`, { token: customer })).status, 403);
+    const accepted = await request('POST', `/api/delivery/${first.deliveryId}/accept`, { token: driver });
+    assert.strictEqual(accepted.status, 200, JSON.stringify(accepted.data));
+    assert.ok(accepted.data.data.accepted_at);
+
+    const second = await assignedOrder();
+    assert.strictEqual((await request('POST', `/api/delivery/${second.deliveryId}/reject`, { token: driver, body: {} })).status, 400);
+    const rejected = await request('POST', `/api/delivery/${second.deliveryId}/reject`, { token: driver, body: { reason: 'Carro avariado' } });
+    assert.strictEqual(rejected.status, 200, JSON.stringify(rejected.data));
+    assert.strictEqual(rejected.data.data.status, 'pending');
+    assert.strictEqual(rejected.data.data.driver_id, null);
+    assert.strictEqual(rejected.data.data.statusHistory.at(-1).note, 'Recusada pelo entregador: Carro avariado');
+    assert.strictEqual((await request('POST', `/api/delivery/${second.deliveryId}/accept`, { token: driver })).status, 403);
+    console.log('✅ Entrega aceite pelo entregador; recusada volta a ficar sem entregador');
+
+    // Recolha só com o pedido pronto
+    assert.strictEqual((await request('POST', `/api/delivery/${first.deliveryId}/pickup`, { token: driver })).status, 409);
+    await readyOrder(first.orderId);
+    const pickedUp = await request('POST', `/api/delivery/${first.deliveryId}/pickup`, { token: driver });
+    assert.strictEqual(pickedUp.status, 200, JSON.stringify(pickedUp.data));
+    assert.strictEqual(pickedUp.data.data.status, 'out_for_delivery');
+    assert.strictEqual(pickedUp.data.data.order_status, 'out_for_delivery');
+    console.log('✅ Recolha na loja põe a entrega e o pedido em curso');
+
+    // Tentativa falhada: motivo obrigatório e pedido de volta à loja
+    assert.strictEqual((await request('POST', `/api/delivery/${first.deliveryId}/fail`, { token: driver, body: {} })).status, 400);
+    assert.strictEqual((await request('POST', `/api/delivery/${first.deliveryId}/fail`, { token: driver, body: { reason: 'other' } })).status, 400);
+    const failed = await request('POST', `/api/delivery/${first.deliveryId}/fail`, { token: driver, body: { reason: 'wrong_address', note: 'Número 1 não existe' } });
+    assert.strictEqual(failed.status, 200, JSON.stringify(failed.data));
+    assert.strictEqual(failed.data.data.status, 'failed');
+    assert.strictEqual(failed.data.data.failure_reason, 'wrong_address');
+    assert.strictEqual(failed.data.data.order_status, 'ready');
+    const orderHistory = await orderRepository.findStatusHistory(first.orderId);
+    const returnEntry = orderHistory.find(entry => entry.note === 'Entrega falhada: Morada errada ou incompleta');
+    assert.strictEqual(returnEntry.status, 'ready');
+    console.log('✅ Tentativa falhada com motivo devolve o pedido à loja');
+
+    // Prova de entrega
+    await request('POST', `/api/delivery/${first.deliveryId}/pickup`, { token: driver });
+
+    const doorPhoto = { photo: { content: PNG, type: 'image/png', fileName: 'porta.png' } };
+    assert.strictEqual((await request('POST', `/api/delivery/${first.deliveryId}/deliver`, { token: driver, form: proofForm({}) })).status, 400);
+    const badPin = await request('POST', `/api/delivery/${first.deliveryId}/deliver`, { token: driver, form: proofForm({ pin: '12' }, doorPhoto) });
+    assert.strictEqual(badPin.status, 400);
+    const wrongPin = await request('POST', `/api/delivery/${first.deliveryId}/deliver`, {
+      token: driver,
+      form: proofForm({ pin: first.pin === '0000' ? '1111' : '0000' }, doorPhoto)
+    });
+    assert.strictEqual(wrongPin.status, 400);
+    assert.strictEqual(wrongPin.data.attemptsLeft, 4);
+
+    const notImage = await request('POST', `/api/delivery/${first.deliveryId}/deliver`, {
+      token: driver,
+      form: proofForm({}, { photo: { content: 'texto', type: 'text/plain', fileName: 'prova.txt' } })
+    });
+    assert.strictEqual(notImage.status, 400);
+    // Pedidos recusados (validação, PIN errado, tipo de ficheiro) não deixam ficheiros em disco
+    assert.deepStrictEqual(fs.readdirSync(proofsDir), []);
+
+    const delivered = await request('POST', `/api/delivery/${first.deliveryId}/deliver`, {
+      token: driver,
+      form: proofForm({ recipientName: 'Vizinha do 2.º' }, doorPhoto)
+    });
+    assert.strictEqual(delivered.status, 200, JSON.stringify(delivered.data));
+    assert.strictEqual(delivered.data.data.status, 'delivered');
+    assert.strictEqual(delivered.data.data.order_status, 'delivered');
+    assert.strictEqual(delivered.data.data.recipient_name, 'Vizinha do 2.º');
+    assert.strictEqual(delivered.data.data.pin_verified_at, null);
+    assert.ok(fs.existsSync(path.join(proofsDir, delivered.data.data.proof_photo)));
+    assert.strictEqual(fs.readdirSync(proofsDir).length, 1);
+    assert.strictEqual((await request('GET', `/api/orders/${first.orderId}`, { token: customer })).data.data.order.deliveryPin, null);
+
+    const photo = await request('GET', `/api/delivery/${first.deliveryId}/proof/photo`, { token: admin });
+    assert.strictEqual(photo.status, 200);
+    assert.ok(photo.data.equals(PNG));
+    assert.strictEqual((await request('GET', `/api/delivery/${first.deliveryId}/proof/photo`, { token: driver })).status, 403);
+    assert.strictEqual((await request('GET', `/api/delivery/${first.deliveryId}/proof/signature`, { token: admin })).status, 404);
+    console.log('✅ Entrega concluída com fotografia, visível só no painel');
+
+    // PIN do cliente, com limite de tentativas
+    const third = await assignedOrder();
+    await readyOrder(third.orderId);
+    await request('POST', `/api/delivery/${third.deliveryId}/pickup`, { token: driver });
+    const viaPin = await request('POST', `/api/delivery/${third.deliveryId}/deliver`, { token: driver, form: proofForm({ pin: third.pin }) });
+    assert.strictEqual(viaPin.status, 200, JSON.stringify(viaPin.data));
+    assert.ok(viaPin.data.data.pin_verified_at);
+
+    const fourth = await assignedOrder();
+    await readyOrder(fourth.orderId);
+    await request('POST', `/api/delivery/${fourth.deliveryId}/pickup`, { token: driver });
+    const wrong = fourth.pin === '0000' ? '1111' : '0000';
+    // PINs errados em simultâneo: só 5 são verificados, os restantes recebem 409
+    const guesses = await Promise.all(Array.from({ length: 7 }, () =>
+      request('POST', `/api/delivery/${fourth.deliveryId}/deliver`, { token: driver, form: proofForm({ pin: wrong }) })));
+    assert.strictEqual(guesses.filter(guess => guess.status === 400).length, 5);
+    assert.strictEqual(guesses.filter(guess => guess.status === 409).length, 2);
+    const attemptsLeft = guesses.filter(guess => guess.status === 400).map(guess => guess.data.attemptsLeft);
+    assert.ok(attemptsLeft.every(left => left >= 0 && left <= 4));
+    assert.ok(attemptsLeft.includes(0));
+    assert.strictEqual((await deliveryRepository.findById(fourth.deliveryId)).pin_attempts, 5);
+    assert.strictEqual((await request('POST', `/api/delivery/${fourth.deliveryId}/deliver`, { token: driver, form: proofForm({ pin: fourth.pin }) })).status, 409);
+    const viaSignature = await request('POST', `/api/delivery/${fourth.deliveryId}/deliver`, {
+      token: driver,
+      form: proofForm({ recipientName: 'Maria Silva' }, { signature: { content: PNG, type: 'image/png', fileName: 'assinatura.png' } })
+    });
+    assert.strictEqual(viaSignature.status, 200, JSON.stringify(viaSignature.data));
+    assert.ok(viaSignature.data.data.proof_signature);
+    assert.strictEqual((await orderRepository.findById(fourth.orderId)).status, 'delivered');
+    console.log('✅ Entrega concluída com o PIN do cliente; depois de 5 PINs errados (mesmo em simultâneo) só com assinatura');
+
+    // Pedido devolvido à loja pelo painel
+    const fifth = await assignedOrder();
+    await readyOrder(fifth.orderId);
+    await request('POST', `/api/delivery/${fifth.deliveryId}/pickup`, { token: driver });
+    assert.strictEqual((await request('POST', `/api/delivery/${fifth.deliveryId}/pickup`, { token: otherDriver })).status, 403);
+    assert.strictEqual((await setOrderStatus(fifth.orderId, 'ready')).status, 200);
+    const returned = await deliveryRepository.findById(fifth.deliveryId);
+    assert.strictEqual(returned.status, 'failed');
+    console.log('✅ Pedido devolvido à loja no painel marca a entrega como falhada');
+
+    // Localização só para entregadores
+    assert.strictEqual((await request('POST', `/api/delivery/${fifth.deliveryId}/location`, { body: { latitude: 38.7, longitude: -9.1 } })).status, 401);
+    assert.strictEqual((await request('POST', `/api/delivery/${fifth.deliveryId}/location`, { token: customer, body: { latitude: 38.7, longitude: -9.1 } })).status, 403);
+    console.log('✅ Rotas do entregador exigem sessão de entregador');
+
+    const audited = await get("SELECT COUNT(*) as total FROM audit_log WHERE action IN ('delivery.accept', 'delivery.reject', 'delivery.pickup', 'delivery.fail', 'delivery.deliver')");
+    assert.ok(audited.total >= 5);
+    console.log('✅ Ações do entregador no registo de auditoria');
+
+    console.log('\n🎉 App dos entregadores está funcionando!');
+  } catch (error) {
+    console.error('❌ Teste da app dos entregadores falhou:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await cleanup({ servers: [server], dbFile, paths: [proofsDir] });
+  }
+}
+
+// Executar teste
+testDriverApp();
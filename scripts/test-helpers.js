@@ -0,0 +1,104 @@
+// Ambiente comum dos scripts de teste: base de dados temporária por script, servidor
+// Express numa porta livre com as rotas a testar e um cliente HTTP para a API.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Base de dados temporária e variáveis de ambiente do teste. Chamar antes de carregar
+// config/database, repositórios, serviços ou rotas: leem o ambiente ao carregar.
+function setupTestEnv(name, env = {}) {
+  const dbFile = path.join(os.tmpdir(), `padaria-test-${name}-${process.pid}.db`);
+
+  Object.assign(process.env, { DB_PATH: dbFile, JWT_SECRET: 'test_secret' }, env);
+
+  return dbFile;
+}
+
+function listen(server) {
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+}
+
+function close(server) {
+  return new Promise(resolve => server.close(resolve));
+}
+
+// Corpo da resposta: JSON, texto ou Buffer (ficheiros), conforme o Content-Type
+function parseBody(buffer, contentType) {
+  if (contentType.includes('application/json')) {
+    return buffer.length ? JSON.parse(buffer.toString()) : null;
+  }
+
+  return contentType.startsWith('text/') ? buffer.toString() : buffer;
+}
+
+// Cliente da API: corpo em JSON (ou FormData em form, ou já em texto), token de acesso
+// e cabeçalhos extra. Devolve o estado, os cabeçalhos, o corpo em bruto e o corpo lido.
+function createClient(baseUrl) {
+  return async (method, url, { body, form, token, headers = {} } = {}) => {
+    const response = await fetch(baseUrl + url, {
+      method,
+      headers: {
+        ...(!form && { 'Content-Type': 'application/json' }),
+        ...(token && { Authorization: `Bearer ${token}` }),
+        ...headers
+      },
+      body: form || (typeof body === 'string' ? body : body && JSON.stringify(body))
+    });
+    const buffer = Buffer.from(await response.arrayBuffer());
+
+    return {
+      status: response.status,
+      headers: response.headers,
+      buffer,
+      data: parseBody(buffer, response.headers.get('content-type') || '')
+    };
+  };
+}
+
+// App com as rotas indicadas ([caminho, router]) numa porta livre.
+// rawPaths: rotas que recebem o corpo em bruto (webhooks assinados);
+// urlencoded: aceitar também formulários (cancelamento de subscrições num clique)
+async function startTestServer(routes, { rawPaths = [], urlencoded = false } = {}) {
+  const express = require('express');
+  const app = express();
+
+  for (const rawPath of rawPaths) {
+    app.use(rawPath, express.raw({ type: 'application/json' }));
+  }
+  app.use(express.json());
+  if (urlencoded) {
+    app.use(express.urlencoded({ extended: true }));
+  }
+  for (const [mountPath, router] of routes) {
+    app.use(mountPath, router);
+  }
+
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  return { app, server, baseUrl, request: createClient(baseUrl) };
+}
+
+// Fechar os servidores do teste e a base de dados e apagar os ficheiros temporários
+async function cleanup({ servers = [], dbFile, paths = [] }) {
+  for (const server of servers) {
+    await close(server);
+  }
+
+  const { db } = require('../config/database');
+  await new Promise(resolve => db.close(resolve));
+
+  for (const file of [dbFile, ...paths]) {
+    fs.rmSync(file, { recursive: true, force: true });
+  }
+}
+
+module.exports = {
+  setupTestEnv,
+  listen,
+  close,
+  createClient,
+  startTestServer,
+  cleanup
+};
@@ -0,0 +1,150 @@
+// Teste da proteção contra força bruta nos logins: espera progressiva e bloqueio por conta
+// e por IP, desbloqueio no painel e limite de pedidos por rota. Base de dados temporária;
+// cada parte do teste usa o seu IP (X-Forwarded-For, com trust proxy).
+const assert = require('assert');
+const { setupTestEnv, startTestServer, cleanup } = require('./test-helpers');
+
+const dbFile = setupTestEnv('login-protection', {
+  EMAIL_HOST: '127.0.0.1',
+  EMAIL_PORT: '9', // o email de verificação do registo falha sem afetar o teste
+  LOGIN_MAX_ACCOUNT_FAILURES: '5',
+  LOGIN_MAX_IP_FAILURES: '15',
+  LOGIN_LOCKOUT_MINUTES: '15'
+});
+
+async function testLoginProtection() {
+  // Só depois de configurar o ambiente: config/database e os limites leem-no ao carregar
+  const { get, run, initializeDatabase } = require('../config/database');
+  const { bootstrapAdmin } = require('../services/admin-user-service');
+
+  const { app, server, request: apiRequest } = await startTestServer([
+    ['/api/auth', require('../routes/auth')],
+    ['/api/admin', require('../routes/admin-auth')],
+    ['/api/admin', require('../routes/admin-security')]
+  ]);
+  app.set('trust proxy', 1);
+
+  const request = async (method, url, { ip, ...options } = {}) => {
+    const response = await apiRequest(method, url, { ...options, headers: ip ? { 'X-Forwarded-For': ip } : {} });
+    return { ...response, retryAfter: response.headers.get('retry-after') };
+  };
+
+  const login = (email, password, ip) => request('POST', '/api/auth/login', { body: { email, password }, ip });
+
+  // Simular que a espera entre tentativas já passou
+  const skipDelays = () => run('UPDATE login_throttles SET next_attempt_at = NULL');
+
+  try {
+    console.log('🔍 Testando proteção dos logins...');
+    await initializeDatabase();
+
+    await bootstrapAdmin({ username: 'chefe', password: 'Inicial123' });
+    await run('UPDATE users SET must_change_password = 0');
+    const adminToken = (await request('POST', '/api/admin/login', {
+      body: { username: 'chefe', password: 'Inicial123' },
+      ip: '10.0.0.1'
+    })).data.token;
+    assert.ok(adminToken);
+
+    const registered = await request('POST', '/api/auth/register', {
+      body: {
+        name: 'Cliente Teste',
+        email: 'cliente@teste.pt',
+        phone: '912345678',
+        password: 'Segura123',
+        address: { street: 'Rua das Flores 1', city: 'Lisboa', postalCode: '1000-001' }
+      },
+      ip: '10.0.0.2'
+    });
+    assert.strictEqual(registered.status, 201, JSON.stringify(registered.data));
+
+    // Espera progressiva
+    const ip = '10.0.1.1';
+    for (let attempt = 1; attempt <= 3; attempt++) {
+      assert.strictEqual((await login('cliente@teste.pt', 'Errada123', ip)).status, 401);
+    }
+    const delayed = await login('cliente@teste.pt', 'Segura123', ip);
+    assert.strictEqual(delayed.status, 429);
+    assert.strictEqual(delayed.retryAfter, '1');
+    await new Promise(resolve => setTimeout(resolve, 1100));
+    assert.strictEqual((await login('cliente@teste.pt', 'Errada123', ip)).status, 401);
+    assert.strictEqual((await login('cliente@teste.pt', 'Segura123', ip)).data.retryAfter, 2);
+    console.log('✅ Espera progressiva depois de 3 falhas (mesmo com a password certa)');
+
+    const otherIp = await login('cliente@teste.pt', 'Segura123', '10.0.1.2');
+    assert.strictEqual(otherIp.status, 429);
+    console.log('✅ As falhas contam por conta, não só por IP');
+
+    // Bloqueio
+    await skipDelays();
+    assert.strictEqual((await login('cliente@teste.pt', 'Errada123', ip)).status, 401);
+    const locked = await login('cliente@teste.pt', 'Segura123', ip);
+    assert.strictEqual(locked.status, 429);
+    assert.ok(locked.data.message.includes('bloqueada'));
+    assert.ok(parseInt(locked.retryAfter, 10) > 14 * 60);
+    console.log('✅ Conta bloqueada 15 minutos depois de 5 falhas');
+
+    // Emails desconhecidos: a mesma resposta (não revela quais existem)
+    for (let attempt = 1; attempt <= 3; attempt++) {
+      assert.strictEqual((await login('ninguem@teste.pt', 'Errada123', '10.0.2.1')).status, 401);
+    }
+    assert.strictEqual((await login('ninguem@teste.pt', 'Errada123', '10.0.2.1')).status, 429);
+    console.log('✅ Emails desconhecidos com a mesma espera');
+
+    // Painel: estado e desbloqueio
+    const lockouts = await request('GET', '/api/admin/security/lockouts', { token: adminToken, ip: '10.0.0.1' });
+    assert.strictEqual(lockouts.status, 200, JSON.stringify(lockouts.data));
+    const accountLock = lockouts.data.data.find(item => item.user && item.user.email === 'cliente@teste.pt');
+    assert.ok(accountLock && accountLock.lockedUntil);
+    assert.strictEqual(accountLock.scope, 'account');
+    assert.ok(lockouts.data.data.some(item => item.key === 'login:ninguem@teste.pt' && !item.lockedUntil));
+
+    const unlocked = await request('DELETE', `/api/admin/security/lockouts/${accountLock.id}`, { token: adminToken, ip: '10.0.0.1' });
+    assert.strictEqual(unlocked.status, 200);
+    assert.strictEqual((await login('cliente@teste.pt', 'Segura123', ip)).status, 200);
+    console.log('✅ Bloqueio visível no painel e desbloqueio manual');
+
+    // Bloqueios seguidos duram cada vez mais
+    const lockAgain = async () => {
+      for (let attempt = 1; attempt <= 5; attempt++) {
+        await skipDelays();
+        assert.strictEqual((await login('cliente@teste.pt', 'Errada123', '10.0.3.1')).status, 401);
+      }
+      return get("SELECT lockouts, (julianday(locked_until) - julianday('now')) * 1440 as minutes_left FROM login_throttles WHERE throttle_key LIKE 'user:%'");
+    };
+    assert.strictEqual((await lockAgain()).lockouts, 1);
+    await run("UPDATE login_throttles SET locked_until = datetime('now', '-1 second')");
+    const second = await lockAgain();
+    assert.strictEqual(second.lockouts, 2);
+    assert.ok(second.minutes_left > 29);
+    console.log('✅ Segundo bloqueio seguido com o dobro da duração');
+
+    // Por IP: muitas contas diferentes a partir do mesmo endereço
+    for (let attempt = 1; attempt <= 10; attempt++) {
+      assert.strictEqual((await login(`conta${attempt}@teste.pt`, 'Errada123', '10.0.4.1')).status, 401);
+    }
+    const ipDelayed = await login('outra@teste.pt', 'Errada123', '10.0.4.1');
+    assert.strictEqual(ipDelayed.status, 429);
+    assert.ok(ipDelayed.data.message.includes('Aguarde'));
+    console.log('✅ Espera por IP depois de 10 falhas em contas diferentes');
+
+    // Limite de pedidos da rota (20 por 15 minutos, partilhado pelos logins)
+    const limited = [];
+    for (let attempt = 1; attempt <= 21; attempt++) {
+      limited.push((await request('POST', '/api/admin/login', { body: {}, ip: '10.0.5.1' })).status);
+    }
+    assert.deepStrictEqual([...new Set(limited.slice(0, 20))], [400]);
+    assert.strictEqual(limited[20], 429);
+    console.log('✅ Limite de pedidos por IP nas rotas de login');
+
+    console.log('\n🎉 Proteção dos logins está funcionando!');
+  } catch (error) {
+    console.error('❌ Teste de proteção dos logins falhou:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await cleanup({ servers: [server], dbFile });
+  }
+}
+
+// Executar teste
+testLoginProtection();
@@ -0,0 +1,183 @@
+// Teste dos consentimentos de marketing: registo por canal/finalidade, resumo nos campos da conta,
+// verificação no momento do envio, link de cancelamento (página e um clique) e campanhas do painel.
+// Usa o servidor SMTP local (scripts/mock-smtp-server.js), o SMS stub e uma base de dados temporária.
+const assert = require('assert');
+const { setupTestEnv, listen, startTestServer, cleanup } = require('./test-helpers');
+
+const dbFile = setupTestEnv('marketing-consent', {
+  EMAIL_HOST: '127.0.0.1',
+  EMAIL_USER: '',
+  SMS_PROVIDER: 'stub',
+  APP_URL: 'http://loja.test'
+});
+
+async function testMarketingConsent() {
+  const { createMockSmtpServer } = require('./mock-smtp-server');
+  const smtp = createMockSmtpServer();
+  process.env.EMAIL_PORT = String(await listen(smtp.server));
+
+  // Só depois de configurar o ambiente: config/database e o mail-service leem-no ao carregar
+  const bcrypt = require('bcryptjs');
+  const { get, initializeDatabase } = require('../config/database');
+  const { userRepository } = require('../repositories');
+  const { signAccessToken } = require('../services/token-service');
+  const { sendMarketingMessage } = require('../services/marketing-service');
+  const { outbox } = require('../services/sms-providers/stub');
+
+  const { server, baseUrl, request } = await startTestServer([
+    ['/api/users', require('../routes/users')],
+    ['/api/admin', require('../routes/admin-marketing')]
+  ], { urlencoded: true });
+
+  const grantedKeys = consents => consents
+    .filter(consent => consent.granted)
+    .map(consent => `${consent.channel}:${consent.purpose}`);
+
+  const countRecords = async userId =>
+    (await get('SELECT COUNT(*) as total FROM consent_records WHERE user_id = ?', [userId])).total;
+
+  // Headers do email sem as quebras de linha das linhas compridas
+  const mailHeader = (message, name) => {
+    const unfolded = message.raw.split('\r\n\r\n')[0].replace(/\r\n[ \t]+/g, ' ');
+    const match = unfolded.match(new RegExp(`^${name}: (.+)$`, 'mi'));
+    return match && match[1].trim();
+  };
+
+  try {
+    console.log('🔍 Testando consentimentos de marketing...');
+    await initializeDatabase();
+
+    const password = await bcrypt.hash('Segura123', 4);
+    const mariaId = await userRepository.create({ name: 'Maria Silva', email: 'maria@teste.pt', phone: '912345678', password });
+    const joaoId = await userRepository.create({ name: 'João Sousa', email: 'joao@teste.pt', phone: '913333333', password });
+    const managerId = await userRepository.create({ name: 'Gerente', username: 'gerente-mkt', password, role: 'manager' });
+    const staffId = await userRepository.create({ name: 'Balcão', username: 'balcao-mkt', password, role: 'staff' });
+    const maria = signAccessToken(mariaId);
+    const joao = signAccessToken(joaoId);
+    const manager = signAccessToken(managerId);
+    const staff = signAccessToken(staffId);
+
+    // Registo de consentimentos
+    const initial = await request('GET', '/api/users/consents', { token: maria });
+    assert.strictEqual(initial.status, 200);
+    assert.strictEqual(initial.data.data.consents.length, 6);
+    assert.deepStrictEqual(grantedKeys(initial.data.data.consents), []);
+
+    const profile = await request('PUT', '/api/users/profile', { token: maria, body: { preferences: { marketingEmails: true } } });
+    assert.strictEqual(profile.status, 200, JSON.stringify(profile.data));
+    assert.strictEqual(profile.data.data.user.marketing_emails, 1);
+    assert.strictEqual(await countRecords(mariaId), 3);
+
+    const updated = await request('PUT', '/api/users/consents', {
+      token: maria,
+      body: { consents: [{ channel: 'sms', purpose: 'promotions', granted: true }, { channel: 'email', purpose: 'loyalty', granted: false }] }
+    });
+    assert.strictEqual(updated.status, 200, JSON.stringify(updated.data));
+    assert.deepStrictEqual(grantedKeys(updated.data.data.consents), ['email:newsletter', 'email:promotions', 'sms:promotions']);
+    assert.strictEqual((await userRepository.findById(mariaId)).sms_notifications, 1);
+    assert.strictEqual(await countRecords(mariaId), 5);
+
+    await request('PUT', '/api/users/consents', { token: maria, body: { consents: [{ channel: 'sms', purpose: 'promotions', granted: true }] } });
+    assert.strictEqual(await countRecords(mariaId), 5);
+
+    const invalid = await request('PUT', '/api/users/consents', { token: maria, body: { consents: [{ channel: 'fax', purpose: 'promotions', granted: true }] } });
+    assert.strictEqual(invalid.status, 400);
+    console.log('✅ Consentimentos por canal e finalidade, só as alterações ficam registadas');
+
+    const record = await get("SELECT * FROM consent_records WHERE user_id = ? AND channel = 'sms'", [mariaId]);
+    assert.strictEqual(record.source, 'profile');
+    assert.ok(record.ip);
+    assert.ok(record.created_at);
+
+    await request('PUT', `/api/users/admin/${joaoId}/update`, { token: staff, body: { preferences: { marketingEmails: true } } });
+    const joaoConsents = await request('GET', `/api/users/admin/${joaoId}/consents`, { token: staff });
+    assert.strictEqual(joaoConsents.status, 200);
+    assert.strictEqual(joaoConsents.data.data.history.length, 3);
+    assert.strictEqual(joaoConsents.data.data.history[0].source, 'staff');
+    assert.strictEqual((await get('SELECT recorded_by FROM consent_records WHERE user_id = ? LIMIT 1', [joaoId])).recorded_by, staffId);
+    assert.strictEqual((await request('GET', `/api/users/admin/${joaoId}/consents`, { token: joao })).status, 403);
+    console.log('✅ Origem, IP, data e quem registou ficam no histórico');
+
+    // Verificação no envio
+    const notGranted = await sendMarketingMessage(mariaId, { channel: 'sms', purpose: 'newsletter', text: 'Novidades' });
+    assert.deepStrictEqual(notGranted, { sent: false, reason: 'no_consent' });
+    assert.strictEqual(outbox.length, 0);
+
+    const sms = await sendMarketingMessage(mariaId, { channel: 'sms', purpose: 'promotions', text: 'Pastéis a metade do preço!' });
+    assert.strictEqual(sms.sent, true);
+    assert.ok(outbox[0].message.includes('http://loja.test/cancelar-subscricao?token='));
+    console.log('✅ Sem consentimento a mensagem não é enviada');
+
+    // Campanha do painel
+    assert.strictEqual((await request('POST', '/api/admin/marketing/campaigns', { token: staff, body: {} })).status, 403);
+    assert.strictEqual((await request('POST', '/api/admin/marketing/campaigns', {
+      token: manager,
+      body: { channel: 'email', purpose: 'newsletter', text: 'Sem assunto' }
+    })).status, 400);
+
+    const audience = await request('GET', '/api/admin/marketing/audience', { token: manager });
+    assert.strictEqual(audience.data.data.audience.find(entry => entry.channel === 'email' && entry.purpose === 'newsletter').recipients, 2);
+
+    const campaign = await request('POST', '/api/admin/marketing/campaigns', {
+      token: manager,
+      body: { channel: 'email', purpose: 'newsletter', subject: 'Novidades da padaria', text: 'Chegaram os bolos-rei!' }
+    });
+    assert.strictEqual(campaign.status, 200, JSON.stringify(campaign.data));
+    assert.deepStrictEqual(campaign.data.data, { recipients: 2, sent: 2, skipped: 0, failed: 0 });
+    assert.deepStrictEqual(smtp.messages.map(message => message.to[0]).sort(), ['joao@teste.pt', 'maria@teste.pt']);
+
+    const mail = smtp.messages.find(message => message.to[0] === 'maria@teste.pt');
+    assert.strictEqual(mailHeader(mail, 'List-Unsubscribe-Post'), 'List-Unsubscribe=One-Click');
+    const oneClickUrl = mailHeader(mail, 'List-Unsubscribe').replace(/^<|>$/g, '');
+    assert.ok(oneClickUrl.startsWith('http://loja.test/api/users/unsubscribe?token='));
+    console.log('✅ Campanha enviada só a quem consentiu, com List-Unsubscribe');
+
+    // Cancelamento com um clique (RFC 8058: POST com List-Unsubscribe=One-Click)
+    const oneClick = await fetch(baseUrl + oneClickUrl.replace('http://loja.test', ''), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: 'List-Unsubscribe=One-Click'
+    });
+    assert.strictEqual(oneClick.status, 200);
+    const afterOneClick = (await request('GET', '/api/users/consents', { token: maria })).data.data.consents;
+    assert.deepStrictEqual(grantedKeys(afterOneClick), ['email:promotions', 'sms:promotions']);
+    assert.strictEqual(afterOneClick.find(consent => consent.purpose === 'newsletter' && consent.channel === 'email').source, 'unsubscribe_link');
+
+    const resend = await sendMarketingMessage(mariaId, { channel: 'email', purpose: 'newsletter', subject: 'Outra', text: 'Outra' });
+    assert.deepStrictEqual(resend, { sent: false, reason: 'no_consent' });
+    console.log('✅ Cancelamento com um clique, respeitado no envio seguinte');
+
+    // Página de cancelamento: todos os consentimentos
+    const token = new URL(oneClickUrl).searchParams.get('token');
+    const described = await request('GET', `/api/users/unsubscribe?token=${encodeURIComponent(token)}`);
+    assert.strictEqual(described.status, 200);
+    assert.strictEqual(described.data.data.granted, false);
+
+    const all = await request('POST', '/api/users/unsubscribe', { body: { token, all: true } });
+    assert.strictEqual(all.status, 200);
+    assert.deepStrictEqual(grantedKeys((await request('GET', '/api/users/consents', { token: maria })).data.data.consents), []);
+    const account = await userRepository.findById(mariaId);
+    assert.strictEqual(account.marketing_emails, 0);
+    assert.strictEqual(account.sms_notifications, 0);
+
+    assert.strictEqual((await request('POST', '/api/users/unsubscribe', { body: { token: `${token}x` } })).status, 400);
+    assert.strictEqual((await request('POST', '/api/users/unsubscribe', { body: { token: signAccessToken(mariaId) } })).status, 400);
+    console.log('✅ Cancelar tudo pela página e tokens inválidos recusados');
+
+    // Contas desativadas não recebem mesmo com consentimento
+    await userRepository.updateById(joaoId, { is_active: 0 });
+    const inactive = await sendMarketingMessage(joaoId, { channel: 'email', purpose: 'newsletter', subject: 'Olá', text: 'Olá' });
+    assert.deepStrictEqual(inactive, { sent: false, reason: 'inactive_account' });
+    console.log('✅ Contas inativas não recebem marketing');
+
+    console.log('\n🎉 Consentimentos de marketing estão funcionando!');
+  } catch (error) {
+    console.error('❌ Teste de consentimentos de marketing falhou:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await cleanup({ servers: [server, smtp.server], dbFile });
+  }
+}
+
+// Executar teste
+testMarketingConsent();
@@ -0,0 +1,147 @@
+// Teste dos pedidos: a reserva de stock e a escrita do pedido são uma só transação (uma falha
+// a meio não deixa stock reservado nem pedido), dois checkouts em simultâneo não levam a mesma
+// última unidade, a máquina de estados recusa transições inválidas sem mexer no pedido e o
+// cliente só altera ou cancela o pedido dentro da janela contada desde a confirmação.
+// Base de dados temporária.
+const assert = require('assert');
+const { setupTestEnv, startTestServer, cleanup } = require('./test-helpers');
+
+const dbFile = setupTestEnv('orders');
+
+async function testOrders() {
+  // Só depois de configurar o ambiente: config/database lê o DB_PATH ao carregar
+  const bcrypt = require('bcryptjs');
+  const { get, run, initializeDatabase } = require('../config/database');
+  const { userRepository, productRepository, orderRepository } = require('../repositories');
+  const OrderRepository = require('../repositories/order-repository');
+  const { placeOrder } = require('../services/order-service');
+  const { signAccessToken } = require('../services/token-service');
+
+  const { server, request } = await startTestServer([
+    ['/api/orders', require('../routes/orders')]
+  ]);
+
+  try {
+    console.log('🔍 Testando pedidos...');
+    await initializeDatabase();
+
+    const password = await bcrypt.hash('Segura123', 4);
+    const customerId = await userRepository.create({ name: 'Maria Silva', email: 'maria@teste.pt', password });
+    const otherId = await userRepository.create({ name: 'João Sousa', email: 'joao@teste.pt', password });
+    const staffId = await userRepository.create({ name: 'Balcão', username: 'balcao', password, role: 'staff' });
+    const customer = signAccessToken(customerId);
+    const staff = signAccessToken(staffId);
+    const categoryId = (await get('SELECT id FROM categories ORDER BY id LIMIT 1')).id;
+    const productId = await productRepository.create({ name: 'Último Pastel', price: 2, category_id: categoryId, is_available: 1, stock_quantity: 1 });
+
+    const pickup = { items: [{ productId, quantity: 1 }], deliveryType: 'pickup', paymentMethod: 'cash' };
+    const countOrders = async () => (await get('SELECT COUNT(*) as total FROM orders')).total;
+
+    // Falha depois de reservar o stock e de inserir o pedido: tudo é revertido
+    const addItem = OrderRepository.prototype.addItem;
+    OrderRepository.prototype.addItem = async () => {
+      throw new Error('Falha simulada ao gravar os itens');
+    };
+    try {
+      await assert.rejects(placeOrder(customerId, pickup), /Falha simulada/);
+    } finally {
+      OrderRepository.prototype.addItem = addItem;
+    }
+
+    assert.strictEqual((await productRepository.findById(productId)).stock_quantity, 1);
+    assert.strictEqual(await countOrders(), 0);
+    console.log('✅ Falha a meio do pedido não deixa stock reservado nem pedido gravado');
+
+    // Dois checkouts em simultâneo para a última unidade
+    const results = await Promise.allSettled([placeOrder(customerId, pickup), placeOrder(otherId, pickup)]);
+    const placed = results.filter(result => result.status === 'fulfilled');
+    const refused = results.filter(result => result.status === 'rejected');
+
+    assert.strictEqual(placed.length, 1);
+    assert.strictEqual(refused.length, 1);
+    assert.strictEqual(refused[0].reason.status, 409);
+    assert.strictEqual((await productRepository.findById(productId)).stock_quantity, 0);
+    assert.strictEqual(await countOrders(), 1);
+    console.log('✅ Última unidade vendida a um só de dois checkouts simultâneos (o outro recebe 409)');
+
+    // Máquina de estados: transição inválida recusada com 409, sem alterar o pedido
+    const created = await request('POST', '/api/orders', {
+      token: customer,
+      body: { items: [{ productId: 1, quantity: 1 }], deliveryType: 'pickup', paymentMethod: 'cash' }
+    });
+    assert.strictEqual(created.status, 201, JSON.stringify(created.data));
+    const orderId = created.data.data.order.id;
+    const setOrderStatus = (status, token = staff) => request('PUT', `/api/orders/${orderId}/status`, { token, body: { status } });
+
+    for (const status of ['confirmed', 'preparing', 'ready', 'picked_up', 'delivered']) {
+      assert.strictEqual((await setOrderStatus(status)).status, 200, status);
+    }
+    const delivered = await orderRepository.findById(orderId);
+    const historyLength = (await orderRepository.findStatusHistory(orderId)).length;
+    const points = (await userRepository.findById(customerId)).loyalty_points;
+
+    const illegal = await setOrderStatus('preparing');
+    assert.strictEqual(illegal.status, 409);
+    assert.strictEqual(illegal.data.currentStatus, 'delivered');
+    assert.deepStrictEqual(illegal.data.allowedTransitions, []);
+    assert.strictEqual((await setOrderStatus('cancelled', customer)).status, 403);
+
+    assert.deepStrictEqual(await orderRepository.findById(orderId), delivered);
+    assert.strictEqual((await orderRepository.findStatusHistory(orderId)).length, historyLength);
+    assert.strictEqual((await userRepository.findById(customerId)).loyalty_points, points);
+    console.log('✅ Transição inválida (delivered → preparing) recusada com 409, pedido intacto');
+
+    // Janela de alteração: conta desde a confirmação, não desde a criação
+    const stockedId = await productRepository.create({ name: 'Queijada', price: 1.5, category_id: categoryId, is_available: 1, stock_quantity: 10 });
+    const placeStocked = async (quantity) => {
+      const response = await request('POST', '/api/orders', {
+        token: customer,
+        body: { items: [{ productId: stockedId, quantity }], deliveryType: 'pickup', paymentMethod: 'cash' }
+      });
+      assert.strictEqual(response.status, 201, JSON.stringify(response.data));
+      return response.data.data.order.id;
+    };
+    const confirm = (id) => request('PUT', `/api/orders/${id}/status`, { token: staff, body: { status: 'confirmed' } });
+    const stock = async () => (await productRepository.findById(stockedId)).stock_quantity;
+
+    const slowId = await placeStocked(2);
+    await run("UPDATE orders SET created_at = datetime('now', '-60 minutes') WHERE id = ?", [slowId]);
+    await run("UPDATE order_status_history SET timestamp = datetime('now', '-60 minutes') WHERE order_id = ?", [slowId]);
+    assert.strictEqual((await confirm(slowId)).status, 200);
+
+    const modified = await request('PUT', `/api/orders/${slowId}`, { token: customer, body: { items: [{ productId: stockedId, quantity: 3 }] } });
+    assert.strictEqual(modified.status, 200, JSON.stringify(modified.data));
+    assert.strictEqual(modified.data.data.order.subtotal, 4.5);
+    assert.strictEqual(await stock(), 7);
+    console.log('✅ Pedido confirmado agora, criado há uma hora, ainda pode ser alterado');
+
+    const cancelled = await request('POST', `/api/orders/${slowId}/cancel`, { token: customer, body: { reason: 'Já não preciso' } });
+    assert.strictEqual(cancelled.status, 200, JSON.stringify(cancelled.data));
+    assert.strictEqual(cancelled.data.data.newStatus, 'cancelled');
+    assert.strictEqual(cancelled.data.data.refund, null);
+    assert.strictEqual(await stock(), 10);
+    console.log('✅ Cancelamento dentro da janela repõe o stock (sem reembolso num pedido por pagar)');
+
+    const lateId = await placeStocked(1);
+    assert.strictEqual((await confirm(lateId)).status, 200);
+    await run("UPDATE order_status_history SET timestamp = datetime('now', '-10 minutes') WHERE order_id = ? AND status = 'confirmed'", [lateId]);
+    const lateOrder = await orderRepository.findById(lateId);
+
+    const lateModify = await request('PUT', `/api/orders/${lateId}`, { token: customer, body: { items: [{ productId: stockedId, quantity: 2 }] } });
+    assert.strictEqual(lateModify.status, 409);
+    assert.strictEqual((await request('POST', `/api/orders/${lateId}/cancel`, { token: customer, body: {} })).status, 409);
+    assert.deepStrictEqual(await orderRepository.findById(lateId), lateOrder);
+    assert.strictEqual(await stock(), 9);
+    console.log('✅ Fora da janela (confirmado há 10 minutos) alteração e cancelamento recusados com 409');
+
+    console.log('\n🎉 Pedidos estão funcionando!');
+  } catch (error) {
+    console.error('❌ Teste de pedidos falhou:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await cleanup({ servers: [server], dbFile });
+  }
+}
+
+// Executar teste
+testOrders();
@@ -0,0 +1,441 @@
+// Teste dos pagamentos contra um servidor local que imita a API do Stripe e contra o
+// gateway MB WAY / Multibanco de desenvolvimento (scripts/mock-payment-gateway.js).
+// Não usa a rede nem chaves reais e trabalha numa base de dados temporária.
+const assert = require('assert');
+const http = require('http');
+const { setupTestEnv, listen, startTestServer, cleanup } = require('./test-helpers');
+
+const dbFile = setupTestEnv('payments', {
+  STRIPE_SECRET_KEY: 'sk_test_local',
+  STRIPE_WEBHOOK_SECRET: 'whsec_test_local',
+  STRIPE_API_HOST: '127.0.0.1',
+  STRIPE_API_PROTOCOL: 'http',
+  PAYMENT_GATEWAY_API_KEY: 'gateway_test_key',
+  PAYMENT_GATEWAY_CALLBACK_SECRET: 'gateway_test_secret'
+});
+
+// PaymentIntents e reembolsos criados no stand-in
+const paymentIntents = new Map();
+const refunds = [];
+
+// Stand-in do Stripe: implementa apenas as rotas usadas pelo payment-service
+function createStripeStandIn() {
+  return http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const params = new URLSearchParams(body);
+      const send = (status, data) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(data));
+      };
+
+      if (req.method === 'POST' && req.url === '/v1/payment_intents') {
+        const id = `pi_test_${paymentIntents.size + 1}`;
+        const intent = {
+          id,
+          object: 'payment_intent',
+          amount: parseInt(params.get('amount'), 10),
+          currency: params.get('currency'),
+          status: 'requires_payment_method',
+          client_secret: `${id}_secret_test`,
+          metadata: {
+            order_id: params.get('metadata[order_id]'),
+            order_number: params.get('metadata[order_number]')
+          }
+        };
+        paymentIntents.set(id, intent);
+        return send(200, intent);
+      }
+
+      if (req.method === 'POST' && req.url === '/v1/refunds') {
+        const intent = paymentIntents.get(params.get('payment_intent'));
+        if (!intent) {
+          return send(404, { error: { type: 'invalid_request_error', message: 'PaymentIntent desconhecido' } });
+        }
+        const refund = {
+          id: `re_test_${refunds.length + 1}`,
+          object: 'refund',
+          amount: parseInt(params.get('amount'), 10),
+          payment_intent: intent.id,
+          status: 'succeeded'
+        };
+        refunds.push(refund);
+        return send(200, refund);
+      }
+
+      const match = req.url.match(/^\/v1\/payment_intents\/(\w+)$/);
+      if (req.method === 'GET' && match && paymentIntents.has(match[1])) {
+        return send(200, paymentIntents.get(match[1]));
+      }
+
+      const cancelMatch = req.url.match(/^\/v1\/payment_intents\/(\w+)\/cancel$/);
+      if (req.method === 'POST' && cancelMatch && paymentIntents.has(cancelMatch[1])) {
+        const intent = paymentIntents.get(cancelMatch[1]);
+        intent.status = 'canceled';
+        return send(200, intent);
+      }
+
+      send(404, { error: { type: 'invalid_request_error', message: `Rota não suportada: ${req.method} ${req.url}` } });
+    });
+  });
+}
+
+async function testPayments() {
+  const stripeServer = createStripeStandIn();
+  process.env.STRIPE_API_PORT = String(await listen(stripeServer));
+
+  // Só depois de configurar o ambiente: config/stripe e config/database leem-no ao carregar
+  const { signAccessToken } = require('../services/token-service');
+  const stripe = require('../config/stripe');
+  const { initializeDatabase } = require('../config/database');
+  const { userRepository, productRepository, categoryRepository, paymentRepository, orderRepository } = require('../repositories');
+  const { toCents } = require('../services/payment-service');
+  const { transitionOrder } = require('../services/order-service');
+
+  const { server, baseUrl, request } = await startTestServer([
+    ['/api/orders', require('../routes/orders')],
+    ['/api/payments', require('../routes/payments')],
+    ['/api/admin', require('../routes/admin-refunds')]
+  ], { rawPaths: ['/api/payments/webhook', '/api/payments/gateway/callback'] });
+
+  const { createMockGateway } = require('./mock-payment-gateway');
+  const gateway = createMockGateway({
+    callbackUrl: `${baseUrl}/api/payments/gateway/callback`,
+    apiKey: process.env.PAYMENT_GATEWAY_API_KEY,
+    callbackSecret: process.env.PAYMENT_GATEWAY_CALLBACK_SECRET
+  });
+  process.env.PAYMENT_GATEWAY_URL = `http://127.0.0.1:${await listen(gateway.server)}`;
+
+  let eventCount = 0;
+  const sendEvent = (type, object, { id, signature } = {}) => {
+    const payload = JSON.stringify({ id: id || `evt_test_${++eventCount}`, object: 'event', type, data: { object } });
+    const header = signature || stripe.webhooks.generateTestHeaderString({
+      payload,
+      secret: process.env.STRIPE_WEBHOOK_SECRET
+    });
+    return request('POST', '/api/payments/webhook', { body: payload, headers: { 'stripe-signature': header } });
+  };
+
+  try {
+    console.log('🔍 Testando pagamentos (Stripe e gateway locais)...');
+    await initializeDatabase();
+
+    // Dados de teste próprios (independentes dos dados iniciais)
+    const categoryId = await categoryRepository.insert({ name: 'Teste Pagamentos', slug: 'teste-pagamentos' });
+    const productId = await productRepository.create({ name: 'Pastel de Teste', price: 4.2, category_id: categoryId, is_available: 1 });
+    const customerId = await userRepository.create({ name: 'Cliente Teste', email: 'pagamentos@teste.pt', password: 'x' });
+    const otherId = await userRepository.create({ name: 'Outro Cliente', email: 'outro@teste.pt', password: 'x' });
+    const adminId = await userRepository.create({ name: 'Admin Teste', username: 'admin-pagamentos', password: 'x', role: 'admin' });
+    const token = signAccessToken(customerId);
+    const otherToken = signAccessToken(otherId);
+    const adminToken = signAccessToken(adminId);
+
+    const created = await request('POST', '/api/orders', {
+      token,
+      body: { items: [{ productId, quantity: 3 }], deliveryType: 'pickup', paymentMethod: 'card' }
+    });
+    assert.strictEqual(created.status, 201, JSON.stringify(created.data));
+    const order = created.data.data.order;
+    console.log('✅ Pedido criado:', order.order_number, '-', order.final_amount, '€');
+
+    // O valor enviado pelo cliente é ignorado
+    const intentResponse = await request('POST', '/api/payments/create-payment-intent', {
+      token,
+      body: { orderId: order.id, amount: 0.5 }
+    });
+    assert.strictEqual(intentResponse.status, 200, JSON.stringify(intentResponse.data));
+    const { paymentIntentId, clientSecret } = intentResponse.data;
+    assert.strictEqual(paymentIntents.get(paymentIntentId).amount, toCents(order.final_amount));
+    assert.strictEqual(paymentIntents.get(paymentIntentId).metadata.order_id, String(order.id));
+    assert.ok(clientSecret);
+    const payment = await paymentRepository.findByProviderPaymentId(paymentIntentId);
+    assert.strictEqual(payment.status, 'pending');
+    console.log('✅ PaymentIntent criado a partir do pedido:', paymentIntentId);
+
+    const again = await request('POST', '/api/payments/create-payment-intent', { token, body: { orderId: order.id } });
+    assert.strictEqual(again.data.paymentIntentId, paymentIntentId);
+    console.log('✅ PaymentIntent pendente reutilizado');
+
+    const foreign = await request('POST', '/api/payments/create-payment-intent', { token: otherToken, body: { orderId: order.id } });
+    assert.strictEqual(foreign.status, 403);
+    console.log('✅ Pedido de outro cliente recusado');
+
+    const forged = await sendEvent('payment_intent.succeeded', { id: paymentIntentId }, { signature: 't=1,v1=assinatura_falsa' });
+    assert.strictEqual(forged.status, 400);
+    console.log('✅ Webhook com assinatura inválida recusado');
+
+    const succeeded = await sendEvent('payment_intent.succeeded', { id: paymentIntentId }, { id: 'evt_test_succeeded' });
+    assert.strictEqual(succeeded.status, 200);
+    assert.strictEqual((await orderRepository.findById(order.id)).payment_status, 'succeeded');
+    console.log('✅ Pagamento confirmado pelo webhook');
+
+    const replay = await sendEvent('payment_intent.succeeded', { id: paymentIntentId }, { id: 'evt_test_succeeded' });
+    assert.strictEqual(replay.data.duplicate, true);
+    console.log('✅ Evento repetido ignorado');
+
+    await sendEvent('payment_intent.payment_failed', { id: paymentIntentId, last_payment_error: { message: 'Cartão recusado' } });
+    assert.strictEqual((await orderRepository.findById(order.id)).payment_status, 'succeeded');
+    console.log('✅ Evento fora de ordem não reverte um pagamento confirmado');
+
+    await sendEvent('charge.refunded', { id: 'ch_test_1', payment_intent: paymentIntentId, refunded: false });
+    assert.strictEqual((await orderRepository.findById(order.id)).payment_status, 'succeeded');
+    await sendEvent('charge.refunded', { id: 'ch_test_1', payment_intent: paymentIntentId, refunded: true });
+    assert.strictEqual((await orderRepository.findById(order.id)).payment_status, 'refunded');
+    assert.strictEqual((await paymentRepository.findById(payment.id)).status, 'refunded');
+    console.log('✅ Reembolso total atualiza o pedido');
+
+    const paidAgain = await request('POST', '/api/payments/create-payment-intent', { token, body: { orderId: order.id } });
+    assert.strictEqual(paidAgain.status, 409);
+    console.log('✅ Pedido reembolsado não pode ser pago novamente');
+
+    // Reembolsos: pedido pago com cartão e entregue (com pontos de fidelidade ganhos)
+    const second = await request('POST', '/api/orders', {
+      token,
+      body: { items: [{ productId, quantity: 4 }], deliveryType: 'pickup', paymentMethod: 'card' }
+    });
+    const paidOrder = second.data.data.order;
+    const secondIntent = await request('POST', '/api/payments/create-payment-intent', { token, body: { orderId: paidOrder.id } });
+    await sendEvent('payment_intent.succeeded', { id: secondIntent.data.paymentIntentId });
+    for (const status of ['confirmed', 'preparing', 'ready', 'picked_up', 'delivered']) {
+      await transitionOrder(paidOrder.id, status, { id: null, role: 'staff' });
+    }
+    const pointsBefore = (await userRepository.findById(customerId)).loyalty_points;
+    assert.ok(pointsBefore >= Math.floor(paidOrder.final_amount));
+
+    const summary = await request('GET', `/api/admin/orders/${paidOrder.id}/refunds`, { token: adminToken });
+    const [orderItem] = summary.data.data.items;
+    assert.strictEqual(orderItem.refundable_quantity, 4);
+
+    const partial = await request('POST', `/api/admin/orders/${paidOrder.id}/refunds`, {
+      token: adminToken,
+      body: { type: 'partial', reason: 'damaged', items: [{ orderItemId: orderItem.id, quantity: 1 }] }
+    });
+    assert.strictEqual(partial.status, 201, JSON.stringify(partial.data));
+    assert.strictEqual(partial.data.data.amount, 5.17);
+    assert.strictEqual(refunds[0].amount, 517);
+    assert.strictEqual((await orderRepository.findById(paidOrder.id)).payment_status, 'partially_refunded');
+    assert.strictEqual((await userRepository.findById(customerId)).loyalty_points, pointsBefore - 5);
+    console.log('✅ Reembolso parcial emitido no Stripe e pontos retirados');
+
+    const tooMany = await request('POST', `/api/admin/orders/${paidOrder.id}/refunds`, {
+      token: adminToken,
+      body: { type: 'partial', reason: 'damaged', items: [{ orderItemId: orderItem.id, quantity: 4 }] }
+    });
+    assert.strictEqual(tooMany.status, 409);
+    console.log('✅ Quantidade acima da reembolsável recusada');
+
+    const full = await request('POST', `/api/admin/orders/${paidOrder.id}/refunds`, {
+      token: adminToken,
+      body: { type: 'full', reason: 'customer_request' }
+    });
+    assert.strictEqual(full.status, 201, JSON.stringify(full.data));
+    assert.strictEqual(full.data.data.amount, Math.round((paidOrder.final_amount - 5.17) * 100) / 100);
+    const refundedOrder = await orderRepository.findById(paidOrder.id);
+    assert.strictEqual(refundedOrder.payment_status, 'refunded');
+    assert.strictEqual(refundedOrder.status, 'refunded');
+    assert.strictEqual((await userRepository.findById(customerId)).loyalty_points, pointsBefore - Math.floor(paidOrder.final_amount));
+    console.log('✅ Reembolso total fecha o pedido e retira os restantes pontos');
+
+    const nothingLeft = await request('POST', `/api/admin/orders/${paidOrder.id}/refunds`, {
+      token: adminToken,
+      body: { type: 'full', reason: 'other' }
+    });
+    assert.strictEqual(nothingLeft.status, 409);
+    console.log('✅ Pedido totalmente reembolsado não volta a ser reembolsado');
+
+    // Reembolso total de um pedido pago ainda por entregar: cancelado primeiro (o stock volta)
+    const stockedId = await productRepository.create({ name: 'Bolo de Teste', price: 6, category_id: categoryId, is_available: 1, stock_quantity: 10 });
+    const undelivered = await request('POST', '/api/orders', {
+      token,
+      body: { items: [{ productId: stockedId, quantity: 2 }], deliveryType: 'pickup', paymentMethod: 'card' }
+    });
+    const undeliveredOrder = undelivered.data.data.order;
+    const undeliveredIntent = await request('POST', '/api/payments/create-payment-intent', { token, body: { orderId: undeliveredOrder.id } });
+    await sendEvent('payment_intent.succeeded', { id: undeliveredIntent.data.paymentIntentId });
+    for (const status of ['confirmed', 'preparing']) {
+      await transitionOrder(undeliveredOrder.id, status, { id: null, role: 'staff' });
+    }
+    assert.strictEqual((await productRepository.findById(stockedId)).stock_quantity, 8);
+
+    const undeliveredRefund = await request('POST', `/api/admin/orders/${undeliveredOrder.id}/refunds`, {
+      token: adminToken,
+      body: { type: 'full', reason: 'customer_request' }
+    });
+    assert.strictEqual(undeliveredRefund.status, 201, JSON.stringify(undeliveredRefund.data));
+    assert.strictEqual((await orderRepository.findById(undeliveredOrder.id)).status, 'refunded');
+    assert.strictEqual((await productRepository.findById(stockedId)).stock_quantity, 10);
+    const undeliveredHistory = await orderRepository.findStatusHistory(undeliveredOrder.id);
+    assert.ok(undeliveredHistory.some(entry => entry.status === 'cancelled'));
+    console.log('✅ Reembolso total de um pedido por entregar cancela-o (com o stock devolvido) e fecha-o');
+
+    // Cliente cancela um pedido já pago com cartão: o valor é reembolsado no Stripe
+    const paidToCancel = await request('POST', '/api/orders', {
+      token,
+      body: { items: [{ productId: stockedId, quantity: 1 }], deliveryType: 'pickup', paymentMethod: 'card' }
+    });
+    const paidToCancelOrder = paidToCancel.data.data.order;
+    const paidToCancelIntent = await request('POST', '/api/payments/create-payment-intent', { token, body: { orderId: paidToCancelOrder.id } });
+    await sendEvent('payment_intent.succeeded', { id: paidToCancelIntent.data.paymentIntentId });
+    const refundsBefore = refunds.length;
+
+    const customerCancel = await request('POST', `/api/orders/${paidToCancelOrder.id}/cancel`, { token, body: { reason: 'Enganei-me' } });
+    assert.strictEqual(customerCancel.status, 200, JSON.stringify(customerCancel.data));
+    assert.strictEqual(customerCancel.data.data.refund.amount, paidToCancelOrder.final_amount);
+    assert.strictEqual(customerCancel.data.data.newStatus, 'refunded');
+    assert.strictEqual(refunds.length, refundsBefore + 1);
+    assert.strictEqual(refunds[refunds.length - 1].payment_intent, paidToCancelIntent.data.paymentIntentId);
+    assert.strictEqual(refunds[refunds.length - 1].amount, toCents(paidToCancelOrder.final_amount));
+    assert.strictEqual((await orderRepository.findById(paidToCancelOrder.id)).payment_status, 'refunded');
+    assert.strictEqual((await productRepository.findById(stockedId)).stock_quantity, 10);
+    console.log('✅ Pedido pago cancelado pelo cliente é reembolsado no fornecedor');
+
+    // MB WAY: pedido na app, confirmado pelo callback do gateway
+    const placeOrder = async (paymentMethod) => {
+      const response = await request('POST', '/api/orders', {
+        token,
+        body: { items: [{ productId, quantity: 1 }], deliveryType: 'pickup', paymentMethod }
+      });
+      assert.strictEqual(response.status, 201, JSON.stringify(response.data));
+      return response.data.data.order;
+    };
+    const simulate = (payment, outcome) => fetch(`${process.env.PAYMENT_GATEWAY_URL}/v1/payments/${payment.provider_payment_id}/simulate`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${process.env.PAYMENT_GATEWAY_API_KEY}` },
+      body: JSON.stringify({ outcome })
+    }).then(response => response.json());
+
+    const mbwayOrder = await placeOrder('mbway');
+    const badPhone = await request('POST', '/api/payments', { token, body: { orderId: mbwayOrder.id, phone: '212345678' } });
+    assert.strictEqual(badPhone.status, 400);
+    const mbway = await request('POST', '/api/payments', { token, body: { orderId: mbwayOrder.id, phone: '+351 912345678' } });
+    assert.strictEqual(mbway.status, 201, JSON.stringify(mbway.data));
+    assert.strictEqual(mbway.data.data.payment.provider, 'mbway');
+    assert.strictEqual(mbway.data.data.phone, '912345678');
+    const mbwayAgain = await request('POST', '/api/payments', { token, body: { orderId: mbwayOrder.id, phone: '912345678' } });
+    assert.strictEqual(mbwayAgain.data.data.payment.id, mbway.data.data.payment.id);
+    const mbwayPayment = await paymentRepository.findById(mbway.data.data.payment.id);
+    assert.strictEqual(gateway.payments.get(mbwayPayment.provider_payment_id).amount, mbwayOrder.final_amount);
+    console.log('✅ Pedido MB WAY criado no gateway e reutilizado enquanto pendente');
+
+    const notCard = await request('POST', '/api/payments/create-payment-intent', { token, body: { orderId: mbwayOrder.id } });
+    assert.strictEqual(notCard.status, 400);
+
+    const forgedCallback = await request('POST', '/api/payments/gateway/callback', {
+      body: { id: 'gwevt_forjado', type: 'payment.succeeded', data: { paymentId: mbwayPayment.provider_payment_id } },
+      headers: { 'x-gateway-signature': 'assinatura_falsa' }
+    });
+    assert.strictEqual(forgedCallback.status, 400);
+    assert.strictEqual((await orderRepository.findById(mbwayOrder.id)).payment_status, 'pending');
+    console.log('✅ Callback do gateway com assinatura inválida recusado');
+
+    assert.strictEqual((await simulate(mbwayPayment, 'paid')).callbackStatus, 200);
+    assert.strictEqual((await paymentRepository.findById(mbwayPayment.id)).status, 'succeeded');
+    assert.strictEqual((await orderRepository.findById(mbwayOrder.id)).payment_status, 'succeeded');
+    console.log('✅ Pagamento MB WAY confirmado pelo callback');
+
+    const mbwayRefund = await request('POST', `/api/admin/orders/${mbwayOrder.id}/refunds`, {
+      token: adminToken,
+      body: { type: 'full', reason: 'quality' }
+    });
+    assert.strictEqual(mbwayRefund.status, 201, JSON.stringify(mbwayRefund.data));
+    assert.strictEqual(gateway.refunds.length, 1);
+    assert.strictEqual(mbwayRefund.data.data.provider_refund_id, gateway.refunds[0].id);
+    assert.strictEqual((await orderRepository.findById(mbwayOrder.id)).payment_status, 'refunded');
+    console.log('✅ Reembolso MB WAY emitido no gateway');
+
+    // Multibanco: referência expirada é substituída por uma nova
+    const multibancoOrder = await placeOrder('multibanco');
+    const reference = await request('POST', '/api/payments', { token, body: { orderId: multibancoOrder.id } });
+    assert.strictEqual(reference.status, 201, JSON.stringify(reference.data));
+    assert.ok(reference.data.data.entity && /^\d{9}$/.test(reference.data.data.reference));
+    assert.ok(reference.data.data.expiresAt);
+    const referencePayment = await paymentRepository.findById(reference.data.data.payment.id);
+    await simulate(referencePayment, 'expired');
+    assert.strictEqual((await paymentRepository.findById(referencePayment.id)).status, 'canceled');
+    assert.strictEqual((await orderRepository.findById(multibancoOrder.id)).payment_status, 'canceled');
+    const newReference = await request('POST', '/api/payments', { token, body: { orderId: multibancoOrder.id } });
+    assert.notStrictEqual(newReference.data.data.payment.id, referencePayment.id);
+    await simulate(await paymentRepository.findById(newReference.data.data.payment.id), 'paid');
+    assert.strictEqual((await orderRepository.findById(multibancoOrder.id)).payment_status, 'succeeded');
+    console.log('✅ Referência Multibanco expirada substituída e paga');
+
+    // Dinheiro na entrega: pendente até o pedido ser entregue
+    const cashOrder = await placeOrder('cash');
+    const cash = await request('POST', '/api/payments', { token, body: { orderId: cashOrder.id } });
+    assert.strictEqual(cash.status, 201, JSON.stringify(cash.data));
+    assert.strictEqual(cash.data.data.payment.status, 'pending');
+    for (const status of ['confirmed', 'preparing', 'ready', 'picked_up', 'delivered']) {
+      await transitionOrder(cashOrder.id, status, { id: null, role: 'staff' });
+    }
+    assert.strictEqual((await paymentRepository.findById(cash.data.data.payment.id)).status, 'succeeded');
+    assert.strictEqual((await orderRepository.findById(cashOrder.id)).payment_status, 'succeeded');
+    console.log('✅ Pagamento em dinheiro liquidado na entrega');
+
+    const cancelledCashOrder = await placeOrder('cash');
+    const cancelledCash = await request('POST', '/api/payments', { token, body: { orderId: cancelledCashOrder.id } });
+    await transitionOrder(cancelledCashOrder.id, 'cancelled', { id: null, role: 'staff' });
+    assert.strictEqual((await paymentRepository.findById(cancelledCash.data.data.payment.id)).status, 'canceled');
+    console.log('✅ Pagamento em dinheiro anulado com o pedido cancelado');
+
+    // Pedido alterado com um PaymentIntent pendente: o antigo é anulado e, se ainda for pago,
+    // fica por rever em vez de marcar o pedido como pago
+    const changedOrder = await placeOrder('card');
+    const staleIntent = await request('POST', '/api/payments/create-payment-intent', { token, body: { orderId: changedOrder.id } });
+    const modified = await request('PUT', `/api/orders/${changedOrder.id}`, { token, body: { items: [{ productId, quantity: 2 }] } });
+    assert.strictEqual(modified.status, 200, JSON.stringify(modified.data));
+    assert.strictEqual(paymentIntents.get(staleIntent.data.paymentIntentId).status, 'canceled');
+    const stalePayment = await paymentRepository.findByProviderPaymentId(staleIntent.data.paymentIntentId);
+    assert.strictEqual(stalePayment.status, 'canceled');
+    console.log('✅ PaymentIntent anulado quando o pedido é alterado');
+
+    await sendEvent('payment_intent.succeeded', { id: staleIntent.data.paymentIntentId });
+    assert.strictEqual((await orderRepository.findById(changedOrder.id)).payment_status, 'pending');
+    assert.ok((await paymentRepository.findById(stalePayment.id)).review_reason);
+    const newIntent = await request('POST', '/api/payments/create-payment-intent', { token, body: { orderId: changedOrder.id } });
+    assert.notStrictEqual(newIntent.data.paymentIntentId, staleIntent.data.paymentIntentId);
+    assert.strictEqual(paymentIntents.get(newIntent.data.paymentIntentId).amount, toCents((await orderRepository.findById(changedOrder.id)).final_amount));
+    console.log('✅ Pagamento tardio do valor antigo fica por rever e o novo usa o total atual');
+
+    // Valor pago diferente do total do pedido
+    const mismatchOrder = await placeOrder('card');
+    const mismatchIntent = await request('POST', '/api/payments/create-payment-intent', { token, body: { orderId: mismatchOrder.id } });
+    await orderRepository.updateById(mismatchOrder.id, { final_amount: mismatchOrder.final_amount + 1 });
+    await sendEvent('payment_intent.succeeded', { id: mismatchIntent.data.paymentIntentId });
+    assert.strictEqual((await orderRepository.findById(mismatchOrder.id)).payment_status, 'pending');
+    assert.match((await paymentRepository.findByProviderPaymentId(mismatchIntent.data.paymentIntentId)).review_reason, /diferente do total/);
+    console.log('✅ Pagamento com valor diferente do total não é aplicado');
+
+    // Pedido cancelado com referência Multibanco pendente: anulada no gateway
+    const cancelledReferenceOrder = await placeOrder('multibanco');
+    const pendingReference = await request('POST', '/api/payments', { token, body: { orderId: cancelledReferenceOrder.id } });
+    const cancelled = await request('POST', `/api/orders/${cancelledReferenceOrder.id}/cancel`, { token, body: { reason: 'Já não preciso' } });
+    assert.strictEqual(cancelled.status, 200, JSON.stringify(cancelled.data));
+    const voidedReference = await paymentRepository.findById(pendingReference.data.data.payment.id);
+    assert.strictEqual(voidedReference.status, 'canceled');
+    assert.strictEqual(gateway.payments.get(voidedReference.provider_payment_id).status, 'canceled');
+    assert.strictEqual((await orderRepository.findById(cancelledReferenceOrder.id)).payment_status, 'canceled');
+    assert.strictEqual((await simulate(voidedReference, 'paid')).message, 'Pagamento anulado');
+    console.log('✅ Referência Multibanco anulada no gateway com o pedido cancelado');
+
+    // Dinheiro: a entrega liquida o total atual do pedido, não o valor pedido antes
+    const changedCashOrder = await placeOrder('cash');
+    const changedCash = await request('POST', '/api/payments', { token, body: { orderId: changedCashOrder.id } });
+    await orderRepository.updateById(changedCashOrder.id, { final_amount: changedCashOrder.final_amount + 2 });
+    for (const status of ['confirmed', 'preparing', 'ready', 'picked_up', 'delivered']) {
+      await transitionOrder(changedCashOrder.id, status, { id: null, role: 'staff' });
+    }
+    assert.strictEqual((await paymentRepository.findById(changedCash.data.data.payment.id)).amount, changedCashOrder.final_amount + 2);
+    console.log('✅ Pagamento em dinheiro liquidado pelo total atual do pedido');
+
+    console.log('\n🎉 Pagamentos estão funcionando!');
+  } catch (error) {
+    console.error('❌ Teste de pagamentos falhou:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await cleanup({ servers: [server, stripeServer, gateway.server], dbFile });
+  }
+}
+
+// Executar teste
+testPayments();
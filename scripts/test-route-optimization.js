@@ -0,0 +1,217 @@
+// Teste do cálculo de rotas das entregas: ordem das paragens (vizinho mais próximo + 2-opt),
+// distâncias e horas previstas, horas prometidas aos clientes e limite de paragens por volta.
+// Base de dados temporária; os pedidos e as entregas são criados diretamente nos repositórios.
+const assert = require('assert');
+const { setupTestEnv, startTestServer, cleanup } = require('./test-helpers');
+
+const dbFile = setupTestEnv('route-optimization', {
+  BAKERY_LAT: '38.70',
+  BAKERY_LNG: '-9.14',
+  DELIVERY_AVERAGE_SPEED_KMH: '20',
+  DELIVERY_STOP_MINUTES: '3',
+  DELIVERY_WINDOW_MINUTES: '15',
+  // Fuso horário diferente de UTC: as horas gravadas sem fuso têm de ser lidas em UTC
+  TZ: 'America/New_York'
+});
+
+const START = '2025-03-10T10:00:00.000Z';
+const minutesAfterStart = minutes => new Date(Date.parse(START) + minutes * 60 * 1000).toISOString();
+
+async function testRouteOptimization() {
+  // Só depois de configurar o ambiente: config/database lê o DB_PATH ao carregar
+  const bcrypt = require('bcryptjs');
+  const { initializeDatabase } = require('../config/database');
+  const { userRepository, orderRepository, deliveryRepository } = require('../repositories');
+  const { signAccessToken } = require('../services/token-service');
+  const { distanceKm } = require('../services/delivery-tracking-service');
+
+  const { server, request } = await startTestServer([
+    ['/api/delivery', require('../routes/delivery')]
+  ]);
+
+  let orderCount = 0;
+  const createDelivery = async (name, lat, lng, { specificTime, estimatedTime, status = 'pending', userId = null } = {}) => {
+    orderCount += 1;
+    const orderId = await orderRepository.create({
+      order_number: `ROTA-${orderCount}`,
+      user_id: userId,
+      customer_name: name,
+      status: 'confirmed',
+      delivery_type: 'delivery',
+      delivery_street: `Rua ${name}`,
+      delivery_city: 'Lisboa',
+      delivery_postal_code: '1000-001',
+      delivery_lat: lat,
+      delivery_lng: lng,
+      specific_time: specificTime || null,
+      subtotal: 10,
+      final_amount: 12.5
+    });
+    return deliveryRepository.create({ orderId, status, estimatedTime });
+  };
+
+  const optimize = (token, body) => request('POST', '/api/delivery/optimize-route', { token, body });
+
+  try {
+    console.log('🔍 Testando cálculo de rotas...');
+    await initializeDatabase();
+
+    const password = await bcrypt.hash('Segura123', 4);
+    const staff = signAccessToken(await userRepository.create({ name: 'Balcão', username: 'balcao-rotas', password, role: 'staff' }));
+    const driver = signAccessToken(await userRepository.create({ name: 'Rui Entregador', username: 'rui', password, role: 'driver' }));
+    const customerId = await userRepository.create({ name: 'Maria Silva', email: 'maria@teste.pt', password });
+    const customer = signAccessToken(customerId);
+
+    // Quatro moradas em linha para norte da padaria (38.70), a cerca de 1,1 km umas das outras
+    const a = await createDelivery('A', 38.71, -9.14);
+    const b = await createDelivery('B', 38.72, -9.14);
+    const c = await createDelivery('C', 38.73, -9.14);
+    const d = await createDelivery('D', 38.74, -9.14);
+
+    let result = await optimize(staff, { deliveryIds: [c, a, d, b], startTime: START });
+    assert.strictEqual(result.status, 200, JSON.stringify(result.data));
+    let route = result.data.data;
+    assert.deepStrictEqual(route.stops.map(stop => stop.deliveryId), [a, b, c, d]);
+    assert.strictEqual(route.start.departureTime, START);
+
+    const leg = distanceKm({ lat: 38.70, lng: -9.14 }, { lat: 38.71, lng: -9.14 });
+    assert.strictEqual(route.stops[0].distanceFromPreviousKm, Math.round(leg * 100) / 100);
+    assert.strictEqual(route.stops[3].cumulativeDistanceKm, Math.round(leg * 4 * 100) / 100);
+    assert.strictEqual(route.returnDistanceKm, Math.round(leg * 4 * 100) / 100);
+    assert.strictEqual(route.totalDistanceKm, Math.round(leg * 8 * 100) / 100);
+
+    // ~3,3 min por troço a 20 km/h, mais 3 min em cada paragem
+    const legMinutes = leg / 20 * 60;
+    const minutesFromStart = eta => (Date.parse(eta) - Date.parse(START)) / 60000;
+    assert.ok(Math.abs(minutesFromStart(route.stops[0].eta) - legMinutes) < 0.01);
+    assert.ok(Math.abs(minutesFromStart(route.stops[1].eta) - (2 * legMinutes + 3)) < 0.01);
+    assert.strictEqual(route.totalDurationMinutes, Math.round(8 * legMinutes + 4 * 3));
+    assert.strictEqual(route.stops[0].address, 'Rua A, 1000-001 Lisboa');
+    assert.strictEqual(route.stops[0].orderNumber, 'ROTA-1');
+    assert.strictEqual(route.lateStops, 0);
+    assert.deepStrictEqual(route.remaining, []);
+    console.log('✅ Paragens ordenadas a partir da padaria, com distâncias e horas previstas');
+
+    // Pontos espalhados: a rota é (quase) a melhor possível, comparada com todas as ordens
+    const scattered = [
+      await createDelivery('E', 38.712, -9.165),
+      await createDelivery('F', 38.735, -9.120),
+      await createDelivery('G', 38.690, -9.110),
+      await createDelivery('H', 38.745, -9.155),
+      await createDelivery('I', 38.705, -9.128),
+      await createDelivery('J', 38.726, -9.172)
+    ];
+    result = await optimize(staff, { deliveryIds: scattered, startTime: START });
+    route = result.data.data;
+
+    const points = route.stops.map(stop => ({ lat: stop.latitude, lng: stop.longitude }));
+    const tourLength = (tour) => {
+      let previous = { lat: 38.70, lng: -9.14 };
+      let total = 0;
+      for (const point of [...tour, previous]) {
+        total += distanceKm(previous, point);
+        previous = point;
+      }
+      return total;
+    };
+    const permutations = list => (list.length <= 1
+      ? [list]
+      : list.flatMap((item, index) => permutations([...list.slice(0, index), ...list.slice(index + 1)]).map(rest => [item, ...rest])));
+    const optimum = Math.min(...permutations(points).map(tourLength));
+    assert.ok(route.totalDistanceKm <= optimum * 1.05 + 0.01, `${route.totalDistanceKm} vs ${optimum}`);
+    console.log(`✅ Rota de ${route.totalDistanceKm} km para 6 paragens (melhor possível: ${Math.round(optimum * 100) / 100} km)`);
+
+    // Horas prometidas: D, a mais longe, prometida para a hora de partida, vai primeiro
+    // (pela ordem da linha chegava depois do fim da janela); A, prometida para daqui a
+    // 1 hora, vai no fim, com espera até a janela abrir
+    const urgent = await createDelivery('D2', 38.74, -9.14, { specificTime: START });
+    const later = await createDelivery('A2', 38.71, -9.14, { specificTime: minutesAfterStart(60) });
+    result = await optimize(staff, { deliveryIds: [b, later, c, urgent], startTime: START });
+    route = result.data.data;
+    assert.deepStrictEqual(route.stops.map(stop => stop.deliveryId), [urgent, c, b, later]);
+    assert.strictEqual(route.stops[0].lateMinutes, 0);
+    assert.strictEqual(route.stops[0].promisedWindow.end, minutesAfterStart(15));
+    assert.strictEqual(route.stops[3].eta, minutesAfterStart(45));
+    assert.ok(route.stops[3].waitMinutes > 0);
+    assert.strictEqual(route.stops[1].promisedWindow, null);
+    assert.strictEqual(route.lateStops, 0);
+    console.log('✅ Horas prometidas respeitadas, com espera quando se chega cedo');
+
+    // Hora prevista da entrega gravada em UTC sem fuso (AAAA-MM-DD HH:MM:SS)
+    const estimated = await createDelivery('B2', 38.72, -9.14, { estimatedTime: '2025-03-10 10:30:00' });
+    result = await optimize(staff, { deliveryIds: [estimated], startTime: START });
+    assert.strictEqual(result.data.data.stops[0].promisedWindow.start, minutesAfterStart(15));
+    assert.strictEqual(result.data.data.stops[0].promisedWindow.end, minutesAfterStart(45));
+    console.log('✅ Horas previstas gravadas sem fuso lidas em UTC');
+
+    // Hora impossível de cumprir: a entrega fica marcada como atrasada
+    const impossible = await createDelivery('Longe', 38.80, -9.14, { specificTime: minutesAfterStart(-30) });
+    result = await optimize(staff, { deliveryIds: [a, impossible], startTime: START });
+    route = result.data.data;
+    assert.strictEqual(route.stops[0].deliveryId, impossible);
+    assert.ok(route.stops[0].lateMinutes > 0);
+    assert.strictEqual(route.lateStops, 1);
+    console.log('✅ Entregas que já não chegam a horas vêm primeiro e marcadas como atrasadas');
+
+    // Limite de paragens: ficam para a volta seguinte as de prazo mais tarde
+    // (as sem hora prometida contam como devidas desde a partida)
+    result = await optimize(staff, { deliveryIds: [later, a, b, urgent], startTime: START, maxStops: 2 });
+    route = result.data.data;
+    assert.strictEqual(route.stops.length, 2);
+    assert.deepStrictEqual(route.stops.map(stop => stop.deliveryId), [a, b]);
+    assert.deepStrictEqual(route.remaining.map(stop => stop.deliveryId), [urgent, later]);
+    assert.strictEqual(route.remaining[0].orderNumber, 'ROTA-11');
+
+    result = await optimize(staff, { deliveryIds: [...scattered, a, b, c, d], startTime: START });
+    assert.strictEqual(result.data.data.stops.length, 8);
+    assert.strictEqual(result.data.data.remaining.length, 2);
+    console.log('✅ Máximo de paragens por volta, com as restantes para a volta seguinte');
+
+    // Erros
+    assert.strictEqual((await optimize(staff, { deliveryIds: [] })).status, 400);
+    assert.strictEqual((await optimize(staff, { deliveryIds: ['x'] })).status, 400);
+    assert.strictEqual((await optimize(staff, { deliveryIds: [a], startTime: 'amanhã' })).status, 400);
+    assert.strictEqual((await optimize(staff, { deliveryIds: [a], maxStops: 0 })).status, 400);
+    const legacy = await optimize(staff, { deliveries: [{ address: 'Rua A' }] });
+    assert.strictEqual(legacy.status, 400);
+    assert.match(legacy.data.errors[0].message, /deliveryIds/);
+
+    const notFound = await optimize(staff, { deliveryIds: [a, 9999] });
+    assert.strictEqual(notFound.status, 404);
+    assert.deepStrictEqual(notFound.data.deliveryIds, [9999]);
+
+    const departed = await createDelivery('Saiu', 38.72, -9.13, { status: 'out_for_delivery' });
+    const conflict = await optimize(staff, { deliveryIds: [a, departed] });
+    assert.strictEqual(conflict.status, 409);
+    assert.deepStrictEqual(conflict.data.deliveryIds, [departed]);
+
+    const noCoordinates = await createDelivery('Sem GPS', null, null);
+    const invalid = await optimize(staff, { deliveryIds: [a, noCoordinates] });
+    assert.strictEqual(invalid.status, 400);
+    assert.deepStrictEqual(invalid.data.deliveryIds, [noCoordinates]);
+
+    // Morada escrita sem coordenadas: usa as do perfil do cliente, se for a mesma rua
+    await userRepository.updateById(customerId, { street: 'Rua Perfil', lat: 38.715, lng: -9.15 });
+    const fromProfile = await createDelivery('Perfil', null, null, { userId: customerId });
+    const otherStreet = await createDelivery('Outra', null, null, { userId: customerId });
+    const profileRoute = await optimize(staff, { deliveryIds: [a, fromProfile] });
+    assert.strictEqual(profileRoute.status, 200, JSON.stringify(profileRoute.data));
+    assert.strictEqual(profileRoute.data.data.stops.find(stop => stop.deliveryId === fromProfile).latitude, 38.715);
+    assert.deepStrictEqual((await optimize(staff, { deliveryIds: [fromProfile, otherStreet] })).data.deliveryIds, [otherStreet]);
+
+    assert.strictEqual((await optimize(driver, { deliveryIds: [a] })).status, 403);
+    assert.strictEqual((await optimize(customer, { deliveryIds: [a] })).status, 403);
+    assert.strictEqual((await optimize(null, { deliveryIds: [a] })).status, 401);
+    console.log('✅ Entregas inexistentes, já saídas ou sem coordenadas (nem no perfil) recusadas; só para a staff');
+
+    console.log('\n🎉 Cálculo de rotas está funcionando!');
+  } catch (error) {
+    console.error('❌ Teste do cálculo de rotas falhou:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await cleanup({ servers: [server], dbFile });
+  }
+}
+
+// Executar teste
+testRouteOptimization();
@@ -0,0 +1,93 @@
+// Teste das sessões: troca do refresh token a cada renovação, reutilização de um token já
+// trocado (revoga a sessão inteira), logout, logout em todos os dispositivos e sessões
+// terminadas quando a loja repõe a password ou desativa a conta. Base de dados temporária.
+const assert = require('assert');
+const { setupTestEnv, startTestServer, cleanup } = require('./test-helpers');
+
+const dbFile = setupTestEnv('sessions');
+
+async function testSessions() {
+  // Só depois de configurar o ambiente: config/database lê o DB_PATH ao carregar
+  const bcrypt = require('bcryptjs');
+  const { initializeDatabase } = require('../config/database');
+  const { userRepository } = require('../repositories');
+  const { signAccessToken } = require('../services/token-service');
+
+  const { server, request } = await startTestServer([
+    ['/api/auth', require('../routes/auth')],
+    ['/api/users', require('../routes/users')]
+  ]);
+
+  const login = async () => {
+    const response = await request('POST', '/api/auth/login', { body: { email: 'maria@teste.pt', password: 'Segura123' } });
+    assert.strictEqual(response.status, 200, JSON.stringify(response.data));
+    return response.data.data;
+  };
+  const refresh = (refreshToken) => request('POST', '/api/auth/refresh', { body: { refreshToken } });
+
+  try {
+    console.log('🔍 Testando sessões e refresh tokens...');
+    await initializeDatabase();
+
+    const password = await bcrypt.hash('Segura123', 4);
+    const customerId = await userRepository.create({ name: 'Maria Silva', email: 'maria@teste.pt', password });
+    const staffId = await userRepository.create({ name: 'Balcão', username: 'balcao', password, role: 'staff' });
+    const staff = signAccessToken(staffId);
+
+    // Cada refresh token serve uma vez; reutilizá-lo revoga a família
+    const first = await login();
+    const rotated = await refresh(first.refreshToken);
+    assert.strictEqual(rotated.status, 200, JSON.stringify(rotated.data));
+    assert.notStrictEqual(rotated.data.data.refreshToken, first.refreshToken);
+    assert.strictEqual((await request('GET', '/api/auth/me', { token: rotated.data.data.token })).status, 200);
+
+    const reused = await refresh(first.refreshToken);
+    assert.strictEqual(reused.status, 401);
+    assert.strictEqual((await refresh(rotated.data.data.refreshToken)).status, 401);
+    console.log('✅ Refresh token trocado a cada renovação; reutilizado revoga a sessão inteira');
+
+    // Logout: só a sessão deste dispositivo
+    const phone = await login();
+    const laptop = await login();
+    const logout = await request('POST', '/api/auth/logout', { token: phone.token, body: { refreshToken: phone.refreshToken } });
+    assert.strictEqual(logout.status, 200);
+    assert.strictEqual((await request('GET', '/api/auth/me', { token: phone.token })).status, 401);
+    assert.strictEqual((await refresh(phone.refreshToken)).status, 401);
+
+    const laptopRefreshed = await refresh(laptop.refreshToken);
+    assert.strictEqual(laptopRefreshed.status, 200);
+    console.log('✅ Logout termina só a sessão do dispositivo');
+
+    // Logout em todos os dispositivos
+    const tablet = await login();
+    assert.strictEqual((await request('POST', '/api/auth/logout-all', { token: tablet.token })).status, 200);
+    assert.strictEqual((await refresh(tablet.refreshToken)).status, 401);
+    assert.strictEqual((await refresh(laptopRefreshed.data.data.refreshToken)).status, 401);
+    console.log('✅ Logout em todos os dispositivos revoga todos os refresh tokens');
+
+    // Password reposta pela loja
+    const beforeReset = await login();
+    const reset = await request('PUT', `/api/users/admin/${customerId}/reset-password`, { token: staff, body: { newPassword: 'Segura123' } });
+    assert.strictEqual(reset.status, 200, JSON.stringify(reset.data));
+    assert.strictEqual((await refresh(beforeReset.refreshToken)).status, 401);
+    console.log('✅ Password reposta pela loja termina as sessões');
+
+    // Conta desativada pela loja: os refresh tokens não voltam a valer ao reativar
+    const beforeDeactivation = await login();
+    assert.strictEqual((await request('PUT', `/api/users/admin/${customerId}/update`, { token: staff, body: { isActive: false } })).status, 200);
+    assert.strictEqual((await request('PUT', `/api/users/admin/${customerId}/update`, { token: staff, body: { isActive: true } })).status, 200);
+    assert.strictEqual((await refresh(beforeDeactivation.refreshToken)).status, 401);
+    assert.strictEqual((await refresh((await login()).refreshToken)).status, 200);
+    console.log('✅ Conta desativada pela loja termina as sessões');
+
+    console.log('\n🎉 Sessões estão funcionando!');
+  } catch (error) {
+    console.error('❌ Teste de sessões falhou:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await cleanup({ servers: [server], dbFile });
+  }
+}
+
+// Executar teste
+testSessions();
@@ -1,37 +1,16 @@
-const db = require('../config/database');
-
-// Função helper para executar queries de forma síncrona
-const runQuery = (sql, params = []) => {
-  return new Promise((resolve, reject) => {
-    db.all(sql, params, (err, rows) => {
-      if (err) reject(err);
-      else resolve(rows);
-    });
-  });
-};
-
-const runQuerySingle = (sql, params = []) => {
-  return new Promise((resolve, reject) => {
-    db.get(sql, params, (err, row) => {
-      if (err) reject(err);
-      else resolve(row);
-    });
-  });
-};
-
-const runQueryExec = (sql, params = []) => {
-  return new Promise((resolve, reject) => {
-    db.run(sql, params, function(err) {
-      if (err) reject(err);
-      else resolve({ lastInsertRowid: this.lastInsertRowid, changes: this.changes });
-    });
-  });
-};
+const {
+  dbPath,
+  initializeDatabase,
+  all: runQuery,
+  get: runQuerySingle,
+  run: runQueryExec
+} = require('../config/database');
 
 // Script para testar banco SQLite
 async function testSQLiteConnection() {
   try {
     console.log('🔍 Testando banco SQLite...');
+    await initializeDatabase();
     
     // Verificar se as tabelas foram criadas
     const tables = await runQuery(`
@@ -90,7 +69,7 @@ async function testSQLiteConnection() {
     console.log('📦 Orders:', ordersColumns.map(c => c.name).join(', '));
     
     console.log('\n🎉 Banco SQLite está funcionando perfeitamente!');
-    console.log('📍 Caminho:', db.filename);
+    console.log('📍 Caminho:', dbPath);
     
   } catch (error) {
     console.error('❌ Erro ao testar banco SQLite:', error.message);
@@ -0,0 +1,162 @@
+// Teste da autenticação em dois passos do painel (TOTP, códigos de recuperação e política)
+// contra as rotas da API, numa base de dados temporária. Os códigos da app são gerados
+// com o mesmo algoritmo do servidor.
+const assert = require('assert');
+const { setupTestEnv, startTestServer, cleanup } = require('./test-helpers');
+
+const dbFile = setupTestEnv('two-factor');
+
+const STEP_MS = 30 * 1000;
+
+async function testTwoFactor() {
+  // Só depois de configurar o ambiente: config/database lê o DB_PATH ao carregar
+  const { get, run, initializeDatabase } = require('../config/database');
+  const { bootstrapAdmin, createAdminUser } = require('../services/admin-user-service');
+  const { generateTotpCode } = require('../services/two-factor-service');
+
+  const { server, request } = await startTestServer([
+    ['/api/auth', require('../routes/auth')],
+    ['/api/admin', require('../routes/admin-auth')],
+    ['/api/admin', require('../routes/admin-security')],
+    ['/api/admin', require('../routes/admin-users')]
+  ]);
+
+  const login = (username, password) => request('POST', '/api/admin/login', { body: { username, password } });
+
+  // Configurar a 2FA de uma conta como faria a app: ler o segredo e devolver o código atual
+  const enroll = async (token) => {
+    const setup = await request('POST', '/api/admin/2fa/setup', { token });
+    assert.strictEqual(setup.status, 200, JSON.stringify(setup.data));
+    assert.ok(setup.data.data.otpauthUrl.startsWith('otpauth://totp/'));
+    assert.ok(setup.data.data.qrCode.startsWith('data:image/png;base64,'));
+
+    const { secret } = setup.data.data;
+    const enabled = await request('POST', '/api/admin/2fa/enable', { token, body: { code: generateTotpCode(secret) } });
+    assert.strictEqual(enabled.status, 200, JSON.stringify(enabled.data));
+
+    return { secret, recoveryCodes: enabled.data.data.recoveryCodes };
+  };
+
+  try {
+    console.log('🔍 Testando autenticação em dois passos...');
+    await initializeDatabase();
+
+    const chefe = await bootstrapAdmin({ username: 'chefe', password: 'Inicial123', email: 'chefe@teste.pt' });
+    const gerente = await createAdminUser({ username: 'gerente', password: 'Inicial123', role: 'admin' }, chefe);
+    await run('UPDATE users SET must_change_password = 0');
+
+    // Ativação
+    let chefeToken = (await login('chefe', 'Inicial123')).data.token;
+
+    const earlyPolicy = await request('PUT', '/api/admin/security/policy', { token: chefeToken, body: { requiredForManageUsers: true } });
+    assert.strictEqual(earlyPolicy.status, 400);
+    console.log('✅ Política recusada a quem ainda não usa 2FA');
+
+    const setup = await request('POST', '/api/admin/2fa/setup', { token: chefeToken });
+    const wrongCode = generateTotpCode(setup.data.data.secret, Date.now() - 10 * STEP_MS);
+    assert.strictEqual((await request('POST', '/api/admin/2fa/enable', { token: chefeToken, body: { code: wrongCode } })).status, 400);
+    assert.strictEqual((await request('GET', '/api/admin/2fa/status', { token: chefeToken })).data.data.enabled, false);
+
+    const { secret, recoveryCodes } = await enroll(chefeToken);
+    assert.strictEqual(recoveryCodes.length, 10);
+    const stored = await get('SELECT totp_secret FROM users WHERE id = ?', [chefe.id]);
+    assert.ok(!stored.totp_secret.includes(secret));
+    console.log('✅ 2FA ativada com o primeiro código (segredo guardado cifrado)');
+
+    // Login em dois passos
+    const firstStep = await login('chefe', 'Inicial123');
+    assert.strictEqual(firstStep.status, 200);
+    assert.strictEqual(firstStep.data.twoFactorRequired, true);
+    assert.strictEqual(firstStep.data.token, undefined);
+    const { challengeToken } = firstStep.data;
+
+    const wrongLogin = await request('POST', '/api/admin/login/2fa', { body: { challengeToken, code: wrongCode } });
+    assert.strictEqual(wrongLogin.status, 401);
+
+    // O código do passo da ativação já foi usado: o seguinte ainda está dentro da janela aceite
+    const nextCode = generateTotpCode(secret, Date.now() + STEP_MS);
+    const secondStep = await request('POST', '/api/admin/login/2fa', { body: { challengeToken, code: nextCode } });
+    assert.strictEqual(secondStep.status, 200, JSON.stringify(secondStep.data));
+    assert.ok(secondStep.data.token && secondStep.data.refreshToken);
+    chefeToken = secondStep.data.token;
+
+    const replay = await request('POST', '/api/admin/login/2fa', { body: { challengeToken, code: nextCode } });
+    assert.strictEqual(replay.status, 401);
+    console.log('✅ Login só com o código da app, que não pode ser reutilizado');
+
+    const withRecovery = await request('POST', '/api/admin/login/2fa', { body: { challengeToken, recoveryCode: recoveryCodes[0] } });
+    assert.strictEqual(withRecovery.status, 200);
+    assert.strictEqual((await request('POST', '/api/admin/login/2fa', { body: { challengeToken, recoveryCode: recoveryCodes[0] } })).status, 401);
+    assert.strictEqual((await request('GET', '/api/admin/2fa/status', { token: chefeToken })).data.data.recoveryCodesRemaining, 9);
+    console.log('✅ Código de recuperação aceite uma única vez');
+
+    const forgedChallenge = await request('POST', '/api/admin/login/2fa', {
+      body: { challengeToken: chefeToken, recoveryCode: recoveryCodes[1] }
+    });
+    assert.strictEqual(forgedChallenge.status, 401);
+    const storeLogin = await request('POST', '/api/auth/login', { body: { email: 'chefe@teste.pt', password: 'Inicial123' } });
+    assert.strictEqual(storeLogin.status, 403);
+    assert.strictEqual(storeLogin.data.twoFactorRequired, true);
+    console.log('✅ Sem sessão por outro caminho (token de acesso como desafio, login da loja)');
+
+    // Política
+    const policy = await request('PUT', '/api/admin/security/policy', { token: chefeToken, body: { requiredForManageUsers: true } });
+    assert.strictEqual(policy.status, 200, JSON.stringify(policy.data));
+
+    const gerenteLogin = await login('gerente', 'Inicial123');
+    assert.strictEqual(gerenteLogin.data.mustEnrollTwoFactor, true);
+    let gerenteToken = gerenteLogin.data.token;
+    const blocked = await request('GET', '/api/admin/users', { token: gerenteToken });
+    assert.strictEqual(blocked.status, 403);
+    assert.strictEqual(blocked.data.mustEnrollTwoFactor, true);
+    assert.strictEqual((await request('GET', '/api/admin/2fa/status', { token: gerenteToken })).data.data.required, true);
+
+    await enroll(gerenteToken);
+    assert.strictEqual((await request('GET', '/api/admin/users', { token: gerenteToken })).status, 200);
+    console.log('✅ Política obriga a ativar a 2FA antes de usar o painel');
+
+    const refusedDisable = await request('POST', '/api/admin/2fa/disable', {
+      token: chefeToken,
+      body: { password: 'Inicial123', recoveryCode: recoveryCodes[1] }
+    });
+    assert.strictEqual(refusedDisable.status, 400);
+    console.log('✅ 2FA obrigatória não pode ser desativada');
+
+    // Reposição por outro administrador (dispositivo perdido)
+    assert.strictEqual((await request('DELETE', `/api/admin/users/${chefe.id}/two-factor`, { token: chefeToken })).status, 400);
+
+    // O iat dos tokens tem precisão de segundos: a sessão do gerente tem de ser anterior à reposição
+    await new Promise(resolve => setTimeout(resolve, 1000));
+    const reset = await request('DELETE', `/api/admin/users/${gerente.id}/two-factor`, { token: chefeToken });
+    assert.strictEqual(reset.status, 200, JSON.stringify(reset.data));
+    assert.strictEqual((await request('GET', '/api/admin/2fa/status', { token: gerenteToken })).status, 401);
+    gerenteToken = (await login('gerente', 'Inicial123')).data.token;
+    assert.strictEqual((await request('GET', '/api/admin/users', { token: gerenteToken })).status, 403);
+    console.log('✅ 2FA reposta por outro administrador (sessões terminadas, nova ativação obrigatória)');
+
+    // Desativar
+    await request('PUT', '/api/admin/security/policy', { token: chefeToken, body: { requiredForManageUsers: false } });
+    const wrongPassword = await request('POST', '/api/admin/2fa/disable', {
+      token: chefeToken,
+      body: { password: 'Errada123', recoveryCode: recoveryCodes[1] }
+    });
+    assert.strictEqual(wrongPassword.status, 400);
+    const disabled = await request('POST', '/api/admin/2fa/disable', {
+      token: chefeToken,
+      body: { password: 'Inicial123', recoveryCode: recoveryCodes[1] }
+    });
+    assert.strictEqual(disabled.status, 200, JSON.stringify(disabled.data));
+    assert.ok((await login('chefe', 'Inicial123')).data.token);
+    console.log('✅ 2FA desativada com password e código de recuperação');
+
+    console.log('\n🎉 Autenticação em dois passos está funcionando!');
+  } catch (error) {
+    console.error('❌ Teste de 2FA falhou:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await cleanup({ servers: [server], dbFile });
+  }
+}
+
+// Executar teste
+testTwoFactor();
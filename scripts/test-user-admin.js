@@ -0,0 +1,78 @@
+// Teste da gestão de contas nas rotas de clientes (/api/users/admin): o staff altera só contas
+// de clientes; contas internas, papéis e o último administrador ativo ficam protegidos.
+// Base de dados temporária.
+const assert = require('assert');
+const { setupTestEnv, startTestServer, cleanup } = require('./test-helpers');
+
+const dbFile = setupTestEnv('user-admin');
+
+async function testUserAdmin() {
+  // Só depois de configurar o ambiente: config/database lê o DB_PATH ao carregar
+  const bcrypt = require('bcryptjs');
+  const { initializeDatabase } = require('../config/database');
+  const { userRepository } = require('../repositories');
+  const { signAccessToken } = require('../services/token-service');
+
+  const { server, request } = await startTestServer([
+    ['/api/users', require('../routes/users')]
+  ]);
+
+  try {
+    console.log('🔍 Testando gestão de contas pelo staff...');
+    await initializeDatabase();
+
+    const password = await bcrypt.hash('Segura123', 4);
+    const adminId = await userRepository.create({ name: 'Admin', username: 'chefe', password, role: 'admin' });
+    const staffId = await userRepository.create({ name: 'Balcão', username: 'balcao', password, role: 'staff' });
+    const customerId = await userRepository.create({ name: 'Maria Silva', email: 'maria@teste.pt', password });
+    const admin = signAccessToken(adminId);
+    const staff = signAccessToken(staffId);
+
+    // Staff: contas de clientes, sem mudar o papel
+    const renamed = await request('PUT', `/api/users/admin/${customerId}/update`, { token: staff, body: { name: 'Maria S. Silva' } });
+    assert.strictEqual(renamed.status, 200, JSON.stringify(renamed.data));
+    assert.strictEqual((await request('PUT', `/api/users/admin/${customerId}/reset-password`, { token: staff, body: { newPassword: 'Nova12345' } })).status, 200);
+    assert.strictEqual((await request('PUT', `/api/users/admin/${customerId}/toggle-status`, { token: staff })).status, 200);
+    assert.strictEqual((await userRepository.findById(customerId)).is_active, 0);
+
+    const promoted = await request('PUT', `/api/users/admin/${customerId}/update`, { token: staff, body: { role: 'manager' } });
+    assert.strictEqual(promoted.status, 403);
+    assert.strictEqual((await userRepository.findById(customerId)).role, 'customer');
+    console.log('✅ Staff gere contas de clientes, sem mudar o papel');
+
+    // Staff: contas internas recusadas (incluindo a própria)
+    const selfPromotion = await request('PUT', `/api/users/admin/${staffId}/update`, { token: staff, body: { role: 'admin' } });
+    assert.strictEqual(selfPromotion.status, 403);
+    assert.strictEqual((await userRepository.findById(staffId)).role, 'staff');
+
+    const adminBefore = await userRepository.findById(adminId);
+    assert.strictEqual((await request('PUT', `/api/users/admin/${adminId}/reset-password`, { token: staff, body: { newPassword: 'Roubada123' } })).status, 403);
+    assert.strictEqual((await request('PUT', `/api/users/admin/${adminId}/toggle-status`, { token: staff })).status, 403);
+    assert.strictEqual((await request('PUT', `/api/users/admin/${adminId}/update`, { token: staff, body: { isActive: false } })).status, 403);
+    const adminAfter = await userRepository.findById(adminId);
+    assert.strictEqual(adminAfter.password, adminBefore.password);
+    assert.strictEqual(adminAfter.is_active, 1);
+    console.log('✅ Staff não promove a própria conta nem repõe a password ou desativa um administrador');
+
+    // Administrador: papéis válidos e nunca sem um administrador ativo
+    assert.strictEqual((await request('PUT', `/api/users/admin/${customerId}/update`, { token: admin, body: { role: 'dono' } })).status, 400);
+    const manager = await request('PUT', `/api/users/admin/${customerId}/update`, { token: admin, body: { role: 'manager' } });
+    assert.strictEqual(manager.status, 200, JSON.stringify(manager.data));
+    assert.strictEqual((await userRepository.findById(customerId)).role, 'manager');
+
+    assert.strictEqual((await request('PUT', `/api/users/admin/${adminId}/update`, { token: admin, body: { role: 'staff' } })).status, 400);
+    assert.strictEqual((await request('PUT', `/api/users/admin/${adminId}/toggle-status`, { token: admin })).status, 400);
+    assert.strictEqual((await userRepository.findById(adminId)).role, 'admin');
+    console.log('✅ Administrador muda papéis, sem retirar o acesso ao último administrador');
+
+    console.log('\n🎉 Gestão de contas pelo staff está funcionando!');
+  } catch (error) {
+    console.error('❌ Teste de gestão de contas falhou:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await cleanup({ servers: [server], dbFile });
+  }
+}
+
+// Executar teste
+testUserAdmin();
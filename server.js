@@ -2,7 +2,6 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const compression = require('compression');
-const rateLimit = require('express-rate-limit');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
@@ -32,12 +31,17 @@ app.use(helmet({
 }));
 app.use(compression());
 
-// Rate limiting
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutos
-  max: 100 // limite de 100 requests por IP
-});
-app.use(limiter);
+// Atrás de um proxy (nginx, load balancer) o IP do cliente vem no X-Forwarded-For:
+// TRUST_PROXY=1 confia no primeiro proxy (limites e bloqueios de login são por IP)
+const trustProxy = parseInt(process.env.TRUST_PROXY || '0', 10);
+if (trustProxy) {
+  app.set('trust proxy', trustProxy);
+}
+
+// Rate limiting da API (os logins, a renovação da sessão e a reposição de password
+// têm limites próprios nas rotas: middleware/rate-limit.js)
+const { apiLimiter } = require('./middleware/rate-limit');
+app.use('/api', apiLimiter);
 
 // Criar diretório de uploads se não existir
 const uploadsDir = path.join(__dirname, 'public', 'uploads');
@@ -73,6 +77,9 @@ const upload = multer({
 
 // Middleware
 app.use(cors());
+// Os webhooks do Stripe e do gateway precisam do corpo original para validar a assinatura
+app.use('/api/payments/webhook', express.raw({ type: 'application/json' }));
+app.use('/api/payments/gateway/callback', express.raw({ type: 'application/json' }));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
@@ -82,7 +89,8 @@ app.use('/css', express.static('css'));
 app.use('/pages', express.static('pages'));
 
 // Conectar ao banco SQLite
-const db = require('./config/database');
+const { initializeDatabase } = require('./config/database');
+const { hasAdminUsers } = require('./services/admin-user-service');
 
 // Rotas
 app.use('/api/auth', require('./routes/auth'));
@@ -96,7 +104,13 @@ app.use('/api/contact', require('./routes/contact'));
 
 // Novas rotas de produção
 app.use('/api/admin', require('./routes/admin-auth'));
+app.use('/api/admin', require('./routes/admin-security'));
 app.use('/api/admin', require('./routes/admin-products'));
+app.use('/api/admin', require('./routes/admin-refunds'));
+app.use('/api/admin', require('./routes/admin-users'));
+app.use('/api/admin', require('./routes/admin-audit'));
+app.use('/api/admin', require('./routes/admin-marketing'));
+app.use('/api/admin', require('./routes/admin-delivery-zones'));
 app.use('/api/payments', require('./routes/payments'));
 
 // Rota principal
@@ -114,6 +128,21 @@ app.get('/menu-completo', (req, res) => {
   res.sendFile(__dirname + '/pages/menu_simples.html');
 });
 
+// Rota para acompanhar encomendas de visitantes (link assinado)
+app.get('/acompanhar-pedido', (req, res) => {
+  res.sendFile(__dirname + '/pages/order-tracking.html');
+});
+
+// Links enviados por email: nova password, verificação de email e conta a partir de uma encomenda
+app.get(['/repor-password', '/verificar-email', '/criar-conta'], (req, res) => {
+  res.sendFile(__dirname + '/pages/account-link.html');
+});
+
+// Cancelar subscrição (link das mensagens de marketing)
+app.get('/cancelar-subscricao', (req, res) => {
+  res.sendFile(__dirname + '/pages/unsubscribe.html');
+});
+
 // Rota para teste de sincronização
 app.get('/teste-sincronizacao', (req, res) => {
   res.sendFile(__dirname + '/pages/teste_sincronizacao.html');
@@ -153,8 +182,20 @@ app.use('*', (req, res) => {
   });
 });
 
-app.listen(PORT, () => {
-  console.log(`🚀 Servidor rodando na porta ${PORT}`);
-  console.log(`📱 Frontend disponível em: http://localhost:${PORT}`);
-  console.log(`🔧 API disponível em: http://localhost:${PORT}/api`);
-});
+// Aplicar migrações antes de aceitar pedidos
+initializeDatabase()
+  .then(async () => {
+    if (!(await hasAdminUsers())) {
+      console.warn('⚠️  Nenhuma conta administrativa. Crie a primeira com: npm run admin:create -- <usuario>');
+    }
+
+    app.listen(PORT, () => {
+      console.log(`🚀 Servidor rodando na porta ${PORT}`);
+      console.log(`📱 Frontend disponível em: http://localhost:${PORT}`);
+      console.log(`🔧 API disponível em: http://localhost:${PORT}/api`);
+    });
+  })
+  .catch((error) => {
+    console.error('❌ Erro ao inicializar banco de dados:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,234 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { userRepository, verificationRepository, transaction } = require('../repositories');
+const { HttpError } = require('../utils/errors');
+const { appUrl } = require('../utils/app-url');
+const { sendMail } = require('./mail-service');
+const { getSmsProvider } = require('./sms-providers');
+const { JWT_SECRET, revokeAllSessions } = require('./token-service');
+
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES || '60', 10);
+const EMAIL_VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS || '48', 10);
+const SMS_CODE_TTL_MINUTES = parseInt(process.env.SMS_CODE_TTL_MINUTES || '10', 10);
+const SMS_CODE_MAX_ATTEMPTS = 5;
+
+// Envios por conta e por hora (emails de reposição/verificação e códigos SMS)
+const MAX_SENDS_PER_HOUR = parseInt(process.env.VERIFICATION_MAX_SENDS_PER_HOUR || '5', 10);
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Os códigos SMS têm só 6 dígitos: com HMAC o hash guardado não se reverte sem o segredo da API
+const hashCode = (userId, code) => crypto.createHmac('sha256', JWT_SECRET).update(`${userId}:${code}`).digest('hex');
+
+async function hashPassword(password) {
+  const salt = await bcrypt.genSalt(12);
+  return bcrypt.hash(password, salt);
+}
+
+async function checkSendLimit(userId, purpose) {
+  const recent = await verificationRepository.countRecent(userId, purpose, 60);
+
+  if (recent.sent_last_minute) {
+    throw new HttpError(429, 'Aguarde um minuto antes de pedir um novo envio');
+  }
+
+  if (recent.count >= MAX_SENDS_PER_HOUR) {
+    throw new HttpError(429, 'Demasiados pedidos. Tente novamente mais tarde');
+  }
+}
+
+// Token de uso único enviado por email (link)
+async function createEmailToken(user, purpose, ttlMinutes) {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await verificationRepository.deleteExpired();
+  await verificationRepository.create({
+    userId: user.id,
+    purpose,
+    tokenHash: hashToken(token),
+    target: user.email,
+    ttlMinutes
+  });
+
+  return token;
+}
+
+// Consumir um token de email dentro da transação: tem de estar ativo e o email da conta
+// tem de ser ainda aquele a que foi enviado
+async function consumeEmailToken({ verificationRepository, userRepository }, purpose, token) {
+  const stored = await verificationRepository.findActiveByHash(purpose, hashToken(token));
+
+  if (!stored || !await verificationRepository.markUsed(stored.id)) {
+    throw new HttpError(400, 'Link inválido ou expirado');
+  }
+
+  const user = await userRepository.findById(stored.user_id);
+
+  if (!user || !user.is_active || user.email !== stored.target) {
+    throw new HttpError(400, 'Link inválido ou expirado');
+  }
+
+  return user;
+}
+
+// ===== REPOSIÇÃO DE PASSWORD =====
+
+// Não revela se o email existe: contas desconhecidas, inativas ou acima do limite de envios são ignoradas
+async function requestPasswordReset(email) {
+  const user = await userRepository.findByEmail(email);
+
+  if (!user || !user.is_active) {
+    return;
+  }
+
+  try {
+    await checkSendLimit(user.id, 'password_reset');
+  } catch (error) {
+    console.warn(`⚠️  Reposição de password ignorada para o usuário ${user.id}: ${error.message}`);
+    return;
+  }
+
+  const token = await createEmailToken(user, 'password_reset', PASSWORD_RESET_TTL_MINUTES);
+  const link = appUrl(`/repor-password?token=${token}`);
+
+  // Uma falha no envio também não é revelada (a resposta é sempre a mesma)
+  try {
+    await sendMail({
+      to: user.email,
+      subject: 'Repor a sua password - Sabores Portugueses',
+      text: `Olá ${user.name},\n\n` +
+        `Para definir uma nova password abra o link abaixo (válido durante ${PASSWORD_RESET_TTL_MINUTES} minutos):\n\n` +
+        `${link}\n\n` +
+        'Se não pediu para repor a password, ignore este email.'
+    });
+  } catch (error) {
+    console.error('❌ Erro ao enviar email de reposição de password:', error);
+  }
+}
+
+// Nova password com o token do email. O link prova o acesso ao email, que fica verificado,
+// e as sessões abertas com a password antiga terminam.
+async function resetPassword(token, newPassword) {
+  const hashedPassword = await hashPassword(newPassword);
+
+  const userId = await transaction(async (repositories) => {
+    const user = await consumeEmailToken(repositories, 'password_reset', token);
+
+    await repositories.userRepository.updatePassword(user.id, hashedPassword);
+    await repositories.userRepository.updateById(user.id, { email_verified: 1 });
+
+    return user.id;
+  });
+
+  await revokeAllSessions(userId);
+}
+
+// ===== VERIFICAÇÃO DE EMAIL =====
+
+async function sendEmailVerification(userId) {
+  const user = await userRepository.findById(userId);
+
+  if (!user || !user.email) {
+    throw new HttpError(400, 'A conta não tem email');
+  }
+
+  if (user.email_verified) {
+    throw new HttpError(400, 'Email já está verificado');
+  }
+
+  await checkSendLimit(user.id, 'email_verification');
+
+  const token = await createEmailToken(user, 'email_verification', EMAIL_VERIFICATION_TTL_HOURS * 60);
+  const link = appUrl(`/verificar-email?token=${token}`);
+
+  await sendMail({
+    to: user.email,
+    subject: 'Confirme o seu email - Sabores Portugueses',
+    text: `Olá ${user.name},\n\n` +
+      `Confirme o seu email abrindo o link abaixo (válido durante ${EMAIL_VERIFICATION_TTL_HOURS} horas):\n\n` +
+      `${link}\n`
+  });
+}
+
+async function verifyEmail(token) {
+  return transaction(async (repositories) => {
+    const user = await consumeEmailToken(repositories, 'email_verification', token);
+
+    await repositories.userRepository.updateById(user.id, { email_verified: 1 });
+
+    return user.id;
+  });
+}
+
+// ===== VERIFICAÇÃO DE TELEFONE =====
+
+async function sendPhoneCode(userId) {
+  const user = await userRepository.findById(userId);
+
+  if (!user || !user.phone) {
+    throw new HttpError(400, 'A conta não tem telefone');
+  }
+
+  if (user.phone_verified) {
+    throw new HttpError(400, 'Telefone já está verificado');
+  }
+
+  await checkSendLimit(user.id, 'phone_verification');
+
+  const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+
+  await verificationRepository.deleteExpired();
+  await verificationRepository.create({
+    userId: user.id,
+    purpose: 'phone_verification',
+    tokenHash: hashCode(user.id, code),
+    target: user.phone,
+    ttlMinutes: SMS_CODE_TTL_MINUTES
+  });
+
+  await getSmsProvider().send(
+    user.phone,
+    `Sabores Portugueses: o seu código de verificação é ${code} (válido durante ${SMS_CODE_TTL_MINUTES} minutos).`
+  );
+
+  return { expiresInMinutes: SMS_CODE_TTL_MINUTES };
+}
+
+// Cada código aceita SMS_CODE_MAX_ATTEMPTS tentativas; depois é preciso pedir outro
+async function verifyPhoneCode(userId, code) {
+  const stored = await verificationRepository.findActiveForUser(userId, 'phone_verification');
+
+  if (!stored) {
+    throw new HttpError(400, 'Código inválido ou expirado. Peça um novo código');
+  }
+
+  if (!await verificationRepository.registerAttempt(stored.id, SMS_CODE_MAX_ATTEMPTS)) {
+    await verificationRepository.markUsed(stored.id);
+    throw new HttpError(429, 'Demasiadas tentativas. Peça um novo código');
+  }
+
+  const user = await userRepository.findById(userId);
+  const isMatch = crypto.timingSafeEqual(
+    Buffer.from(hashCode(userId, String(code)), 'hex'),
+    Buffer.from(stored.token_hash, 'hex')
+  );
+
+  if (!isMatch || !user || user.phone !== stored.target) {
+    throw new HttpError(400, 'Código de verificação inválido');
+  }
+
+  if (!await verificationRepository.markUsed(stored.id)) {
+    throw new HttpError(400, 'Código inválido ou expirado. Peça um novo código');
+  }
+
+  await userRepository.updateById(userId, { phone_verified: 1 });
+}
+
+module.exports = {
+  requestPasswordReset,
+  resetPassword,
+  sendEmailVerification,
+  verifyEmail,
+  sendPhoneCode,
+  verifyPhoneCode
+};
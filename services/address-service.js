@@ -0,0 +1,180 @@
+const { addressRepository, transaction } = require('../repositories');
+const { HttpError } = require('../utils/errors');
+
+// Moradas guardadas por cliente
+const MAX_ADDRESSES = 10;
+
+// Colunas da tabela a partir dos campos recebidos no body
+function buildAddressChanges({ label, street, city, postalCode, coordinates, deliveryInstructions }) {
+  const changes = {};
+
+  if (label !== undefined) {
+    changes.label = label;
+  }
+  if (street !== undefined) {
+    changes.street = street;
+  }
+  if (city !== undefined) {
+    changes.city = city;
+  }
+  if (postalCode !== undefined) {
+    changes.postal_code = postalCode;
+  }
+  if (coordinates !== undefined) {
+    changes.lat = coordinates?.lat ?? null;
+    changes.lng = coordinates?.lng ?? null;
+  }
+  if (deliveryInstructions !== undefined) {
+    changes.delivery_instructions = deliveryInstructions || null;
+  }
+
+  return changes;
+}
+
+// A morada predefinida continua copiada para o perfil (users.street/city/...), que é o que
+// os registos, as vistas de staff e as contas antigas usam
+async function syncProfileAddress({ addressRepository, userRepository }, userId) {
+  const address = await addressRepository.findDefault(userId);
+
+  await userRepository.updateById(userId, {
+    street: address ? address.street : '',
+    city: address ? address.city : '',
+    postal_code: address ? address.postal_code : '',
+    lat: address ? address.lat : null,
+    lng: address ? address.lng : null
+  });
+}
+
+async function makeDefault(repositories, userId, addressId) {
+  await repositories.addressRepository.clearDefault(userId);
+  await repositories.addressRepository.markDefault(addressId);
+}
+
+async function findOwnAddress(addressRepository, userId, addressId) {
+  const address = await addressRepository.findForUser(addressId, userId);
+
+  if (!address) {
+    throw new HttpError(404, 'Morada não encontrada');
+  }
+
+  return address;
+}
+
+function listAddresses(userId) {
+  return addressRepository.listByUser(userId);
+}
+
+// Acrescentar uma morada dentro de uma transação já aberta (ex: registo da conta).
+// A primeira morada do cliente fica sempre predefinida.
+async function insertAddress(repositories, userId, { label, street, city, postalCode, coordinates, deliveryInstructions, isDefault }) {
+  const count = await repositories.addressRepository.countByUser(userId);
+
+  if (count >= MAX_ADDRESSES) {
+    throw new HttpError(400, `Pode guardar no máximo ${MAX_ADDRESSES} moradas`);
+  }
+
+  const addressId = await repositories.addressRepository.create(userId, {
+    label,
+    street,
+    city,
+    postalCode,
+    lat: coordinates?.lat,
+    lng: coordinates?.lng,
+    deliveryInstructions
+  });
+
+  if (isDefault || count === 0) {
+    await makeDefault(repositories, userId, addressId);
+    await syncProfileAddress(repositories, userId);
+  }
+
+  return repositories.addressRepository.findById(addressId);
+}
+
+function addAddress(userId, data) {
+  return transaction(repositories => insertAddress(repositories, userId, data));
+}
+
+async function updateAddress(userId, addressId, data) {
+  return transaction(async (repositories) => {
+    const address = await findOwnAddress(repositories.addressRepository, userId, addressId);
+
+    await repositories.addressRepository.updateById(address.id, buildAddressChanges(data));
+
+    if (data.isDefault && !address.is_default) {
+      await makeDefault(repositories, userId, address.id);
+    }
+    await syncProfileAddress(repositories, userId);
+
+    return repositories.addressRepository.findById(address.id);
+  });
+}
+
+function setDefaultAddress(userId, addressId) {
+  return updateAddress(userId, addressId, { isDefault: true });
+}
+
+// Apagar a predefinida passa a marca para a morada mais recente
+async function removeAddress(userId, addressId) {
+  return transaction(async (repositories) => {
+    const address = await findOwnAddress(repositories.addressRepository, userId, addressId);
+
+    await repositories.addressRepository.delete(address.id);
+
+    if (address.is_default) {
+      const latest = await repositories.addressRepository.findLatest(userId);
+      if (latest) {
+        await makeDefault(repositories, userId, latest.id);
+      }
+      await syncProfileAddress(repositories, userId);
+    }
+  });
+}
+
+// Forma antiga (address no PUT /api/users/profile): altera a morada predefinida,
+// ou cria-a como "Casa" se o cliente ainda não tiver moradas
+async function saveProfileAddress(userId, address) {
+  return transaction(async (repositories) => {
+    const current = await repositories.addressRepository.findDefault(userId);
+
+    if (!current) {
+      if (!address.street || !address.city || !address.postalCode) {
+        throw new HttpError(400, 'Indique a rua, a cidade e o código postal da morada');
+      }
+      return insertAddress(repositories, userId, { label: 'Casa', ...address, isDefault: true });
+    }
+
+    const { street, city, postalCode, coordinates } = address;
+    await repositories.addressRepository.updateById(current.id, buildAddressChanges({ street, city, postalCode, coordinates }));
+    await syncProfileAddress(repositories, userId);
+
+    return repositories.addressRepository.findById(current.id);
+  });
+}
+
+// Morada de entrega de um pedido a partir do livro do cliente (dentro da transação do pedido)
+async function resolveOrderAddress({ addressRepository }, userId, addressId) {
+  if (!userId) {
+    throw new HttpError(400, 'Moradas guardadas só estão disponíveis com sessão iniciada');
+  }
+
+  const address = await addressRepository.findForUser(addressId, userId);
+
+  if (!address) {
+    throw new HttpError(400, 'Morada de entrega não encontrada');
+  }
+
+  return address;
+}
+
+module.exports = {
+  MAX_ADDRESSES,
+  listAddresses,
+  insertAddress,
+  addAddress,
+  updateAddress,
+  setDefaultAddress,
+  removeAddress,
+  saveProfileAddress,
+  resolveOrderAddress
+};
@@ -0,0 +1,295 @@
+const bcrypt = require('bcryptjs');
+const { userRepository, transaction } = require('../repositories');
+const { ROLES, permissionsForRole, hasPermission } = require('../config/roles');
+const { revokeAllSessions } = require('./token-service');
+const { isTwoFactorEnrollmentPending, verifySecondFactor } = require('./two-factor-service');
+const { HttpError } = require('../utils/errors');
+
+async function hashPassword(password) {
+  const salt = await bcrypt.genSalt(12);
+  return bcrypt.hash(password, salt);
+}
+
+// Dados da sessão devolvidos ao painel
+function toSessionUser(account) {
+  return {
+    id: account.id,
+    username: account.username,
+    name: account.name,
+    email: account.email,
+    role: account.role,
+    permissions: permissionsForRole(account.role),
+    mustChangePassword: Boolean(account.must_change_password),
+    twoFactorEnabled: Boolean(account.totp_enabled_at),
+    mustEnrollTwoFactor: Boolean(account.mustEnrollTwoFactor)
+  };
+}
+
+async function loadSessionUser(account) {
+  return toSessionUser({ ...account, mustEnrollTwoFactor: await isTwoFactorEnrollmentPending(account) });
+}
+
+// Login das contas internas, no painel ou na app dos entregadores (username ou email):
+// devolve a sessão ou null (conta inexistente, inativa, de cliente ou password errada)
+async function verifyCredentials(login, password) {
+  const account = await userRepository.findByLogin(login);
+
+  if (!account || !account.is_active || !hasPermission(account, 'internal_access')) {
+    return null;
+  }
+
+  const isMatch = await bcrypt.compare(password, account.password);
+  if (!isMatch) {
+    return null;
+  }
+
+  // Com 2FA o login só fica concluído depois do segundo passo
+  if (!account.totp_enabled_at) {
+    await userRepository.touchLastLogin(account.id);
+  }
+
+  return loadSessionUser(account);
+}
+
+// Segundo passo do login das contas internas (contas com 2FA): devolve a sessão ou null
+async function verifyTwoFactorLogin(userId, { code, recoveryCode }) {
+  const account = await userRepository.findById(userId);
+
+  if (!account || !account.is_active || !hasPermission(account, 'internal_access')) {
+    return null;
+  }
+
+  if (!await verifySecondFactor(account.id, { code, recoveryCode })) {
+    return null;
+  }
+
+  await userRepository.touchLastLogin(account.id);
+
+  return loadSessionUser(account);
+}
+
+const isSelf = (actor, id) => String(actor.id) === String(id);
+
+// O painel nunca pode ficar sem um administrador ativo, nem um administrador retirar o
+// acesso à própria conta (mudança de papel ou desativação)
+async function assertKeepsActiveAdmin(userRepository, account, { role, isActive }, actor) {
+  const losesAdmin = account.role === 'admin' && account.is_active &&
+    ((role !== undefined && role !== 'admin') || isActive === false);
+
+  if (losesAdmin && isSelf(actor, account.id)) {
+    throw new HttpError(400, 'Não pode retirar o acesso de administrador à sua própria conta');
+  }
+
+  if (losesAdmin && await userRepository.countActiveByRole('admin') <= 1) {
+    throw new HttpError(400, 'Tem de existir pelo menos um administrador ativo');
+  }
+}
+
+// Nas rotas de clientes (/api/users/admin) o staff gere só contas de clientes: contas internas
+// e mudanças de papel exigem a permissão manage_users
+function assertCanManageAccount(actor, account, { role } = {}) {
+  const changesRole = role !== undefined && role !== account.role;
+
+  if ((account.role !== 'customer' || changesRole) && !hasPermission(actor, 'manage_users')) {
+    throw new HttpError(403, 'Só administradores podem alterar contas internas ou o papel de uma conta');
+  }
+
+  if (changesRole && !ROLES.includes(role)) {
+    throw new HttpError(400, 'Papel inválido');
+  }
+}
+
+// Papel e estado de uma conta (cliente ou interna) alterados nas rotas de clientes
+async function updateAccountAccess(id, { role, isActive }, actor) {
+  await transaction(async ({ userRepository }) => {
+    const account = await userRepository.findById(id);
+
+    if (!account) {
+      throw new HttpError(404, 'Usuário não encontrado');
+    }
+
+    assertCanManageAccount(actor, account, { role });
+    await assertKeepsActiveAdmin(userRepository, account, { role, isActive }, actor);
+
+    const changes = {};
+    if (role !== undefined) changes.role = role;
+    if (isActive !== undefined) changes.is_active = isActive ? 1 : 0;
+
+    await userRepository.updateById(id, changes);
+  });
+
+  // Conta desativada: terminar já as sessões abertas em todos os dispositivos
+  if (isActive === false) {
+    await revokeAllSessions(id);
+  }
+}
+
+async function getAdminUser(id) {
+  const account = await userRepository.findStaffViewById(id);
+
+  if (!account) {
+    throw new HttpError(404, 'Conta interna não encontrada');
+  }
+
+  return account;
+}
+
+function listAdminUsers() {
+  return userRepository.listStaff();
+}
+
+// Contas criadas por outro administrador ficam com password temporária até ao primeiro login
+async function createAdminUser({ username, name, email, password, role }, actor) {
+  if (await userRepository.isUsernameTaken(username)) {
+    throw new HttpError(409, 'Nome de usuário já existe');
+  }
+
+  if (email && await userRepository.isEmailTaken(email)) {
+    throw new HttpError(409, 'Este email já está em uso');
+  }
+
+  const id = await userRepository.create({
+    name: name || username,
+    email,
+    username,
+    password: await hashPassword(password),
+    role,
+    mustChangePassword: true,
+    createdBy: actor && actor.username
+  });
+
+  return userRepository.findStaffViewById(id);
+}
+
+// Atualizar perfil, estado ou password (repor a password obriga a alterá-la no próximo login).
+// O painel nunca pode ficar sem um administrador ativo.
+async function updateAdminUser(id, { name, email, role, isActive, password }, actor) {
+  const hashedPassword = password && await hashPassword(password);
+
+  const account = await transaction(async ({ userRepository }) => {
+    const account = await userRepository.findStaffViewById(id);
+
+    if (!account) {
+      throw new HttpError(404, 'Conta interna não encontrada');
+    }
+
+    if (email && await userRepository.isEmailTaken(email, id)) {
+      throw new HttpError(409, 'Este email já está em uso');
+    }
+
+    await assertKeepsActiveAdmin(userRepository, account, { role, isActive }, actor);
+
+    const changes = {};
+    if (name !== undefined) changes.name = name;
+    if (email !== undefined) changes.email = email;
+    if (role !== undefined) changes.role = role;
+    if (isActive !== undefined) changes.is_active = isActive ? 1 : 0;
+
+    await userRepository.updateById(id, changes);
+
+    if (hashedPassword) {
+      await userRepository.updatePassword(id, hashedPassword, { mustChangePassword: true });
+    }
+
+    return userRepository.findStaffViewById(id);
+  });
+
+  // Conta desativada ou password reposta: as sessões abertas deixam de valer
+  if (isActive === false || hashedPassword) {
+    await revokeAllSessions(id);
+  }
+
+  return account;
+}
+
+async function deleteAdminUser(id, actor) {
+  if (isSelf(actor, id)) {
+    throw new HttpError(400, 'Não pode eliminar a sua própria conta');
+  }
+
+  try {
+    await transaction(async ({ userRepository }) => {
+      const account = await userRepository.findStaffViewById(id);
+
+      if (!account) {
+        throw new HttpError(404, 'Conta interna não encontrada');
+      }
+
+      if (account.role === 'admin' && account.is_active && await userRepository.countActiveByRole('admin') <= 1) {
+        throw new HttpError(400, 'Tem de existir pelo menos um administrador ativo');
+      }
+
+      await userRepository.deleteById(id);
+    });
+  } catch (error) {
+    // Contas que já alteraram pedidos ou fizeram entregas ficam no histórico
+    if (error.code === 'SQLITE_CONSTRAINT') {
+      throw new HttpError(409, 'A conta tem histórico associado; desative-a em vez de a eliminar');
+    }
+    throw error;
+  }
+}
+
+// Alteração da própria password (obrigatória no primeiro login)
+async function changeOwnPassword(id, currentPassword, newPassword) {
+  const account = await userRepository.findById(id);
+
+  if (!account || !account.is_active) {
+    throw new HttpError(401, 'Conta não encontrada ou inativa');
+  }
+
+  if (!await bcrypt.compare(currentPassword, account.password)) {
+    throw new HttpError(400, 'Password atual incorreta');
+  }
+
+  if (currentPassword === newPassword) {
+    throw new HttpError(400, 'A nova password tem de ser diferente da atual');
+  }
+
+  await userRepository.updatePassword(id, await hashPassword(newPassword), { mustChangePassword: false });
+
+  return loadSessionUser(await userRepository.findById(id));
+}
+
+// Primeira execução: criar o administrador inicial (só enquanto não existir nenhum administrador ativo)
+async function bootstrapAdmin({ username, password, name, email }) {
+  if (await hasAdminUsers()) {
+    throw new HttpError(409, 'Já existe um administrador ativo; use o painel para criar novas contas');
+  }
+
+  if (await userRepository.isUsernameTaken(username)) {
+    throw new HttpError(409, 'Nome de usuário já existe');
+  }
+
+  const id = await userRepository.create({
+    name: name || username,
+    email,
+    username,
+    password: await hashPassword(password),
+    role: 'admin',
+    mustChangePassword: true,
+    createdBy: 'bootstrap'
+  });
+
+  return userRepository.findStaffViewById(id);
+}
+
+async function hasAdminUsers() {
+  return await userRepository.countActiveByRole('admin') > 0;
+}
+
+module.exports = {
+  toSessionUser,
+  verifyCredentials,
+  verifyTwoFactorLogin,
+  getAdminUser,
+  listAdminUsers,
+  createAdminUser,
+  updateAdminUser,
+  deleteAdminUser,
+  assertCanManageAccount,
+  updateAccountAccess,
+  changeOwnPassword,
+  bootstrapAdmin,
+  hasAdminUsers
+};
@@ -0,0 +1,142 @@
+const { auditLogRepository } = require('../repositories');
+
+// Campos que nunca são copiados para o registo (fica só a indicação de que mudaram)
+const REDACTED_FIELDS = ['password', 'totp_secret', 'totp_last_used_step', 'delivery_pin'];
+
+// Dados pessoais dos clientes: o registo não pode ser apagado nem alterado, por isso numa
+// conta de cliente fica só o nome do campo alterado (a conta pode vir a ser eliminada)
+const PERSONAL_FIELDS = [
+  'name', 'email', 'username', 'phone', 'street', 'city', 'postal_code', 'lat', 'lng',
+  'dietary_restrictions', 'delivery_instructions'
+];
+
+// Campos que mudam sozinhos em qualquer alteração
+const IGNORED_FIELDS = ['updated_at'];
+
+// Exportações: no máximo este número de linhas por ficheiro
+const EXPORT_LIMIT = 10000;
+
+// Diferença entre dois estados da entidade: { campo: { from, to } } só com o que mudou.
+// Numa criação o estado anterior é null; numa eliminação, o seguinte. Os campos em redact
+// (além dos REDACTED_FIELDS) ficam só como { changed: true }.
+function diffSnapshots(before, after, redact = []) {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const changes = {};
+
+  for (const field of fields) {
+    const from = before ? before[field] : undefined;
+    const to = after ? after[field] : undefined;
+
+    if (IGNORED_FIELDS.includes(field) || JSON.stringify(from) === JSON.stringify(to)) {
+      continue;
+    }
+
+    changes[field] = REDACTED_FIELDS.includes(field) || redact.includes(field)
+      ? { changed: true }
+      : { from: from === undefined ? null : from, to: to === undefined ? null : to };
+  }
+
+  return Object.keys(changes).length ? changes : null;
+}
+
+// Escrever uma entrada em nome de quem fez o pedido (req.user)
+function recordAudit(req, { action, entityType, entityId, before, after, metadata, redact }) {
+  return auditLogRepository.append({
+    actor: req.user,
+    action,
+    entityType,
+    entityId,
+    changes: diffSnapshots(before, after, redact),
+    metadata,
+    ip: req.ip,
+    userAgent: req.get('user-agent')
+  });
+}
+
+// Datas só com o dia: o filtro "até" inclui o dia inteiro
+function normalizeFilters({ actor, action, entityType, entityId, from, to } = {}) {
+  return {
+    actor,
+    action,
+    entityType,
+    entityId,
+    from,
+    to: to && /^\d{4}-\d{2}-\d{2}$/.test(to) ? `${to} 23:59:59` : to
+  };
+}
+
+const toEntry = (row) => ({
+  id: row.id,
+  createdAt: row.created_at,
+  actor: row.actor_id || row.actor_username
+    ? { id: row.actor_id, username: row.actor_username, role: row.actor_role }
+    : null,
+  action: row.action,
+  entityType: row.entity_type,
+  entityId: row.entity_id,
+  changes: row.changes ? JSON.parse(row.changes) : null,
+  metadata: row.metadata ? JSON.parse(row.metadata) : null,
+  ip: row.ip,
+  userAgent: row.user_agent
+});
+
+async function listAuditLog(query, { page = 1, limit = 50 } = {}) {
+  const filters = normalizeFilters(query);
+  const offset = (page - 1) * limit;
+
+  const rows = await auditLogRepository.list(filters, { limit, offset });
+  const total = await auditLogRepository.count(filters);
+
+  return {
+    entries: rows.map(toEntry),
+    filterOptions: await auditLogRepository.listFilterOptions(),
+    pagination: {
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      totalEntries: total
+    }
+  };
+}
+
+const csvValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\n\r;]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Exportar com os mesmos filtros da listagem, em CSV (folha de cálculo) ou JSON
+async function exportAuditLog(query, format = 'csv') {
+  const rows = await auditLogRepository.list(normalizeFilters(query), { limit: EXPORT_LIMIT, offset: 0 });
+  const entries = rows.map(toEntry);
+
+  if (format === 'json') {
+    return JSON.stringify(entries, null, 2);
+  }
+
+  const header = ['id', 'data', 'autor_id', 'autor', 'papel', 'acao', 'entidade', 'entidade_id', 'alteracoes', 'detalhes', 'ip'];
+  const lines = entries.map(entry => [
+    entry.id,
+    entry.createdAt,
+    entry.actor && entry.actor.id,
+    entry.actor && entry.actor.username,
+    entry.actor && entry.actor.role,
+    entry.action,
+    entry.entityType,
+    entry.entityId,
+    entry.changes,
+    entry.metadata,
+    entry.ip
+  ].map(csvValue).join(','));
+
+  return [header.join(','), ...lines].join('\n') + '\n';
+}
+
+module.exports = {
+  PERSONAL_FIELDS,
+  diffSnapshots,
+  recordAudit,
+  listAuditLog,
+  exportAuditLog
+};
@@ -0,0 +1,112 @@
+const crypto = require('crypto');
+const { cartRepository, productRepository, transaction } = require('../repositories');
+const { HttpError } = require('../utils/errors');
+
+const MAX_ITEM_QUANTITY = 50;
+
+// Dias sem alterações ao fim dos quais o carrinho de um visitante é apagado
+const GUEST_CART_TTL_DAYS = parseInt(process.env.GUEST_CART_TTL_DAYS || '30', 10);
+
+const CART_TOKEN_PATTERN = /^[a-f0-9]{48}$/;
+
+function isValidCartToken(token) {
+  return typeof token === 'string' && CART_TOKEN_PATTERN.test(token);
+}
+
+// Novo carrinho de visitante: o token é o único acesso ao carrinho, por isso é aleatório
+async function createGuestCart() {
+  await cartRepository.deleteStaleGuestItems(GUEST_CART_TTL_DAYS);
+
+  return { cartToken: crypto.randomBytes(24).toString('hex') };
+}
+
+// Totais calculados apenas com os produtos disponíveis
+function summarize(items) {
+  let subtotal = 0;
+  let totalItems = 0;
+  let availableItems = 0;
+
+  items.forEach(item => {
+    if (item.is_available) {
+      subtotal += item.quantity * item.price;
+      availableItems += item.quantity;
+    }
+    totalItems += item.quantity;
+  });
+
+  return {
+    subtotal: parseFloat(subtotal.toFixed(2)),
+    totalItems,
+    availableItems,
+    itemCount: items.length
+  };
+}
+
+async function getCart(owner) {
+  const items = owner ? await cartRepository.listByOwner(owner) : [];
+
+  return { items, summary: summarize(items) };
+}
+
+// Adicionar um produto (ou somar à quantidade já no carrinho, até ao máximo por item)
+async function addItem(owner, { productId, quantity, specialInstructions, customization }) {
+  const product = await productRepository.findById(productId);
+
+  if (!product) {
+    throw new HttpError(404, 'Produto não encontrado');
+  }
+
+  if (!product.is_available) {
+    throw new HttpError(400, 'Produto não está disponível');
+  }
+
+  const existingItem = await cartRepository.findByOwnerAndProduct(owner, productId);
+
+  if (existingItem) {
+    await cartRepository.updateById(existingItem.id, {
+      quantity: Math.min(existingItem.quantity + quantity, MAX_ITEM_QUANTITY)
+    });
+
+    return { created: false, item: await cartRepository.findWithProduct(existingItem.id) };
+  }
+
+  const cartItemId = await cartRepository.add(owner, { productId, quantity, specialInstructions, customization });
+
+  return { created: true, item: await cartRepository.findWithProduct(cartItemId) };
+}
+
+// Fundir o carrinho de visitante no carrinho do cliente (no login ou registo).
+// Produtos repetidos somam as quantidades; o carrinho de visitante deixa de existir.
+async function mergeGuestCart(cartToken, userId) {
+  if (!isValidCartToken(cartToken)) {
+    return 0;
+  }
+
+  return transaction(async ({ cartRepository }) => {
+    const guestItems = await cartRepository.listByOwner({ cartToken });
+
+    for (const item of guestItems) {
+      const existingItem = await cartRepository.findByOwnerAndProduct({ userId }, item.product_id);
+
+      if (existingItem) {
+        await cartRepository.updateById(existingItem.id, {
+          quantity: Math.min(existingItem.quantity + item.quantity, MAX_ITEM_QUANTITY)
+        });
+        await cartRepository.deleteById(item.id);
+      } else {
+        await cartRepository.updateById(item.id, { user_id: userId, cart_token: null });
+      }
+    }
+
+    return guestItems.length;
+  });
+}
+
+module.exports = {
+  isValidCartToken,
+  createGuestCart,
+  summarize,
+  getCart,
+  addItem,
+  mergeGuestCart
+};
@@ -0,0 +1,172 @@
+const jwt = require('jsonwebtoken');
+const { userRepository, consentRepository, transaction } = require('../repositories');
+const { HttpError } = require('../utils/errors');
+const { appUrl } = require('../utils/app-url');
+const { JWT_SECRET } = require('./token-service');
+
+// Canais e finalidades das comunicações de marketing (cada par tem o seu consentimento)
+const CONSENT_CHANNELS = {
+  email: 'Email',
+  sms: 'SMS'
+};
+
+const CONSENT_PURPOSES = {
+  newsletter: 'Novidades e newsletter',
+  promotions: 'Promoções e descontos',
+  loyalty: 'Campanhas do programa de fidelidade'
+};
+
+const UNSUBSCRIBE_PURPOSE = 'marketing-unsubscribe';
+
+const allConsentKeys = () => Object.keys(CONSENT_CHANNELS).flatMap(channel =>
+  Object.keys(CONSENT_PURPOSES).map(purpose => ({ channel, purpose }))
+);
+
+// Estado atual de todos os pares canal/finalidade (sem registo: não dado)
+function describeConsents(records) {
+  return allConsentKeys().map(({ channel, purpose }) => {
+    const record = records.find(current => current.channel === channel && current.purpose === purpose);
+
+    return {
+      channel,
+      purpose,
+      label: `${CONSENT_PURPOSES[purpose]} (${CONSENT_CHANNELS[channel]})`,
+      granted: Boolean(record && record.granted),
+      source: record ? record.source : null,
+      updatedAt: record ? record.created_at : null
+    };
+  });
+}
+
+async function getConsents(userId) {
+  return describeConsents(await consentRepository.listCurrentForUser(userId));
+}
+
+async function getConsentHistory(userId) {
+  return (await consentRepository.listHistory(userId)).map(record => ({ ...record, granted: Boolean(record.granted) }));
+}
+
+// Os campos marketing_emails / sms_notifications da conta ficam como resumo do registo:
+// ligados enquanto houver algum consentimento dado nesse canal
+async function syncAccountFlags(repositories, userId) {
+  const current = await repositories.consentRepository.listCurrentForUser(userId);
+  const grantedOn = channel => current.some(record => record.channel === channel && record.granted) ? 1 : 0;
+
+  await repositories.userRepository.updateById(userId, {
+    marketing_emails: grantedOn('email'),
+    sms_notifications: grantedOn('sms')
+  });
+}
+
+// Registar alterações de consentimento; só os pares cujo estado muda geram uma linha.
+//   changes   [{ channel, purpose, granted }]
+//   context   { source, recordedBy, ip, userAgent }
+async function updateConsents(userId, changes, { source, recordedBy, ip, userAgent }) {
+  await transaction(async (repositories) => {
+    const current = await repositories.consentRepository.listCurrentForUser(userId);
+
+    for (const { channel, purpose, granted } of changes) {
+      const record = current.find(existing => existing.channel === channel && existing.purpose === purpose);
+
+      if (Boolean(record && record.granted) === Boolean(granted)) {
+        continue;
+      }
+
+      await repositories.consentRepository.append({ userId, channel, purpose, granted, source, recordedBy, ip, userAgent });
+    }
+
+    await syncAccountFlags(repositories, userId);
+  });
+
+  return getConsents(userId);
+}
+
+// Forma antiga (preferences.marketingEmails / smsNotifications): um interruptor para todas
+// as finalidades do canal
+function consentChangesFromPreferences(preferences = {}) {
+  const changes = [];
+  const channels = { email: preferences.marketingEmails, sms: preferences.smsNotifications };
+
+  for (const [channel, granted] of Object.entries(channels)) {
+    if (granted !== undefined) {
+      Object.keys(CONSENT_PURPOSES).forEach(purpose => changes.push({ channel, purpose, granted: Boolean(granted) }));
+    }
+  }
+
+  return changes;
+}
+
+// ===== CANCELAR SUBSCRIÇÃO (link nas mensagens) =====
+
+// O link não expira: tem de funcionar em qualquer mensagem já enviada
+function createUnsubscribeToken(userId, channel, purpose) {
+  return jwt.sign({ userId, channel, consentPurpose: purpose, purpose: UNSUBSCRIBE_PURPOSE }, JWT_SECRET);
+}
+
+function createUnsubscribeLinks(userId, channel, purpose) {
+  const token = encodeURIComponent(createUnsubscribeToken(userId, channel, purpose));
+
+  return {
+    pageUrl: appUrl(`/cancelar-subscricao?token=${token}`),
+    oneClickUrl: appUrl(`/api/users/unsubscribe?token=${token}`)
+  };
+}
+
+function readUnsubscribeToken(token) {
+  let payload;
+  try {
+    payload = jwt.verify(token, JWT_SECRET);
+  } catch (error) {
+    throw new HttpError(400, 'Link de cancelamento inválido');
+  }
+
+  if (payload.purpose !== UNSUBSCRIBE_PURPOSE || !CONSENT_CHANNELS[payload.channel] || !CONSENT_PURPOSES[payload.consentPurpose]) {
+    throw new HttpError(400, 'Link de cancelamento inválido');
+  }
+
+  return { userId: payload.userId, channel: payload.channel, purpose: payload.consentPurpose };
+}
+
+async function describeUnsubscribe(token) {
+  const { userId, channel, purpose } = readUnsubscribeToken(token);
+  const user = await userRepository.findById(userId);
+
+  if (!user || user.erased_at) {
+    throw new HttpError(400, 'Link de cancelamento inválido');
+  }
+
+  return {
+    channel,
+    purpose,
+    label: `${CONSENT_PURPOSES[purpose]} (${CONSENT_CHANNELS[channel]})`,
+    granted: await consentRepository.isGranted(userId, channel, purpose)
+  };
+}
+
+// Retirar o consentimento do link (ou todos, com all). Repetir o pedido não é erro.
+async function unsubscribe(token, { all = false, ip, userAgent } = {}) {
+  const { userId, channel, purpose } = readUnsubscribeToken(token);
+  const user = await userRepository.findById(userId);
+
+  if (!user || user.erased_at) {
+    throw new HttpError(400, 'Link de cancelamento inválido');
+  }
+
+  const changes = all
+    ? allConsentKeys().map(key => ({ ...key, granted: false }))
+    : [{ channel, purpose, granted: false }];
+
+  return updateConsents(userId, changes, { source: 'unsubscribe_link', ip, userAgent });
+}
+
+module.exports = {
+  CONSENT_CHANNELS,
+  CONSENT_PURPOSES,
+  getConsents,
+  getConsentHistory,
+  updateConsents,
+  consentChangesFromPreferences,
+  createUnsubscribeLinks,
+  describeUnsubscribe,
+  unsubscribe
+};
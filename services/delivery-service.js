@@ -0,0 +1,407 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { deliveryRepository, userRepository, transaction } = require('../repositories');
+const { hasPermission } = require('../config/roles');
+const { HttpError } = require('../utils/errors');
+
+// Estados das entregas:
+//
+// pending → assigned → out_for_delivery → delivered
+// com failed (tentativa falhada: o pedido volta à loja para nova saída ou outro entregador),
+// cancelled (pedido cancelado) e assigned → pending quando o entregador recusa a entrega.
+// A saída, a entrega e as tentativas falhadas acompanham o estado do pedido
+// (ver updateDeliveryStatus em order-service).
+const DELIVERY_STATUSES = ['pending', 'assigned', 'out_for_delivery', 'delivered', 'failed', 'cancelled'];
+
+// estado atual → próximos estados
+const DELIVERY_TRANSITIONS = {
+  pending: ['assigned', 'out_for_delivery', 'cancelled'],
+  assigned: ['assigned', 'pending', 'out_for_delivery', 'cancelled'],
+  out_for_delivery: ['delivered', 'failed'],
+  failed: ['assigned', 'out_for_delivery', 'cancelled'],
+  delivered: [],
+  cancelled: []
+};
+
+// Entregas na fila do entregador
+const DRIVER_QUEUE_STATUSES = ['assigned', 'out_for_delivery', 'failed'];
+
+// Entregas com entregador atribuído a partir deste estado
+const ASSIGNABLE_STATUSES = ['pending', 'assigned', 'failed'];
+
+// Entregas por fazer (o cliente vê o PIN de entrega)
+const OPEN_STATUSES = ['pending', 'assigned', 'out_for_delivery', 'failed'];
+
+// Motivos das tentativas falhadas
+const DELIVERY_FAILURE_REASONS = {
+  customer_absent: 'Cliente ausente',
+  wrong_address: 'Morada errada ou incompleta',
+  no_access: 'Sem acesso ao local',
+  refused: 'Recusada pelo cliente',
+  damaged: 'Encomenda danificada',
+  other: 'Outro motivo'
+};
+
+// PINs errados até a entrega só poder ser provada com fotografia ou assinatura
+const MAX_PIN_ATTEMPTS = 5;
+
+// Fotografias e assinaturas das provas de entrega: fora de public/, só servidas no painel
+const DELIVERY_PROOFS_DIR = path.resolve(process.env.DELIVERY_PROOFS_PATH || path.join(__dirname, '..', 'uploads', 'delivery-proofs'));
+
+const generateDeliveryPin = () => String(crypto.randomInt(0, 10000)).padStart(4, '0');
+
+// Mudar o estado dentro da transação em curso, com registo no histórico
+async function applyDeliveryTransition({ deliveryRepository }, delivery, status, { driverId = delivery.driver_id, note, actor } = {}) {
+  if (!(DELIVERY_TRANSITIONS[delivery.status] || []).includes(status)) {
+    throw new HttpError(409, `Não é possível mudar a entrega de "${delivery.status}" para "${status}"`, {
+      currentStatus: delivery.status,
+      allowedTransitions: DELIVERY_TRANSITIONS[delivery.status] || []
+    });
+  }
+
+  await deliveryRepository.updateStatus(delivery.id, status, driverId);
+  await deliveryRepository.addStatusHistory(delivery.id, { status, driverId, note, updatedBy: actor?.id });
+
+  return { ...delivery, status, driver_id: driverId };
+}
+
+async function createDeliveryRecord({ deliveryRepository }, order, { status = 'pending', driverId, estimatedTime, note, actor } = {}) {
+  const deliveryId = await deliveryRepository.create({ orderId: order.id, driverId, status, estimatedTime, pin: generateDeliveryPin() });
+  await deliveryRepository.addStatusHistory(deliveryId, { status, driverId, note, updatedBy: actor?.id });
+
+  return deliveryRepository.findById(deliveryId);
+}
+
+// ===== EFEITOS DAS TRANSIÇÕES DOS PEDIDOS (order-service) =====
+
+// Pedido de entrega confirmado: a entrega fica à espera de entregador
+async function openDeliveryForOrder(repositories, order, actor) {
+  if (order.delivery_type !== 'delivery' || await repositories.deliveryRepository.findByOrder(order.id)) {
+    return;
+  }
+
+  await createDeliveryRecord(repositories, order, { note: 'Pedido confirmado', actor });
+}
+
+// Pedido saiu para entrega. Um entregador que marque a saída de uma entrega sem entregador
+// fica com ela; sem entregador atribuído a saída é recusada.
+async function departDelivery(repositories, order, actor) {
+  const delivery = await repositories.deliveryRepository.findByOrder(order.id)
+    || await createDeliveryRecord(repositories, order, { note: 'Entrega criada à saída', actor });
+
+  let driverId = delivery.driver_id;
+
+  if (actor && hasPermission(actor, 'driver_access')) {
+    if (driverId && String(driverId) !== String(actor.id)) {
+      throw new HttpError(409, 'Esta entrega está atribuída a outro entregador');
+    }
+    driverId = actor.id;
+  }
+
+  if (!driverId) {
+    throw new HttpError(409, 'Atribua um entregador antes de a entrega sair');
+  }
+
+  await applyDeliveryTransition(repositories, delivery, 'out_for_delivery', { driverId, note: 'Saiu para entrega', actor });
+}
+
+async function completeDelivery(repositories, order, actor) {
+  const delivery = await repositories.deliveryRepository.findByOrder(order.id);
+
+  // Pedidos anteriores ao registo das entregas
+  if (!delivery) {
+    return;
+  }
+
+  await applyDeliveryTransition(repositories, delivery, 'delivered', { note: 'Entregue', actor });
+}
+
+// Pedido de volta à loja depois de sair: a entrega em curso fica como tentativa falhada
+// (as falhadas marcadas pelo entregador já chegam aqui nesse estado)
+async function returnDelivery(repositories, order, actor) {
+  if (order.status !== 'out_for_delivery') {
+    return;
+  }
+
+  const delivery = await repositories.deliveryRepository.findByOrder(order.id);
+
+  if (delivery && delivery.status === 'out_for_delivery') {
+    await applyDeliveryTransition(repositories, delivery, 'failed', { note: 'Pedido devolvido à loja', actor });
+  }
+}
+
+async function cancelDelivery(repositories, order, actor) {
+  const delivery = await repositories.deliveryRepository.findByOrder(order.id);
+
+  if (!delivery || delivery.status === 'cancelled') {
+    return;
+  }
+
+  await applyDeliveryTransition(repositories, delivery, 'cancelled', { note: 'Pedido cancelado', actor });
+}
+
+// ===== GESTÃO DAS ENTREGAS =====
+
+// Entregadores só agem sobre as entregas atribuídas a si (a staff sobre qualquer uma)
+function assertDeliveryActor(delivery, actor) {
+  if (hasPermission(actor, 'driver_access') && String(delivery.driver_id) !== String(actor.id)) {
+    throw new HttpError(403, 'Esta entrega não está atribuída a si');
+  }
+}
+
+async function loadDeliveryForActor({ deliveryRepository }, deliveryId, actor) {
+  const delivery = await deliveryRepository.findById(deliveryId);
+
+  if (!delivery) {
+    throw new HttpError(404, 'Entrega não encontrada');
+  }
+
+  assertDeliveryActor(delivery, actor);
+  return delivery;
+}
+
+// Tentativa falhada, com o motivo; devolve a nota para o histórico do pedido
+async function failDelivery(repositories, delivery, { reason, note, actor }) {
+  const label = DELIVERY_FAILURE_REASONS[reason];
+
+  await applyDeliveryTransition(repositories, delivery, 'failed', { note: note ? `${label}: ${note}` : label, actor });
+  await repositories.deliveryRepository.setFailureReason(delivery.id, reason);
+
+  return `Entrega falhada: ${label}`;
+}
+
+async function findDeliveryWithHistory(deliveryId) {
+  const delivery = await deliveryRepository.findDetailed(deliveryId);
+
+  if (!delivery) {
+    throw new HttpError(404, 'Entrega não encontrada');
+  }
+
+  return { ...delivery, statusHistory: await deliveryRepository.findStatusHistory(deliveryId) };
+}
+
+async function listDeliveries(filters, { page, limit }) {
+  // "to" só com a data inclui o dia inteiro
+  const normalized = {
+    ...filters,
+    to: filters.to && /^\d{4}-\d{2}-\d{2}$/.test(filters.to) ? `${filters.to} 23:59:59` : filters.to
+  };
+
+  const deliveries = await deliveryRepository.list(normalized, { limit, offset: (page - 1) * limit });
+  const total = await deliveryRepository.count(normalized);
+
+  return {
+    deliveries,
+    statuses: DELIVERY_STATUSES,
+    pagination: {
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      totalDeliveries: total
+    }
+  };
+}
+
+// Entrega criada à mão (pedidos anteriores ao registo das entregas)
+async function createDelivery(orderId, { estimatedTime, actor }) {
+  const deliveryId = await transaction(async (repositories) => {
+    const order = await repositories.orderRepository.findById(orderId);
+
+    if (!order) {
+      throw new HttpError(404, 'Pedido não encontrado');
+    }
+
+    if (order.delivery_type !== 'delivery') {
+      throw new HttpError(400, 'O pedido não é para entrega');
+    }
+
+    if (!['confirmed', 'preparing', 'ready'].includes(order.status)) {
+      throw new HttpError(409, `Não é possível criar a entrega de um pedido "${order.status}"`);
+    }
+
+    if (await repositories.deliveryRepository.findByOrder(order.id)) {
+      throw new HttpError(409, 'O pedido já tem uma entrega');
+    }
+
+    const delivery = await createDeliveryRecord(repositories, order, { estimatedTime, note: 'Entrega criada pela loja', actor });
+    return delivery.id;
+  });
+
+  return findDeliveryWithHistory(deliveryId);
+}
+
+// Atribuir (ou trocar) o entregador; só contas ativas com acesso de entregador
+async function assignDriver(deliveryId, driverId, actor) {
+  await transaction(async (repositories) => {
+    const delivery = await repositories.deliveryRepository.findById(deliveryId);
+
+    if (!delivery) {
+      throw new HttpError(404, 'Entrega não encontrada');
+    }
+
+    if (!ASSIGNABLE_STATUSES.includes(delivery.status)) {
+      throw new HttpError(409, `Não é possível trocar o entregador de uma entrega "${delivery.status}"`);
+    }
+
+    const driver = await repositories.userRepository.findById(driverId);
+
+    if (!driver || !driver.is_active || !hasPermission(driver, 'driver_access')) {
+      throw new HttpError(400, 'Entregador inválido');
+    }
+
+    await applyDeliveryTransition(repositories, delivery, 'assigned', {
+      driverId: driver.id,
+      note: `Atribuída a ${driver.name}`,
+      actor
+    });
+  });
+
+  return findDeliveryWithHistory(deliveryId);
+}
+
+// O entregador aceita a entrega que lhe foi atribuída
+async function acceptDelivery(deliveryId, driver) {
+  await transaction(async (repositories) => {
+    const delivery = await loadDeliveryForActor(repositories, deliveryId, driver);
+
+    if (delivery.status !== 'assigned') {
+      throw new HttpError(409, `Não é possível aceitar uma entrega "${delivery.status}"`);
+    }
+
+    if (delivery.accepted_at) {
+      return;
+    }
+
+    await repositories.deliveryRepository.markAccepted(delivery.id);
+    await repositories.deliveryRepository.addStatusHistory(delivery.id, {
+      status: 'assigned',
+      driverId: driver.id,
+      note: 'Aceite pelo entregador',
+      updatedBy: driver.id
+    });
+  });
+
+  return findDeliveryWithHistory(deliveryId);
+}
+
+// O entregador recusa a entrega: volta a ficar à espera de entregador
+async function rejectDelivery(deliveryId, driver, reason) {
+  await transaction(async (repositories) => {
+    const delivery = await loadDeliveryForActor(repositories, deliveryId, driver);
+
+    if (delivery.status !== 'assigned') {
+      throw new HttpError(409, `Não é possível recusar uma entrega "${delivery.status}"`);
+    }
+
+    await applyDeliveryTransition(repositories, delivery, 'pending', {
+      driverId: null,
+      note: `Recusada pelo entregador: ${reason}`,
+      actor: driver
+    });
+  });
+
+  return findDeliveryWithHistory(deliveryId);
+}
+
+// Prova de entrega: PIN do cliente, fotografia ou assinatura (pelo menos uma).
+// Cada PIN enviado conta uma tentativa, verificada e contada na mesma instrução: pedidos em
+// simultâneo não passam de MAX_PIN_ATTEMPTS. Depois disso só servem fotografia ou assinatura.
+// Devolve se o PIN foi confirmado.
+async function verifyDeliveryProof(delivery, { pin, photo, signature }) {
+  if (!pin && !photo && !signature) {
+    throw new HttpError(400, 'Indique o PIN do cliente ou envie a fotografia ou a assinatura de quem recebeu');
+  }
+
+  if (!pin) {
+    return false;
+  }
+
+  if (!delivery.delivery_pin) {
+    throw new HttpError(400, 'Esta entrega não tem PIN. Envie a fotografia ou a assinatura de quem recebeu');
+  }
+
+  const { changes } = await deliveryRepository.recordPinAttempt(delivery.id, MAX_PIN_ATTEMPTS);
+
+  if (changes === 0) {
+    throw new HttpError(409, 'Demasiadas tentativas de PIN. Envie a fotografia ou a assinatura de quem recebeu');
+  }
+
+  if (pin !== delivery.delivery_pin) {
+    const { pin_attempts: attempts } = await deliveryRepository.findById(delivery.id);
+    throw new HttpError(400, 'PIN de entrega incorreto', {
+      attemptsLeft: Math.max(MAX_PIN_ATTEMPTS - attempts, 0)
+    });
+  }
+
+  return true;
+}
+
+// PIN de entrega mostrado ao cliente enquanto a entrega estiver por fazer
+async function findDeliveryPin(orderId) {
+  const delivery = await deliveryRepository.findByOrder(orderId);
+  return delivery && OPEN_STATUSES.includes(delivery.status) ? delivery.delivery_pin : null;
+}
+
+// Ficheiro da prova de entrega (photo ou signature)
+async function findProofFile(deliveryId, kind) {
+  const delivery = await deliveryRepository.findById(deliveryId);
+  const fileName = delivery && (kind === 'photo' ? delivery.proof_photo : delivery.proof_signature);
+
+  if (!fileName) {
+    throw new HttpError(404, 'Prova de entrega não encontrada');
+  }
+
+  return path.join(DELIVERY_PROOFS_DIR, path.basename(fileName));
+}
+
+function removeProofFiles(fileNames) {
+  for (const fileName of fileNames.filter(Boolean)) {
+    fs.rmSync(path.join(DELIVERY_PROOFS_DIR, path.basename(fileName)), { force: true });
+  }
+}
+
+// Fila do entregador (o próprio ou staff)
+async function getDriverQueue(driverId, viewer) {
+  if (String(viewer.id) !== String(driverId) && !hasPermission(viewer, 'staff_access')) {
+    throw new HttpError(403, 'Acesso negado. Só pode ver as suas próprias entregas.');
+  }
+
+  const driver = await userRepository.findById(driverId);
+
+  if (!driver || !hasPermission(driver, 'driver_access')) {
+    throw new HttpError(404, 'Entregador não encontrado');
+  }
+
+  return {
+    driver: { id: driver.id, name: driver.name },
+    deliveries: await deliveryRepository.listDriverQueue(driver.id, DRIVER_QUEUE_STATUSES),
+    failureReasons: DELIVERY_FAILURE_REASONS
+  };
+}
+
+module.exports = {
+  DELIVERY_STATUSES,
+  DELIVERY_TRANSITIONS,
+  DELIVERY_FAILURE_REASONS,
+  DELIVERY_PROOFS_DIR,
+  applyDeliveryTransition,
+  openDeliveryForOrder,
+  departDelivery,
+  returnDelivery,
+  completeDelivery,
+  cancelDelivery,
+  assertDeliveryActor,
+  loadDeliveryForActor,
+  failDelivery,
+  findDeliveryWithHistory,
+  listDeliveries,
+  createDelivery,
+  assignDriver,
+  acceptDelivery,
+  rejectDelivery,
+  verifyDeliveryProof,
+  findDeliveryPin,
+  findProofFile,
+  removeProofFiles,
+  getDriverQueue
+};
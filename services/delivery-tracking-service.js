@@ -0,0 +1,166 @@
+const { EventEmitter } = require('events');
+const { deliveryRepository, orderRepository } = require('../repositories');
+const { HttpError } = require('../utils/errors');
+const { loadDeliveryForActor } = require('./delivery-service');
+
+// Velocidade média dos entregadores na cidade, para a hora prevista de chegada
+const AVERAGE_SPEED_KMH = parseFloat(process.env.DELIVERY_AVERAGE_SPEED_KMH || '20');
+
+const EARTH_RADIUS_KM = 6371;
+
+// Subscritores do acompanhamento (streams abertos), por pedido
+const trackingEvents = new EventEmitter();
+trackingEvents.setMaxListeners(0);
+
+const toRadians = degrees => degrees * Math.PI / 180;
+
+// Distância em linha reta (fórmula de haversine), em km
+function distanceKm(from, to) {
+  const dLat = toRadians(to.lat - from.lat);
+  const dLng = toRadians(to.lng - from.lng);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
+
+// Datas gravadas em UTC sem fuso horário (como o CURRENT_TIMESTAMP)
+const toDbDate = date => date.toISOString().replace('T', ' ').slice(0, 19);
+const fromDbDate = value => value && new Date(`${value.replace(' ', 'T')}Z`);
+
+// Destino da entrega ({ lat, lng }): as coordenadas do pedido ou, sem elas, as da morada
+// guardada ou do perfil do cliente (findDeliveryCoordinates); null se não forem conhecidas
+async function deliveryDestination(order) {
+  if (order.delivery_lat != null && order.delivery_lng != null) {
+    return { lat: order.delivery_lat, lng: order.delivery_lng };
+  }
+
+  const coordinates = await orderRepository.findDeliveryCoordinates(order.id);
+
+  return coordinates && coordinates.lat != null && coordinates.lng != null ? coordinates : null;
+}
+
+// Estado do acompanhamento visto pelo cliente. A posição do entregador só é mostrada
+// enquanto a entrega está em curso; a distância e a hora prevista precisam das
+// coordenadas da morada do pedido.
+async function buildTracking(order) {
+  const delivery = await deliveryRepository.findByOrder(order.id);
+  const detailed = delivery && await deliveryRepository.findDetailed(delivery.id);
+  const inTransit = Boolean(detailed && detailed.status === 'out_for_delivery');
+  const last = inTransit ? await deliveryRepository.findLastLocation(detailed.id) : null;
+
+  const destination = last ? await deliveryDestination(order) : null;
+
+  let distanceRemainingKm = null;
+  let etaMinutes = null;
+  let estimatedArrival = null;
+
+  if (last && destination) {
+    const distance = distanceKm({ lat: last.latitude, lng: last.longitude }, destination);
+    distanceRemainingKm = Math.round(distance * 100) / 100;
+    etaMinutes = Math.ceil(distance / AVERAGE_SPEED_KMH * 60);
+    estimatedArrival = new Date(fromDbDate(last.recorded_at).getTime() + etaMinutes * 60 * 1000).toISOString();
+  }
+
+  return {
+    orderId: order.id,
+    orderNumber: order.order_number,
+    orderStatus: order.status,
+    delivery: detailed
+      ? {
+        status: detailed.status,
+        // Só o primeiro nome do entregador
+        driverName: detailed.driver_name ? detailed.driver_name.split(' ')[0] : null,
+        departedAt: detailed.departed_at,
+        deliveredAt: detailed.delivered_at
+      }
+      : null,
+    lastPosition: last
+      ? { latitude: last.latitude, longitude: last.longitude, recordedAt: fromDbDate(last.recorded_at).toISOString() }
+      : null,
+    distanceRemainingKm,
+    etaMinutes,
+    estimatedArrival
+  };
+}
+
+// Acompanhamento de um pedido de entrega (pelo dono, pela staff ou pelo link assinado)
+async function getOrderTracking(order) {
+  if (order.delivery_type !== 'delivery') {
+    throw new HttpError(400, 'O pedido não é para entrega');
+  }
+
+  return buildTracking(order);
+}
+
+// Abrir um stream: listener(tracking) a cada atualização; devolve a função para o fechar
+function subscribeToTracking(orderId, listener) {
+  const eventName = `order:${orderId}`;
+  trackingEvents.on(eventName, listener);
+
+  return () => trackingEvents.off(eventName, listener);
+}
+
+// Enviar o estado atual aos streams abertos do pedido (nunca faz falhar quem o chama)
+async function publishTrackingUpdate(orderId) {
+  const eventName = `order:${orderId}`;
+
+  if (trackingEvents.listenerCount(eventName) === 0) {
+    return;
+  }
+
+  try {
+    const order = await orderRepository.findById(orderId);
+    trackingEvents.emit(eventName, await buildTracking(order));
+  } catch (error) {
+    console.error(`❌ Erro ao atualizar o acompanhamento do pedido ${orderId}:`, error);
+  }
+}
+
+// Posição enviada pela app do entregador, só com a entrega em curso
+async function recordDriverLocation(deliveryId, driver, { latitude, longitude, accuracy, speed, heading, timestamp }) {
+  const delivery = await loadDeliveryForActor({ deliveryRepository }, deliveryId, driver);
+
+  if (delivery.status !== 'out_for_delivery') {
+    throw new HttpError(409, 'Só é possível enviar a localização com a entrega em curso');
+  }
+
+  // Posições guardadas no telemóvel sem rede chegam mais tarde, com a hora em que foram lidas
+  const now = new Date();
+  const recordedAt = timestamp && new Date(timestamp) < now ? new Date(timestamp) : now;
+
+  await deliveryRepository.addLocation(delivery.id, {
+    driverId: driver.id,
+    latitude,
+    longitude,
+    accuracy,
+    speed,
+    heading,
+    recordedAt: toDbDate(recordedAt)
+  });
+
+  await publishTrackingUpdate(delivery.order_id);
+
+  return buildTracking(await orderRepository.findById(delivery.order_id));
+}
+
+// Percurso da entrega (painel)
+async function listDeliveryLocations(deliveryId) {
+  const delivery = await deliveryRepository.findById(deliveryId);
+
+  if (!delivery) {
+    throw new HttpError(404, 'Entrega não encontrada');
+  }
+
+  return deliveryRepository.listLocations(delivery.id);
+}
+
+module.exports = {
+  AVERAGE_SPEED_KMH,
+  distanceKm,
+  getOrderTracking,
+  subscribeToTracking,
+  publishTrackingUpdate,
+  recordDriverLocation,
+  listDeliveryLocations
+};
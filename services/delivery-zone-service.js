@@ -0,0 +1,194 @@
+const { deliveryZoneRepository, transaction } = require('../repositories');
+const { HttpError } = require('../utils/errors');
+const { AVERAGE_SPEED_KMH, distanceKm } = require('./delivery-tracking-service');
+const { BAKERY_LOCATION } = require('./route-optimization-service');
+
+const roundCurrency = value => Math.round(value * 100) / 100;
+
+// Enquanto não houver zonas ativas, entrega-se em qualquer morada com a taxa fixa de sempre
+const DEFAULT_ZONE = { base_fee: 2.50, fee_per_km: 0, free_delivery_threshold: null, min_order_amount: 0 };
+
+// Zona com o polígono lido do JSON guardado
+function parseZone(zone) {
+  return zone && { ...zone, polygon: zone.polygon ? JSON.parse(zone.polygon) : null };
+}
+
+// Ponto dentro do polígono (ray casting), com os vértices em { lat, lng }
+function isInsidePolygon({ lat, lng }, polygon) {
+  let inside = false;
+
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+
+    if ((a.lat > lat) !== (b.lat > lat) && lng < (b.lng - a.lng) * (lat - a.lat) / (b.lat - a.lat) + a.lng) {
+      inside = !inside;
+    }
+  }
+
+  return inside;
+}
+
+// A zona cobre a morada pelo código postal (4 primeiros dígitos) ou, com coordenadas,
+// pelo raio (à volta do centro indicado ou da padaria) ou pelo polígono
+function zoneContains(zone, { postalCode, coordinates }) {
+  const prefix = postalCode ? parseInt(postalCode.slice(0, 4), 10) : NaN;
+
+  if (zone.postal_code_from != null && prefix >= zone.postal_code_from && prefix <= zone.postal_code_to) {
+    return true;
+  }
+
+  if (!coordinates) {
+    return false;
+  }
+
+  if (zone.radius_km != null) {
+    const center = zone.center_lat != null
+      ? { lat: zone.center_lat, lng: zone.center_lng }
+      : BAKERY_LOCATION;
+
+    if (distanceKm(center, coordinates) <= zone.radius_km) {
+      return true;
+    }
+  }
+
+  return Boolean(zone.polygon) && isInsidePolygon(coordinates, zone.polygon);
+}
+
+const hasCoordinates = coordinates => coordinates && coordinates.lat != null && coordinates.lng != null;
+
+// Taxa de entrega numa zona: fixa + por km (só com a distância conhecida),
+// grátis a partir do valor da zona
+function deliveryFeeForZone(zone, distance, subtotal) {
+  if (zone.free_delivery_threshold != null && subtotal >= zone.free_delivery_threshold) {
+    return 0;
+  }
+
+  return roundCurrency(zone.base_fee + (distance != null ? zone.fee_per_km * distance : 0));
+}
+
+// Condições de entrega de uma morada para um pedido com este subtotal
+function quoteForZone(zone, distance, subtotal) {
+  const deliveryFee = deliveryFeeForZone(zone, distance, subtotal);
+
+  return {
+    zone: { id: zone.id, name: zone.name },
+    distanceKm: distance != null ? Math.round(distance * 100) / 100 : null,
+    estimatedMinutes: distance != null ? Math.ceil(distance / AVERAGE_SPEED_KMH * 60) : null,
+    deliveryFee,
+    freeDeliveryThreshold: zone.free_delivery_threshold,
+    amountForFreeDelivery: zone.free_delivery_threshold != null && deliveryFee > 0
+      ? roundCurrency(zone.free_delivery_threshold - subtotal)
+      : 0,
+    minOrderAmount: zone.min_order_amount,
+    amountToMinimum: roundCurrency(Math.max(0, zone.min_order_amount - subtotal)),
+    meetsMinimum: subtotal >= zone.min_order_amount
+  };
+}
+
+// Zona e condições de entrega de uma morada ({ postalCode, coordinates }); 400 fora das zonas.
+// Sem zonas ativas a cotação não tem zona (zone: null) e usa a taxa fixa.
+async function quoteDelivery(repositories, address, subtotal) {
+  const coordinates = hasCoordinates(address?.coordinates) ? address.coordinates : null;
+  const distance = coordinates ? distanceKm(BAKERY_LOCATION, coordinates) : null;
+  const zones = (await repositories.deliveryZoneRepository.listActive()).map(parseZone);
+
+  if (zones.length === 0) {
+    return { ...quoteForZone(DEFAULT_ZONE, distance, subtotal), zone: null };
+  }
+
+  const zone = zones.find(candidate => zoneContains(candidate, { postalCode: address?.postalCode, coordinates }));
+
+  if (!zone) {
+    throw new HttpError(400, 'A morada fica fora das nossas zonas de entrega');
+  }
+
+  return quoteForZone(zone, distance, subtotal);
+}
+
+// Ao criar ou alterar um pedido: o subtotal tem de chegar ao pedido mínimo da zona
+function assertMinimumOrder(quote) {
+  if (!quote.meetsMinimum) {
+    throw new HttpError(400, `O pedido mínimo para entregas em ${quote.zone.name} é de ${quote.minOrderAmount.toFixed(2)} €`, {
+      minOrderAmount: quote.minOrderAmount,
+      amountToMinimum: quote.amountToMinimum
+    });
+  }
+}
+
+// Condições da zona já gravada no pedido (alteração dos itens); null se a zona foi apagada
+async function quoteForOrderZone(repositories, order, subtotal) {
+  const zone = order.delivery_zone_id
+    ? await repositories.deliveryZoneRepository.findById(order.delivery_zone_id)
+    : null;
+
+  return zone ? quoteForZone(zone, order.delivery_distance_km, subtotal) : null;
+}
+
+// Uma zona tem de cobrir alguma coisa, e os intervalos e o centro vêm completos
+function assertZoneArea({ postalCodeFrom, postalCodeTo, center, radiusKm, polygon }) {
+  if ((postalCodeFrom == null) !== (postalCodeTo == null)) {
+    throw new HttpError(400, 'Indique o início e o fim do intervalo de códigos postais');
+  }
+
+  if (postalCodeFrom != null && postalCodeFrom > postalCodeTo) {
+    throw new HttpError(400, 'O início do intervalo de códigos postais não pode ser maior do que o fim');
+  }
+
+  if (center && (center.lat == null) !== (center.lng == null)) {
+    throw new HttpError(400, 'Indique a latitude e a longitude do centro da zona');
+  }
+
+  if (postalCodeFrom == null && radiusKm == null && !polygon) {
+    throw new HttpError(400, 'A zona precisa de um intervalo de códigos postais, um raio ou um polígono');
+  }
+}
+
+async function listZones() {
+  return (await deliveryZoneRepository.listAll()).map(parseZone);
+}
+
+async function findZone(id) {
+  const zone = await deliveryZoneRepository.findById(id);
+
+  if (!zone) {
+    throw new HttpError(404, 'Zona de entrega não encontrada');
+  }
+
+  return parseZone(zone);
+}
+
+async function createZone(data) {
+  assertZoneArea(data);
+  return findZone(await deliveryZoneRepository.create(data));
+}
+
+async function updateZone(id, data) {
+  await findZone(id);
+  assertZoneArea(data);
+  await deliveryZoneRepository.update(id, data);
+
+  return findZone(id);
+}
+
+// Desligar os pedidos da zona e apagá-la na mesma transação
+async function deleteZone(id) {
+  return transaction(async ({ deliveryZoneRepository }) => {
+    if (!await deliveryZoneRepository.findById(id)) {
+      throw new HttpError(404, 'Zona de entrega não encontrada');
+    }
+
+    await deliveryZoneRepository.delete(id);
+  });
+}
+
+module.exports = {
+  quoteDelivery,
+  quoteForOrderZone,
+  assertMinimumOrder,
+  listZones,
+  findZone,
+  createZone,
+  updateZone,
+  deleteZone
+};
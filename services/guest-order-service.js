@@ -0,0 +1,221 @@
+const jwt = require('jsonwebtoken');
+const bcrypt = require('bcryptjs');
+const { orderRepository, userRepository, transaction } = require('../repositories');
+const { HttpError } = require('../utils/errors');
+const { placeOrder } = require('./order-service');
+const { JWT_SECRET } = require('./token-service');
+const { appUrl } = require('../utils/app-url');
+const { insertAddress } = require('./address-service');
+const { findDeliveryPin } = require('./delivery-service');
+const { sendMail } = require('./mail-service');
+
+// Validade do link de acompanhamento enviado ao visitante
+const TRACKING_TOKEN_TTL_DAYS = parseInt(process.env.ORDER_TRACKING_TTL_DAYS || '90', 10);
+const TRACKING_PURPOSE = 'order-tracking';
+
+// Validade do link para criar conta, enviado só para o email do pedido
+const REGISTRATION_TOKEN_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS || '48', 10);
+const REGISTRATION_PURPOSE = 'guest-registration';
+
+// Link assinado: quem o tiver pode ver o pedido, pagá-lo e associá-lo a uma conta
+function createTrackingLink(order) {
+  const token = jwt.sign(
+    { orderId: order.id, purpose: TRACKING_PURPOSE },
+    JWT_SECRET,
+    { expiresIn: `${TRACKING_TOKEN_TTL_DAYS}d` }
+  );
+
+  return {
+    trackingToken: token,
+    trackingUrl: appUrl(`/acompanhar-pedido?token=${encodeURIComponent(token)}`)
+  };
+}
+
+// Pedido a partir do token do link (404 para tokens inválidos, expirados ou de outro tipo)
+async function findTrackedOrder(token) {
+  let payload;
+  try {
+    payload = jwt.verify(token, JWT_SECRET);
+  } catch (error) {
+    throw new HttpError(404, 'Link de acompanhamento inválido ou expirado');
+  }
+
+  const order = payload.purpose === TRACKING_PURPOSE && await orderRepository.findWithCustomer(payload.orderId);
+
+  if (!order) {
+    throw new HttpError(404, 'Link de acompanhamento inválido ou expirado');
+  }
+
+  return order;
+}
+
+// Dados do pedido visíveis no link de acompanhamento
+async function getTrackedOrder(token) {
+  const order = await findTrackedOrder(token);
+  const items = await orderRepository.findItems(order.id);
+  const statusHistory = await orderRepository.findStatusHistory(order.id);
+
+  return {
+    id: order.id,
+    order_number: order.order_number,
+    status: order.status,
+    payment_method: order.payment_method,
+    payment_status: order.payment_status,
+    delivery_type: order.delivery_type,
+    preferred_time: order.preferred_time,
+    specific_time: order.specific_time,
+    subtotal: order.subtotal,
+    tax: order.tax,
+    delivery_fee: order.delivery_fee,
+    final_amount: order.final_amount,
+    customer_name: order.customer_name,
+    has_account: Boolean(order.user_id),
+    delivery_pin: await findDeliveryPin(order.id),
+    created_at: order.created_at,
+    items: items.map(item => ({
+      product_name: item.product_name,
+      quantity: item.quantity,
+      total_price: item.total_price
+    })),
+    statusHistory: statusHistory.map(entry => ({
+      status: entry.status,
+      note: entry.note,
+      created_at: entry.created_at
+    }))
+  };
+}
+
+// Criar um pedido sem conta: os contactos ficam no pedido e o visitante recebe o link
+async function placeGuestOrder(orderData, cartOwner) {
+  const { customer } = orderData;
+
+  const order = await placeOrder(null, orderData, {
+    customer: {
+      name: customer.name,
+      phone: customer.phone,
+      email: customer.email
+    },
+    cartOwner
+  });
+
+  return { order, ...createTrackingLink(order) };
+}
+
+// Associar um pedido de visitante a uma conta (o link prova que o pedido é seu)
+async function claimGuestOrder(token, user) {
+  const order = await findTrackedOrder(token);
+
+  if (order.user_id) {
+    if (String(order.user_id) === String(user.id)) {
+      return order;
+    }
+    throw new HttpError(409, 'Este pedido já pertence a uma conta');
+  }
+
+  await orderRepository.updateById(order.id, { user_id: user.id });
+
+  return orderRepository.findWithCustomer(order.id);
+}
+
+// O pedido ainda pode dar origem a uma conta: sem conta associada e com os contactos livres
+async function assertCanRegister({ userRepository }, order) {
+  if (order.user_id) {
+    throw new HttpError(409, 'Este pedido já pertence a uma conta');
+  }
+
+  if (await userRepository.isEmailTaken(order.customer_email)) {
+    throw new HttpError(400, 'Email já está registado. Entre na sua conta para associar o pedido.');
+  }
+
+  if (await userRepository.findByPhone(order.customer_phone)) {
+    throw new HttpError(400, 'Telefone já está registado. Entre na sua conta para associar o pedido.');
+  }
+}
+
+// Pedido de conta a partir do link de acompanhamento: os contactos do visitante não foram
+// verificados, por isso o link para escolher a password vai só para o email do pedido
+async function sendRegistrationLink(trackingToken) {
+  const order = await findTrackedOrder(trackingToken);
+
+  await assertCanRegister({ userRepository }, order);
+
+  const token = jwt.sign(
+    { orderId: order.id, email: order.customer_email, purpose: REGISTRATION_PURPOSE },
+    JWT_SECRET,
+    { expiresIn: `${REGISTRATION_TOKEN_TTL_HOURS}h` }
+  );
+
+  await sendMail({
+    to: order.customer_email,
+    subject: 'Crie a sua conta - Sabores Portugueses',
+    text: `Olá ${order.customer_name},\n\n` +
+      `Para guardar a encomenda ${order.order_number} numa conta, escolha a sua password no link abaixo ` +
+      `(válido durante ${REGISTRATION_TOKEN_TTL_HOURS} horas):\n\n` +
+      `${appUrl(`/criar-conta?token=${encodeURIComponent(token)}`)}\n\n` +
+      'Se não fez esta encomenda, ignore este email.'
+  });
+}
+
+// Criar conta com o link do email e associar-lhe o pedido. O link prova o acesso ao email,
+// que fica verificado; o telefone fica por verificar.
+async function registerFromGuestOrder(registrationToken, password) {
+  let payload;
+  try {
+    payload = jwt.verify(registrationToken, JWT_SECRET);
+  } catch (error) {
+    throw new HttpError(400, 'Link inválido ou expirado');
+  }
+
+  if (payload.purpose !== REGISTRATION_PURPOSE) {
+    throw new HttpError(400, 'Link inválido ou expirado');
+  }
+
+  const salt = await bcrypt.genSalt(12);
+  const hashedPassword = await bcrypt.hash(password, salt);
+
+  return transaction(async (repositories) => {
+    const { userRepository, orderRepository } = repositories;
+    const order = await orderRepository.findWithCustomer(payload.orderId);
+
+    if (!order || order.customer_email !== payload.email) {
+      throw new HttpError(400, 'Link inválido ou expirado');
+    }
+
+    await assertCanRegister(repositories, order);
+
+    const userId = await userRepository.create({
+      name: order.customer_name,
+      email: order.customer_email,
+      phone: order.customer_phone,
+      password: hashedPassword,
+      street: order.delivery_street,
+      city: order.delivery_city,
+      postalCode: order.delivery_postal_code
+    });
+    await userRepository.updateById(userId, { email_verified: 1 });
+
+    // A morada de entrega do pedido passa a ser a morada predefinida da conta
+    if (order.delivery_street) {
+      await insertAddress(repositories, userId, {
+        label: 'Casa',
+        street: order.delivery_street,
+        city: order.delivery_city,
+        postalCode: order.delivery_postal_code
+      });
+    }
+
+    await orderRepository.updateById(order.id, { user_id: userId });
+
+    return userRepository.findAuthById(userId);
+  });
+}
+
+module.exports = {
+  createTrackingLink,
+  findTrackedOrder,
+  getTrackedOrder,
+  placeGuestOrder,
+  claimGuestOrder,
+  sendRegistrationLink,
+  registerFromGuestOrder
+};
@@ -0,0 +1,150 @@
+const { userRepository, loginThrottleRepository, transaction } = require('../repositories');
+const { HttpError } = require('../utils/errors');
+
+// Falhas contam durante LOGIN_FAILURE_WINDOW_MINUTES; a partir de delayAfter falhas cada nova
+// tentativa espera 1s, 2s, 4s... (até MAX_DELAY_SECONDS) e em lockAfter falhas há bloqueio.
+// Cada bloqueio seguido dobra o anterior (até um dia).
+const FAILURE_WINDOW_MINUTES = parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES || '60', 10);
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES || '15', 10);
+const MAX_LOCKOUT_MINUTES = 24 * 60;
+const MAX_DELAY_SECONDS = 60;
+
+// Por conta (adivinhar a password de uma conta) e por IP (tentar muitas contas a partir do mesmo sítio)
+const POLICIES = {
+  account: {
+    delayAfter: 3,
+    lockAfter: parseInt(process.env.LOGIN_MAX_ACCOUNT_FAILURES || '10', 10)
+  },
+  ip: {
+    delayAfter: 10,
+    lockAfter: parseInt(process.env.LOGIN_MAX_IP_FAILURES || '50', 10)
+  }
+};
+
+const MESSAGES = {
+  account: 'Conta temporariamente bloqueada por excesso de tentativas falhadas. Tente novamente mais tarde',
+  ip: 'Demasiadas tentativas de login falhadas a partir deste endereço. Tente novamente mais tarde'
+};
+
+// As falhas contam por conta mesmo para emails/usernames que não existem, para a resposta
+// não revelar quais existem
+async function resolveAccountKey({ login, userId }) {
+  if (userId) {
+    return { key: `user:${userId}`, userId };
+  }
+
+  const account = await userRepository.findByLogin(login);
+  return account
+    ? { key: `user:${account.id}`, userId: account.id }
+    : { key: `login:${String(login).trim().toLowerCase()}`, userId: null };
+}
+
+const scopesOf = (attempt) => [
+  ['ip', attempt.ip],
+  ['account', attempt.accountKey]
+].filter(([, key]) => key);
+
+// Antes de verificar as credenciais: 429 enquanto a conta ou o IP estiverem bloqueados ou em espera.
+// Devolve a tentativa, para depois registar o resultado.
+async function checkLoginAttempt({ ip, login, userId }) {
+  const attempt = { ip };
+
+  if (login || userId) {
+    const account = await resolveAccountKey({ login, userId });
+    attempt.accountKey = account.key;
+    attempt.userId = account.userId;
+  }
+
+  for (const [scope, key] of scopesOf(attempt)) {
+    const state = await loginThrottleRepository.findState(scope, key);
+    if (!state) {
+      continue;
+    }
+
+    if (state.lock_seconds_left > 0) {
+      throw new HttpError(429, MESSAGES[scope], { retryAfter: state.lock_seconds_left });
+    }
+
+    if (state.delay_seconds_left > 0) {
+      throw new HttpError(429, `Aguarde ${state.delay_seconds_left} segundo(s) antes de tentar novamente`, {
+        retryAfter: state.delay_seconds_left
+      });
+    }
+  }
+
+  return attempt;
+}
+
+async function recordLoginFailure(attempt) {
+  await loginThrottleRepository.deleteStale();
+
+  await transaction(async ({ loginThrottleRepository }) => {
+    for (const [scope, key] of scopesOf(attempt)) {
+      const policy = POLICIES[scope];
+      const state = await loginThrottleRepository.recordFailure(scope, key, {
+        userId: scope === 'account' ? attempt.userId : null,
+        ip: attempt.ip,
+        windowMinutes: FAILURE_WINDOW_MINUTES
+      });
+
+      if (state.failed_attempts >= policy.lockAfter) {
+        const minutes = Math.min(LOCKOUT_MINUTES * 2 ** state.lockouts, MAX_LOCKOUT_MINUTES);
+        await loginThrottleRepository.lock(state.id, minutes);
+        console.warn(`🔒 Login bloqueado durante ${minutes} min (${scope} ${key}) após ${state.failed_attempts} falhas`);
+      } else if (state.failed_attempts >= policy.delayAfter) {
+        const seconds = Math.min(2 ** (state.failed_attempts - policy.delayAfter), MAX_DELAY_SECONDS);
+        await loginThrottleRepository.delayNextAttempt(state.id, seconds);
+      }
+    }
+  });
+}
+
+// Login concluído: as falhas da conta são esquecidas (as do IP não, para uma conta válida
+// não servir para limpar o registo de quem tenta outras)
+async function recordLoginSuccess(attempt) {
+  if (attempt.accountKey) {
+    await loginThrottleRepository.clear('account', attempt.accountKey);
+  }
+}
+
+// ===== PAINEL =====
+
+async function listLoginLockouts() {
+  const rows = await loginThrottleRepository.listActive(FAILURE_WINDOW_MINUTES);
+
+  return rows.map(row => ({
+    id: row.id,
+    scope: row.scope,
+    key: row.throttle_key,
+    user: row.user_id ? {
+      id: row.user_id,
+      name: row.user_name,
+      username: row.username,
+      email: row.email,
+      role: row.role
+    } : null,
+    lastIp: row.last_ip,
+    failedAttempts: row.failed_attempts,
+    lockouts: row.lockouts,
+    lastFailedAt: row.last_failed_at,
+    nextAttemptAt: row.next_attempt_at,
+    lockedUntil: row.is_locked ? row.locked_until : null
+  }));
+}
+
+// Desbloquear: apaga as falhas e o histórico de bloqueios dessa conta ou IP
+async function unlockLogin(id) {
+  const result = await loginThrottleRepository.deleteById(id);
+
+  if (!result.changes) {
+    throw new HttpError(404, 'Bloqueio não encontrado');
+  }
+}
+
+module.exports = {
+  checkLoginAttempt,
+  recordLoginFailure,
+  recordLoginSuccess,
+  listLoginLockouts,
+  unlockLogin
+};
@@ -0,0 +1,71 @@
+// Regras do programa de fidelidade partilhadas pelas rotas e pelo ciclo de vida dos pedidos
+
+const POINTS_PER_EURO = 1;
+
+// Tier correspondente a um saldo de pontos
+function calculateTier(points) {
+  if (points >= 250) {
+    return 'gold';
+  }
+  if (points >= 100) {
+    return 'silver';
+  }
+  return 'bronze';
+}
+
+// Pontos ganhos por um pedido com o valor indicado
+function pointsForAmount(amount) {
+  return Math.floor(amount * POINTS_PER_EURO);
+}
+
+// Somar (ou subtrair, com pontos negativos) ao saldo do usuário e registar a transação.
+// Recebe os repositórios da transação em curso.
+async function adjustPoints({ userRepository, loyaltyRepository }, user, { points, orderId, type, description }) {
+  await loyaltyRepository.addTransaction({
+    userId: user.id,
+    orderId,
+    points,
+    type,
+    description
+  });
+
+  const newPoints = user.loyalty_points + points;
+  const newTier = calculateTier(newPoints);
+
+  await userRepository.updateById(user.id, { loyalty_points: newPoints, loyalty_tier: newTier });
+
+  return { newPoints, newTier };
+}
+
+// Retirar os pontos ganhos com um pedido reembolsado: todos num reembolso total,
+// proporcionais ao valor num reembolso parcial. Devolve os pontos retirados.
+async function clawbackOrderPoints(repositories, order, amount, fullyRefunded) {
+  if (!order.user_id) {
+    return 0;
+  }
+
+  const earned = await repositories.loyaltyRepository.sumOrderPoints(order.id);
+  const points = fullyRefunded ? earned : Math.min(earned, pointsForAmount(amount));
+  const user = await repositories.userRepository.findById(order.user_id);
+
+  if (!user || points <= 0) {
+    return 0;
+  }
+
+  await adjustPoints(repositories, user, {
+    points: -points,
+    orderId: order.id,
+    type: 'clawback',
+    description: `Reembolso do pedido ${order.order_number}`
+  });
+
+  return points;
+}
+
+module.exports = {
+  POINTS_PER_EURO,
+  calculateTier,
+  pointsForAmount,
+  adjustPoints,
+  clawbackOrderPoints
+};
@@ -0,0 +1,35 @@
+const nodemailer = require('nodemailer');
+
+// Envio de emails por SMTP (EMAIL_HOST / EMAIL_PORT / EMAIL_USER / EMAIL_PASS).
+// Em desenvolvimento: npm run mock:smtp e EMAIL_HOST=localhost, EMAIL_PORT=1025
+const EMAIL_FROM = process.env.EMAIL_FROM || 'Sabores Portugueses <noreply@saboresportugueses.pt>';
+
+let transporter = null;
+
+function getTransporter() {
+  if (!transporter) {
+    const port = parseInt(process.env.EMAIL_PORT || '1025', 10);
+
+    transporter = nodemailer.createTransport({
+      host: process.env.EMAIL_HOST || 'localhost',
+      port,
+      secure: port === 465,
+      auth: process.env.EMAIL_USER
+        ? { user: process.env.EMAIL_USER, pass: process.env.EMAIL_PASS }
+        : undefined
+    });
+  }
+
+  return transporter;
+}
+
+async function sendMail({ to, subject, text, headers }) {
+  const info = await getTransporter().sendMail({ from: EMAIL_FROM, to, subject, text, headers });
+
+  console.log(`📧 Email "${subject}" enviado para ${to}`);
+  return info;
+}
+
+module.exports = {
+  sendMail
+};
@@ -0,0 +1,71 @@
+const { userRepository, consentRepository } = require('../repositories');
+const { sendMail } = require('./mail-service');
+const { getSmsProvider } = require('./sms-providers');
+const { createUnsubscribeLinks } = require('./consent-service');
+
+// Todas as mensagens de marketing passam por aqui: o consentimento é verificado no momento
+// do envio (não na criação da campanha) e cada mensagem leva o link para cancelar.
+//   message   { channel, purpose, subject, text }
+//   → { sent: true } ou { sent: false, reason }
+async function sendMarketingMessage(userId, { channel, purpose, subject, text }) {
+  const user = await userRepository.findById(userId);
+
+  if (!user || !user.is_active || user.erased_at) {
+    return { sent: false, reason: 'inactive_account' };
+  }
+
+  if (!await consentRepository.isGranted(userId, channel, purpose)) {
+    return { sent: false, reason: 'no_consent' };
+  }
+
+  const { pageUrl, oneClickUrl } = createUnsubscribeLinks(userId, channel, purpose);
+
+  if (channel === 'email') {
+    if (!user.email) {
+      return { sent: false, reason: 'no_contact' };
+    }
+
+    // List-Unsubscribe-Post: cancelamento com um clique no próprio cliente de email (RFC 8058)
+    await sendMail({
+      to: user.email,
+      subject,
+      text: `${text}\n\n—\nNão quer receber estas mensagens? Cancele aqui: ${pageUrl}`,
+      headers: {
+        'List-Unsubscribe': `<${oneClickUrl}>`,
+        'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+      }
+    });
+  } else {
+    if (!user.phone) {
+      return { sent: false, reason: 'no_contact' };
+    }
+
+    await getSmsProvider().send(user.phone, `${text} Cancelar: ${pageUrl}`);
+  }
+
+  return { sent: true };
+}
+
+// Campanha para todos os clientes com consentimento para o canal/finalidade
+async function sendCampaign(message) {
+  const recipients = await consentRepository.listGrantedRecipients(message.channel, message.purpose);
+  const result = { recipients: recipients.length, sent: 0, skipped: 0, failed: 0 };
+
+  for (const recipient of recipients) {
+    try {
+      const { sent } = await sendMarketingMessage(recipient.id, message);
+      result[sent ? 'sent' : 'skipped'] += 1;
+    } catch (error) {
+      console.error(`❌ Erro ao enviar mensagem de marketing ao usuário ${recipient.id}:`, error.message);
+      result.failed += 1;
+    }
+  }
+
+  console.log(`📣 Campanha ${message.channel}/${message.purpose}: ${result.sent} enviadas, ${result.skipped} ignoradas, ${result.failed} falhadas`);
+  return result;
+}
+
+module.exports = {
+  sendMarketingMessage,
+  sendCampaign
+};
@@ -0,0 +1,36 @@
+const { sendMail } = require('./mail-service');
+const { getSmsProvider } = require('./sms-providers');
+
+// Notificações a clientes sobre o estado dos pedidos.
+// Os envios nunca devem fazer falhar a operação que os originou.
+
+async function notifyOrderReady(order) {
+  // Pedido de volta à loja depois de uma entrega falhada: o cliente já foi avisado antes
+  if (order.previousStatus === 'out_for_delivery') {
+    return;
+  }
+
+  const how = order.delivery_type === 'delivery'
+    ? 'vai sair para entrega'
+    : 'está pronto para levantamento';
+
+  // Por email quando o pedido o tem; senão por SMS (pedidos feitos só com o telefone)
+  if (order.customer_email) {
+    await sendMail({
+      to: order.customer_email,
+      subject: `Pedido ${order.order_number} ${how} - Sabores Portugueses`,
+      text: `Olá ${order.customer_name},\n\n` +
+        `O seu pedido ${order.order_number} ${how}.\n\n` +
+        'Obrigado pela preferência!'
+    });
+  } else if (order.customer_phone) {
+    await getSmsProvider().send(
+      order.customer_phone,
+      `Sabores Portugueses: o seu pedido ${order.order_number} ${how}.`
+    );
+  }
+}
+
+module.exports = {
+  notifyOrderReady
+};
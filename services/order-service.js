@@ -0,0 +1,524 @@
+const { deliveryRepository, productRepository, deliveryZoneRepository, transaction } = require('../repositories');
+const { HttpError } = require('../utils/errors');
+const { allowedTransitions, canTransition } = require('./order-state-machine');
+const { pointsForAmount, adjustPoints } = require('./loyalty-service');
+const { notifyOrderReady } = require('./notification-service');
+const { resolveOrderAddress } = require('./address-service');
+const {
+  applyDeliveryTransition,
+  openDeliveryForOrder,
+  departDelivery,
+  returnDelivery,
+  completeDelivery,
+  cancelDelivery,
+  loadDeliveryForActor,
+  failDelivery,
+  verifyDeliveryProof
+} = require('./delivery-service');
+const { publishTrackingUpdate } = require('./delivery-tracking-service');
+const { quoteDelivery, quoteForOrderZone, assertMinimumOrder } = require('./delivery-zone-service');
+const { voidPendingPayments, cancelVoidedPayments } = require('./payment-service');
+const cashProvider = require('./payment-providers/cash');
+
+const TAX_RATE = 0.23; // IVA 23%
+
+// Minutos após a criação em que o cliente ainda pode alterar ou cancelar um pedido
+// já confirmado. Pedidos pendentes podem ser sempre alterados.
+const MODIFICATION_WINDOW_MINUTES = parseInt(process.env.ORDER_MODIFICATION_WINDOW_MINUTES || '5', 10);
+const GRACE_PERIOD_STATUSES = ['confirmed'];
+
+// Arredondar valores monetários a cêntimos
+function roundCurrency(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function generateOrderNumber() {
+  return `SP${Date.now()}${Math.floor(Math.random() * 1000)}`;
+}
+
+function itemsSubtotal(items) {
+  return roundCurrency(items.reduce((sum, item) => sum + item.totalPrice, 0));
+}
+
+// Calcular subtotal, IVA e total a partir dos itens do pedido e da taxa de entrega da zona
+function calculateTotals(items, deliveryFee = 0) {
+  const subtotal = itemsSubtotal(items);
+  const tax = roundCurrency(subtotal * TAX_RATE);
+
+  return {
+    subtotal,
+    tax,
+    deliveryFee,
+    finalAmount: roundCurrency(subtotal + deliveryFee + tax)
+  };
+}
+
+// Validar produtos e reservar stock para cada item (dentro de uma transação)
+async function reserveItems(productRepository, items) {
+  const orderItems = [];
+
+  for (const item of items) {
+    const product = await productRepository.findById(item.productId);
+
+    if (!product) {
+      throw new HttpError(400, `Produto ${item.productId} não encontrado`);
+    }
+
+    if (!product.is_available) {
+      throw new HttpError(400, `Produto ${product.name} não está disponível`);
+    }
+
+    const reserved = await productRepository.reserveStock(product.id, item.quantity);
+    if (!reserved) {
+      throw new HttpError(409, `Produto ${product.name} não tem stock suficiente`);
+    }
+
+    orderItems.push({
+      productId: product.id,
+      productName: product.name,
+      quantity: item.quantity,
+      unitPrice: product.price,
+      totalPrice: roundCurrency(item.quantity * product.price),
+      specialInstructions: item.specialInstructions,
+      customization: item.customization
+    });
+  }
+
+  return orderItems;
+}
+
+// Criar pedido numa única transação: valida produtos, reserva stock, grava o pedido
+// e os itens e limpa o carrinho. Qualquer falha reverte tudo.
+// Pedidos de visitantes (userId null) guardam os contactos em customer e limpam o
+// carrinho de visitante indicado em cartOwner.
+async function placeOrder(userId, orderData, { customer, cartOwner } = {}) {
+  const {
+    deliveryType,
+    deliveryAddress,
+    addressId,
+    deliveryInstructions,
+    preferredTime,
+    specificTime,
+    paymentMethod,
+    customerNotes,
+    items
+  } = orderData;
+
+  if (!items || items.length === 0) {
+    throw new HttpError(400, 'Carrinho está vazio');
+  }
+
+  return transaction(async ({ orderRepository, productRepository, cartRepository, addressRepository, deliveryZoneRepository }) => {
+    // Entrega numa morada guardada: o pedido fica com uma cópia (e com as instruções
+    // da morada, se o pedido não trouxer outras)
+    const savedAddress = deliveryType === 'delivery' && addressId
+      ? await resolveOrderAddress({ addressRepository }, userId, addressId)
+      : null;
+    const address = savedAddress
+      ? {
+        street: savedAddress.street,
+        city: savedAddress.city,
+        postalCode: savedAddress.postal_code,
+        coordinates: { lat: savedAddress.lat, lng: savedAddress.lng }
+      }
+      : deliveryAddress;
+
+    const orderItems = await reserveItems(productRepository, items);
+
+    // Taxa e pedido mínimo da zona da morada (fora das zonas o pedido é recusado)
+    const quote = deliveryType === 'delivery'
+      ? await quoteDelivery({ deliveryZoneRepository }, address, itemsSubtotal(orderItems))
+      : null;
+    if (quote) {
+      assertMinimumOrder(quote);
+    }
+
+    const totals = calculateTotals(orderItems, quote ? quote.deliveryFee : 0);
+
+    const orderId = await orderRepository.create({
+      order_number: generateOrderNumber(),
+      user_id: userId,
+      customer_name: customer ? customer.name : null,
+      customer_phone: customer ? customer.phone : null,
+      customer_email: customer ? customer.email : null,
+      delivery_type: deliveryType,
+      delivery_street: address?.street || '',
+      delivery_city: address?.city || '',
+      delivery_postal_code: address?.postalCode || '',
+      delivery_lat: address?.coordinates?.lat ?? null,
+      delivery_lng: address?.coordinates?.lng ?? null,
+      delivery_instructions: deliveryInstructions || savedAddress?.delivery_instructions || null,
+      address_id: savedAddress ? savedAddress.id : null,
+      delivery_zone_id: quote?.zone?.id ?? null,
+      delivery_distance_km: quote ? quote.distanceKm : null,
+      preferred_time: preferredTime || 'asap',
+      specific_time: specificTime || null,
+      payment_method: paymentMethod,
+      subtotal: totals.subtotal,
+      tax: totals.tax,
+      delivery_fee: totals.deliveryFee,
+      final_amount: totals.finalAmount,
+      customer_notes: customerNotes || null
+    });
+
+    for (const item of orderItems) {
+      await orderRepository.addItem(orderId, item);
+    }
+
+    await orderRepository.addStatusHistory(orderId, 'pending', 'Pedido criado', userId);
+
+    // Limpar carrinho
+    const owner = cartOwner || (userId && { userId });
+    if (owner) {
+      await cartRepository.clear(owner);
+    }
+
+    return orderRepository.findWithCustomer(orderId);
+  });
+}
+
+// Atribuir pontos de fidelidade ao cliente quando o pedido é entregue
+async function awardDeliveredPoints(repositories, order) {
+  if (!order.user_id) {
+    return;
+  }
+
+  const user = await repositories.userRepository.findById(order.user_id);
+  const points = pointsForAmount(order.final_amount);
+
+  if (!user || points <= 0) {
+    return;
+  }
+
+  await adjustPoints(repositories, user, {
+    points,
+    orderId: order.id,
+    type: 'earned',
+    description: `Pedido ${order.order_number} entregue`
+  });
+}
+
+// Devolver ao stock as unidades reservadas por um pedido cancelado
+async function restockOrderItems({ orderRepository, productRepository }, order) {
+  const items = await orderRepository.findItems(order.id);
+
+  for (const item of items) {
+    if (item.product_id) {
+      await productRepository.releaseStock(item.product_id, item.quantity);
+    }
+  }
+}
+
+// Pagamento em dinheiro: liquidado na entrega
+async function settleCashPayment(repositories, order) {
+  if (order.payment_method === 'cash') {
+    await cashProvider.settleOnDelivery(repositories, order);
+  }
+}
+
+// Pedido cancelado antes de ser pago: os pagamentos pendentes são anulados e não há nada a cobrar
+async function cancelPendingPayments(repositories, order) {
+  await voidPendingPayments(repositories, order);
+
+  if (order.payment_status === 'pending') {
+    await repositories.orderRepository.updateById(order.id, { payment_status: 'canceled' });
+  }
+}
+
+// Efeitos de cada transição, executados na mesma transação que a mudança de estado
+// (recebem as repositories, o pedido e quem fez a mudança)
+const transitionHooks = {
+  confirmed: [openDeliveryForOrder],
+  ready: [returnDelivery],
+  out_for_delivery: [departDelivery],
+  delivered: [awardDeliveredPoints, settleCashPayment, completeDelivery],
+  cancelled: [restockOrderItems, cancelPendingPayments, cancelDelivery]
+};
+
+// Efeitos executados depois do commit (notificações e pedidos aos fornecedores de pagamento)
+const afterCommitHooks = {
+  ready: notifyOrderReady,
+  cancelled: cancelVoidedPayments
+};
+
+// Validar e aplicar uma transição dentro da transação em curso.
+// Transições não permitidas para o estado atual ou para o papel do utilizador dão 409.
+async function applyTransition(repositories, current, status, actor, note) {
+  if (!canTransition(current, status, actor.role)) {
+    throw new HttpError(409, `Não é possível mudar o pedido de "${current.status}" para "${status}"`, {
+      currentStatus: current.status,
+      allowedTransitions: allowedTransitions(current, actor.role)
+    });
+  }
+
+  await repositories.orderRepository.updateStatus(current.id, status);
+  await repositories.orderRepository.addStatusHistory(current.id, status, note, actor.id);
+
+  for (const hook of transitionHooks[status] || []) {
+    await hook(repositories, current, actor);
+  }
+
+  return { ...current, status, previousStatus: current.status };
+}
+
+async function runAfterCommitHook(order) {
+  // Streams de acompanhamento abertos para o pedido
+  await publishTrackingUpdate(order.id);
+
+  const afterCommit = afterCommitHooks[order.status];
+  if (!afterCommit) {
+    return;
+  }
+
+  try {
+    await afterCommit(order);
+  } catch (error) {
+    console.error(`Erro no efeito da transição para "${order.status}":`, error);
+  }
+}
+
+// Aplicar uma transição de estado validada pela máquina de estados
+async function transitionOrder(orderId, status, actor, note) {
+  const order = await transaction(async (repositories) => {
+    const current = await repositories.orderRepository.findWithCustomer(orderId);
+
+    if (!current) {
+      throw new HttpError(404, 'Pedido não encontrado');
+    }
+
+    return applyTransition(repositories, current, status, actor, note);
+  });
+
+  await runAfterCommitHook(order);
+
+  return order;
+}
+
+// Estado de uma entrega. A saída (com o pedido pronto) e a entrega mudam também o pedido,
+// na mesma transação, e uma tentativa falhada (com o motivo) devolve o pedido à loja (ready).
+// Entregadores só podem mudar as entregas atribuídas a si.
+async function updateDeliveryStatus(deliveryId, status, actor, { note, reason } = {}) {
+  let orderId;
+
+  const order = await transaction(async (repositories) => {
+    const delivery = await loadDeliveryForActor(repositories, deliveryId, actor);
+    orderId = delivery.order_id;
+    const current = await repositories.orderRepository.findWithCustomer(delivery.order_id);
+
+    if (status === 'out_for_delivery' && !['ready', 'out_for_delivery'].includes(current.status)) {
+      throw new HttpError(409, 'O pedido ainda não está pronto para sair');
+    }
+
+    if (status === 'failed') {
+      const orderNote = await failDelivery(repositories, delivery, { reason, note, actor });
+      return current.status === 'out_for_delivery'
+        ? applyTransition(repositories, current, 'ready', actor, orderNote)
+        : null;
+    }
+
+    const movesOrder = status === 'delivered' || (status === 'out_for_delivery' && current.status === 'ready');
+
+    if (movesOrder) {
+      return applyTransition(repositories, current, status, actor, note);
+    }
+
+    await applyDeliveryTransition(repositories, delivery, status, { note, actor });
+    return null;
+  });
+
+  if (order) {
+    await runAfterCommitHook(order);
+  } else {
+    await publishTrackingUpdate(orderId);
+  }
+}
+
+// Entrega concluída na app do entregador, com a prova (PIN do cliente, fotografia e/ou assinatura).
+// O PIN é verificado antes da transação, para as tentativas erradas ficarem contadas.
+async function completeDeliveryWithProof(deliveryId, driver, { pin, recipientName, photo, signature }) {
+  const delivery = await loadDeliveryForActor({ deliveryRepository }, deliveryId, driver);
+
+  if (delivery.status !== 'out_for_delivery') {
+    throw new HttpError(409, `Não é possível concluir uma entrega "${delivery.status}"`);
+  }
+
+  const pinVerified = await verifyDeliveryProof(delivery, { pin, photo, signature });
+
+  const order = await transaction(async (repositories) => {
+    const current = await repositories.orderRepository.findWithCustomer(delivery.order_id);
+
+    await repositories.deliveryRepository.saveProof(delivery.id, { photo, signature, recipientName, pinVerified });
+    return applyTransition(repositories, current, 'delivered', driver, recipientName ? `Recebido por ${recipientName}` : null);
+  });
+
+  await runAfterCommitHook(order);
+}
+
+// Datas gravadas com CURRENT_TIMESTAMP estão em UTC e sem fuso horário
+function parseDbDate(value) {
+  return new Date(`${value.replace(' ', 'T')}Z`);
+}
+
+// Pedido pendente, ou confirmado há menos de MODIFICATION_WINDOW_MINUTES. A janela conta a
+// partir da confirmação (statusSince, do histórico de estados), não da criação: o pedido
+// pode ficar pendente muito tempo antes de o cliente ver a confirmação.
+function isWithinModificationWindow(order, statusSince, now = new Date()) {
+  if (order.status === 'pending') {
+    return true;
+  }
+
+  if (!GRACE_PERIOD_STATUSES.includes(order.status)) {
+    return false;
+  }
+
+  const elapsedMinutes = (now - parseDbDate(statusSince || order.created_at)) / 60000;
+  return elapsedMinutes <= MODIFICATION_WINDOW_MINUTES;
+}
+
+// Carregar o pedido do cliente e confirmar que ainda pode ser alterado
+async function findModifiableOrder(orderRepository, orderId, userId) {
+  const order = await orderRepository.findWithCustomer(orderId);
+
+  if (!order) {
+    throw new HttpError(404, 'Pedido não encontrado');
+  }
+
+  if (String(order.user_id) !== String(userId)) {
+    throw new HttpError(403, 'Acesso negado. Só pode alterar os seus próprios pedidos.');
+  }
+
+  const statusSince = GRACE_PERIOD_STATUSES.includes(order.status)
+    ? await orderRepository.findStatusTimestamp(order.id, order.status)
+    : null;
+
+  if (!isWithinModificationWindow(order, statusSince)) {
+    throw new HttpError(409, 'O prazo para alterar ou cancelar este pedido já terminou');
+  }
+
+  return order;
+}
+
+// Cancelamento pelo próprio cliente, dentro da janela de alteração
+async function cancelOrderByCustomer(orderId, user, reason) {
+  const order = await transaction(async (repositories) => {
+    const current = await findModifiableOrder(repositories.orderRepository, orderId, user.id);
+
+    return applyTransition(repositories, current, 'cancelled', { id: user.id, role: 'customer' }, reason || 'Cancelado pelo cliente');
+  });
+
+  await runAfterCommitHook(order);
+
+  return order;
+}
+
+// Alteração de itens e/ou horário pelo próprio cliente, dentro da janela de alteração.
+// Ao trocar os itens, o stock dos antigos é reposto, o dos novos reservado e os totais recalculados;
+// os pagamentos pendentes, com o valor antigo, são anulados.
+async function modifyOrderByCustomer(orderId, user, { items, preferredTime, specificTime, deliveryInstructions }) {
+  const order = await transaction(async (repositories) => {
+    const { orderRepository, productRepository } = repositories;
+    const order = await findModifiableOrder(orderRepository, orderId, user.id);
+    const changes = {};
+    const changed = [];
+
+    if (items) {
+      if (['succeeded', 'partially_refunded'].includes(order.payment_status)) {
+        throw new HttpError(409, 'Pedido já pago: os itens não podem ser alterados');
+      }
+
+      await restockOrderItems(repositories, order);
+      await orderRepository.deleteItems(order.id);
+
+      const orderItems = await reserveItems(productRepository, items);
+      for (const item of orderItems) {
+        await orderRepository.addItem(order.id, item);
+      }
+
+      // Pedido mínimo e entrega grátis da zona do pedido, com o novo subtotal
+      // (sem zona, de pedidos antigos ou de uma zona apagada, a taxa fica a mesma)
+      const quote = order.delivery_type === 'delivery'
+        ? await quoteForOrderZone(repositories, order, itemsSubtotal(orderItems))
+        : null;
+      if (quote) {
+        assertMinimumOrder(quote);
+      }
+
+      const totals = calculateTotals(orderItems, quote ? quote.deliveryFee : order.delivery_fee);
+      await voidPendingPayments(repositories, order);
+      Object.assign(changes, {
+        subtotal: totals.subtotal,
+        tax: totals.tax,
+        delivery_fee: totals.deliveryFee,
+        final_amount: totals.finalAmount
+      });
+      changed.push('itens');
+    }
+
+    if (preferredTime !== undefined || specificTime !== undefined) {
+      changes.preferred_time = preferredTime || order.preferred_time;
+      changes.specific_time = specificTime || null;
+      changed.push('horário');
+    }
+
+    if (deliveryInstructions !== undefined) {
+      changes.delivery_instructions = deliveryInstructions || null;
+      changed.push('instruções de entrega');
+    }
+
+    if (changed.length === 0) {
+      throw new HttpError(400, 'Nenhuma alteração indicada');
+    }
+
+    await orderRepository.updateById(order.id, changes);
+    await orderRepository.addStatusHistory(order.id, order.status, `Pedido alterado pelo cliente: ${changed.join(', ')}`, user.id);
+
+    const updated = await orderRepository.findWithCustomer(order.id);
+    return {
+      ...updated,
+      items: await orderRepository.findItems(order.id)
+    };
+  });
+
+  if (items) {
+    await cancelVoidedPayments(order);
+  }
+
+  return order;
+}
+
+// Condições de entrega para o checkout, antes de criar o pedido (sem reservar stock):
+// zona, taxa, pedido mínimo, entrega grátis e totais
+async function quoteOrderDelivery({ deliveryAddress, items = [] }) {
+  const pricedItems = [];
+
+  for (const item of items) {
+    const product = await productRepository.findById(item.productId);
+
+    if (!product || !product.is_available) {
+      throw new HttpError(400, `Produto ${product ? product.name : item.productId} não está disponível`);
+    }
+
+    pricedItems.push({ totalPrice: roundCurrency(item.quantity * product.price) });
+  }
+
+  const quote = await quoteDelivery({ deliveryZoneRepository }, deliveryAddress, itemsSubtotal(pricedItems));
+  const { subtotal, tax, finalAmount } = calculateTotals(pricedItems, quote.deliveryFee);
+
+  return { ...quote, subtotal, tax, finalAmount };
+}
+
+module.exports = {
+  TAX_RATE,
+  MODIFICATION_WINDOW_MINUTES,
+  roundCurrency,
+  calculateTotals,
+  isWithinModificationWindow,
+  placeOrder,
+  quoteOrderDelivery,
+  applyTransition,
+  transitionOrder,
+  updateDeliveryStatus,
+  completeDeliveryWithProof,
+  cancelOrderByCustomer,
+  modifyOrderByCustomer
+};
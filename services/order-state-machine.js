@@ -0,0 +1,93 @@
+// Máquina de estados dos pedidos: estados válidos e transições permitidas por papel.
+//
+// pending → confirmed → preparing → ready → out_for_delivery | picked_up → delivered
+// com cancelled (antes de sair da loja), refunded (após entrega ou cancelamento) e
+// out_for_delivery → ready quando a entrega falha e o pedido volta à loja.
+
+const { rolesWithPermission } = require('../config/roles');
+
+const ORDER_STATUSES = [
+  'pending',
+  'confirmed',
+  'preparing',
+  'ready',
+  'out_for_delivery',
+  'picked_up',
+  'delivered',
+  'cancelled',
+  'refunded'
+];
+
+// Papéis com cada nível de acesso (config/roles.js)
+const STAFF = rolesWithPermission('staff_access');
+const ADMIN = rolesWithPermission('admin_access');
+const DRIVERS = rolesWithPermission('driver_access');
+
+// estado atual → { próximo estado: papéis autorizados }
+const TRANSITIONS = {
+  pending: {
+    confirmed: STAFF,
+    cancelled: [...STAFF, 'customer']
+  },
+  confirmed: {
+    preparing: STAFF,
+    // clientes só dentro da janela de alteração (ver order-service)
+    cancelled: [...STAFF, 'customer']
+  },
+  preparing: {
+    ready: STAFF,
+    cancelled: ADMIN
+  },
+  ready: {
+    out_for_delivery: [...STAFF, ...DRIVERS],
+    picked_up: STAFF,
+    cancelled: ADMIN
+  },
+  out_for_delivery: {
+    delivered: [...STAFF, ...DRIVERS],
+    ready: [...STAFF, ...DRIVERS]
+  },
+  picked_up: {
+    delivered: STAFF
+  },
+  delivered: {
+    refunded: ADMIN
+  },
+  cancelled: {
+    refunded: ADMIN
+  },
+  refunded: {}
+};
+
+// Estados que só fazem sentido para um tipo de entrega
+const DELIVERY_ONLY = ['out_for_delivery'];
+const PICKUP_ONLY = ['picked_up'];
+
+// Próximos estados que um papel pode aplicar a um pedido
+function allowedTransitions(order, role) {
+  const targets = TRANSITIONS[order.status] || {};
+
+  return Object.keys(targets).filter(status => {
+    if (!targets[status].includes(role)) {
+      return false;
+    }
+    if (DELIVERY_ONLY.includes(status)) {
+      return order.delivery_type === 'delivery';
+    }
+    if (PICKUP_ONLY.includes(status)) {
+      return order.delivery_type !== 'delivery';
+    }
+    return true;
+  });
+}
+
+function canTransition(order, status, role) {
+  return allowedTransitions(order, role).includes(status);
+}
+
+module.exports = {
+  ORDER_STATUSES,
+  TRANSITIONS,
+  allowedTransitions,
+  canTransition
+};
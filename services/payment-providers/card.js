@@ -0,0 +1,99 @@
+const stripe = require('../../config/stripe');
+
+const CURRENCY = 'eur';
+
+// Evento do Stripe → estado do pagamento
+const EVENT_STATUSES = {
+  'payment_intent.succeeded': 'succeeded',
+  'payment_intent.payment_failed': 'failed',
+  'payment_intent.canceled': 'canceled',
+  'charge.refunded': 'refunded'
+};
+
+// Estados em que o PaymentIntent ainda pode ser pago (e por isso anulado)
+const CANCELABLE_STATUSES = ['requires_payment_method', 'requires_confirmation', 'requires_action', 'requires_capture'];
+
+// O Stripe trabalha em cêntimos
+function toCents(amount) {
+  return Math.round(amount * 100);
+}
+
+// Pagamento com cartão via Stripe PaymentIntents; confirmado pelo webhook do Stripe
+module.exports = {
+  name: 'stripe',
+  label: 'cartão',
+  toCents,
+
+  async createPayment(order) {
+    const intent = await stripe.paymentIntents.create({
+      amount: toCents(order.final_amount),
+      currency: CURRENCY,
+      metadata: {
+        order_id: String(order.id),
+        order_number: order.order_number
+      },
+      automatic_payment_methods: {
+        enabled: true
+      }
+    });
+
+    return {
+      providerPaymentId: intent.id,
+      clientData: {
+        clientSecret: intent.client_secret,
+        paymentIntentId: intent.id
+      }
+    };
+  },
+
+  // Reutilizar o PaymentIntent pendente enquanto não for cancelado no Stripe
+  async resumePayment(payment) {
+    const intent = await stripe.paymentIntents.retrieve(payment.provider_payment_id);
+
+    if (intent.status === 'canceled') {
+      return null;
+    }
+
+    return {
+      clientSecret: intent.client_secret,
+      paymentIntentId: intent.id
+    };
+  },
+
+  // Pedido alterado ou cancelado: o PaymentIntent antigo deixa de poder ser pago
+  async cancelPayment(payment) {
+    const intent = await stripe.paymentIntents.retrieve(payment.provider_payment_id);
+
+    if (CANCELABLE_STATUSES.includes(intent.status)) {
+      await stripe.paymentIntents.cancel(intent.id);
+    }
+  },
+
+  async refund(payment, amount, refundId) {
+    const refund = await stripe.refunds.create({
+      payment_intent: payment.provider_payment_id,
+      amount: toCents(amount),
+      metadata: {
+        order_id: String(payment.order_id),
+        refund_id: String(refundId)
+      }
+    });
+
+    return { status: refund.status, providerRefundId: refund.id };
+  },
+
+  // Evento do webhook (já com a assinatura validada) → evento normalizado
+  parseEvent(event) {
+    const object = event.data.object;
+
+    return {
+      id: event.id,
+      type: event.type,
+      status: EVENT_STATUSES[event.type],
+      providerPaymentId: event.type.startsWith('charge.') ? object.payment_intent : object.id,
+      failureMessage: (object.last_payment_error && object.last_payment_error.message) || null,
+      // Reembolsos parciais são registados pelo refund-service, não pelo webhook
+      partialRefund: event.type === 'charge.refunded' && !object.refunded
+    };
+  }
+};
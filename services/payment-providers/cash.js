@@ -0,0 +1,47 @@
+// Pagamento em dinheiro na entrega: fica pendente até o pedido ser entregue
+
+function instructions(order) {
+  return {
+    message: `Pague €${Number(order.final_amount).toFixed(2)} em dinheiro ao receber o pedido`
+  };
+}
+
+module.exports = {
+  name: 'cash',
+  label: 'dinheiro na entrega',
+
+  async createPayment(order) {
+    return {
+      providerPaymentId: null,
+      clientData: instructions(order)
+    };
+  },
+
+  async resumePayment(payment) {
+    return instructions({ final_amount: payment.amount });
+  },
+
+  // O dinheiro é devolvido em mão pela loja
+  async refund() {
+    return { status: 'succeeded', providerRefundId: null };
+  },
+
+  // Pedido entregue: o pagamento em dinheiro fica liquidado pelo total atual do pedido
+  // (cria o registo se o cliente nunca pediu instruções de pagamento)
+  async settleOnDelivery({ paymentRepository, orderRepository }, order) {
+    const payment = await paymentRepository.findLatestByOrder(order.id);
+
+    if (payment && payment.provider === 'cash' && payment.status === 'pending') {
+      await paymentRepository.updateById(payment.id, { status: 'succeeded', amount: order.final_amount });
+    } else {
+      await paymentRepository.create({
+        orderId: order.id,
+        provider: 'cash',
+        amount: order.final_amount,
+        status: 'succeeded'
+      });
+    }
+
+    await orderRepository.updateById(order.id, { payment_status: 'succeeded' });
+  }
+};
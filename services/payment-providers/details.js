@@ -0,0 +1,14 @@
+// Helpers para os dados guardados em payments.details / payments.expires_at
+
+function parseDetails(payment) {
+  return payment.details ? JSON.parse(payment.details) : {};
+}
+
+function isExpired(payment, now = new Date()) {
+  return Boolean(payment.expires_at) && new Date(payment.expires_at) <= now;
+}
+
+module.exports = {
+  parseDetails,
+  isExpired
+};
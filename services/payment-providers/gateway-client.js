@@ -0,0 +1,73 @@
+const crypto = require('crypto');
+
+// Cliente do gateway de pagamentos português (MB WAY e referências Multibanco).
+// Em desenvolvimento aponta para o mock local: npm run mock:gateway
+function gatewayConfig() {
+  return {
+    url: process.env.PAYMENT_GATEWAY_URL || 'http://localhost:4010',
+    apiKey: process.env.PAYMENT_GATEWAY_API_KEY || 'gateway_test_key',
+    callbackSecret: process.env.PAYMENT_GATEWAY_CALLBACK_SECRET || 'gateway_callback_secret'
+  };
+}
+
+async function gatewayRequest(method, path, body) {
+  const { url, apiKey } = gatewayConfig();
+
+  const response = await fetch(`${url}${path}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${apiKey}`
+    },
+    body: body && JSON.stringify(body)
+  });
+
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    throw new Error(`Gateway respondeu ${response.status}: ${data.message || 'erro desconhecido'}`);
+  }
+
+  return data;
+}
+
+// Evento do callback → estado do pagamento
+const EVENT_STATUSES = {
+  'payment.succeeded': 'succeeded',
+  'payment.failed': 'failed',
+  'payment.expired': 'canceled'
+};
+
+// Callback do gateway (já com a assinatura validada) → evento normalizado
+function parseEvent(event) {
+  return {
+    id: event.id,
+    type: event.type,
+    status: EVENT_STATUSES[event.type],
+    providerPaymentId: event.data && event.data.paymentId,
+    failureMessage: (event.data && event.data.reason) || null
+  };
+}
+
+// Assinatura HMAC-SHA256 (hex) do corpo dos callbacks
+function signPayload(rawBody, secret = gatewayConfig().callbackSecret) {
+  return crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+}
+
+function verifySignature(rawBody, signature) {
+  if (!signature) {
+    return false;
+  }
+
+  const expected = Buffer.from(signPayload(rawBody));
+  const received = Buffer.from(String(signature));
+
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+module.exports = {
+  gatewayRequest,
+  parseEvent,
+  signPayload,
+  verifySignature
+};
@@ -0,0 +1,36 @@
+const card = require('./card');
+const cash = require('./cash');
+const mbway = require('./mbway');
+const multibanco = require('./multibanco');
+
+// Fornecedores de pagamento por método (orders.payment_method).
+// Cada fornecedor implementa:
+//   name                                  valor gravado em payments.provider
+//   label                                 nome do método nas mensagens ao cliente
+//   createPayment(order, options)         → { providerPaymentId, details, expiresAt, clientData }
+//   resumePayment(payment)                → clientData do pagamento pendente, ou null para criar outro
+//   cancelPayment(payment)                anula o pagamento pendente no fornecedor (opcional)
+//   refund(payment, amount, refundId)     → { status, providerRefundId }
+const providersByMethod = {
+  card,
+  cash,
+  mbway,
+  multibanco
+};
+
+const PAYMENT_METHODS = Object.keys(providersByMethod);
+
+function getProviderForMethod(method) {
+  return providersByMethod[method] || null;
+}
+
+// Fornecedor a partir de payments.provider
+function getProvider(name) {
+  return Object.values(providersByMethod).find(provider => provider.name === name) || null;
+}
+
+module.exports = {
+  PAYMENT_METHODS,
+  getProviderForMethod,
+  getProvider
+};
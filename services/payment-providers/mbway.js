@@ -0,0 +1,68 @@
+const { HttpError } = require('../../utils/errors');
+const { gatewayRequest } = require('./gateway-client');
+const { parseDetails, isExpired } = require('./details');
+
+// Telemóvel português no formato aceite pelo MB WAY (9 dígitos, sem indicativo)
+function normalizePhone(phone) {
+  const digits = String(phone || '').replace(/[\s-]/g, '').replace(/^(\+|00)351/, '');
+
+  if (!/^9[1236]\d{7}$/.test(digits)) {
+    throw new HttpError(400, 'Número de telemóvel MB WAY inválido');
+  }
+
+  return digits;
+}
+
+function instructions(phone, expiresAt) {
+  return {
+    phone,
+    expiresAt,
+    message: 'Confirme o pagamento na app MB WAY'
+  };
+}
+
+// Pedido MB WAY: o cliente aprova na app e o gateway confirma por callback
+module.exports = {
+  name: 'mbway',
+  label: 'MB WAY',
+
+  async createPayment(order, { phone } = {}) {
+    const target = normalizePhone(phone || order.customer_phone);
+    const request = await gatewayRequest('POST', '/v1/mbway/requests', {
+      amount: order.final_amount,
+      phone: target,
+      orderReference: order.order_number
+    });
+
+    return {
+      providerPaymentId: request.id,
+      details: { phone: target },
+      expiresAt: request.expiresAt,
+      clientData: instructions(target, request.expiresAt)
+    };
+  },
+
+  // O pedido pendente só é reaproveitado enquanto não expirar na app
+  async resumePayment(payment) {
+    if (isExpired(payment)) {
+      return null;
+    }
+
+    return instructions(parseDetails(payment).phone, payment.expires_at);
+  },
+
+  // Pedido alterado ou cancelado: o pedido na app deixa de poder ser aprovado
+  async cancelPayment(payment) {
+    await gatewayRequest('POST', `/v1/payments/${payment.provider_payment_id}/cancel`);
+  },
+
+  async refund(payment, amount, refundId) {
+    const refund = await gatewayRequest('POST', '/v1/refunds', {
+      paymentId: payment.provider_payment_id,
+      amount,
+      reference: String(refundId)
+    });
+
+    return { status: refund.status, providerRefundId: refund.id };
+  }
+};
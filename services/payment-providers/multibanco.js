@@ -0,0 +1,55 @@
+const { gatewayRequest } = require('./gateway-client');
+const { parseDetails, isExpired } = require('./details');
+
+const EXPIRY_HOURS = parseInt(process.env.MULTIBANCO_EXPIRY_HOURS || '48', 10);
+
+function instructions(payment, details) {
+  return {
+    entity: details.entity,
+    reference: details.reference,
+    amount: payment.amount,
+    expiresAt: payment.expires_at
+  };
+}
+
+// Referência Multibanco: paga no multibanco ou homebanking até expirar;
+// o gateway confirma por callback
+module.exports = {
+  name: 'multibanco',
+  label: 'referência Multibanco',
+
+  async createPayment(order) {
+    const reference = await gatewayRequest('POST', '/v1/multibanco/references', {
+      amount: order.final_amount,
+      orderReference: order.order_number,
+      expiresInHours: EXPIRY_HOURS
+    });
+
+    const details = { entity: reference.entity, reference: reference.reference };
+
+    return {
+      providerPaymentId: reference.id,
+      details,
+      expiresAt: reference.expiresAt,
+      clientData: instructions({ amount: order.final_amount, expires_at: reference.expiresAt }, details)
+    };
+  },
+
+  async resumePayment(payment) {
+    if (isExpired(payment)) {
+      return null;
+    }
+
+    return instructions(payment, parseDetails(payment));
+  },
+
+  // Pedido alterado ou cancelado: a referência deixa de aceitar pagamentos
+  async cancelPayment(payment) {
+    await gatewayRequest('POST', `/v1/payments/${payment.provider_payment_id}/cancel`);
+  },
+
+  // Pagamentos por referência não têm reembolso automático: a loja devolve por transferência
+  async refund() {
+    return { status: 'succeeded', providerRefundId: null };
+  }
+};
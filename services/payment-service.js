@@ -0,0 +1,217 @@
+const { orderRepository, paymentRepository, transaction } = require('../repositories');
+const { HttpError } = require('../utils/errors');
+const { hasPermission } = require('../config/roles');
+const { getProvider, getProviderForMethod } = require('./payment-providers');
+const cardProvider = require('./payment-providers/card');
+const gatewayClient = require('./payment-providers/gateway-client');
+
+const { toCents } = cardProvider;
+
+const PAID_STATUSES = ['succeeded', 'partially_refunded', 'refunded'];
+
+// O Stripe não garante a ordem dos eventos: um pagamento confirmado só pode
+// passar a (parcialmente) reembolsado e um reembolso total é definitivo.
+function canReplaceStatus(current, next) {
+  if (current === next || current === 'refunded') {
+    return false;
+  }
+  if (current === 'succeeded') {
+    return ['partially_refunded', 'refunded'].includes(next);
+  }
+  if (current === 'partially_refunded') {
+    return next === 'refunded';
+  }
+  return true;
+}
+
+// Quem pode pagar o pedido: staff, o dono do pedido ou o visitante com o link de acompanhamento
+// (payer = { guestOrderId })
+function canPayOrder(order, payer) {
+  if (payer.guestOrderId) {
+    return String(payer.guestOrderId) === String(order.id);
+  }
+
+  return hasPermission(payer, 'staff_access') || String(order.user_id) === String(payer.id);
+}
+
+// Criar (ou reutilizar) o pagamento de um pedido existente com o fornecedor do
+// método escolhido no pedido. O valor vem sempre de orders.final_amount, nunca do cliente.
+async function createPayment(orderId, payer, options = {}) {
+  const order = await orderRepository.findWithCustomer(orderId);
+
+  if (!order) {
+    throw new HttpError(404, 'Pedido não encontrado');
+  }
+
+  if (!canPayOrder(order, payer)) {
+    throw new HttpError(403, 'Acesso negado. Só pode pagar os seus próprios pedidos.');
+  }
+
+  const provider = getProviderForMethod(order.payment_method);
+
+  if (!provider || (options.method && options.method !== order.payment_method)) {
+    const expected = getProviderForMethod(options.method);
+    throw new HttpError(400, expected
+      ? `Este pedido não é pago com ${expected.label}`
+      : 'Método de pagamento não suportado');
+  }
+
+  if (['cancelled', 'refunded'].includes(order.status)) {
+    throw new HttpError(409, 'Não é possível pagar um pedido cancelado');
+  }
+
+  if (PAID_STATUSES.includes(order.payment_status)) {
+    throw new HttpError(409, 'Este pedido já foi pago');
+  }
+
+  // Reutilizar o pagamento pendente se o valor do pedido não mudou entretanto
+  const existing = await paymentRepository.findLatestByOrder(order.id);
+  if (existing && existing.provider === provider.name && existing.status === 'pending' &&
+      toCents(existing.amount) === toCents(order.final_amount)) {
+    const clientData = await provider.resumePayment(existing);
+
+    if (clientData) {
+      return { payment: existing, clientData };
+    }
+  }
+
+  const created = await provider.createPayment(order, options);
+
+  const paymentId = await paymentRepository.create({
+    orderId: order.id,
+    provider: provider.name,
+    providerPaymentId: created.providerPaymentId,
+    amount: order.final_amount,
+    details: created.details,
+    expiresAt: created.expiresAt
+  });
+
+  return {
+    payment: await paymentRepository.findById(paymentId),
+    clientData: created.clientData
+  };
+}
+
+// Criar (ou reutilizar) o PaymentIntent do Stripe de um pedido pago com cartão
+async function createPaymentIntent(orderId, user) {
+  const { payment, clientData } = await createPayment(orderId, user, { method: 'card' });
+
+  return { payment, clientSecret: clientData.clientSecret };
+}
+
+// Motivo para um pagamento recebido não contar para o pedido (null se contar): o pedido
+// foi alterado ou cancelado depois de o pagamento ser criado, ou já estava pago
+function unappliedPaymentReason(payment, order) {
+  if (payment.status === 'canceled') {
+    return 'o pagamento tinha sido anulado';
+  }
+  if (['cancelled', 'refunded'].includes(order.status)) {
+    return 'o pedido está cancelado';
+  }
+  if (PAID_STATUSES.includes(order.payment_status)) {
+    return 'o pedido já estava pago';
+  }
+  if (toCents(payment.amount) !== toCents(order.final_amount)) {
+    return `o valor pago (€${Number(payment.amount).toFixed(2)}) é diferente do total do pedido (€${Number(order.final_amount).toFixed(2)})`;
+  }
+  return null;
+}
+
+// Aplicar um evento normalizado de um fornecedor ao pagamento e ao pedido.
+// Cada evento é aplicado uma única vez: reenvios com o mesmo id são ignorados.
+// Um pagamento confirmado que já não corresponde ao pedido fica registado com o motivo
+// (review_reason) e uma nota no histórico do pedido, sem o marcar como pago.
+async function applyPaymentEvent(event) {
+  const { status, providerPaymentId } = event;
+
+  return transaction(async ({ paymentRepository, orderRepository }) => {
+    const payment = status && providerPaymentId
+      ? await paymentRepository.findByProviderPaymentId(providerPaymentId)
+      : null;
+
+    const isNew = await paymentRepository.recordEvent(event.id, event.type, payment && payment.id);
+    if (!isNew) {
+      return { duplicate: true };
+    }
+
+    // Eventos não tratados, pagamentos desconhecidos e reembolsos parciais não mudam o estado
+    if (!payment || !canReplaceStatus(payment.status, status) || event.partialRefund) {
+      return { ignored: true };
+    }
+
+    const order = await orderRepository.findById(payment.order_id);
+    const reviewReason = status === 'succeeded' && order ? unappliedPaymentReason(payment, order) : null;
+
+    await paymentRepository.updateById(payment.id, {
+      status,
+      last_event_id: event.id,
+      failure_message: status === 'failed' ? event.failureMessage : payment.failure_message,
+      review_reason: reviewReason || payment.review_reason
+    });
+
+    if (reviewReason) {
+      await orderRepository.addStatusHistory(order.id, order.status,
+        `Pagamento de €${Number(payment.amount).toFixed(2)} recebido mas não aplicado: ${reviewReason}. O valor tem de ser devolvido ao cliente.`, null);
+
+      return { paymentId: payment.id, orderId: payment.order_id, status, reviewReason };
+    }
+
+    // Os eventos seguintes de um pagamento por rever (ex.: o reembolso) não mexem no pedido
+    if (order && !payment.review_reason && canReplaceStatus(order.payment_status, status)) {
+      await orderRepository.updateById(order.id, { payment_status: status });
+    }
+
+    return { paymentId: payment.id, orderId: payment.order_id, status };
+  });
+}
+
+// Pedido alterado ou cancelado: os pagamentos pendentes (com o valor antigo) são anulados,
+// dentro da transação da alteração. O fornecedor é avisado depois, em cancelVoidedPayments.
+async function voidPendingPayments({ paymentRepository }, order) {
+  const payments = await paymentRepository.listByOrder(order.id);
+
+  for (const payment of payments.filter(candidate => candidate.status === 'pending')) {
+    await paymentRepository.updateById(payment.id, { status: 'canceled' });
+  }
+}
+
+// Anular no fornecedor os pagamentos anulados do pedido (depois do commit, fora da transação).
+// Uma falha só fica registada: se o cliente ainda pagar, o pagamento fica por rever.
+async function cancelVoidedPayments(order) {
+  const payments = await paymentRepository.listByOrder(order.id);
+
+  for (const payment of payments) {
+    const provider = getProvider(payment.provider);
+
+    if (payment.status !== 'canceled' || !payment.provider_payment_id || !provider || !provider.cancelPayment) {
+      continue;
+    }
+
+    try {
+      await provider.cancelPayment(payment);
+    } catch (error) {
+      console.error(`Erro ao anular o pagamento ${payment.id} no fornecedor:`, error);
+    }
+  }
+}
+
+// Processar um evento do webhook do Stripe (já com a assinatura validada)
+function handleStripeEvent(event) {
+  return applyPaymentEvent(cardProvider.parseEvent(event));
+}
+
+// Processar um callback do gateway MB WAY / Multibanco (já com a assinatura validada)
+function handleGatewayEvent(event) {
+  return applyPaymentEvent(gatewayClient.parseEvent(event));
+}
+
+module.exports = {
+  canReplaceStatus,
+  toCents,
+  createPayment,
+  createPaymentIntent,
+  voidPendingPayments,
+  cancelVoidedPayments,
+  handleStripeEvent,
+  handleGatewayEvent
+};
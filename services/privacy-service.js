@@ -0,0 +1,217 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const archiver = require('archiver');
+const {
+  userRepository,
+  orderRepository,
+  paymentRepository,
+  refundRepository,
+  loyaltyRepository,
+  contactRepository,
+  addressRepository,
+  transaction
+} = require('../repositories');
+const { HttpError } = require('../utils/errors');
+const { getConsents, getConsentHistory } = require('./consent-service');
+const { removeProofFiles } = require('./delivery-service');
+
+// Com pedidos noutros estados (ainda em curso) a conta não pode ser eliminada
+const CLOSED_ORDER_STATUSES = ['delivered', 'cancelled', 'refunded'];
+
+// Ficheiros do ZIP: secção da exportação → nome do ficheiro
+const EXPORT_FILES = {
+  profile: 'perfil.json',
+  addresses: 'moradas.json',
+  orders: 'pedidos.json',
+  loyaltyTransactions: 'pontos-fidelidade.json',
+  contactMessages: 'mensagens-contacto.json',
+  consents: 'consentimentos.json'
+};
+
+const parseDetails = (details) => {
+  try {
+    return details ? JSON.parse(details) : null;
+  } catch {
+    return details;
+  }
+};
+
+// Pedidos com itens, histórico de estados, pagamentos e reembolsos
+// (sem os dados internos da equipa: quem alterou o estado ou emitiu o reembolso)
+async function collectOrders(userId) {
+  const orders = [];
+
+  for (const order of await orderRepository.listByUser(userId)) {
+    const history = await orderRepository.findStatusHistory(order.id);
+    const payments = await paymentRepository.listByOrder(order.id);
+    const refunds = [];
+
+    for (const { created_by, note, ...refund } of await refundRepository.listByOrder(order.id)) {
+      refunds.push({ ...refund, items: await refundRepository.findItems(refund.id) });
+    }
+
+    orders.push({
+      ...order,
+      items: await orderRepository.findItems(order.id),
+      statusHistory: history.map(({ status, note, timestamp }) => ({ status, note, timestamp })),
+      payments: payments.map(payment => ({ ...payment, details: parseDetails(payment.details) })),
+      refunds
+    });
+  }
+
+  return orders;
+}
+
+// Livro de moradas, morada do perfil e moradas de entrega usadas nos pedidos, sem repetições
+function collectAddresses(profile, savedAddresses, orders) {
+  const addresses = [];
+  const seen = new Set();
+
+  const add = (source, street, city, postalCode, details = {}) => {
+    const key = [street, city, postalCode].join('|').toLowerCase();
+    if (!street || seen.has(key)) {
+      return;
+    }
+    seen.add(key);
+    addresses.push({ source, street, city, postalCode, ...details });
+  };
+
+  savedAddresses.forEach(address => add('address_book', address.street, address.city, address.postal_code, {
+    label: address.label,
+    deliveryInstructions: address.delivery_instructions,
+    isDefault: Boolean(address.is_default),
+    createdAt: address.created_at
+  }));
+  add('profile', profile.street, profile.city, profile.postal_code);
+  orders.forEach(order => add('order', order.delivery_street, order.delivery_city, order.delivery_postal_code));
+
+  return addresses;
+}
+
+// Todos os dados pessoais da conta (direito de acesso e portabilidade)
+async function exportAccountData(userId) {
+  const profile = await userRepository.findProfileById(userId);
+
+  if (!profile) {
+    throw new HttpError(404, 'Usuário não encontrado');
+  }
+
+  const orders = await collectOrders(userId);
+
+  // O formulário de contacto não está ligado às contas: as mensagens só são associadas
+  // pelo email depois de este estar verificado
+  const contactMessages = profile.email_verified
+    ? (await contactRepository.listByEmail(profile.email)).map(({ notes, ...message }) => message)
+    : [];
+
+  return {
+    exportedAt: new Date().toISOString(),
+    profile,
+    addresses: collectAddresses(profile, await addressRepository.listByUser(userId), orders),
+    orders,
+    loyaltyTransactions: await loyaltyRepository.listAllTransactions(userId),
+    contactMessages,
+    consents: {
+      current: await getConsents(userId),
+      history: await getConsentHistory(userId)
+    }
+  };
+}
+
+// ZIP com um ficheiro JSON por secção
+async function createExportArchive(data) {
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  const chunks = [];
+  const finished = new Promise((resolve, reject) => {
+    archive.on('data', chunk => chunks.push(chunk));
+    archive.on('end', resolve);
+    archive.on('error', reject);
+  });
+
+  for (const [section, fileName] of Object.entries(EXPORT_FILES)) {
+    archive.append(JSON.stringify(data[section], null, 2), { name: fileName });
+  }
+  archive.append(JSON.stringify({ exportedAt: data.exportedAt }, null, 2), { name: 'exportacao.json' });
+
+  await archive.finalize();
+  await finished;
+
+  return Buffer.concat(chunks);
+}
+
+// Direito ao apagamento: os dados pessoais são apagados, mas os pedidos ficam (anónimos)
+// com valores, itens, pagamentos e reembolsos, que têm de ser guardados para a contabilidade.
+// Só para contas de clientes; as contas internas são geridas em /api/admin/users.
+async function eraseCustomerAccount(userId) {
+  const unusablePassword = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 12);
+
+  const { ordersAnonymized, proofFiles } = await transaction(async (repositories) => {
+    const account = await repositories.userRepository.findById(userId);
+
+    if (!account || account.erased_at) {
+      throw new HttpError(404, 'Usuário não encontrado');
+    }
+
+    if (account.role !== 'customer') {
+      throw new HttpError(400, 'Contas internas são eliminadas na gestão de contas do painel');
+    }
+
+    if (await repositories.orderRepository.countByUserExcludingStatuses(userId, CLOSED_ORDER_STATUSES) > 0) {
+      throw new HttpError(409, 'A conta tem pedidos em curso. Aguarde a entrega ou cancele-os antes de eliminar a conta');
+    }
+
+    if (account.email_verified) {
+      await repositories.contactRepository.deleteByEmail(account.email);
+    }
+
+    await repositories.paymentRepository.removePhoneForUser(userId);
+    const { changes: ordersAnonymized } = await repositories.orderRepository.anonymizeForUser(userId);
+
+    // Provas de entrega: fotografias, assinaturas e nome de quem recebeu
+    const proofs = await repositories.deliveryRepository.listProofFilesForUser(userId);
+    await repositories.deliveryRepository.anonymizeForUser(userId);
+
+    await repositories.addressRepository.deleteForUser(userId);
+    await repositories.loyaltyRepository.deleteTransactionsForUser(userId);
+    await repositories.cartRepository.clear({ userId });
+    await repositories.tokenRepository.deleteRefreshTokensForUser(userId);
+    await repositories.verificationRepository.deleteForUser(userId);
+    await repositories.recoveryCodeRepository.deleteForUser(userId);
+    await repositories.loginThrottleRepository.clear('account', `user:${userId}`);
+
+    // O registo de consentimentos fica como prova, com todos retirados e sem IP/dispositivo
+    await repositories.consentRepository.withdrawAllForUser(userId, 'account_erasure');
+    await repositories.consentRepository.anonymizeForUser(userId);
+
+    await repositories.userRepository.anonymize(userId, unusablePassword);
+    await repositories.userRepository.revokeSessions(userId);
+
+    return {
+      ordersAnonymized,
+      proofFiles: proofs.flatMap(proof => [proof.proof_photo, proof.proof_signature])
+    };
+  });
+
+  // Os ficheiros só são apagados depois do commit
+  removeProofFiles(proofFiles);
+
+  return { ordersAnonymized };
+}
+
+// Pedido do próprio titular: confirmado com a password
+async function eraseOwnAccount(userId, password) {
+  const account = await userRepository.findById(userId);
+
+  if (!account || !await bcrypt.compare(password, account.password)) {
+    throw new HttpError(400, 'Password incorreta');
+  }
+
+  return eraseCustomerAccount(userId);
+}
+
+module.exports = {
+  exportAccountData,
+  createExportArchive,
+  eraseCustomerAccount,
+  eraseOwnAccount
+};
@@ -0,0 +1,228 @@
+const { orderRepository, transaction } = require('../repositories');
+const { HttpError } = require('../utils/errors');
+const { TAX_RATE, roundCurrency, applyTransition } = require('./order-service');
+const { canTransition } = require('./order-state-machine');
+const { canReplaceStatus, cancelVoidedPayments } = require('./payment-service');
+const { getProvider } = require('./payment-providers');
+const { clawbackOrderPoints } = require('./loyalty-service');
+
+const REFUND_REASONS = [
+  'damaged',
+  'missing_item',
+  'wrong_item',
+  'late_delivery',
+  'quality',
+  'customer_request',
+  'duplicate',
+  'other'
+];
+
+const REFUNDABLE_PAYMENT_STATUSES = ['succeeded', 'partially_refunded'];
+
+// Valor pago por unidades de um item (preço com IVA)
+function itemRefundAmount(item, quantity) {
+  return roundCurrency(item.unit_price * quantity * (1 + TAX_RATE));
+}
+
+// Itens do pedido com as quantidades ainda reembolsáveis e o valor em falta
+async function getRefundSummary({ orderRepository, refundRepository }, orderId) {
+  const order = await orderRepository.findWithCustomer(orderId);
+
+  if (!order) {
+    throw new HttpError(404, 'Pedido não encontrado');
+  }
+
+  const items = await orderRepository.findItems(orderId);
+  const refundedQuantities = await refundRepository.refundedQuantities(orderId);
+  const refundedAmount = await refundRepository.totalRefunded(orderId);
+
+  return {
+    order,
+    items: items.map(item => {
+      const refunded = refundedQuantities[item.id] || 0;
+      return {
+        ...item,
+        refunded_quantity: refunded,
+        refundable_quantity: item.quantity - refunded
+      };
+    }),
+    refundedAmount: roundCurrency(refundedAmount),
+    refundableAmount: roundCurrency(order.final_amount - refundedAmount)
+  };
+}
+
+// Itens e valor a reembolsar: no reembolso total tudo o que falta (incluindo a taxa
+// de entrega), no parcial as unidades pedidas de cada item.
+function buildRefundLines(summary, type, requestedItems) {
+  if (type === 'full') {
+    const lines = summary.items
+      .filter(item => item.refundable_quantity > 0)
+      .map(item => ({
+        orderItemId: item.id,
+        quantity: item.refundable_quantity,
+        amount: itemRefundAmount(item, item.refundable_quantity)
+      }));
+
+    return { lines, amount: summary.refundableAmount };
+  }
+
+  const lines = requestedItems.map(({ orderItemId, quantity }) => {
+    const item = summary.items.find(candidate => String(candidate.id) === String(orderItemId));
+
+    if (!item) {
+      throw new HttpError(400, `Item ${orderItemId} não pertence a este pedido`);
+    }
+
+    if (quantity > item.refundable_quantity) {
+      throw new HttpError(409, `Só ${item.refundable_quantity} unidade(s) de ${item.product_name} podem ser reembolsadas`);
+    }
+
+    return { orderItemId: item.id, quantity, amount: itemRefundAmount(item, quantity) };
+  });
+
+  const total = roundCurrency(lines.reduce((sum, line) => sum + line.amount, 0));
+
+  return { lines, amount: Math.min(total, summary.refundableAmount) };
+}
+
+// Devolver o dinheiro no fornecedor do pagamento. Pedidos sem pagamento registado
+// são reembolsados manualmente pela loja.
+async function refundWithProvider(payment, refundId, amount) {
+  const provider = payment && getProvider(payment.provider);
+
+  if (!provider) {
+    return { status: 'succeeded', providerRefundId: null };
+  }
+
+  return provider.refund(payment, amount, refundId);
+}
+
+// Emitir um reembolso total ou parcial de um pedido pago.
+// O reembolso fica registado como pendente antes de chamar o fornecedor, para que pedidos
+// simultâneos não reembolsem o mesmo valor duas vezes.
+async function issueRefund(orderId, { type, items, reason, note }, actor) {
+  const refund = await transaction(async (repositories) => {
+    const summary = await getRefundSummary(repositories, orderId);
+
+    if (!REFUNDABLE_PAYMENT_STATUSES.includes(summary.order.payment_status)) {
+      throw new HttpError(409, 'Só é possível reembolsar pedidos pagos');
+    }
+
+    const { lines, amount } = buildRefundLines(summary, type, items || []);
+
+    if (amount <= 0) {
+      throw new HttpError(409, 'Este pedido já foi totalmente reembolsado');
+    }
+
+    const payment = await repositories.paymentRepository.findCapturedByOrder(orderId);
+    const refundId = await repositories.refundRepository.create({
+      orderId,
+      paymentId: payment && payment.id,
+      type,
+      amount,
+      reason,
+      note,
+      createdBy: actor.username || actor.id
+    });
+
+    for (const line of lines) {
+      await repositories.refundRepository.addItem(refundId, line);
+    }
+
+    return { id: refundId, amount, payment, order: summary.order };
+  });
+
+  let result;
+  try {
+    result = await refundWithProvider(refund.payment, refund.id, refund.amount);
+  } catch (error) {
+    console.error('Erro ao reembolsar no fornecedor de pagamentos:', error);
+    result = { status: 'failed' };
+  }
+
+  if (['failed', 'canceled'].includes(result.status)) {
+    await transaction(({ refundRepository }) => refundRepository.updateById(refund.id, { status: 'failed' }));
+    throw new HttpError(502, 'O fornecedor de pagamentos recusou o reembolso');
+  }
+
+  let cancelledOrder = null;
+
+  const response = await transaction(async (repositories) => {
+    const { orderRepository, paymentRepository, refundRepository } = repositories;
+    const order = await orderRepository.findById(orderId);
+    const refundedAmount = await refundRepository.totalRefunded(orderId);
+    const fullyRefunded = roundCurrency(order.final_amount - refundedAmount) <= 0;
+    const paymentStatus = fullyRefunded ? 'refunded' : 'partially_refunded';
+
+    const pointsClawedBack = await clawbackOrderPoints(repositories, order, refund.amount, fullyRefunded);
+
+    await refundRepository.updateById(refund.id, {
+      status: result.status,
+      provider_refund_id: result.providerRefundId,
+      loyalty_points_clawed_back: pointsClawedBack
+    });
+
+    if (refund.payment && canReplaceStatus(refund.payment.status, paymentStatus)) {
+      await paymentRepository.updateById(refund.payment.id, { status: paymentStatus });
+    }
+
+    if (canReplaceStatus(order.payment_status, paymentStatus)) {
+      await orderRepository.updateById(order.id, { payment_status: paymentStatus });
+    }
+
+    // Um reembolso total fecha o pedido (a permissão manage_orders já foi verificada na rota).
+    // Um pedido ainda por entregar é primeiro cancelado, para devolver o stock e anular a entrega.
+    const note = `Reembolso ${type === 'full' ? 'total' : 'parcial'} de €${refund.amount.toFixed(2)} (${reason}) por ${actor.username || actor.id}`;
+    const admin = { id: null, role: 'admin' };
+    let current = order;
+
+    if (fullyRefunded && canTransition(current, 'cancelled', 'admin')) {
+      current = await applyTransition(repositories, current, 'cancelled', admin, 'Cancelado pelo reembolso total');
+      cancelledOrder = current;
+    }
+
+    if (fullyRefunded && canTransition(current, 'refunded', 'admin')) {
+      await applyTransition(repositories, current, 'refunded', admin, note);
+    } else {
+      await orderRepository.addStatusHistory(order.id, order.status, note, null);
+    }
+
+    return {
+      ...(await refundRepository.findById(refund.id)),
+      items: await refundRepository.findItems(refund.id),
+      orderPaymentStatus: paymentStatus
+    };
+  });
+
+  // Pagamentos pendentes anulados com o cancelamento: avisar o fornecedor depois do commit
+  if (cancelledOrder) {
+    await cancelVoidedPayments(cancelledOrder);
+  }
+
+  return response;
+}
+
+// Pedido já pago cancelado pelo cliente: o valor pago é devolvido logo depois do cancelamento.
+// Uma falha no fornecedor fica no histórico do pedido (e o reembolso como falhado no painel),
+// para a loja o repetir; o cancelamento mantém-se.
+async function refundCancelledOrder(order, actor) {
+  if (!REFUNDABLE_PAYMENT_STATUSES.includes(order.payment_status)) {
+    return null;
+  }
+
+  try {
+    return await issueRefund(order.id, { type: 'full', reason: 'customer_request', note: 'Pedido cancelado pelo cliente' }, actor);
+  } catch (error) {
+    console.error(`Erro ao reembolsar o pedido cancelado ${order.id}:`, error);
+    await orderRepository.addStatusHistory(order.id, order.status,
+      `O reembolso automático do cancelamento falhou (${error.message}). Reembolsar no painel.`, null);
+    return null;
+  }
+}
+
+module.exports = {
+  REFUND_REASONS,
+  getRefundSummary,
+  issueRefund,
+  refundCancelledOrder
+};
@@ -0,0 +1,256 @@
+const { deliveryRepository } = require('../repositories');
+const { HttpError } = require('../utils/errors');
+const { AVERAGE_SPEED_KMH, distanceKm } = require('./delivery-tracking-service');
+
+// Cálculo das voltas dos entregadores, feito localmente (sem serviços de mapas):
+// distâncias em linha reta, rota inicial pelo vizinho mais próximo e melhorada com 2-opt,
+// respeitando as horas prometidas aos clientes.
+
+// Ponto de partida e de regresso das voltas
+const BAKERY_LOCATION = {
+  lat: parseFloat(process.env.BAKERY_LAT || '38.7139'),
+  lng: parseFloat(process.env.BAKERY_LNG || '-9.1394')
+};
+
+// Paragens por volta; as entregas a mais ficam para a volta seguinte
+const MAX_STOPS_PER_RUN = parseInt(process.env.DELIVERY_MAX_STOPS_PER_RUN || '8', 10);
+
+// Minutos em cada paragem (estacionar, entregar, PIN)
+const STOP_MINUTES = parseFloat(process.env.DELIVERY_STOP_MINUTES || '3');
+
+// Tolerância da hora prometida: a entrega pode ser feita até estes minutos antes ou depois
+const DELIVERY_WINDOW_MINUTES = parseInt(process.env.DELIVERY_WINDOW_MINUTES || '15', 10);
+
+// Só entram nas voltas as entregas que ainda não saíram
+const ROUTABLE_STATUSES = ['pending', 'assigned', 'failed'];
+
+const MINUTE_MS = 60 * 1000;
+
+const travelMs = km => km / AVERAGE_SPEED_KMH * 60 * MINUTE_MS;
+const roundKm = km => Math.round(km * 100) / 100;
+
+// Hora prometida em ms: as datas gravadas sem fuso horário (como o CURRENT_TIMESTAMP e as
+// horas previstas das entregas) estão em UTC, e não na hora local do servidor
+function parsePromisedTime(value) {
+  const text = String(value).trim().replace(' ', 'T');
+  const hasTimeZone = !text.includes('T') || /(Z|[+-]\d{2}:?\d{2})$/i.test(text);
+
+  return new Date(hasTimeZone ? text : `${text}Z`).getTime();
+}
+
+// Janela de entrega à volta da hora prometida (sem hora: o mais cedo possível)
+function promisedWindow(promisedTime) {
+  const promised = promisedTime ? parsePromisedTime(promisedTime) : NaN;
+
+  if (Number.isNaN(promised)) {
+    return null;
+  }
+
+  return {
+    start: promised - DELIVERY_WINDOW_MINUTES * MINUTE_MS,
+    end: promised + DELIVERY_WINDOW_MINUTES * MINUTE_MS
+  };
+}
+
+// Matriz de distâncias (km); o índice 0 é a padaria
+function buildDistanceMatrix(points) {
+  return points.map(from => points.map(to => distanceKm(from, to)));
+}
+
+// Percorrer a rota a partir da partida: chegada a cada paragem (à espera da abertura
+// da janela, se chegar cedo), atrasos em relação ao fim da janela e regresso à padaria
+function simulateRoute(route, { matrix, stops, departure }) {
+  let time = departure;
+  let previous = 0;
+  let distance = 0;
+  let lateMinutes = 0;
+
+  const schedule = route.map((index) => {
+    const { window } = stops[index - 1];
+    const leg = matrix[previous][index];
+    const arrival = time + travelMs(leg);
+    const serviceStart = window ? Math.max(arrival, window.start) : arrival;
+    const late = window ? Math.max(0, serviceStart - window.end) / MINUTE_MS : 0;
+
+    distance += leg;
+    lateMinutes += late;
+    time = serviceStart + STOP_MINUTES * MINUTE_MS;
+    previous = index;
+
+    return { index, leg, distance, eta: serviceStart, waitMinutes: (serviceStart - arrival) / MINUTE_MS, lateMinutes: late };
+  });
+
+  const returnKm = matrix[previous][0];
+
+  return {
+    route,
+    schedule,
+    returnKm,
+    distance: distance + returnKm,
+    lateMinutes,
+    returnAt: time + travelMs(returnKm)
+  };
+}
+
+// Primeiro menos atrasos, depois menos quilómetros
+function isBetterRoute(candidate, best) {
+  if (Math.abs(candidate.lateMinutes - best.lateMinutes) > 1e-6) {
+    return candidate.lateMinutes < best.lateMinutes;
+  }
+
+  return candidate.distance < best.distance - 1e-9;
+}
+
+// Vizinho mais próximo no tempo: a paragem onde se consegue entregar mais cedo
+// (sem horas prometidas é simplesmente a mais próxima)
+function nearestNeighbourRoute({ matrix, stops, departure }) {
+  const unvisited = new Set(stops.map((stop, position) => position + 1));
+  const route = [];
+  let time = departure;
+  let previous = 0;
+
+  while (unvisited.size > 0) {
+    let next = null;
+    let nextStart = Infinity;
+
+    for (const index of unvisited) {
+      const { window } = stops[index - 1];
+      const arrival = time + travelMs(matrix[previous][index]);
+      const serviceStart = window ? Math.max(arrival, window.start) : arrival;
+
+      if (serviceStart < nextStart || (serviceStart === nextStart && matrix[previous][index] < matrix[previous][next])) {
+        next = index;
+        nextStart = serviceStart;
+      }
+    }
+
+    route.push(next);
+    unvisited.delete(next);
+    time = nextStart + STOP_MINUTES * MINUTE_MS;
+    previous = next;
+  }
+
+  return route;
+}
+
+// 2-opt: inverter troços da rota enquanto houver melhorias
+function improveWithTwoOpt(route, context) {
+  let best = simulateRoute(route, context);
+  let improved = true;
+
+  while (improved) {
+    improved = false;
+
+    for (let i = 0; i < best.route.length - 1; i++) {
+      for (let j = i + 1; j < best.route.length; j++) {
+        const candidate = simulateRoute([
+          ...best.route.slice(0, i),
+          ...best.route.slice(i, j + 1).reverse(),
+          ...best.route.slice(j + 1)
+        ], context);
+
+        if (isBetterRoute(candidate, best)) {
+          best = candidate;
+          improved = true;
+        }
+      }
+    }
+  }
+
+  return best;
+}
+
+// Com mais entregas do que paragens, a volta leva as de prazo mais curto
+// (sem hora prometida: já em atraso desde a partida), e as mais antigas primeiro
+function selectStopsForRun(stops, maxStops, departure) {
+  const deadline = stop => (stop.window ? stop.window.end : departure);
+
+  const sorted = [...stops].sort((a, b) =>
+    deadline(a) - deadline(b) || a.delivery.created_at.localeCompare(b.delivery.created_at) || a.delivery.id - b.delivery.id
+  );
+
+  return { selected: sorted.slice(0, maxStops), remaining: sorted.slice(maxStops) };
+}
+
+const formatAddress = delivery =>
+  [delivery.delivery_street, [delivery.delivery_postal_code, delivery.delivery_city].filter(Boolean).join(' ')]
+    .filter(Boolean)
+    .join(', ');
+
+// Rota otimizada para um conjunto de entregas: ordem das paragens, distâncias e horas previstas
+async function optimizeDeliveryRoute({ deliveryIds, startTime, maxStops = MAX_STOPS_PER_RUN }) {
+  const ids = [...new Set(deliveryIds)];
+  const deliveries = await deliveryRepository.listRouteStops(ids);
+
+  const missing = ids.filter(id => !deliveries.some(delivery => delivery.id === id));
+  if (missing.length > 0) {
+    throw new HttpError(404, 'Entrega não encontrada', { deliveryIds: missing });
+  }
+
+  const departed = deliveries.filter(delivery => !ROUTABLE_STATUSES.includes(delivery.status));
+  if (departed.length > 0) {
+    throw new HttpError(409, 'Só é possível planear entregas que ainda não saíram', {
+      deliveryIds: departed.map(delivery => delivery.id)
+    });
+  }
+
+  const withoutCoordinates = deliveries.filter(delivery => delivery.delivery_lat == null || delivery.delivery_lng == null);
+  if (withoutCoordinates.length > 0) {
+    throw new HttpError(400, 'Há entregas sem as coordenadas da morada', {
+      deliveryIds: withoutCoordinates.map(delivery => delivery.id)
+    });
+  }
+
+  const departure = startTime ? new Date(startTime).getTime() : Date.now();
+  const { selected, remaining } = selectStopsForRun(
+    deliveries.map(delivery => ({ delivery, window: promisedWindow(delivery.promised_time) })),
+    maxStops,
+    departure
+  );
+
+  const points = [BAKERY_LOCATION, ...selected.map(({ delivery }) => ({ lat: delivery.delivery_lat, lng: delivery.delivery_lng }))];
+  const context = { matrix: buildDistanceMatrix(points), stops: selected, departure };
+  const best = improveWithTwoOpt(nearestNeighbourRoute(context), context);
+
+  return {
+    start: {
+      latitude: BAKERY_LOCATION.lat,
+      longitude: BAKERY_LOCATION.lng,
+      departureTime: new Date(departure).toISOString()
+    },
+    totalDistanceKm: roundKm(best.distance),
+    totalDurationMinutes: Math.round((best.returnAt - departure) / MINUTE_MS),
+    returnDistanceKm: roundKm(best.returnKm),
+    returnTime: new Date(best.returnAt).toISOString(),
+    lateStops: best.schedule.filter(stop => stop.lateMinutes > 0).length,
+    stops: best.schedule.map((stop, position) => {
+      const { delivery, window } = selected[stop.index - 1];
+
+      return {
+        position: position + 1,
+        deliveryId: delivery.id,
+        orderId: delivery.order_id,
+        orderNumber: delivery.order_number,
+        address: formatAddress(delivery),
+        latitude: delivery.delivery_lat,
+        longitude: delivery.delivery_lng,
+        distanceFromPreviousKm: roundKm(stop.leg),
+        cumulativeDistanceKm: roundKm(stop.distance),
+        eta: new Date(stop.eta).toISOString(),
+        waitMinutes: Math.round(stop.waitMinutes),
+        promisedWindow: window
+          ? { start: new Date(window.start).toISOString(), end: new Date(window.end).toISOString() }
+          : null,
+        lateMinutes: Math.round(stop.lateMinutes)
+      };
+    }),
+    // Para a volta seguinte
+    remaining: remaining.map(({ delivery }) => ({ deliveryId: delivery.id, orderNumber: delivery.order_number }))
+  };
+}
+
+module.exports = {
+  BAKERY_LOCATION,
+  MAX_STOPS_PER_RUN,
+  optimizeDeliveryRoute
+};
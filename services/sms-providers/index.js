@@ -0,0 +1,24 @@
+const stub = require('./stub');
+
+// Fornecedores de SMS, escolhidos por SMS_PROVIDER (stub por omissão).
+// Cada fornecedor implementa:
+//   name                        nome usado em SMS_PROVIDER
+//   send(phone, message)        → { providerMessageId }
+const providers = {
+  stub
+};
+
+function getSmsProvider() {
+  const name = process.env.SMS_PROVIDER || 'stub';
+  const provider = providers[name];
+
+  if (!provider) {
+    throw new Error(`Fornecedor de SMS desconhecido: ${name}`);
+  }
+
+  return provider;
+}
+
+module.exports = {
+  getSmsProvider
+};
@@ -0,0 +1,23 @@
+// Fornecedor local: não envia nada, escreve a mensagem na consola e guarda-a em outbox
+// (os scripts de teste leem os códigos daí)
+const OUTBOX_SIZE = 50;
+const outbox = [];
+let sentCount = 0;
+
+async function send(phone, message) {
+  const sms = { id: `sms_stub_${++sentCount}`, phone, message, sentAt: new Date() };
+
+  outbox.push(sms);
+  if (outbox.length > OUTBOX_SIZE) {
+    outbox.shift();
+  }
+
+  console.log(`📱 [SMS stub] ${phone}: ${message}`);
+  return { providerMessageId: sms.id };
+}
+
+module.exports = {
+  name: 'stub',
+  send,
+  outbox
+};
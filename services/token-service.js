@@ -0,0 +1,168 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { tokenRepository, userRepository, transaction } = require('../repositories');
+const { HttpError } = require('../utils/errors');
+
+// Segredo único para todos os tokens emitidos pela API (sessões, reset de password, links de pedidos)
+const JWT_SECRET = process.env.JWT_SECRET || 'default_secret';
+const ACCESS_TOKEN_TYPE = 'access';
+const TWO_FACTOR_CHALLENGE_TYPE = '2fa_challenge';
+
+// Tokens de acesso curtos; a sessão é mantida pelo refresh token, trocado a cada renovação
+const ACCESS_TOKEN_TTL_MINUTES = parseInt(process.env.ACCESS_TOKEN_TTL_MINUTES || '15', 10);
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30', 10);
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Token de sessão, igual para clientes, funcionários, motoristas e administradores.
+// O papel e as permissões não vão no token: são lidos da conta em cada pedido.
+function signAccessToken(userId) {
+  return jwt.sign(
+    { userId, type: ACCESS_TOKEN_TYPE },
+    JWT_SECRET,
+    { expiresIn: `${ACCESS_TOKEN_TTL_MINUTES}m`, jwtid: crypto.randomUUID() }
+  );
+}
+
+// Devolve o payload ({ userId, jti, iat, exp }); lança os erros do jsonwebtoken
+// para tokens inválidos ou expirados
+function verifyAccessToken(token) {
+  const payload = jwt.verify(token, JWT_SECRET);
+
+  if (payload.type !== ACCESS_TOKEN_TYPE || !payload.userId || !payload.jti) {
+    throw new jwt.JsonWebTokenError('Token não é de sessão');
+  }
+
+  return payload;
+}
+
+// Login com 2FA: a password já foi validada; o token só serve para enviar o código (5 minutos)
+function signTwoFactorChallenge(userId) {
+  return jwt.sign({ userId, type: TWO_FACTOR_CHALLENGE_TYPE }, JWT_SECRET, { expiresIn: '5m' });
+}
+
+// userId do desafio, ou null se for inválido ou tiver expirado
+function verifyTwoFactorChallenge(token) {
+  try {
+    const payload = jwt.verify(token, JWT_SECRET);
+    return payload.type === TWO_FACTOR_CHALLENGE_TYPE ? payload.userId : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Token revogado no logout ou emitido antes de "terminar todas as sessões" da conta
+async function isAccessTokenRevoked(payload, user) {
+  if (user.sessions_revoked_at) {
+    const revokedAt = Date.parse(`${user.sessions_revoked_at.replace(' ', 'T')}Z`) / 1000;
+    if (payload.iat < revokedAt) {
+      return true;
+    }
+  }
+
+  return tokenRepository.isAccessTokenRevoked(payload.jti);
+}
+
+async function createRefreshToken(repositories, userId, { familyId, userAgent } = {}) {
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+
+  const id = await repositories.tokenRepository.createRefreshToken({
+    userId,
+    tokenHash: hashToken(refreshToken),
+    familyId: familyId || crypto.randomUUID(),
+    ttlDays: REFRESH_TOKEN_TTL_DAYS,
+    userAgent
+  });
+
+  return { id, refreshToken };
+}
+
+const sessionResponse = (userId, refreshToken) => ({
+  token: signAccessToken(userId),
+  refreshToken,
+  expiresIn: ACCESS_TOKEN_TTL_MINUTES * 60
+});
+
+// Nova sessão (login, registo): token de acesso + refresh token de uma nova família
+async function issueSession(userId, { userAgent } = {}) {
+  await tokenRepository.deleteExpired();
+
+  const { refreshToken } = await createRefreshToken({ tokenRepository }, userId, { userAgent });
+
+  return sessionResponse(userId, refreshToken);
+}
+
+// Trocar um refresh token por uma nova sessão. Cada refresh token só serve uma vez:
+// se um já trocado voltar a aparecer (token roubado), toda a família é revogada.
+async function refreshSession(refreshToken, { userAgent } = {}) {
+  const tokenHash = hashToken(refreshToken);
+
+  const result = await transaction(async ({ tokenRepository, userRepository }) => {
+    const stored = await tokenRepository.findRefreshToken(tokenHash);
+
+    if (!stored || stored.is_expired) {
+      throw new HttpError(401, 'Sessão inválida ou expirada');
+    }
+
+    if (stored.revoked_at) {
+      await tokenRepository.revokeFamily(stored.family_id);
+      return { reused: stored };
+    }
+
+    const user = await userRepository.findAuthById(stored.user_id);
+    if (!user || !user.is_active) {
+      await tokenRepository.revokeFamily(stored.family_id);
+      throw new HttpError(401, 'Conta desativada');
+    }
+
+    const next = await createRefreshToken({ tokenRepository }, stored.user_id, {
+      familyId: stored.family_id,
+      userAgent
+    });
+    await tokenRepository.markReplaced(stored.id, next.id);
+
+    return { session: sessionResponse(stored.user_id, next.refreshToken) };
+  });
+
+  // A revogação da família tem de ficar gravada, por isso o erro só é lançado depois do commit
+  if (result.reused) {
+    console.warn(`⚠️  Refresh token reutilizado (usuário ${result.reused.user_id}); sessão revogada`);
+    throw new HttpError(401, 'Sessão inválida ou expirada');
+  }
+
+  return result.session;
+}
+
+// Logout: revogar o token de acesso usado e a família do refresh token (a sessão deste dispositivo)
+async function revokeSession({ accessPayload, refreshToken } = {}) {
+  if (accessPayload) {
+    await tokenRepository.revokeAccessToken(accessPayload.jti, accessPayload.userId, accessPayload.exp);
+  }
+
+  if (refreshToken) {
+    const stored = await tokenRepository.findRefreshToken(hashToken(refreshToken));
+    if (stored && (!accessPayload || String(stored.user_id) === String(accessPayload.userId))) {
+      await tokenRepository.revokeFamily(stored.family_id);
+    }
+  }
+}
+
+// Terminar todas as sessões da conta (todos os dispositivos, conta desativada)
+async function revokeAllSessions(userId) {
+  await tokenRepository.revokeAllForUser(userId);
+  await userRepository.revokeSessions(userId);
+}
+
+module.exports = {
+  JWT_SECRET,
+  ACCESS_TOKEN_TTL_MINUTES,
+  signAccessToken,
+  verifyAccessToken,
+  signTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  isAccessTokenRevoked,
+  issueSession,
+  refreshSession,
+  revokeSession,
+  revokeAllSessions
+};
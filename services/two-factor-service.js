@@ -0,0 +1,278 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const QRCode = require('qrcode');
+const { userRepository, recoveryCodeRepository, settingsRepository, transaction } = require('../repositories');
+const { hasPermission } = require('../config/roles');
+const { HttpError } = require('../utils/errors');
+const { JWT_SECRET, revokeAllSessions } = require('./token-service');
+
+// TOTP (RFC 6238): códigos de 6 dígitos a cada 30s, compatíveis com Google Authenticator, Authy, etc.
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const TOTP_WINDOW = 1; // aceitar também o passo anterior e o seguinte (relógios desacertados)
+const TWO_FACTOR_ISSUER = process.env.TWO_FACTOR_ISSUER || 'Sabores Portugueses';
+const RECOVERY_CODE_COUNT = 10;
+
+// Política do painel: contas com manage_users têm de usar 2FA
+const POLICY_KEY = 'two_factor_required_for_manage_users';
+
+// ===== TOTP =====
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+  let bits = '';
+  for (const byte of buffer) {
+    bits += byte.toString(2).padStart(8, '0');
+  }
+
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+}
+
+function base32Decode(text) {
+  let bits = '';
+  for (const char of text.replace(/=+$/, '').toUpperCase()) {
+    bits += BASE32_ALPHABET.indexOf(char).toString(2).padStart(5, '0');
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+}
+
+function totpCode(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+const stepAt = (time) => Math.floor(time / 1000 / TOTP_STEP_SECONDS);
+
+// Código atual (também usado pelo script de teste no lugar da app)
+function generateTotpCode(secret, time = Date.now()) {
+  return totpCode(secret, stepAt(time));
+}
+
+// Passo em que o código é válido, ou null
+function matchTotpStep(secret, code) {
+  if (!/^\d{6}$/.test(String(code))) {
+    return null;
+  }
+
+  const now = stepAt(Date.now());
+  for (let step = now - TOTP_WINDOW; step <= now + TOTP_WINDOW; step++) {
+    if (crypto.timingSafeEqual(Buffer.from(totpCode(secret, step)), Buffer.from(String(code)))) {
+      return step;
+    }
+  }
+
+  return null;
+}
+
+// ===== SEGREDO CIFRADO =====
+
+// O segredo fica cifrado (AES-256-GCM) para não servir a quem só tiver uma cópia da base de dados
+const encryptionKey = crypto.createHash('sha256')
+  .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || JWT_SECRET)
+  .digest();
+
+function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey, iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+}
+
+function decryptSecret(stored) {
+  const [iv, tag, encrypted] = stored.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey, iv);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+// ===== CÓDIGOS DE RECUPERAÇÃO =====
+
+const hashRecoveryCode = (code) => crypto.createHash('sha256')
+  .update(code.replace(/[\s-]/g, '').toLowerCase())
+  .digest('hex');
+
+// Códigos xxxxx-xxxxx; só são mostrados uma vez
+async function createRecoveryCodes(recoveryCodeRepository, userId) {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  await recoveryCodeRepository.replaceForUser(userId, codes.map(hashRecoveryCode));
+  return codes;
+}
+
+// ===== POLÍTICA =====
+
+async function getTwoFactorPolicy() {
+  return {
+    requiredForManageUsers: await settingsRepository.get(POLICY_KEY, false)
+  };
+}
+
+async function setTwoFactorPolicy({ requiredForManageUsers }, actor) {
+  // Quem torna a 2FA obrigatória tem de a usar (evita ficar preso na configuração)
+  if (requiredForManageUsers && !actor.totp_enabled_at) {
+    throw new HttpError(400, 'Ative a autenticação em dois passos na sua conta antes de a tornar obrigatória');
+  }
+
+  await settingsRepository.set(POLICY_KEY, Boolean(requiredForManageUsers), actor.id);
+  return getTwoFactorPolicy();
+}
+
+// Conta sem 2FA ativa a quem a política a exige: só pode configurar a conta até a ativar
+async function isTwoFactorEnrollmentPending(account) {
+  if (account.totp_enabled_at || !hasPermission(account, 'manage_users')) {
+    return false;
+  }
+
+  return (await getTwoFactorPolicy()).requiredForManageUsers;
+}
+
+// ===== ATIVAÇÃO =====
+
+async function getTwoFactorStatus(account) {
+  return {
+    enabled: Boolean(account.totp_enabled_at),
+    enabledAt: account.totp_enabled_at || null,
+    required: hasPermission(account, 'manage_users') && (await getTwoFactorPolicy()).requiredForManageUsers,
+    recoveryCodesRemaining: account.totp_enabled_at ? await recoveryCodeRepository.countUnused(account.id) : 0
+  };
+}
+
+// Novo segredo (por confirmar): URI otpauth:// e QR code para a app de autenticação
+async function startEnrollment(account) {
+  if (account.totp_enabled_at) {
+    throw new HttpError(409, 'A autenticação em dois passos já está ativa');
+  }
+
+  const secret = base32Encode(crypto.randomBytes(20));
+  await userRepository.setPendingTotpSecret(account.id, encryptSecret(secret));
+
+  const label = encodeURIComponent(`${TWO_FACTOR_ISSUER}:${account.username || account.email}`);
+  const otpauthUrl = `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(TWO_FACTOR_ISSUER)}` +
+    `&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_STEP_SECONDS}`;
+
+  return {
+    secret,
+    otpauthUrl,
+    qrCode: await QRCode.toDataURL(otpauthUrl)
+  };
+}
+
+// O primeiro código válido ativa a 2FA e gera os códigos de recuperação
+async function confirmEnrollment(userId, code) {
+  return transaction(async ({ userRepository, recoveryCodeRepository }) => {
+    const account = await userRepository.findById(userId);
+
+    if (!account.totp_secret || account.totp_enabled_at) {
+      throw new HttpError(400, 'Inicie primeiro a configuração da autenticação em dois passos');
+    }
+
+    const step = matchTotpStep(decryptSecret(account.totp_secret), code);
+    if (step === null || !await userRepository.useTotpStep(userId, step)) {
+      throw new HttpError(400, 'Código inválido');
+    }
+
+    await userRepository.enableTotp(userId);
+    return createRecoveryCodes(recoveryCodeRepository, userId);
+  });
+}
+
+// ===== VERIFICAÇÃO =====
+
+// Segundo passo do login: código da app ou um código de recuperação (cada um serve uma vez)
+async function verifySecondFactor(userId, { code, recoveryCode }) {
+  const account = await userRepository.findById(userId);
+
+  if (!account || !account.totp_enabled_at) {
+    return false;
+  }
+
+  if (recoveryCode) {
+    return recoveryCodeRepository.consume(userId, hashRecoveryCode(recoveryCode));
+  }
+
+  const step = matchTotpStep(decryptSecret(account.totp_secret), code);
+  return step !== null && userRepository.useTotpStep(userId, step);
+}
+
+async function regenerateRecoveryCodes(userId, code) {
+  if (!await verifySecondFactor(userId, { code })) {
+    throw new HttpError(400, 'Código inválido');
+  }
+
+  return createRecoveryCodes(recoveryCodeRepository, userId);
+}
+
+// Desativar a própria 2FA: exige a password e um código (da app ou de recuperação)
+async function disableTwoFactor(account, { password, code, recoveryCode }) {
+  if ((await getTwoFactorStatus(account)).required) {
+    throw new HttpError(400, 'A política de segurança exige autenticação em dois passos para esta conta');
+  }
+
+  const { password: hashedPassword } = await userRepository.findById(account.id);
+  if (!await bcrypt.compare(password, hashedPassword)) {
+    throw new HttpError(400, 'Password incorreta');
+  }
+
+  if (!await verifySecondFactor(account.id, { code, recoveryCode })) {
+    throw new HttpError(400, 'Código inválido');
+  }
+
+  await transaction(async ({ userRepository, recoveryCodeRepository }) => {
+    await userRepository.disableTotp(account.id);
+    await recoveryCodeRepository.deleteForUser(account.id);
+  });
+}
+
+// Um administrador repõe a 2FA de outra conta (dispositivo perdido sem códigos de recuperação).
+// As sessões abertas terminam; se a política a exigir, a conta volta a configurá-la no próximo login.
+async function resetTwoFactor(id, actor) {
+  if (String(actor.id) === String(id)) {
+    throw new HttpError(400, 'Use as definições da sua conta para alterar a sua autenticação em dois passos');
+  }
+
+  const account = await userRepository.findStaffViewById(id);
+  if (!account) {
+    throw new HttpError(404, 'Conta interna não encontrada');
+  }
+
+  await transaction(async ({ userRepository, recoveryCodeRepository }) => {
+    await userRepository.disableTotp(id);
+    await recoveryCodeRepository.deleteForUser(id);
+  });
+  await revokeAllSessions(id);
+}
+
+module.exports = {
+  generateTotpCode,
+  getTwoFactorPolicy,
+  setTwoFactorPolicy,
+  isTwoFactorEnrollmentPending,
+  getTwoFactorStatus,
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  resetTwoFactor
+};
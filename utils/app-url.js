@@ -0,0 +1,8 @@
+// Endereço público da loja, usado nos links enviados a clientes (emails, acompanhamento de pedidos)
+function appUrl(path = '') {
+  return `${process.env.APP_URL || `http://localhost:${process.env.PORT || 5000}`}${path}`;
+}
+
+module.exports = {
+  appUrl
+};
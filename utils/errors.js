@@ -0,0 +1,14 @@
+// Erro de negócio com o status HTTP a devolver ao cliente.
+// Lançado dentro de transações para forçar o rollback e convertido em resposta pelas rotas.
+class HttpError extends Error {
+  constructor(status, message, details) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+module.exports = {
+  HttpError
+};